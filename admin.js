@@ -0,0 +1,241 @@
+import { Buffer } from 'node:buffer';
+import { REASON_ADMIN_CLOSED } from "./reason.js";
+import { selfTest } from "./e2e.js";
+import { registry } from "./metrics.js";
+
+// websocket close code used when admin closes a tunnel
+export const WS_CLOSE_ADMIN = 4000;
+
+function jsonResponse(obj, status = 200) {
+    return new Response(JSON.stringify(obj, null, 2), {
+        status: status,
+        headers: { "Content-Type": "application/json" },
+    });
+}
+
+/**
+ * check admin bearer token against env binding ADMIN_TOKEN
+ * @param {*} request http request
+ * @param {*} env environment bindings
+ * @returns null if authorized, otherwise a rejection response
+ */
+async function checkAdminToken(request, env) {
+    if (!env.ADMIN_TOKEN) {
+        return new Response("admin api disabled", { status: 403 });
+    }
+
+    let header = request.headers.get("Authorization") || "";
+    let match = /^Bearer\s+(\S+)$/i.exec(header);
+    if (!match) {
+        return new Response("missing bearer token", {
+            status: 401,
+            headers: { "WWW-Authenticate": 'Bearer realm="admin"' },
+        });
+    }
+
+    // compare digests, so that lengths of tokens are equal and comparison is constant-time
+    let [a, b] = await Promise.all([match[1], env.ADMIN_TOKEN].map(
+        (s) => crypto.subtle.digest("SHA-256", new TextEncoder().encode(s))));
+    if (!crypto.subtle.timingSafeEqual(a, b)) {
+        return new Response("invalid admin token", { status: 403 });
+    }
+
+    return null;
+}
+
+/**
+ * summary of a tunnel, used in tunnel list
+ * @param {*} tun tunnel object
+ * @returns plain object
+ */
+function tunnelSummary(tun) {
+    return {
+        id: tun.id,
+        identity: tun.identity ? tun.identity.id : null,
+        client: tun.clientId,
+        version: tun.version,
+        caps: tun.caps,
+        parked: tun.parked,
+        encrypted: tun.isEncrypted(),
+        connectedAt: new Date(tun.connectedAt).toISOString(),
+        lastActivate: new Date(tun.lastActivate).toISOString(),
+        reqCap: tun.reqCap,
+        slots: tun.reqMgr.slotCount(),
+        inUsed: tun.reqMgr.inUsedCount(),
+        bytesUp: tun.bytesUp,
+        bytesDown: tun.bytesDown,
+        limits: {
+            tunnel: tun.limiter.stats,
+            identity: tun.identityLimiter.stats,
+        },
+        timeouts: tun.timeoutStats,
+    };
+}
+
+/**
+ * detail of a request
+ * @param {*} req request object
+ * @returns plain object
+ */
+function requestDetail(req) {
+    return {
+        idx: req.idx,
+        tag: req.tag,
+        target: req.target,
+        transport: req.fetching ? "fetch" : (req.isDatagram() ? "udp" : "tcp"),
+        tls: req.tls,
+        connectedTo: req.connectedTo,
+        createdAt: new Date(req.createdAt).toISOString(),
+        bytesUp: req.bytesUp,
+        bytesDown: req.bytesDown,
+        compression: req.compressionStats(),
+    };
+}
+
+/**
+ * handle usage routes of admin api
+ * @param {*} mgr tunnel manager
+ * @param {*} method http method
+ * @param {*} path url path parts
+ * @param {*} url request url
+ * @returns http response
+ */
+async function handleUsageRequest(mgr, method, path, url) {
+    if (path.length == 2 || !path[2]) {
+        if (method != "GET") {
+            return new Response("Method not allowed", { status: 405 });
+        }
+        return jsonResponse(await mgr.usage.usageAll());
+    }
+
+    let id = decodeURIComponent(path[2]);
+    switch (method) {
+        case "GET":
+            let usage = await mgr.usage.usage(id);
+            if (usage == null) {
+                return new Response("Usage not found", { status: 404 });
+            }
+            return jsonResponse(usage);
+        case "DELETE":
+            let period = url.searchParams.get("period") || "all";
+            if (!["daily", "monthly", "all"].includes(period)) {
+                return new Response("Invalid period", { status: 400 });
+            }
+            console.log("admin reset usage, identity:", id, ", period:", period);
+            await mgr.usage.reset(id, period);
+            return jsonResponse(await mgr.usage.usage(id));
+        default:
+            return new Response("Method not allowed", { status: 405 });
+    }
+}
+
+/**
+ * handle GET /metrics, prometheus scrapes it with 'Authorization: Bearer <ADMIN_TOKEN>'
+ * @param {*} mgr tunnel manager
+ * @param {*} request http request
+ * @returns http response
+ */
+export async function handleMetricsRequest(mgr, request) {
+    let rejection = await checkAdminToken(request, mgr.env);
+    if (rejection != null) {
+        return rejection;
+    }
+
+    return registry.response();
+}
+
+/**
+ * handle admin api, all routes require 'Authorization: Bearer <ADMIN_TOKEN>':
+ *   GET    /admin/tunnels                      list tunnels
+ *   GET    /admin/tunnels/:id                  show a tunnel and its active requests
+ *   DELETE /admin/tunnels/:id?reason=...       close a tunnel
+ *   DELETE /admin/tunnels/:id/requests/:idx    close a request
+ *   GET    /admin/policy                       show policy decision stats
+ *   GET    /admin/usage                        show usage of all identities and tunnels
+ *   GET    /admin/usage/:identity              show usage of an identity
+ *   DELETE /admin/usage/:identity?period=...   reset usage, period: daily, monthly or all
+ *   GET    /admin/selftest                     check end-to-end encryption against known vectors
+ * @param {*} mgr tunnel manager
+ * @param {*} request http request
+ * @returns http response
+ */
+export async function handleAdminRequest(mgr, request) {
+    let rejection = await checkAdminToken(request, mgr.env);
+    if (rejection != null) {
+        return rejection;
+    }
+
+    let url = new URL(request.url);
+    // path[0] is 'admin'
+    let path = url.pathname.slice(1).split('/');
+    let method = request.method;
+
+    switch (path[1]) {
+        case "tunnels":
+            break;
+        case "policy":
+            if (method == "GET") {
+                return jsonResponse(mgr.policy.stats);
+            }
+            return new Response("Method not allowed", { status: 405 });
+        case "usage":
+            return handleUsageRequest(mgr, method, path, url);
+        case "selftest":
+            if (method == "GET") {
+                let result = await selfTest();
+                return jsonResponse(result, result.ok ? 200 : 500);
+            }
+            return new Response("Method not allowed", { status: 405 });
+        default:
+            return new Response("Not found", { status: 404 });
+    }
+
+    if (path.length == 2 || !path[2]) {
+        if (method != "GET") {
+            return new Response("Method not allowed", { status: 405 });
+        }
+        return jsonResponse(mgr.allTunnels().map(tunnelSummary));
+    }
+
+    let tun = mgr.findTunnel(path[2]);
+    if (tun === null) {
+        return new Response("Tunnel not found", { status: 404 });
+    }
+
+    let reason = url.searchParams.get("reason") || "closed by admin";
+    if (path.length == 3) {
+        switch (method) {
+            case "GET":
+                let detail = tunnelSummary(tun);
+                detail.requests = tun.reqMgr.inUsedRequests().map(requestDetail);
+                detail.sendQueue = tun.sendQueue.stats();
+                return jsonResponse(detail);
+            case "DELETE":
+                console.log("admin close tunnel, id:", tun.id, ", reason:", reason);
+                // websocket close reason is limited to 123 bytes
+                tun.closeWithReason(WS_CLOSE_ADMIN, Buffer.from(reason).subarray(0, 123).toString());
+                return jsonResponse({ closed: tun.id });
+            default:
+                return new Response("Method not allowed", { status: 405 });
+        }
+    }
+
+    if (path[3] != "requests" || path.length != 5) {
+        return new Response("Not found", { status: 404 });
+    }
+
+    if (method != "DELETE") {
+        return new Response("Method not allowed", { status: 405 });
+    }
+
+    let idx = parseInt(path[4], 10);
+    let req = tun.reqMgr.inUsedRequests().find((r) => r.idx === idx);
+    if (req === undefined) {
+        return new Response("Request not found", { status: 404 });
+    }
+
+    console.log("admin close request, tunnel id:", tun.id, ", idx:", idx, ", reason:", reason);
+    req.closeByServer(REASON_ADMIN_CLOSED);
+
+    return jsonResponse({ closed: { tunnel: tun.id, idx: req.idx, tag: req.tag } });
+}
@@ -0,0 +1,245 @@
+import { Buffer } from 'node:buffer';
+
+/**
+ * StaticTokenProvider class:
+ * resolve identity from a static bearer token table,
+ * the table maps token to identity id, or to an identity object
+ * e.g. { "token-1": "alice", "token-2": { "id": "bob", "plan": "pro" } }
+ */
+export class StaticTokenProvider {
+    /**
+     * new a StaticTokenProvider object
+     * @param {*} tokens token table
+     */
+    constructor(tokens) {
+        this.tokens = new Map();
+        for (const [token, value] of Object.entries(tokens)) {
+            let identity = typeof value === "string" ? { id: value } : Object.assign({}, value);
+            identity.source = "static";
+            this.tokens.set(token, identity);
+        }
+    }
+
+    /**
+     * look up a token
+     * @param {*} token bearer token
+     * @returns identity object, or null if token is unknown
+     */
+    async authenticate(token) {
+        let identity = this.tokens.get(token);
+        if (identity === undefined) {
+            return null;
+        }
+
+        if (identity.disabled) {
+            return { status: 403, reason: "identity disabled" };
+        }
+
+        return { identity: identity };
+    }
+}
+
+/**
+ * HmacTokenProvider class:
+ * verify signed tokens with format: base64url(payload) + "." + base64url(signature)
+ * payload is a json object: { "sub": identity id, "exp": unix seconds, ...extra fields }
+ * signature is HMAC-SHA256 of the base64url payload string
+ */
+export class HmacTokenProvider {
+    /**
+     * new a HmacTokenProvider object
+     * @param {*} secret HMAC key string
+     */
+    constructor(secret) {
+        this.secret = secret;
+        this.key = null;
+    }
+
+    async getKey() {
+        if (this.key == null) {
+            this.key = await crypto.subtle.importKey(
+                "raw",
+                new TextEncoder().encode(this.secret),
+                { name: "HMAC", hash: "SHA-256" },
+                false,
+                ["sign", "verify"],
+            );
+        }
+
+        return this.key;
+    }
+
+    /**
+     * verify a signed token
+     * @param {*} token signed token
+     * @returns identity object, or null if token is not a signed token
+     */
+    async authenticate(token) {
+        let parts = token.split(".");
+        if (parts.length != 2) {
+            return null;
+        }
+
+        let [payloadPart, sigPart] = parts;
+        let key = await this.getKey();
+        let valid = await crypto.subtle.verify(
+            "HMAC",
+            key,
+            Buffer.from(sigPart, "base64url"),
+            new TextEncoder().encode(payloadPart),
+        );
+
+        if (!valid) {
+            return { status: 401, reason: "invalid token signature" };
+        }
+
+        let payload = null;
+        try {
+            payload = JSON.parse(Buffer.from(payloadPart, "base64url").toString());
+        } catch (err) {
+            return { status: 401, reason: "malformed token payload" };
+        }
+
+        if (typeof payload.sub !== "string" || payload.sub.length == 0) {
+            return { status: 401, reason: "token without subject" };
+        }
+
+        if (typeof payload.exp !== "number" || payload.exp * 1000 <= Date.now()) {
+            return { status: 401, reason: "token expired" };
+        }
+
+        let identity = Object.assign({}, payload);
+        delete identity.sub;
+        delete identity.exp;
+        identity.id = payload.sub;
+        identity.source = "hmac";
+        identity.expiresAt = payload.exp * 1000;
+
+        return { identity: identity };
+    }
+
+    /**
+     * issue a signed token, for tools and tests
+     * @param {*} sub identity id
+     * @param {*} ttl token life time in seconds
+     * @param {*} extra extra payload fields
+     * @returns token string
+     */
+    async sign(sub, ttl, extra) {
+        let payload = Object.assign({}, extra, { sub: sub, exp: Math.floor(Date.now() / 1000) + ttl });
+        let payloadPart = Buffer.from(JSON.stringify(payload)).toString("base64url");
+        let key = await this.getKey();
+        let sig = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(payloadPart));
+
+        return payloadPart + "." + Buffer.from(sig).toString("base64url");
+    }
+}
+
+/**
+ * Authenticator class:
+ * authenticate tunnel clients before websocket upgrade.
+ * Providers are tried in order, the first one that recognizes the token decides.
+ */
+export class Authenticator {
+    /**
+     * new an Authenticator object
+     * @param {*} providers provider list, each one has an 'authenticate(token)' method
+     */
+    constructor(providers) {
+        this.providers = providers;
+    }
+
+    /**
+     * build authenticator from env bindings:
+     * AUTH_HMAC_KEY: key of signed tokens
+     * AUTH_TOKENS: json token table of static bearer tokens
+     * a malformed AUTH_TOKENS rejects all tokens rather than letting the other providers decide
+     * @param {*} env environment bindings
+     * @returns Authenticator object
+     */
+    static fromEnv(env) {
+        let providers = [];
+        // static tokens are exact matches, so try them before signed tokens
+        if (env.AUTH_TOKENS) {
+            let tokens = env.AUTH_TOKENS;
+            try {
+                if (typeof tokens === "string") {
+                    tokens = JSON.parse(tokens);
+                }
+                if (tokens === null || typeof tokens !== "object" || Array.isArray(tokens)) {
+                    throw new Error("token table is not an object");
+                }
+            } catch (err) {
+                console.log("Authenticator malformed AUTH_TOKENS, reject all tokens, err:", err.message);
+                return new Authenticator([]);
+            }
+            providers.push(new StaticTokenProvider(tokens));
+        }
+
+        if (env.AUTH_HMAC_KEY) {
+            providers.push(new HmacTokenProvider(env.AUTH_HMAC_KEY));
+        }
+
+        return new Authenticator(providers);
+    }
+
+    /**
+     * extract token from 'Authorization: Bearer' header,
+     * or from 'token' query parameter for clients cannot set headers
+     * @param {*} request http request
+     * @returns token string or null
+     */
+    extractToken(request) {
+        let header = request.headers.get("Authorization");
+        if (header) {
+            let match = /^Bearer\s+(\S+)$/i.exec(header);
+            return match ? match[1] : null;
+        }
+
+        let url = new URL(request.url);
+        return url.searchParams.get("token");
+    }
+
+    /**
+     * authenticate a http request
+     * @param {*} request http request
+     * @returns { identity, token } if success, otherwise { status, reason }
+     */
+    async authenticate(request) {
+        if (this.providers.length == 0) {
+            return { status: 403, reason: "no authentication provider configured" };
+        }
+
+        let token = this.extractToken(request);
+        if (!token) {
+            return { status: 401, reason: "missing bearer token" };
+        }
+
+        for (const provider of this.providers) {
+            let result = await provider.authenticate(token);
+            if (result != null) {
+                if (result.identity) {
+                    // end-to-end encryption keys are bound to it
+                    result.token = token;
+                }
+                return result;
+            }
+        }
+
+        return { status: 401, reason: "unknown token" };
+    }
+
+    /**
+     * construct the rejection response of a failed authentication
+     * @param {*} result result of authenticate()
+     * @returns http response
+     */
+    static reject(result) {
+        let headers = {};
+        if (result.status == 401) {
+            headers["WWW-Authenticate"] = 'Bearer realm="tun"';
+        }
+
+        return new Response(result.reason, { status: result.status, headers: headers });
+    }
+}
@@ -0,0 +1,175 @@
+import { Buffer } from 'node:buffer';
+import { TRANSPORT_TCP } from "../codec.js";
+import { reasonName } from "../reason.js";
+
+/**
+ * proxy a local tcp socket to target through the tunnel.
+ * backpressure works in both directions: local socket is paused when server's
+ * window is exhausted, and server's quota is only refreshed after data has been
+ * written to local socket.
+ * @param {*} client tunnel client
+ * @param {*} socket local net.Socket, paused after the proxy handshake
+ * @param {*} host target host
+ * @param {*} port target port
+ * @param {*} head data read from socket after the proxy handshake, may be empty
+ * @param {*} onOpened called with true after the request has been created,
+ * or false if it can't be created, before any data is relayed
+ */
+export async function bridgeSocket(client, socket, host, port, head, onOpened) {
+    // socket may close while waiting for the tunnel
+    let localClosed = false;
+    socket.once("close", () => {
+        localClosed = true;
+    });
+
+    let handler = {
+        onData: (data) => {
+            socket.write(data, () => req.consumed(data.length));
+        },
+        onFinished: () => {
+            socket.end();
+        },
+        onClosed: (reason) => {
+            if (reason) {
+                console.log("bridge request closed by server, target:", host + ":" + port,
+                    ", reason:", reasonName(reason));
+            }
+            // flush data written to socket before closing it
+            socket.end(() => socket.destroy());
+        },
+        onWritable: () => {
+            socket.resume();
+        },
+    };
+
+    let req = await client.open(host, port, TRANSPORT_TCP, handler);
+    if (req == null || localClosed) {
+        if (req != null) {
+            req.close();
+        }
+        // caller replies failure to local side and closes the socket
+        onOpened(false);
+        return;
+    }
+
+    onOpened(true);
+
+    let onLocalData = (data) => {
+        if (!req.write(data)) {
+            socket.pause();
+        }
+    };
+
+    socket.on("data", onLocalData);
+
+    socket.on("end", () => {
+        req.finish();
+    });
+
+    socket.on("close", () => {
+        req.close();
+    });
+
+    socket.on("error", (err) => {
+        console.log("bridge local socket error:", err.message);
+    });
+
+    if (head.length > 0) {
+        onLocalData(head);
+    }
+
+    if (req.isWritable()) {
+        socket.resume();
+    }
+}
+
+/**
+ * HandshakeReader class:
+ * read a proxy handshake from a local socket, then hand the socket over to the bridge
+ */
+export class HandshakeReader {
+    /**
+     * new a HandshakeReader object
+     * @param {*} socket local net.Socket
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.buf = Buffer.alloc(0);
+        this.waiter = null;
+        this.ended = false;
+        this.onData = (data) => {
+            this.buf = Buffer.concat([this.buf, data]);
+            this.wake();
+        };
+        this.onEnd = () => {
+            this.ended = true;
+            this.wake();
+        };
+        socket.on("data", this.onData);
+        socket.on("end", this.onEnd);
+        socket.on("close", this.onEnd);
+    }
+
+    wake() {
+        let waiter = this.waiter;
+        this.waiter = null;
+        if (waiter) {
+            waiter();
+        }
+    }
+
+    async waitMore() {
+        if (this.ended) {
+            throw new Error("local socket closed during handshake");
+        }
+
+        await new Promise((resolve) => {
+            this.waiter = resolve;
+        });
+    }
+
+    /**
+     * read exactly n bytes
+     * @param {*} n bytes count
+     * @returns Buffer
+     */
+    async read(n) {
+        while (this.buf.length < n) {
+            await this.waitMore();
+        }
+
+        let data = this.buf.subarray(0, n);
+        this.buf = this.buf.subarray(n);
+        return data;
+    }
+
+    /**
+     * read until delimiter, delimiter included
+     * @param {*} delimiter delimiter string
+     * @param {*} max max bytes to read
+     * @returns Buffer
+     */
+    async readUntil(delimiter, max) {
+        let pos = -1;
+        while ((pos = this.buf.indexOf(delimiter)) < 0) {
+            if (this.buf.length > max) {
+                throw new Error("handshake exceeds " + max + " bytes");
+            }
+            await this.waitMore();
+        }
+
+        return this.read(pos + delimiter.length);
+    }
+
+    /**
+     * stop reading, socket is paused
+     * @returns data which has been read but not consumed
+     */
+    detach() {
+        this.socket.pause();
+        this.socket.off("data", this.onData);
+        this.socket.off("end", this.onEnd);
+        this.socket.off("close", this.onEnd);
+        return this.buf;
+    }
+}
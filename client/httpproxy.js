@@ -0,0 +1,199 @@
+import net from 'node:net';
+import { bridgeSocket, HandshakeReader } from "./bridge.js";
+import { reasonName } from "../reason.js";
+
+// max size of request line and headers
+const MAX_HEADER_SIZE = 16 * 1024;
+
+/**
+ * parse target of CONNECT request
+ * @param {*} authority "host:port" or "[ipv6]:port"
+ * @returns { host, port }, or null if invalid
+ */
+function parseAuthority(authority) {
+    let match = /^\[([0-9a-fA-F:.]+)\]:(\d+)$/.exec(authority) || /^([^:\[\]]+):(\d+)$/.exec(authority);
+    if (!match) {
+        return null;
+    }
+
+    let port = parseInt(match[2], 10);
+    if (port <= 0 || port > 65535) {
+        return null;
+    }
+
+    return { host: match[1], port: port };
+}
+
+/**
+ * parse header lines of a request
+ * @param {*} lines header lines, without request line
+ * @returns [[name, value], ...], or null if malformed
+ */
+function parseHeaders(lines) {
+    let headers = [];
+    for (const line of lines) {
+        if (line == "") {
+            continue;
+        }
+
+        let pos = line.indexOf(":");
+        if (pos <= 0) {
+            return null;
+        }
+        headers.push([line.slice(0, pos).trim(), line.slice(pos + 1).trim()]);
+    }
+
+    return headers;
+}
+
+/**
+ * HttpConnectServer class:
+ * local http proxy listener. Each tunnel established by CONNECT is proxied through
+ * the tunnel, requests of other methods with an absolute url are executed by
+ * server's fetch(), one request per connection
+ */
+export class HttpConnectServer {
+    /**
+     * new a HttpConnectServer object
+     * @param {*} client tunnel client
+     * @param {*} host listen address
+     * @param {*} port listen port
+     */
+    constructor(client, host, port) {
+        this.client = client;
+        this.host = host;
+        this.port = port;
+        // keep writing target's data after local side has sent FIN
+        this.server = net.createServer({ allowHalfOpen: true }, (socket) => {
+            this.onConnection(socket).catch((err) => {
+                console.log("HttpConnectServer handshake failed:", err.message);
+                socket.destroy();
+            });
+        });
+    }
+
+    listen() {
+        this.server.listen(this.port, this.host, () => {
+            console.log("HttpConnectServer listening on", this.host + ":" + this.port);
+        });
+    }
+
+    async onConnection(socket) {
+        socket.on("error", (err) => {
+            console.log("HttpConnectServer local socket error:", err.message);
+        });
+
+        let reader = new HandshakeReader(socket);
+        let header = (await reader.readUntil("\r\n\r\n", MAX_HEADER_SIZE)).toString("latin1");
+        let [method, authority, version] = header.split("\r\n")[0].split(" ");
+
+        if (method != "CONNECT") {
+            await this.forward(socket, reader, method, authority || "", header.split("\r\n").slice(1));
+            return;
+        }
+
+        let target = parseAuthority(authority || "");
+        if (target == null || !/^HTTP\/1\.[01]$/.test(version || "")) {
+            socket.end("HTTP/1.1 400 Bad Request\r\nContent-Length: 0\r\n\r\n");
+            return;
+        }
+
+        let head = reader.detach();
+        await bridgeSocket(this.client, socket, target.host, target.port, head, (opened) => {
+            if (opened) {
+                socket.write("HTTP/1.1 200 Connection Established\r\n\r\n");
+            } else {
+                socket.end("HTTP/1.1 502 Bad Gateway\r\nContent-Length: 0\r\n\r\n");
+            }
+        });
+    }
+
+    /**
+     * forward a plain http proxy request by a fetch request of the tunnel.
+     * request body must have a Content-Length, response ends by closing the connection
+     * @param {*} socket local socket
+     * @param {*} reader handshake reader, request head has been read
+     * @param {*} method http method
+     * @param {*} url absolute url of request line
+     * @param {*} lines header lines
+     */
+    async forward(socket, reader, method, url, lines) {
+        let headers = parseHeaders(lines);
+        if (!/^https?:\/\//i.test(url) || headers == null) {
+            socket.end("HTTP/1.1 400 Bad Request\r\nContent-Length: 0\r\n\r\n");
+            return;
+        }
+
+        let lengthHeader = headers.find(([name]) => name.toLowerCase() == "content-length");
+        let remaining = lengthHeader ? parseInt(lengthHeader[1], 10) : 0;
+        if (headers.some(([name]) => name.toLowerCase() == "transfer-encoding") || !(remaining >= 0)) {
+            socket.end("HTTP/1.1 411 Length Required\r\nContent-Length: 0\r\n\r\n");
+            return;
+        }
+
+        let responded = false;
+        let handler = {
+            onResponse: (status, statusText, respHeaders) => {
+                responded = true;
+                let head = "HTTP/1.1 " + status + " " + statusText + "\r\n";
+                for (const [name, value] of respHeaders) {
+                    head += name + ": " + value + "\r\n";
+                }
+                socket.write(head + "Connection: close\r\n\r\n");
+            },
+            onData: (data) => {
+                socket.write(data, () => req.consumed(data.length));
+            },
+            onFinished: () => {},
+            onClosed: (reason) => {
+                if (!responded) {
+                    console.log("HttpConnectServer fetch failed:", method, url, ", reason:", reasonName(reason));
+                    socket.end("HTTP/1.1 502 Bad Gateway\r\nContent-Length: 0\r\n\r\n");
+                    return;
+                }
+                // response body ends by closing the connection
+                socket.end(() => socket.destroy());
+            },
+            onWritable: () => {
+                socket.resume();
+            },
+        };
+
+        let head = reader.detach();
+        let req = await this.client.fetch(method, url, headers, remaining > 0, handler);
+        if (req == null) {
+            socket.end("HTTP/1.1 502 Bad Gateway\r\nContent-Length: 0\r\n\r\n");
+            return;
+        }
+
+        socket.on("close", () => {
+            req.close();
+        });
+
+        if (remaining == 0) {
+            return;
+        }
+
+        let onBody = (data) => {
+            // data after the body is not forwarded, there is no pipelining
+            let piece = data.subarray(0, remaining);
+            remaining -= piece.length;
+            if (!req.write(piece)) {
+                socket.pause();
+            }
+            if (remaining == 0) {
+                socket.off("data", onBody);
+                req.finish();
+            }
+        };
+
+        socket.on("data", onBody);
+        if (head.length > 0) {
+            onBody(head);
+        }
+
+        if (req.isWritable()) {
+            socket.resume();
+        }
+    }
+}
@@ -0,0 +1,100 @@
+// Reference tunnel client: a local socks5 and http proxy over the tunnel.
+//
+// usage:
+//   node --experimental-websocket client/main.js --url ws://127.0.0.1:8080/tun --token <token> \
+//       [--socks 127.0.0.1:1080] [--http 127.0.0.1:8118] [--encrypt] [--psk <base64 key>]
+//   node client/main.js --selftest
+//
+// url, token and psk can also be given by env TUN_URL, TUN_TOKEN and TUN_PSK.
+// --encrypt seals tunnel messages end-to-end, --psk implies it and must match server's.
+// --selftest checks the crypto primitives of encryption against known vectors.
+// if no listener is given, socks5 listens on 127.0.0.1:1080.
+// Node.js 22 and later has WebSocket enabled by default.
+
+import { parseArgs } from 'node:util';
+import { TunClient } from "./tunclient.js";
+import { Socks5Server } from "./socks5.js";
+import { HttpConnectServer } from "./httpproxy.js";
+import { selfTest } from "../e2e.js";
+
+const DEFAULT_SOCKS_LISTEN = "127.0.0.1:1080";
+
+/**
+ * parse listen address
+ * @param {*} addr "host:port" or "port"
+ * @returns { host, port }
+ */
+function parseListen(addr) {
+    let pos = addr.lastIndexOf(":");
+    let host = pos < 0 ? "127.0.0.1" : addr.slice(0, pos).replace(/^\[(.*)\]$/, "$1");
+    let port = parseInt(pos < 0 ? addr : addr.slice(pos + 1), 10);
+    if (!(port > 0 && port <= 65535)) {
+        throw new Error("invalid listen address: " + addr);
+    }
+
+    return { host: host, port: port };
+}
+
+/**
+ * run self test of encryption, exit 0 if all passed
+ */
+async function runSelfTest() {
+    let result = await selfTest();
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.ok ? 0 : 1);
+}
+
+function main() {
+    let { values } = parseArgs({
+        options: {
+            url: { type: "string", default: process.env.TUN_URL },
+            token: { type: "string", default: process.env.TUN_TOKEN },
+            socks: { type: "string" },
+            http: { type: "string" },
+            encrypt: { type: "boolean", default: false },
+            psk: { type: "string", default: process.env.TUN_PSK },
+            selftest: { type: "boolean", default: false },
+        },
+    });
+
+    if (values.selftest) {
+        runSelfTest();
+        return;
+    }
+
+    if (!values.url) {
+        console.log("missing --url, e.g. ws://127.0.0.1:8080/tun");
+        process.exit(2);
+    }
+
+    if (typeof WebSocket === "undefined") {
+        console.log("WebSocket is not available, run with --experimental-websocket or Node.js 22+");
+        process.exit(2);
+    }
+
+    let client = new TunClient(values.url, { token: values.token, encrypt: values.encrypt, psk: values.psk });
+    client.connect();
+
+    if (!values.socks && !values.http) {
+        values.socks = DEFAULT_SOCKS_LISTEN;
+    }
+
+    if (values.socks) {
+        let listen = parseListen(values.socks);
+        new Socks5Server(client, listen.host, listen.port).listen();
+    }
+
+    if (values.http) {
+        let listen = parseListen(values.http);
+        new HttpConnectServer(client, listen.host, listen.port).listen();
+    }
+
+    let shutdown = () => {
+        client.stop();
+        process.exit(0);
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+}
+
+main();
@@ -0,0 +1,326 @@
+import { Buffer } from 'node:buffer';
+import net from 'node:net';
+import dgram from 'node:dgram';
+import { CAP_UDP, TRANSPORT_UDP } from "../codec.js";
+import { bridgeSocket, HandshakeReader } from "./bridge.js";
+
+const SOCKS_VERSION = 5;
+// no authentication is required, the listener should be bound to a trusted address
+const SOCKS_AUTH_NONE = 0x00;
+const SOCKS_AUTH_UNACCEPTABLE = 0xff;
+
+const SOCKS_CMD_CONNECT = 1;
+const SOCKS_CMD_UDP_ASSOCIATE = 3;
+
+const SOCKS_ATYP_IPV4 = 1;
+const SOCKS_ATYP_DOMAIN = 3;
+const SOCKS_ATYP_IPV6 = 4;
+
+const SOCKS_REPLY_SUCCEEDED = 0;
+const SOCKS_REPLY_GENERAL_FAILURE = 1;
+const SOCKS_REPLY_CMD_UNSUPPORTED = 7;
+const SOCKS_REPLY_ATYP_UNSUPPORTED = 8;
+
+/**
+ * read a socks address from handshake
+ * @param {*} reader handshake reader
+ * @param {*} atyp address type
+ * @returns { host, port }, host is null if address type is unsupported
+ */
+async function readSocksAddress(reader, atyp) {
+    let host = null;
+    switch (atyp) {
+        case SOCKS_ATYP_IPV4:
+            host = Array.from(await reader.read(4)).join(".");
+            break;
+        case SOCKS_ATYP_DOMAIN:
+            let len = (await reader.read(1))[0];
+            host = (await reader.read(len)).toString("latin1");
+            break;
+        case SOCKS_ATYP_IPV6:
+            host = formatIPv6(await reader.read(16));
+            break;
+        default:
+            return { host: null, port: 0 };
+    }
+
+    let port = (await reader.read(2)).readUInt16BE(0);
+    return { host: host, port: port };
+}
+
+function formatIPv6(buf) {
+    let groups = [];
+    for (let i = 0; i < 16; i += 2) {
+        groups.push(buf.readUInt16BE(i).toString(16));
+    }
+    return groups.join(":");
+}
+
+/**
+ * parse socks udp request header: 2 bytes reserved, 1 byte fragment, address, port
+ * @param {*} msg datagram from local client
+ * @returns { host, port, data }, or null if malformed or fragmented
+ */
+function parseUdpHeader(msg) {
+    if (msg.length < 4 || msg[2] != 0) {
+        // fragmentation is not supported
+        return null;
+    }
+
+    let offset = 4;
+    let host = null;
+    switch (msg[3]) {
+        case SOCKS_ATYP_IPV4:
+            if (msg.length < offset + 4) {
+                return null;
+            }
+            host = Array.from(msg.subarray(offset, offset + 4)).join(".");
+            offset += 4;
+            break;
+        case SOCKS_ATYP_DOMAIN: {
+            let len = msg.length > offset ? msg[offset] : 0;
+            if (len == 0 || msg.length < offset + 1 + len) {
+                return null;
+            }
+            host = msg.subarray(offset + 1, offset + 1 + len).toString("latin1");
+            offset += 1 + len;
+            break;
+        }
+        case SOCKS_ATYP_IPV6:
+            if (msg.length < offset + 16) {
+                return null;
+            }
+            host = formatIPv6(msg.subarray(offset, offset + 16));
+            offset += 16;
+            break;
+        default:
+            return null;
+    }
+
+    if (msg.length < offset + 2) {
+        return null;
+    }
+
+    let port = msg.readUInt16BE(offset);
+    return { host: host, port: port, data: msg.subarray(offset + 2) };
+}
+
+/**
+ * encode a socks address: address type, address, port
+ * @param {*} host ip address or domain name
+ * @param {*} port port
+ * @returns Buffer
+ */
+function encodeSocksAddress(host, port) {
+    host = unmapIPv4(host);
+    let addr = null;
+    if (net.isIPv4(host)) {
+        addr = Buffer.from([SOCKS_ATYP_IPV4, ...host.split(".").map((x) => parseInt(x, 10))]);
+    } else if (net.isIPv6(host)) {
+        addr = Buffer.alloc(17);
+        addr[0] = SOCKS_ATYP_IPV6;
+        expandIPv6(host).forEach((g, i) => addr.writeUInt16BE(g, 1 + i * 2));
+    } else {
+        let name = Buffer.from(host, "latin1");
+        addr = Buffer.concat([Buffer.from([SOCKS_ATYP_DOMAIN, name.length]), name]);
+    }
+
+    let portBuf = Buffer.alloc(2);
+    portBuf.writeUInt16BE(port, 0);
+    return Buffer.concat([addr, portBuf]);
+}
+
+/**
+ * dual-stack sockets report ipv4 peers as '::ffff:a.b.c.d'
+ * @param {*} host address string
+ * @returns ipv4 address if host is an ipv4-mapped address, otherwise host
+ */
+function unmapIPv4(host) {
+    if (host.startsWith("::ffff:") && net.isIPv4(host.slice(7))) {
+        return host.slice(7);
+    }
+    return host;
+}
+
+function expandIPv6(host) {
+    let halves = host.split("::");
+    let head = halves[0] ? halves[0].split(":") : [];
+    let tail = halves.length > 1 && halves[1] ? halves[1].split(":") : [];
+    let fill = new Array(8 - head.length - tail.length).fill("0");
+    return head.concat(halves.length > 1 ? fill : [], tail).map((g) => parseInt(g, 16));
+}
+
+function socksReply(rep, host = "0.0.0.0", port = 0) {
+    return Buffer.concat([Buffer.from([SOCKS_VERSION, rep, 0]), encodeSocksAddress(host, port)]);
+}
+
+/**
+ * Socks5Server class:
+ * local socks5 listener, CONNECT and UDP ASSOCIATE are proxied through the tunnel
+ */
+export class Socks5Server {
+    /**
+     * new a Socks5Server object
+     * @param {*} client tunnel client
+     * @param {*} host listen address
+     * @param {*} port listen port
+     */
+    constructor(client, host, port) {
+        this.client = client;
+        this.host = host;
+        this.port = port;
+        // keep writing target's data after local side has sent FIN
+        this.server = net.createServer({ allowHalfOpen: true }, (socket) => {
+            this.onConnection(socket).catch((err) => {
+                console.log("Socks5Server handshake failed:", err.message);
+                socket.destroy();
+            });
+        });
+    }
+
+    listen() {
+        this.server.listen(this.port, this.host, () => {
+            console.log("Socks5Server listening on", this.host + ":" + this.port);
+        });
+    }
+
+    async onConnection(socket) {
+        socket.on("error", (err) => {
+            console.log("Socks5Server local socket error:", err.message);
+        });
+
+        let reader = new HandshakeReader(socket);
+        let [version, nmethods] = await reader.read(2);
+        if (version != SOCKS_VERSION) {
+            throw new Error("unsupported socks version: " + version);
+        }
+
+        let methods = await reader.read(nmethods);
+        if (!methods.includes(SOCKS_AUTH_NONE)) {
+            socket.end(Buffer.from([SOCKS_VERSION, SOCKS_AUTH_UNACCEPTABLE]));
+            return;
+        }
+        socket.write(Buffer.from([SOCKS_VERSION, SOCKS_AUTH_NONE]));
+
+        let [, cmd, , atyp] = await reader.read(4);
+        let target = await readSocksAddress(reader, atyp);
+        if (target.host == null) {
+            socket.end(socksReply(SOCKS_REPLY_ATYP_UNSUPPORTED));
+            return;
+        }
+
+        switch (cmd) {
+            case SOCKS_CMD_CONNECT: {
+                let head = reader.detach();
+                await bridgeSocket(this.client, socket, target.host, target.port, head, (opened) => {
+                    if (opened) {
+                        socket.write(socksReply(SOCKS_REPLY_SUCCEEDED));
+                    } else {
+                        socket.end(socksReply(SOCKS_REPLY_GENERAL_FAILURE));
+                    }
+                });
+                break;
+            }
+            case SOCKS_CMD_UDP_ASSOCIATE:
+                await this.client.ready();
+                if (!this.client.hasCap(CAP_UDP)) {
+                    socket.end(socksReply(SOCKS_REPLY_CMD_UNSUPPORTED));
+                    return;
+                }
+                reader.detach();
+                this.associate(socket);
+                break;
+            default:
+                socket.end(socksReply(SOCKS_REPLY_CMD_UNSUPPORTED));
+        }
+    }
+
+    /**
+     * serve an udp association, it lives as long as the control connection.
+     * each target of the association gets its own udp request in the tunnel
+     * @param {*} control control tcp socket
+     */
+    associate(control) {
+        let udp = dgram.createSocket(net.isIPv6(control.localAddress) ? "udp6" : "udp4");
+        // "host:port" => promise of ClientRequest
+        let targets = new Map();
+        // local client's udp address, learnt from its first datagram
+        let clientAddr = null;
+
+        let closeAll = () => {
+            try {
+                udp.close();
+            } catch (err) {
+                // already closed by error
+            }
+            for (const pending of targets.values()) {
+                pending.then((req) => req && req.close());
+            }
+            targets.clear();
+        };
+
+        let openTarget = (host, port) => {
+            let key = host + ":" + port;
+            let pending = targets.get(key);
+            if (pending !== undefined) {
+                return pending;
+            }
+
+            let handler = {
+                onData: (data) => {
+                    if (clientAddr == null) {
+                        return;
+                    }
+                    let msg = Buffer.concat([Buffer.from([0, 0, 0]), encodeSocksAddress(host, port), data]);
+                    udp.send(msg, clientAddr.port, clientAddr.address, () => req.consumed(data.length));
+                },
+                onFinished: () => {},
+                onClosed: () => {
+                    targets.delete(key);
+                },
+            };
+
+            let req = null;
+            pending = this.client.open(host, port, TRANSPORT_UDP, handler).then((r) => {
+                req = r;
+                if (r == null) {
+                    targets.delete(key);
+                }
+                return r;
+            });
+            targets.set(key, pending);
+            return pending;
+        };
+
+        udp.on("message", async (msg, rinfo) => {
+            // only the client that owns the control connection can use the association
+            if (unmapIPv4(rinfo.address) != unmapIPv4(control.remoteAddress)) {
+                return;
+            }
+            clientAddr = rinfo;
+
+            let dgramReq = parseUdpHeader(msg);
+            if (dgramReq == null) {
+                return;
+            }
+
+            let req = await openTarget(dgramReq.host, dgramReq.port);
+            if (req != null) {
+                req.write(dgramReq.data);
+            }
+        });
+
+        udp.on("error", (err) => {
+            console.log("Socks5Server udp socket error:", err.message);
+            control.destroy();
+        });
+
+        udp.bind(0, control.localAddress, () => {
+            let addr = udp.address();
+            control.write(socksReply(SOCKS_REPLY_SUCCEEDED, addr.address, addr.port));
+        });
+
+        control.on("close", closeAll);
+        control.resume();
+    }
+}
@@ -0,0 +1,1094 @@
+import { Buffer } from 'node:buffer';
+import { isIPv4, isIPv6 } from 'node:net';
+import {
+    CMD_None, CMD_Ping, CMD_Pong, CMD_ReqData, CMD_ReqCreated, CMD_ReqClientClosed,
+    CMD_ReqClientFinished, CMD_ReqServerFinished, CMD_ReqServerClosed, CMD_ReqRefreshQuota, CMD_ReqError,
+    CMD_ReqStartTls, CMD_ReqFetch, CMD_ReqFetchResponse, CMD_SessionInfo, CMD_Hello, CMD_HelloAck,
+    CMD_ReqConnected, CMD_ReqPriority, CMD_ReqCompression, CMD_ReqDataDeflated, CMD_DnsQuery, CMD_DnsAnswer,
+    CMD_Batch, CMD_Sealed, CMD_KeyExchange, CMD_ReqAssigned, ADDR_IPV4, ADDR_IPV6, ADDR_DOMAIN, PROTOCOL_VERSION,
+    CAP_HALF_CLOSE, CAP_UDP, CAP_COMPRESSION, CAP_QUOTA, CAP_TLS, CAP_FETCH, CAP_DNS, CAP_EYEBALLS, CAP_PRIORITY,
+    CAP_BATCH, CAP_ENCRYPTION, CAP_SERVER_SLOTS, TRANSPORT_TCP, TRANSPORT_UDP, TLS_OFF, COMPRESSION_OFF, COMPRESSION_DEFLATE,
+    E2E_X25519_AES256GCM, decodeFrame, encodeFrame, isRequestCmd,
+} from "../codec.js";
+import { PayloadCompressor, Sequencer, inflate } from "../compress.js";
+import { E2ESession } from "../e2e.js";
+import { REASON_NONE, REASON_SLOT_BUSY } from "../reason.js";
+
+// software id sent in hello
+export const CLIENT_ID = "tunclient/1";
+
+// capabilities this client supports
+const CLIENT_CAPS = CAP_HALF_CLOSE | CAP_UDP | CAP_COMPRESSION | CAP_QUOTA | CAP_TLS | CAP_FETCH | CAP_DNS |
+    CAP_EYEBALLS | CAP_PRIORITY | CAP_BATCH | CAP_SERVER_SLOTS;
+
+// frames sent in one go are packed into batch messages up to this size
+const BATCH_MAX_BYTES = 16 * 1024;
+
+// marker in pending queue of a request: send CMD_ReqStartTls after the data before it
+const STARTTLS_MARK = Buffer.alloc(0);
+
+// a deflated frame may not inflate beyond this if server has no windows
+const MAX_INFLATED_BYTES = 1024 * 1024;
+
+const KEEPALIVE_INTERVAL = 10000;
+// tunnel is closed if there are more ping messages without reply
+const MAX_WAITING_PING = 3;
+
+// reconnect delay after tunnel has closed, doubled on each failure
+const RECONNECT_DELAY_MIN = 1000;
+const RECONNECT_DELAY_MAX = 30000;
+
+// websocket close code of unsupported protocol version, no point to reconnect
+const WS_CLOSE_VERSION_MISMATCH = 4002;
+// websocket close code when server requires encryption, no point to reconnect without it
+const WS_CLOSE_ENCRYPTION_REQUIRED = 4005;
+
+/**
+ * @param {*} host ipv4, ipv6 or domain name
+ * @returns address type of CMD_ReqCreated
+ */
+function addressTypeOf(host) {
+    if (isIPv4(host)) {
+        return ADDR_IPV4;
+    }
+
+    if (isIPv6(host)) {
+        return ADDR_IPV6;
+    }
+
+    return ADDR_DOMAIN;
+}
+
+/**
+ * ClientRequest class:
+ * client side of a Request, bound to a slot of the tunnel.
+ * if server assigns slots, the request waits for its slot with a ticket, frames sent meanwhile are held.
+ * handler: {
+ *   onData(data): data from target, call consumed() after it has been delivered,
+ *   onFinished(): target has sent FIN,
+ *   onClosed(reason): request has been closed or has failed, reason code see reason.js,
+ *   onWritable(): send quota is available again,
+ *   onResponse(status, statusText, headers): response head of fetch request, before its body,
+ *   onConnected(host, port): optional, target of a tcp request has connected at this address
+ * }
+ */
+export class ClientRequest {
+    /**
+     * new a ClientRequest object
+     * @param {*} client tunnel client
+     * @param {*} idx slot index, -1 if server assigns it later
+     * @param {*} tag slot tag of this request, -1 if server assigns it later
+     * @param {*} transport TRANSPORT_TCP or TRANSPORT_UDP
+     * @param {*} handler events handler
+     */
+    constructor(client, idx, tag, transport, handler) {
+        this.client = client;
+        this.idx = idx;
+        this.tag = tag;
+        // slot is known, otherwise it's waiting for CMD_ReqAssigned with 'ticket'
+        this.assigned = idx >= 0;
+        this.ticket = 0;
+        // frames waiting for the slot
+        this.unsent = [];
+        this.transport = transport;
+        this.handler = handler;
+        this.closed = false;
+        // local side has sent FIN, and if it has been forwarded to server
+        this.finished = false;
+        this.finishSent = false;
+        // tcp data waiting for send quota
+        this.pending = [];
+        // how many bytes we can send to server
+        this.sendQuota = client.window || Infinity;
+        // how many bytes have been delivered but not refresh to server yet
+        this.consumedBytes = 0;
+        // request is executed by server's fetch(), and if its response head has arrived
+        this.fetching = false;
+        this.responded = false;
+        // compressor of our data if compression has been turned on, its stats are kept after turned off
+        this.compressing = false;
+        this.compressor = null;
+        // our frames wait here while data before them is being compressed
+        this.outbound = new Sequencer();
+        // server's frames wait here while deflated data before them is being inflated
+        this.inbound = new Sequencer();
+    }
+
+    isDatagram() {
+        return this.transport == TRANSPORT_UDP;
+    }
+
+    /**
+     * @returns true if data can be sent without exceeding server's window
+     */
+    isWritable() {
+        return !this.closed && this.sendQuota > 0;
+    }
+
+    /**
+     * send data to target, data beyond send quota is kept in client's queue
+     * for tcp, and dropped for udp
+     * @param {*} data data body, for udp it's exactly one datagram
+     * @returns true if all data has been sent, false if caller should wait for onWritable
+     */
+    write(data) {
+        if (this.closed || this.finished) {
+            return false;
+        }
+
+        if (this.isDatagram()) {
+            if (data.length > this.sendQuota) {
+                console.log("ClientRequest.write drop datagram, idx:", this.idx,
+                    ", quota:", this.sendQuota, ", len:", data.length);
+                return false;
+            }
+
+            this.sendQuota -= data.length;
+            this.sendData(data);
+            return true;
+        }
+
+        this.pending.push(Buffer.from(data));
+        this.flush();
+
+        return this.pending.length == 0;
+    }
+
+    flush() {
+        while (this.pending.length > 0) {
+            let data = this.pending[0];
+            if (data === STARTTLS_MARK) {
+                this.pending.shift();
+                this.sendInOrder({ cmd: CMD_ReqStartTls });
+                continue;
+            }
+
+            if (this.sendQuota <= 0) {
+                break;
+            }
+
+            let len = Math.min(this.sendQuota, data.length);
+            this.sendData(data.subarray(0, len));
+            this.sendQuota -= len;
+
+            if (len == data.length) {
+                this.pending.shift();
+            } else {
+                this.pending[0] = data.subarray(len);
+            }
+        }
+
+        if (this.finished && this.pending.length == 0 && !this.finishSent) {
+            this.finishSent = true;
+            this.sendInOrder({ cmd: CMD_ReqClientFinished });
+        }
+    }
+
+    /**
+     * send a piece of data, compressed if compression is on and it shrinks
+     * @param {*} data data body
+     */
+    sendData(data) {
+        let deflating = this.compressing ? this.compressor.compress(data) : null;
+        this.outbound.push(deflating, (deflated) => {
+            if (this.closed) {
+                return;
+            }
+
+            if (deflated) {
+                this.sendFrame({ cmd: CMD_ReqDataDeflated, data: deflated });
+            } else {
+                this.sendFrame({ cmd: CMD_ReqData, data: data });
+            }
+        });
+    }
+
+    /**
+     * send a frame after data queued before it
+     * @param {*} frame frame object without idx and tag
+     */
+    sendInOrder(frame) {
+        this.outbound.push(null, () => {
+            if (!this.closed) {
+                this.sendFrame(frame);
+            }
+        });
+    }
+
+    /**
+     * send a frame of this request, or hold it until the slot has been assigned
+     * @param {*} frame frame object without idx and tag
+     */
+    sendFrame(frame) {
+        if (!this.assigned) {
+            this.unsent.push(frame);
+            return;
+        }
+
+        frame.idx = this.idx;
+        frame.tag = this.tag;
+        this.client.send(frame);
+    }
+
+    /**
+     * server has assigned the slot, send frames held so far
+     * @param {*} idx slot index
+     * @param {*} tag slot tag
+     */
+    onAssigned(idx, tag) {
+        this.idx = idx;
+        this.tag = tag;
+        this.assigned = true;
+
+        let frames = this.unsent;
+        this.unsent = [];
+        if (this.closed) {
+            // closed while waiting, only free server's slot
+            frames = [{ cmd: CMD_ReqClientClosed }];
+        }
+        frames.forEach((frame) => this.sendFrame(frame));
+    }
+
+    /**
+     * ask server to upgrade connection to TLS after all queued data,
+     * the request must be opened with TLS_STARTTLS
+     */
+    startTls() {
+        if (this.closed || this.finished) {
+            return;
+        }
+
+        this.pending.push(STARTTLS_MARK);
+        this.flush();
+    }
+
+    /**
+     * hint server how much of the tunnel this request should get when requests compete,
+     * e.g. a higher weight for interactive sessions than for bulk downloads
+     * @param {*} weight 1-255, PRIORITY_DEFAULT of codec.js is the default
+     */
+    setPriority(weight) {
+        if (this.closed || !this.client.hasCap(CAP_PRIORITY)) {
+            return;
+        }
+
+        this.sendFrame({ cmd: CMD_ReqPriority, weight: weight });
+    }
+
+    /**
+     * compress data of this request in both directions, server only compresses
+     * what shrinks, so it's worth for text protocols but not for TLS or media
+     * @param {*} enabled true to turn compression on, false to turn it off
+     */
+    setCompression(enabled) {
+        if (this.closed || !this.client.hasCap(CAP_COMPRESSION) || enabled == this.compressing) {
+            return;
+        }
+
+        this.compressing = enabled;
+        if (enabled && this.compressor == null) {
+            this.compressor = new PayloadCompressor();
+        }
+        this.sendFrame({ cmd: CMD_ReqCompression, mode: enabled ? COMPRESSION_DEFLATE : COMPRESSION_OFF });
+    }
+
+    /**
+     * local side has sent FIN, forward it after all queued data
+     */
+    finish() {
+        if (this.closed || this.finished) {
+            return;
+        }
+
+        if (!this.fetching && !this.client.hasCap(CAP_HALF_CLOSE)) {
+            // server can't handle half close
+            this.close();
+            return;
+        }
+
+        this.finished = true;
+        this.flush();
+    }
+
+    /**
+     * data passed to onData has been delivered to local side,
+     * refresh server's quota if enough data has been delivered
+     * @param {*} bytes bytes count
+     */
+    consumed(bytes) {
+        if (this.closed || !this.client.window) {
+            return;
+        }
+
+        this.consumedBytes += bytes;
+        if (this.consumedBytes >= this.client.window / 4) {
+            let quota = this.consumedBytes;
+            this.consumedBytes = 0;
+            this.sendFrame({ cmd: CMD_ReqRefreshQuota, quota: quota });
+        }
+    }
+
+    /**
+     * close request from local side
+     */
+    close() {
+        if (this.closed) {
+            return;
+        }
+
+        this.sendFrame({ cmd: CMD_ReqClientClosed });
+        this.client.freeSlot(this);
+        this.closed = true;
+        this.pending = [];
+        this.outbound.reset();
+        this.inbound.reset();
+    }
+
+    onQuotaRefreshed(quota) {
+        this.sendQuota += quota;
+        this.flush();
+        if (this.isWritable() && this.handler.onWritable) {
+            this.handler.onWritable();
+        }
+    }
+
+    /**
+     * response head of fetch request has arrived
+     * @param {*} frame decoded CMD_ReqFetchResponse frame
+     */
+    onResponse(frame) {
+        if (this.responded) {
+            // resent by server after tunnel resumed
+            return;
+        }
+
+        this.responded = true;
+        this.handler.onResponse(frame.status, frame.statusText, frame.headers);
+    }
+
+    /**
+     * request has been closed by server or tunnel
+     * @param {*} reason reason code, see reason.js
+     */
+    onClosed(reason) {
+        if (this.closed) {
+            return;
+        }
+
+        this.closed = true;
+        this.pending = [];
+        this.unsent = [];
+        this.outbound.reset();
+        this.inbound.reset();
+        this.handler.onClosed(reason);
+    }
+}
+
+/**
+ * TunClient class:
+ * client side of a Tunnel, it keeps a websocket connection to server's /tun,
+ * and multiplexes requests over it.
+ * slots mirror server's ReqMgr: a request occupies slot 'idx' with a 'tag',
+ * the tag is changed each time the slot is reused, so stale frames are ignored.
+ * if server assigns slots, new requests wait in 'tickets' until CMD_ReqAssigned
+ */
+export class TunClient {
+    /**
+     * new a TunClient object
+     * @param {*} url websocket url of server's tunnel endpoint, e.g. ws://127.0.0.1:8080/tun
+     * @param {*} options {
+     *   token: bearer token, sent as 'token' query parameter,
+     *   encrypt: seal tunnel messages end-to-end, refuse servers that can't,
+     *   psk: base64 pre-shared key of encryption, same as server's, implies encrypt
+     * }
+     */
+    constructor(url, options = {}) {
+        this.url = new URL(url);
+        this.token = options.token || "";
+        if (options.token) {
+            this.url.searchParams.set("token", options.token);
+        }
+        this.encrypt = Boolean(options.encrypt || options.psk);
+        this.psk = Buffer.from(options.psk || "", "base64");
+
+        this.websocket = null;
+        this.handshaked = false;
+        this.stopped = false;
+        // agreed capabilities and settings from hello ack
+        this.caps = 0;
+        this.reqCap = 0;
+        this.window = 0;
+        this.sessionId = null;
+        // slot index => ClientRequest
+        this.slots = [];
+        // next tag of each slot
+        this.tags = [];
+        // ticket => ClientRequest waiting for its slot, if server assigns slots
+        this.tickets = new Map();
+        this.nextTicket = 0;
+        this.waitingPing = 0;
+        this.lastActivate = Date.now();
+        this.keepaliveTimer = null;
+        this.reconnectDelay = RECONNECT_DELAY_MIN;
+        // waiters of handshake
+        this.readyWaiters = [];
+        // query id => resolve function of resolve()
+        this.dnsQueries = new Map();
+        // encoded frames waiting to be packed into batches, or for key exchange
+        this.outgoing = [];
+        this.nextDnsId = 0;
+        this.resetEncryption();
+    }
+
+    /**
+     * reset end-to-end encryption state, it's agreed again on each websocket
+     */
+    resetEncryption() {
+        // E2ESession once keys have been exchanged
+        this.e2e = null;
+        // hello ack has agreed on encryption, waiting for server's key
+        this.keyExchanging = false;
+        // sealed messages wait here to be sent or handled in order
+        this.e2eOutbound = new Sequencer();
+        this.e2eInbound = new Sequencer();
+    }
+
+    hasCap(cap) {
+        return (this.caps & cap) != 0;
+    }
+
+    /**
+     * open websocket connection and say hello, reconnect automatically when it drops
+     */
+    connect() {
+        if (this.stopped) {
+            return;
+        }
+
+        console.log("TunClient connecting:", this.url.origin + this.url.pathname);
+        let websocket = new WebSocket(this.url);
+        websocket.binaryType = "arraybuffer";
+        this.websocket = websocket;
+
+        websocket.addEventListener("open", () => {
+            this.lastActivate = Date.now();
+            let caps = CLIENT_CAPS | (this.encrypt ? CAP_ENCRYPTION : 0);
+            this.send({ cmd: CMD_Hello, version: PROTOCOL_VERSION, clientId: CLIENT_ID, caps: caps });
+        });
+
+        websocket.addEventListener("message", (event) => {
+            if (websocket !== this.websocket) {
+                return;
+            }
+
+            this.lastActivate = Date.now();
+            this.onTunnelMessage(event.data);
+        });
+
+        websocket.addEventListener("close", (event) => {
+            if (websocket !== this.websocket) {
+                return;
+            }
+
+            console.log("TunClient websocket closed, code:", event.code, ", reason:", event.reason);
+            this.onClosed(event.code);
+        });
+
+        websocket.addEventListener("error", () => {
+            // 'close' event will emit later
+            console.log("TunClient websocket error");
+        });
+    }
+
+    /**
+     * close tunnel and stop reconnecting
+     */
+    stop() {
+        this.stopped = true;
+        if (this.websocket != null) {
+            this.websocket.close();
+        }
+        this.onClosed(0);
+    }
+
+    /**
+     * wait until handshake is done
+     * @returns promise
+     */
+    ready() {
+        if (this.handshaked) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => this.readyWaiters.push(resolve));
+    }
+
+    /**
+     * encode and send a frame
+     * @param {*} frame frame object, see codec.js
+     */
+    send(frame) {
+        if (this.websocket == null || this.websocket.readyState != WebSocket.OPEN) {
+            return;
+        }
+
+        if (this.keyExchanging) {
+            // sent sealed after keys have been exchanged
+            this.outgoing.push(encodeFrame(frame));
+            return;
+        }
+
+        if (!this.hasCap(CAP_BATCH)) {
+            this.sendMessage(encodeFrame(frame));
+            return;
+        }
+
+        // frames sent in the same turn of event loop go together
+        this.outgoing.push(encodeFrame(frame));
+        if (this.outgoing.length == 1) {
+            queueMicrotask(() => this.flushOutgoing());
+        }
+    }
+
+    /**
+     * send a websocket message, sealed if keys have been exchanged
+     * @param {*} message encoded frame
+     */
+    sendMessage(message) {
+        if (this.e2e == null) {
+            this.websocket.send(message);
+            return;
+        }
+
+        let websocket = this.websocket;
+        this.e2eOutbound.push(this.e2e.seal(message), (sealed) => {
+            if (websocket === this.websocket && websocket.readyState == WebSocket.OPEN) {
+                websocket.send(sealed);
+            }
+        }, (err) => {
+            console.log("TunClient seal message failed:", err.message);
+            websocket.close();
+        });
+    }
+
+    /**
+     * send frames waiting to be packed, several ones in a batch message
+     */
+    flushOutgoing() {
+        let frames = this.outgoing;
+        this.outgoing = [];
+        if (this.websocket == null || this.websocket.readyState != WebSocket.OPEN) {
+            return;
+        }
+
+        if (!this.hasCap(CAP_BATCH)) {
+            frames.forEach((buf) => this.sendMessage(buf));
+            return;
+        }
+
+        let batch = [];
+        let bytes = 0;
+        let sendBatch = () => {
+            if (batch.length == 1) {
+                this.sendMessage(batch[0]);
+            } else if (batch.length > 1) {
+                this.sendMessage(encodeFrame({ cmd: CMD_Batch, frames: batch }));
+            }
+            batch = [];
+            bytes = 0;
+        };
+
+        for (const buf of frames) {
+            if (bytes + 4 + buf.length > BATCH_MAX_BYTES) {
+                sendBatch();
+            }
+            batch.push(buf);
+            bytes += 4 + buf.length;
+        }
+        sendBatch();
+    }
+
+    /**
+     * handle a websocket message
+     * @param {*} data message data
+     * @param {*} opened true if it has been opened from a sealed message
+     */
+    onTunnelMessage(data, opened = false) {
+        let frame = null;
+        try {
+            frame = decodeFrame(data);
+        } catch (err) {
+            console.log("TunClient malformed frame:", err.message);
+            return;
+        }
+
+        if (this.e2e != null && !opened) {
+            this.onSealedMessage(frame);
+            return;
+        }
+
+        if (isRequestCmd(frame.cmd)) {
+            this.onRequestMessage(frame);
+            return;
+        }
+
+        switch (frame.cmd) {
+            case CMD_None:
+                break;
+            case CMD_Batch:
+                frame.frames.forEach((inner) => this.onTunnelMessage(inner, opened));
+                break;
+            case CMD_Ping:
+                this.send({ cmd: CMD_Pong, payload: frame.payload });
+                break;
+            case CMD_Pong:
+                this.waitingPing = 0;
+                break;
+            case CMD_HelloAck:
+                this.onHelloAck(frame);
+                break;
+            case CMD_KeyExchange:
+                this.onKeyExchange(frame);
+                break;
+            case CMD_SessionInfo:
+                this.sessionId = frame.sessionId;
+                break;
+            case CMD_DnsAnswer:
+                this.onDnsAnswer(frame);
+                break;
+            default:
+                console.log("TunClient unexpected cmd:", frame.cmd);
+        }
+    }
+
+    onHelloAck(frame) {
+        this.caps = frame.caps;
+        this.reqCap = frame.reqCap;
+        this.window = frame.window;
+        this.slots = new Array(this.reqCap).fill(null);
+        this.tags = new Array(this.reqCap).fill(0);
+        console.log("TunClient hello ack, version:", frame.version, ", caps:", frame.caps,
+            ", reqCap:", frame.reqCap, ", window:", frame.window);
+
+        if (this.hasCap(CAP_ENCRYPTION)) {
+            // server's key follows
+            this.keyExchanging = true;
+            return;
+        }
+
+        if (this.encrypt) {
+            // never fall back to plain text, e.g. a man in the middle has dropped the capability
+            console.log("TunClient server doesn't agree on encryption, stop");
+            this.stop();
+            return;
+        }
+
+        this.onHandshakeDone();
+    }
+
+    /**
+     * server's key has arrived, reply with ours, then everything is sealed
+     * @param {*} frame decoded CMD_KeyExchange frame
+     */
+    async onKeyExchange(frame) {
+        if (!this.keyExchanging) {
+            console.log("TunClient unexpected key exchange");
+            return;
+        }
+
+        let websocket = this.websocket;
+        let session = await E2ESession.generate(false);
+        if (websocket !== this.websocket) {
+            return;
+        }
+
+        session.deriveKeys(frame.publicKey, this.token, this.psk);
+        websocket.send(encodeFrame({ cmd: CMD_KeyExchange, algorithm: E2E_X25519_AES256GCM, publicKey: session.publicKey }));
+        this.e2e = session;
+        this.keyExchanging = false;
+        this.onHandshakeDone();
+        if (this.outgoing.length > 0) {
+            this.flushOutgoing();
+        }
+    }
+
+    /**
+     * handle a message after keys have been exchanged, it must be sealed
+     * @param {*} frame decoded frame
+     */
+    onSealedMessage(frame) {
+        let websocket = this.websocket;
+        if (frame.cmd != CMD_Sealed) {
+            console.log("TunClient message isn't sealed, cmd:", frame.cmd);
+            websocket.close();
+            return;
+        }
+
+        this.e2eInbound.push(this.e2e.open(frame), (message) => {
+            if (websocket === this.websocket) {
+                this.onTunnelMessage(message, true);
+            }
+        }, (err) => {
+            console.log("TunClient open sealed message failed:", err.message);
+            websocket.close();
+        });
+    }
+
+    /**
+     * hello has been agreed, and keys if encrypted, requests can start
+     */
+    onHandshakeDone() {
+        this.handshaked = true;
+        this.reconnectDelay = RECONNECT_DELAY_MIN;
+        console.log("TunClient handshaked, encrypted:", this.e2e != null);
+
+        this.startKeepalive();
+        let waiters = this.readyWaiters;
+        this.readyWaiters = [];
+        waiters.forEach((resolve) => resolve());
+    }
+
+    onRequestMessage(frame) {
+        if (frame.cmd == CMD_ReqAssigned) {
+            this.onAssigned(frame);
+            return;
+        }
+
+        let req = this.slots[frame.idx];
+        if (req == null || req.tag != frame.tag) {
+            // req has been free
+            return;
+        }
+
+        if (frame.cmd == CMD_ReqDataDeflated) {
+            req.inbound.push(inflate(frame.data, this.window || MAX_INFLATED_BYTES), (data) => {
+                req.handler.onData(data);
+            }, (err) => {
+                console.log("TunClient bad deflated data, idx:", frame.idx, ", err:", err.message);
+                req.close();
+            });
+            return;
+        }
+
+        // frames after deflated data wait until it has been delivered
+        req.inbound.push(null, () => this.handleRequestFrame(req, frame));
+    }
+
+    /**
+     * handle a request frame in order of the request's frames
+     * @param {*} req ClientRequest object
+     * @param {*} frame decoded frame
+     */
+    handleRequestFrame(req, frame) {
+        switch (frame.cmd) {
+            case CMD_ReqData:
+                req.handler.onData(frame.data);
+                break;
+            case CMD_ReqServerFinished:
+                req.handler.onFinished();
+                break;
+            case CMD_ReqServerClosed:
+                this.freeSlot(req);
+                req.onClosed(frame.reason);
+                break;
+            case CMD_ReqError:
+                // request has failed, e.g. target can't be connected
+                this.freeSlot(req);
+                req.onClosed(frame.error);
+                break;
+            case CMD_ReqRefreshQuota:
+                req.onQuotaRefreshed(frame.quota);
+                break;
+            case CMD_ReqFetchResponse:
+                req.onResponse(frame);
+                break;
+            case CMD_ReqConnected:
+                if (req.handler.onConnected) {
+                    req.handler.onConnected(frame.host, frame.port);
+                }
+                break;
+            default:
+                console.log("TunClient unexpected request cmd:", frame.cmd, ", idx:", frame.idx);
+        }
+    }
+
+    startKeepalive() {
+        if (this.keepaliveTimer != null) {
+            return;
+        }
+
+        this.keepaliveTimer = setInterval(() => {
+            if (this.waitingPing > MAX_WAITING_PING) {
+                console.log("TunClient ping timeout");
+                this.websocket.close();
+                this.onClosed(0);
+                return;
+            }
+
+            if (Date.now() - this.lastActivate > KEEPALIVE_INTERVAL) {
+                let payload = Buffer.alloc(8);
+                payload.writeDoubleLE(Date.now(), 0);
+                this.send({ cmd: CMD_Ping, payload: payload });
+                this.waitingPing++;
+            }
+        }, KEEPALIVE_INTERVAL);
+    }
+
+    /**
+     * websocket has dropped, close all requests and reconnect later
+     * @param {*} code websocket close code
+     */
+    onClosed(code) {
+        if (this.keepaliveTimer != null) {
+            clearInterval(this.keepaliveTimer);
+            this.keepaliveTimer = null;
+        }
+
+        this.websocket = null;
+        this.handshaked = false;
+        this.waitingPing = 0;
+        this.outgoing = [];
+        this.e2eOutbound.reset();
+        this.e2eInbound.reset();
+        this.resetEncryption();
+
+        let reqs = this.slots.filter((req) => req != null).concat([...this.tickets.values()]);
+        this.slots.fill(null);
+        this.tickets.clear();
+        reqs.forEach((req) => req.onClosed(0));
+
+        // answers of pending queries are lost with the websocket
+        let queries = [...this.dnsQueries.values()];
+        this.dnsQueries.clear();
+        queries.forEach((resolve) => resolve(null));
+
+        if (this.stopped) {
+            return;
+        }
+
+        if (code == WS_CLOSE_VERSION_MISMATCH) {
+            console.log("TunClient server doesn't support protocol version:", PROTOCOL_VERSION);
+            this.stopped = true;
+            return;
+        }
+
+        if (code == WS_CLOSE_ENCRYPTION_REQUIRED) {
+            console.log("TunClient server requires encryption, run with encrypt option");
+            this.stopped = true;
+            return;
+        }
+
+        let delay = this.reconnectDelay;
+        this.reconnectDelay = Math.min(delay * 2, RECONNECT_DELAY_MAX);
+        setTimeout(() => this.connect(), delay);
+    }
+
+    /**
+     * create a request to target
+     * @param {*} host target host, ipv4, ipv6 or domain name
+     * @param {*} port target port
+     * @param {*} transport TRANSPORT_TCP or TRANSPORT_UDP
+     * @param {*} handler events handler, see ClientRequest
+     * @param {*} tls TLS_OFF, TLS_ON or TLS_STARTTLS, server speaks TLS with target if not off
+     * @param {*} candidates more ip addresses of target, server races them with host,
+     * they are dropped if server doesn't support it, or the request is udp or TLS
+     * @returns ClientRequest, or null if there is no free slot or udp or TLS is not supported
+     */
+    async open(host, port, transport, handler, tls = TLS_OFF, candidates = []) {
+        await this.ready();
+
+        if (transport == TRANSPORT_UDP && !this.hasCap(CAP_UDP)) {
+            console.log("TunClient.open udp is not supported by server");
+            return null;
+        }
+
+        if (tls != TLS_OFF && !this.hasCap(CAP_TLS)) {
+            console.log("TunClient.open TLS is not supported by server");
+            return null;
+        }
+
+        let req = this.allocSlot(transport, handler);
+        if (req == null) {
+            return null;
+        }
+
+        if (transport != TRANSPORT_TCP || tls != TLS_OFF || !this.hasCap(CAP_EYEBALLS)) {
+            candidates = [];
+        }
+
+        this.sendCreate(req, {
+            cmd: CMD_ReqCreated,
+            transport: transport,
+            tls: tls,
+            addressType: addressTypeOf(host),
+            host: host,
+            port: port,
+            candidates: candidates.filter((ip) => addressTypeOf(ip) != ADDR_DOMAIN)
+                .map((ip) => ({ addressType: addressTypeOf(ip), host: ip })),
+        });
+
+        return req;
+    }
+
+    /**
+     * create a fetch request, server executes it by fetch() and streams the response back.
+     * request body is sent by write() and ended by finish()
+     * @param {*} method http method
+     * @param {*} url absolute http or https url
+     * @param {*} headers [[name, value], ...]
+     * @param {*} hasBody true if request has a body
+     * @param {*} handler events handler, see ClientRequest
+     * @returns ClientRequest, or null if there is no free slot or fetch is not supported
+     */
+    async fetch(method, url, headers, hasBody, handler) {
+        await this.ready();
+
+        if (!this.hasCap(CAP_FETCH)) {
+            console.log("TunClient.fetch fetch is not supported by server");
+            return null;
+        }
+
+        let req = this.allocSlot(TRANSPORT_TCP, handler);
+        if (req == null) {
+            return null;
+        }
+
+        req.fetching = true;
+        this.sendCreate(req, {
+            cmd: CMD_ReqFetch,
+            method: method,
+            url: url,
+            headers: headers,
+            hasBody: hasBody,
+        });
+
+        return req;
+    }
+
+    /**
+     * resolve a name by server's resolver
+     * @param {*} name domain name
+     * @param {*} type record type, e.g. 1 for A, 28 for AAAA
+     * @returns { status, answers: [{ type, ttl, data }, ...] }, status is a DNS rcode,
+     * or null if DNS is not supported or the tunnel drops before the answer
+     */
+    async resolve(name, type) {
+        await this.ready();
+
+        if (!this.hasCap(CAP_DNS)) {
+            console.log("TunClient.resolve DNS is not supported by server");
+            return null;
+        }
+
+        let id = this.nextDnsId;
+        this.nextDnsId = (id + 1) & 0xffff;
+        let answer = new Promise((resolve) => this.dnsQueries.set(id, resolve));
+        this.send({ cmd: CMD_DnsQuery, id: id, type: type, name: name });
+        return answer;
+    }
+
+    onDnsAnswer(frame) {
+        let resolve = this.dnsQueries.get(frame.id);
+        if (resolve === undefined) {
+            return;
+        }
+
+        this.dnsQueries.delete(frame.id);
+        resolve({ status: frame.status, answers: frame.answers });
+    }
+
+    /**
+     * bind a new request to a free slot
+     * @param {*} transport TRANSPORT_TCP or TRANSPORT_UDP
+     * @param {*} handler events handler, see ClientRequest
+     * @returns ClientRequest, or null if there is no free slot
+     */
+    allocSlot(transport, handler) {
+        if (this.hasCap(CAP_SERVER_SLOTS)) {
+            return this.allocTicket(transport, handler);
+        }
+
+        let idx = this.slots.indexOf(null);
+        if (idx < 0) {
+            console.log("TunClient no free slot, reqCap:", this.reqCap);
+            return null;
+        }
+
+        let tag = this.tags[idx];
+        this.tags[idx] = (tag + 1) & 0xffff;
+        let req = new ClientRequest(this, idx, tag, transport, handler);
+        this.slots[idx] = req;
+        return req;
+    }
+
+    /**
+     * bind a new request to a ticket, server assigns its slot
+     * @param {*} transport TRANSPORT_TCP or TRANSPORT_UDP
+     * @param {*} handler events handler, see ClientRequest
+     * @returns ClientRequest, or null if all slots are taken
+     */
+    allocTicket(transport, handler) {
+        let used = this.slots.filter((req) => req != null).length + this.tickets.size;
+        if (used >= this.reqCap) {
+            console.log("TunClient no free slot, reqCap:", this.reqCap);
+            return null;
+        }
+
+        let ticket = this.nextTicket;
+        while (this.tickets.has(ticket)) {
+            ticket = (ticket + 1) & 0xffff;
+        }
+        this.nextTicket = (ticket + 1) & 0xffff;
+
+        let req = new ClientRequest(this, -1, -1, transport, handler);
+        req.ticket = ticket;
+        this.tickets.set(ticket, req);
+        return req;
+    }
+
+    /**
+     * send the frame that creates a request, it carries the ticket if server assigns slots
+     * @param {*} req ClientRequest object
+     * @param {*} frame CMD_ReqCreated or CMD_ReqFetch frame without idx and tag
+     */
+    sendCreate(req, frame) {
+        frame.idx = req.assigned ? req.idx : req.ticket;
+        frame.tag = req.assigned ? req.tag : 0;
+        this.send(frame);
+    }
+
+    /**
+     * server has assigned a slot to a request, or refused it
+     * @param {*} frame decoded CMD_ReqAssigned frame
+     */
+    onAssigned(frame) {
+        let req = this.tickets.get(frame.ticket);
+        if (req === undefined) {
+            console.log("TunClient unknown ticket:", frame.ticket);
+            return;
+        }
+
+        this.tickets.delete(frame.ticket);
+        if (frame.error != REASON_NONE) {
+            req.onClosed(frame.error);
+            return;
+        }
+
+        if (!req.closed && this.slots[frame.idx] !== null) {
+            // beyond reqCap or taken, give the slot back
+            console.log("TunClient invalid assigned slot, idx:", frame.idx);
+            req.onClosed(REASON_SLOT_BUSY);
+        }
+
+        if (!req.closed) {
+            this.slots[frame.idx] = req;
+        }
+        req.onAssigned(frame.idx, frame.tag);
+    }
+
+    freeSlot(req) {
+        if (req.assigned && this.slots[req.idx] === req) {
+            this.slots[req.idx] = null;
+        }
+    }
+}
@@ -0,0 +1,1040 @@
+import { Buffer } from 'node:buffer';
+
+// Tunnel frame codec, shared by server and client.
+// A frame is one websocket binary message: 1 byte cmd, then cmd's body.
+// Request frames' body starts with 2 bytes idx and 2 bytes tag, all integers are little-endian.
+// This module has no dependency on the runtime, so it can be used by clients and fuzzed offline.
+
+export const CMD_None = 0;
+// body: 8 bytes timestamp (double)
+export const CMD_Ping = 1;
+// body: echo of ping's body
+export const CMD_Pong = 2;
+export const CMD_ReqBEGIN = 3;
+// client and server use this cmd to send request's data
+export const CMD_ReqData = 3;
+// client notify server that a new request has created
+// body: 1 byte address type, address, 2 bytes port.
+// if ADDR_FLAG_UDP bit of address type is set, the request is an udp association,
+// and each CMD_ReqData frame of it carries exactly one datagram.
+// if ADDR_FLAG_TLS or ADDR_FLAG_STARTTLS bit is set, server speaks TLS with the target,
+// the address is the server name of TLS.
+// plain tcp requests may append candidates if CAP_EYEBALLS has been agreed: 1 byte count,
+// then 1 byte address type, ipv4 or ipv6, and address of each. server races them with
+// the address on the same port, and reports the winner by CMD_ReqConnected
+export const CMD_ReqCreated = 4;
+// client notify server that a request has closed
+export const CMD_ReqClientClosed = 5;
+// client notify server that a request has finished, but not closed
+export const CMD_ReqClientFinished = 6;
+// server notify client that a request has finished, but not closed
+export const CMD_ReqServerFinished = 7;
+// server notify client that a request has closed
+// body: 1 byte reason code, see reason.js
+export const CMD_ReqServerClosed = 8;
+// server notify client that a request quota has been refresh,
+// means that client can send more data of this request.
+// client also use this cmd to refresh server's quota when it has consumed data,
+// body: 4 bytes quota increment
+// both sides start with the window announced in CMD_HelloAck
+export const CMD_ReqRefreshQuota = 9;
+// server and client use this cmd to resume a request after the tunnel has been resumed,
+// body: 8 bytes count of request's bytes the sender has received.
+// server sends it first for each request it holds, client replies with it to
+// continue the request, or replies with CMD_ReqClientClosed if it has dropped the request.
+// both sides then retransmit data after the peer's received count.
+export const CMD_ReqResume = 10;
+// server notify client that a request has failed, e.g. target can't be connected,
+// the request is released at both sides.
+// body: 1 byte error code, see reason.js
+// clients before PROTOCOL_VERSION_REQ_ERROR get CMD_ReqServerClosed with the code instead
+export const CMD_ReqError = 11;
+// client ask server to upgrade connection of a request to TLS, data sent before it is
+// written to target in plain text, data after it is encrypted.
+// client sends it after target has agreed to upgrade, e.g. "220 Ready to start TLS" of SMTP.
+// only valid for requests created with ADDR_FLAG_STARTTLS, body: none
+export const CMD_ReqStartTls = 12;
+// client notify server that a new fetch request has created, server executes it by fetch()
+// instead of opening a socket.
+// body: 1 byte flags, 1 byte method length, method, 2 bytes url length, url, headers.
+// headers: 2 bytes count, then 2 bytes name length, name, 2 bytes value length, value of each.
+// if FETCH_FLAG_BODY is set, request body follows as CMD_ReqData and ends by CMD_ReqClientFinished.
+// response body is sent as CMD_ReqData after CMD_ReqFetchResponse, and ends by
+// CMD_ReqServerClosed with REASON_NONE.
+// upstream proxies of config don't apply, the runtime's http stack connects to target
+export const CMD_ReqFetch = 13;
+// server notify client the response head of a fetch request
+// body: 2 bytes status, 1 byte status text length, status text, headers.
+// server sends it again after the tunnel has been resumed, client ignores a duplicate one
+export const CMD_ReqFetchResponse = 14;
+// server notify client that target of a tcp request has connected, only if CAP_EYEBALLS
+// has been agreed. body: 1 byte address type, address, 2 bytes port of the address that won
+export const CMD_ReqConnected = 15;
+// client hints server how to share the tunnel among requests, only if CAP_PRIORITY has been agreed.
+// body: 1 byte weight, 1-255, a request gets tunnel bandwidth in proportion to its weight
+// when requests compete, PRIORITY_DEFAULT if never set. it can be sent any time
+export const CMD_ReqPriority = 16;
+// client asks server to compress data of a request it sends to client, only if CAP_COMPRESSION
+// has been agreed. body: 1 byte mode, COMPRESSION_OFF or COMPRESSION_DEFLATE. it can be sent any time,
+// data is not compressed until it's received
+export const CMD_ReqCompression = 17;
+// client and server use this cmd instead of CMD_ReqData to send compressed data of a request,
+// only if CAP_COMPRESSION has been agreed. either side may send it, whether the peer asked or not.
+// body: data compressed on its own in zlib format, i.e. CompressionStream("deflate").
+// windows, quota refreshes and resume offsets count inflated bytes
+export const CMD_ReqDataDeflated = 18;
+// server tells client which slot it has assigned to a request, only if CAP_SERVER_SLOTS has been agreed.
+// client creates requests by CMD_ReqCreated or CMD_ReqFetch with a ticket of its choice as idx
+// and 0 as tag, and sends nothing else of the request until this arrives.
+// idx and tag are the assigned slot, client uses them from now on, this comes before any other frame
+// of the request. body: 2 bytes ticket, 1 byte error, if not REASON_NONE the request has been
+// refused and idx and tag are 0
+export const CMD_ReqAssigned = 19;
+export const CMD_ReqEND = 20;
+
+// tunnel level commands start from here, leaving room for request commands
+// server notify client the session of this tunnel, it's sent after handshake
+// if CAP_SESSION has been agreed.
+// body: 16 bytes session id, 1 byte flags, 4 bytes grace period in ms
+export const CMD_SessionInfo = 64;
+// client hello, it must be the first message of a tunnel.
+// body: 2 bytes protocol version, 1 byte length of client software id, client software id,
+// 4 bytes capability bitmap
+export const CMD_Hello = 65;
+// server reply of client hello.
+// body: 2 bytes protocol version, 4 bytes agreed capability bitmap,
+// 2 bytes reqCap, 4 bytes initial window of each request
+export const CMD_HelloAck = 66;
+// client ask server to resolve a domain name, only if CAP_DNS has been agreed.
+// body: 2 bytes query id, 2 bytes record type, e.g. 1 for A and 28 for AAAA,
+// 1 byte name length, name
+export const CMD_DnsQuery = 67;
+// server reply of CMD_DnsQuery.
+// body: 2 bytes query id, 1 byte status, the DNS rcode or DNS_STATUS_* of dns.js, 1 byte count,
+// then 2 bytes type, 4 bytes ttl in seconds, 2 bytes data length, data of each answer.
+// data is in text form, e.g. "192.0.2.1" for A record
+export const CMD_DnsAnswer = 68;
+// container of several frames in one websocket message, only if CAP_BATCH has been agreed.
+// body: 4 bytes length, encoded frame of each, at least one. frames are handled in order,
+// as if each came in its own message. containers can't be nested
+export const CMD_Batch = 69;
+// end-to-end encrypted message, only after CMD_KeyExchange if CAP_ENCRYPTION has been agreed.
+// body: 8 bytes counter, then AES-256-GCM ciphertext of one frame, e.g. a CMD_Batch, with 16 bytes tag.
+// each direction has its own key and counts from 0, a message out of order is rejected.
+// the nonce is 4 zero bytes and the counter, additional data is cmd and counter, see e2e.js
+export const CMD_Sealed = 70;
+// ephemeral key of end-to-end encryption, only if CAP_ENCRYPTION has been agreed.
+// server sends it after CMD_HelloAck, client replies with its own, then both sides send
+// nothing but CMD_Sealed. server holds other frames until it has client's key.
+// body: 1 byte algorithm, E2E_X25519_AES256GCM, 32 bytes public key
+export const CMD_KeyExchange = 71;
+
+// address types of CMD_ReqCreated.
+// ipv4: 4 bytes, the address as a little-endian u32, i.e. in reversed dotted order
+export const ADDR_IPV4 = 0;
+// domain: 1 byte length, domain name
+export const ADDR_DOMAIN = 1;
+// ipv6: 8 groups of u16LE, from the last group to the first
+export const ADDR_IPV6 = 2;
+// address type flag: request use udp transport
+export const ADDR_FLAG_UDP = 0x80;
+// address type flag: server connects to target with TLS
+export const ADDR_FLAG_TLS = 0x40;
+// address type flag: server connects in plain text, and upgrades to TLS on CMD_ReqStartTls
+export const ADDR_FLAG_STARTTLS = 0x20;
+// low bits of address type byte hold the address type
+const ADDR_TYPE_MASK = 0x1f;
+
+// request's transport: a tcp stream
+export const TRANSPORT_TCP = 0;
+// request's transport: an udp association, each data frame carries one datagram
+export const TRANSPORT_UDP = 1;
+
+// TLS mode of a tcp request: plain text
+export const TLS_OFF = 0;
+// TLS mode of a tcp request: TLS from the beginning
+export const TLS_ON = 1;
+// TLS mode of a tcp request: plain text until CMD_ReqStartTls
+export const TLS_STARTTLS = 2;
+
+// fetch request flag: request has a body
+export const FETCH_FLAG_BODY = 0x01;
+
+// weight of requests without CMD_ReqPriority
+export const PRIORITY_DEFAULT = 16;
+
+// compression modes of CMD_ReqCompression: data is sent as is
+export const COMPRESSION_OFF = 0;
+// compression modes of CMD_ReqCompression: data is sent by CMD_ReqDataDeflated when it shrinks
+export const COMPRESSION_DEFLATE = 1;
+
+// key exchange algorithm: X25519, HKDF-SHA256 and AES-256-GCM
+export const E2E_X25519_AES256GCM = 1;
+// size of an X25519 public key
+const E2E_KEY_BYTES = 32;
+// size of AES-GCM tag
+const E2E_TAG_BYTES = 16;
+
+// session info flag: an existing session has been resumed
+export const SESSION_FLAG_RESUMED = 0x01;
+
+// protocol versions the server can speak
+export const PROTOCOL_VERSION_MIN = 1;
+export const PROTOCOL_VERSION = 2;
+// first protocol version with CMD_ReqError
+export const PROTOCOL_VERSION_REQ_ERROR = 2;
+
+// capabilities, client and server use the features both of them support.
+// target EOF is forwarded by CMD_ReqServerFinished, otherwise request is closed on EOF
+export const CAP_HALF_CLOSE = 1 << 0;
+// requests with ADDR_FLAG_UDP
+export const CAP_UDP = 1 << 1;
+// payload compression of request data, CMD_ReqCompression and CMD_ReqDataDeflated
+export const CAP_COMPRESSION = 1 << 2;
+// per-request windows refreshed by CMD_ReqRefreshQuota, otherwise windows are unlimited
+export const CAP_QUOTA = 1 << 3;
+// session resumption, CMD_SessionInfo and CMD_ReqResume
+export const CAP_SESSION = 1 << 4;
+// server side TLS, ADDR_FLAG_TLS, ADDR_FLAG_STARTTLS and CMD_ReqStartTls
+export const CAP_TLS = 1 << 5;
+// fetch requests, CMD_ReqFetch and CMD_ReqFetchResponse
+export const CAP_FETCH = 1 << 6;
+// server side name resolution, CMD_DnsQuery and CMD_DnsAnswer
+export const CAP_DNS = 1 << 7;
+// candidate addresses of CMD_ReqCreated, and CMD_ReqConnected
+export const CAP_EYEBALLS = 1 << 8;
+// request weights, CMD_ReqPriority
+export const CAP_PRIORITY = 1 << 9;
+// frame containers, CMD_Batch
+export const CAP_BATCH = 1 << 10;
+// end-to-end encryption inside the websocket, CMD_KeyExchange and CMD_Sealed
+export const CAP_ENCRYPTION = 1 << 11;
+// server assigns slots of new requests, CMD_ReqAssigned
+export const CAP_SERVER_SLOTS = 1 << 12;
+
+/**
+ * ProtocolError class:
+ * a frame can't be decoded or encoded
+ */
+export class ProtocolError extends Error {
+    /**
+     * new a ProtocolError object
+     * @param {*} message error message
+     * @param {*} unknownCmd command code if the error is an unknown command, peers may
+     * ignore such frames for forward compatibility
+     */
+    constructor(message, unknownCmd) {
+        super(message);
+        this.name = "ProtocolError";
+        this.unknownCmd = unknownCmd;
+    }
+}
+
+/**
+ * check if cmd is a request command
+ * @param {*} cmd command code
+ * @returns true if it's a request command
+ */
+export function isRequestCmd(cmd) {
+    return cmd >= CMD_ReqBEGIN && cmd < CMD_ReqEND;
+}
+
+/**
+ * check if cmd opens a new request, client waits for its outcome
+ * @param {*} cmd command code
+ * @returns true if it's CMD_ReqCreated or CMD_ReqFetch
+ */
+export function isRequestOpeningCmd(cmd) {
+    return cmd == CMD_ReqCreated || cmd == CMD_ReqFetch;
+}
+
+/**
+ * Reader class:
+ * bounds-checked reader of a frame
+ */
+class Reader {
+    constructor(buf) {
+        this.buf = buf;
+        this.offset = 0;
+    }
+
+    need(n) {
+        if (this.offset + n > this.buf.length) {
+            throw new ProtocolError("frame too short, need " + (this.offset + n) +
+                " bytes, got " + this.buf.length);
+        }
+    }
+
+    u8() {
+        this.need(1);
+        let v = this.buf.readUInt8(this.offset);
+        this.offset += 1;
+        return v;
+    }
+
+    u16() {
+        this.need(2);
+        let v = this.buf.readUInt16LE(this.offset);
+        this.offset += 2;
+        return v;
+    }
+
+    u32() {
+        this.need(4);
+        let v = this.buf.readUInt32LE(this.offset);
+        this.offset += 4;
+        return v;
+    }
+
+    u64() {
+        this.need(8);
+        let v = this.buf.readBigUInt64LE(this.offset);
+        this.offset += 8;
+        if (v > BigInt(Number.MAX_SAFE_INTEGER)) {
+            throw new ProtocolError("u64 value too large: " + v);
+        }
+        return Number(v);
+    }
+
+    bytes(n) {
+        this.need(n);
+        let v = this.buf.subarray(this.offset, this.offset + n);
+        this.offset += n;
+        return v;
+    }
+
+    rest() {
+        let v = this.buf.subarray(this.offset);
+        this.offset = this.buf.length;
+        return v;
+    }
+
+    remaining() {
+        return this.buf.length - this.offset;
+    }
+
+    end() {
+        if (this.offset != this.buf.length) {
+            throw new ProtocolError("frame has " + (this.buf.length - this.offset) + " trailing bytes");
+        }
+    }
+}
+
+/**
+ * Writer class:
+ * build a frame of known size
+ */
+class Writer {
+    constructor(size) {
+        this.buf = Buffer.alloc(size);
+        this.offset = 0;
+    }
+
+    u8(v) {
+        this.buf.writeUInt8(v, this.offset);
+        this.offset += 1;
+    }
+
+    u16(v) {
+        this.buf.writeUInt16LE(v, this.offset);
+        this.offset += 2;
+    }
+
+    u32(v) {
+        this.buf.writeUInt32LE(v, this.offset);
+        this.offset += 4;
+    }
+
+    u64(v) {
+        this.buf.writeBigUInt64LE(BigInt(v), this.offset);
+        this.offset += 8;
+    }
+
+    bytes(v) {
+        this.buf.set(v, this.offset);
+        this.offset += v.length;
+    }
+}
+
+// address type flags of each TLS mode
+const TLS_FLAGS = [0, ADDR_FLAG_TLS, ADDR_FLAG_STARTTLS];
+
+/**
+ * decode TLS mode from address type byte of CMD_ReqCreated
+ * @param {*} addressType address type byte with flags
+ * @returns TLS_OFF, TLS_ON or TLS_STARTTLS
+ */
+function decodeTlsMode(addressType) {
+    let tls = addressType & (ADDR_FLAG_TLS | ADDR_FLAG_STARTTLS);
+    if (tls == 0) {
+        return TLS_OFF;
+    }
+
+    if (tls == (ADDR_FLAG_TLS | ADDR_FLAG_STARTTLS)) {
+        throw new ProtocolError("both TLS and STARTTLS flags are set");
+    }
+
+    if (addressType & ADDR_FLAG_UDP) {
+        throw new ProtocolError("TLS over udp is not supported");
+    }
+
+    return tls == ADDR_FLAG_TLS ? TLS_ON : TLS_STARTTLS;
+}
+
+/**
+ * decode a domain name: 1 byte length, name
+ * @param {*} r reader
+ * @returns domain name
+ */
+function decodeDomain(r) {
+    let len = r.u8();
+    if (len == 0) {
+        throw new ProtocolError("empty domain name");
+    }
+
+    let domain = r.bytes(len).toString("latin1");
+    if (!/^[A-Za-z0-9._-]+$/.test(domain)) {
+        throw new ProtocolError("invalid domain name");
+    }
+    return domain;
+}
+
+/**
+ * decode address of CMD_ReqCreated
+ * @param {*} r reader
+ * @returns { addressType, host }
+ */
+function decodeAddress(r, addressType) {
+    switch (addressType) {
+        case ADDR_IPV4: {
+            let b = r.bytes(4);
+            return b[3] + "." + b[2] + "." + b[1] + "." + b[0];
+        }
+        case ADDR_DOMAIN:
+            return decodeDomain(r);
+        case ADDR_IPV6: {
+            let groups = [];
+            for (let i = 0; i < 8; i++) {
+                groups.unshift(r.u16().toString(16));
+            }
+            return groups.join(":");
+        }
+        default:
+            throw new ProtocolError("unsupported address type: " + addressType);
+    }
+}
+
+/**
+ * decode candidates appended to CMD_ReqCreated, frames without them have none
+ * @param {*} r reader
+ * @returns [{ addressType, host }, ...]
+ */
+function decodeCandidates(r) {
+    let candidates = [];
+    if (r.remaining() == 0) {
+        return candidates;
+    }
+
+    let count = r.u8();
+    for (let i = 0; i < count; i++) {
+        let addressType = r.u8();
+        if (addressType != ADDR_IPV4 && addressType != ADDR_IPV6) {
+            throw new ProtocolError("candidate is not an ip address, type: " + addressType);
+        }
+        candidates.push({ addressType: addressType, host: decodeAddress(r, addressType) });
+    }
+    return candidates;
+}
+
+/**
+ * size of encoded candidates
+ */
+function candidatesSize(candidates) {
+    if (!candidates || candidates.length == 0) {
+        return 0;
+    }
+
+    let size = 1;
+    for (const candidate of candidates) {
+        size += 1 + addressSize(candidate.addressType, candidate.host);
+    }
+    return size;
+}
+
+function encodeCandidates(w, candidates) {
+    if (!candidates || candidates.length == 0) {
+        return;
+    }
+
+    if (candidates.length > 255) {
+        throw new ProtocolError("too many candidates: " + candidates.length);
+    }
+
+    w.u8(candidates.length);
+    for (const candidate of candidates) {
+        w.u8(candidate.addressType);
+        encodeAddress(w, candidate.addressType, candidate.host);
+    }
+}
+
+/**
+ * decode headers of fetch frames
+ * @param {*} r reader
+ * @returns [[name, value], ...]
+ */
+function decodeHeaders(r) {
+    let headers = [];
+    let count = r.u16();
+    for (let i = 0; i < count; i++) {
+        let name = r.bytes(r.u16()).toString("latin1");
+        let value = r.bytes(r.u16()).toString("latin1");
+        if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+            throw new ProtocolError("invalid header name");
+        }
+        headers.push([name, value]);
+    }
+
+    return headers;
+}
+
+/**
+ * size of encoded headers
+ */
+function headersSize(headers) {
+    let size = 2;
+    for (const [name, value] of headers) {
+        size += 2 + Buffer.byteLength(name, "latin1") + 2 + Buffer.byteLength(value, "latin1");
+    }
+
+    return size;
+}
+
+function encodeHeaders(w, headers) {
+    w.u16(headers.length);
+    for (const [name, value] of headers) {
+        let nameBuf = Buffer.from(name, "latin1");
+        let valueBuf = Buffer.from(value, "latin1");
+        w.u16(nameBuf.length);
+        w.bytes(nameBuf);
+        w.u16(valueBuf.length);
+        w.bytes(valueBuf);
+    }
+}
+
+/**
+ * size of encoded address
+ */
+function addressSize(addressType, host) {
+    switch (addressType) {
+        case ADDR_IPV4:
+            return 4;
+        case ADDR_DOMAIN:
+            return 1 + Buffer.byteLength(host, "latin1");
+        case ADDR_IPV6:
+            return 16;
+        default:
+            throw new ProtocolError("unsupported address type: " + addressType);
+    }
+}
+
+function encodeAddress(w, addressType, host) {
+    switch (addressType) {
+        case ADDR_IPV4: {
+            let parts = host.split(".").map((x) => parseInt(x, 10));
+            if (parts.length != 4 || parts.some((x) => !(x >= 0 && x <= 255))) {
+                throw new ProtocolError("invalid ipv4 address: " + host);
+            }
+            w.bytes(parts.reverse());
+            break;
+        }
+        case ADDR_DOMAIN: {
+            let name = Buffer.from(host, "latin1");
+            if (name.length == 0 || name.length > 255) {
+                throw new ProtocolError("invalid domain name length: " + name.length);
+            }
+            w.u8(name.length);
+            w.bytes(name);
+            break;
+        }
+        case ADDR_IPV6: {
+            let groups = expandIPv6(host);
+            for (let i = 7; i >= 0; i--) {
+                w.u16(groups[i]);
+            }
+            break;
+        }
+    }
+}
+
+/**
+ * expand an ipv6 address string to 8 groups
+ * @param {*} host ipv6 address string, without brackets
+ * @returns array of 8 numbers
+ */
+function expandIPv6(host) {
+    let halves = host.split("::");
+    let head = halves[0] ? halves[0].split(":") : [];
+    let tail = halves.length > 1 && halves[1] ? halves[1].split(":") : [];
+    let fill = halves.length > 1 ? 8 - head.length - tail.length : 0;
+    let groups = head.concat(new Array(Math.max(fill, 0)).fill("0"), tail)
+        .map((g) => /^[0-9a-fA-F]{1,4}$/.test(g) ? parseInt(g, 16) : NaN);
+    if (groups.length != 8 || groups.some(isNaN) || halves.length > 2) {
+        throw new ProtocolError("invalid ipv6 address: " + host);
+    }
+    return groups;
+}
+
+/**
+ * decode a frame
+ * @param {*} data ArrayBuffer or Uint8Array of a websocket message
+ * @returns frame object, its fields depend on cmd:
+ *   CMD_Ping, CMD_Pong: { payload }
+ *   CMD_ReqData, CMD_ReqDataDeflated: { idx, tag, data }
+ *   CMD_ReqCreated: { idx, tag, transport, tls, addressType, host, port, candidates },
+ *     candidates: [{ addressType, host }, ...]
+ *   CMD_ReqConnected: { idx, tag, addressType, host, port }
+ *   CMD_ReqClientClosed, CMD_ReqClientFinished, CMD_ReqServerFinished, CMD_ReqStartTls: { idx, tag }
+ *   CMD_ReqServerClosed: { idx, tag, reason }
+ *   CMD_ReqError: { idx, tag, error }
+ *   CMD_ReqPriority: { idx, tag, weight }
+ *   CMD_ReqCompression: { idx, tag, mode }
+ *   CMD_ReqAssigned: { idx, tag, ticket, error }
+ *   CMD_ReqFetch: { idx, tag, method, url, headers, hasBody }, headers: [[name, value], ...]
+ *   CMD_ReqFetchResponse: { idx, tag, status, statusText, headers }
+ *   CMD_ReqRefreshQuota: { idx, tag, quota }
+ *   CMD_ReqResume: { idx, tag, received }
+ *   CMD_SessionInfo: { sessionId, flags, grace }
+ *   CMD_Hello: { version, clientId, caps }
+ *   CMD_HelloAck: { version, caps, reqCap, window }
+ *   CMD_DnsQuery: { id, type, name }
+ *   CMD_DnsAnswer: { id, status, answers }, answers: [{ type, ttl, data }, ...]
+ *   CMD_Batch: { frames }, frames: [encoded frame, ...]
+ *   CMD_Sealed: { counter, data }
+ *   CMD_KeyExchange: { algorithm, publicKey }
+ * @throws ProtocolError if the frame is malformed, its 'frame' field holds fields decoded so far
+ */
+export function decodeFrame(data) {
+    if (typeof data == "string") {
+        throw new ProtocolError("text message is not a frame");
+    }
+
+    let buf = data instanceof ArrayBuffer ? Buffer.from(data) :
+        Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    let r = new Reader(buf);
+    let frame = { cmd: r.u8() };
+
+    try {
+        if (isRequestCmd(frame.cmd)) {
+            frame.idx = r.u16();
+            frame.tag = r.u16();
+        }
+
+        decodeBody(r, frame);
+        r.end();
+    } catch (err) {
+        if (err instanceof ProtocolError) {
+            // let caller know which request is broken
+            err.frame = frame;
+        }
+        throw err;
+    }
+
+    return frame;
+}
+
+/**
+ * decode body of a frame into frame object
+ * @param {*} r reader positioned after frame header
+ * @param {*} frame frame object with header fields
+ */
+function decodeBody(r, frame) {
+    switch (frame.cmd) {
+        case CMD_None:
+            break;
+        case CMD_Ping:
+        case CMD_Pong:
+            frame.payload = r.bytes(8);
+            break;
+        case CMD_ReqData:
+        case CMD_ReqDataDeflated:
+            frame.data = r.rest();
+            break;
+        case CMD_ReqCreated: {
+            let addressType = r.u8();
+            frame.transport = (addressType & ADDR_FLAG_UDP) ? TRANSPORT_UDP : TRANSPORT_TCP;
+            frame.tls = decodeTlsMode(addressType);
+            frame.addressType = addressType & ADDR_TYPE_MASK;
+            frame.host = decodeAddress(r, frame.addressType);
+            frame.port = r.u16();
+            if (frame.port == 0) {
+                throw new ProtocolError("invalid port 0");
+            }
+            frame.candidates = decodeCandidates(r);
+            if (frame.candidates.length > 0 && (frame.transport == TRANSPORT_UDP || frame.tls != TLS_OFF)) {
+                // TLS verifies the name, and udp has nothing to race
+                throw new ProtocolError("candidates only apply to plain tcp requests");
+            }
+            break;
+        }
+        case CMD_ReqConnected:
+            frame.addressType = r.u8();
+            frame.host = decodeAddress(r, frame.addressType);
+            frame.port = r.u16();
+            break;
+        case CMD_ReqClientClosed:
+        case CMD_ReqClientFinished:
+        case CMD_ReqServerFinished:
+        case CMD_ReqStartTls:
+            break;
+        case CMD_ReqServerClosed:
+            // servers before reason codes send no reason byte
+            frame.reason = r.remaining() > 0 ? r.u8() : 0;
+            break;
+        case CMD_ReqError:
+            frame.error = r.u8();
+            break;
+        case CMD_ReqPriority:
+            frame.weight = r.u8();
+            if (frame.weight == 0) {
+                throw new ProtocolError("invalid weight 0");
+            }
+            break;
+        case CMD_ReqCompression:
+            frame.mode = r.u8();
+            if (frame.mode != COMPRESSION_OFF && frame.mode != COMPRESSION_DEFLATE) {
+                throw new ProtocolError("invalid compression mode " + frame.mode);
+            }
+            break;
+        case CMD_ReqAssigned:
+            frame.ticket = r.u16();
+            frame.error = r.u8();
+            break;
+        case CMD_ReqFetch: {
+            frame.hasBody = (r.u8() & FETCH_FLAG_BODY) != 0;
+            frame.method = r.bytes(r.u8()).toString("latin1");
+            if (!/^[A-Za-z]+$/.test(frame.method)) {
+                throw new ProtocolError("invalid method");
+            }
+            frame.url = r.bytes(r.u16()).toString("utf8");
+            frame.headers = decodeHeaders(r);
+            break;
+        }
+        case CMD_ReqFetchResponse:
+            frame.status = r.u16();
+            frame.statusText = r.bytes(r.u8()).toString("latin1");
+            frame.headers = decodeHeaders(r);
+            break;
+        case CMD_ReqRefreshQuota:
+            frame.quota = r.u32();
+            break;
+        case CMD_ReqResume:
+            frame.received = r.u64();
+            break;
+        case CMD_SessionInfo:
+            frame.sessionId = r.bytes(16).toString("hex");
+            frame.flags = r.u8();
+            frame.grace = r.u32();
+            break;
+        case CMD_Hello: {
+            frame.version = r.u16();
+            let idLen = r.u8();
+            frame.clientId = r.bytes(idLen).toString("utf8");
+            frame.caps = r.u32();
+            break;
+        }
+        case CMD_HelloAck:
+            frame.version = r.u16();
+            frame.caps = r.u32();
+            frame.reqCap = r.u16();
+            frame.window = r.u32();
+            break;
+        case CMD_DnsQuery:
+            frame.id = r.u16();
+            frame.type = r.u16();
+            frame.name = decodeDomain(r);
+            break;
+        case CMD_DnsAnswer: {
+            frame.id = r.u16();
+            frame.status = r.u8();
+            frame.answers = [];
+            let count = r.u8();
+            for (let i = 0; i < count; i++) {
+                let type = r.u16();
+                let ttl = r.u32();
+                let data = r.bytes(r.u16()).toString("utf8");
+                frame.answers.push({ type: type, ttl: ttl, data: data });
+            }
+            break;
+        }
+        case CMD_Batch:
+            frame.frames = [];
+            do {
+                let inner = r.bytes(r.u32());
+                if (inner.length == 0 || inner[0] == CMD_Batch || inner[0] == CMD_Sealed) {
+                    throw new ProtocolError("invalid frame in batch");
+                }
+                frame.frames.push(inner);
+            } while (r.remaining() > 0);
+            break;
+        case CMD_Sealed:
+            frame.counter = r.u64();
+            frame.data = r.rest();
+            if (frame.data.length <= E2E_TAG_BYTES) {
+                throw new ProtocolError("sealed message too short");
+            }
+            break;
+        case CMD_KeyExchange:
+            frame.algorithm = r.u8();
+            if (frame.algorithm != E2E_X25519_AES256GCM) {
+                throw new ProtocolError("unknown key exchange algorithm " + frame.algorithm);
+            }
+            frame.publicKey = r.bytes(E2E_KEY_BYTES);
+            break;
+        default:
+            throw new ProtocolError("unknown cmd: " + frame.cmd, frame.cmd);
+    }
+}
+
+/**
+ * encode a frame
+ * @param {*} frame frame object, see decodeFrame
+ * @returns Buffer of the websocket message
+ * @throws ProtocolError if a field can't be encoded
+ */
+export function encodeFrame(frame) {
+    let cmd = frame.cmd;
+    let size = 1;
+    if (isRequestCmd(cmd)) {
+        size += 4;
+    }
+
+    switch (cmd) {
+        case CMD_None:
+            break;
+        case CMD_Ping:
+        case CMD_Pong:
+            size += 8;
+            break;
+        case CMD_ReqData:
+        case CMD_ReqDataDeflated:
+            size += frame.data.length;
+            break;
+        case CMD_ReqCreated:
+            size += 1 + addressSize(frame.addressType, frame.host) + 2 + candidatesSize(frame.candidates);
+            break;
+        case CMD_ReqConnected:
+            size += 1 + addressSize(frame.addressType, frame.host) + 2;
+            break;
+        case CMD_ReqClientClosed:
+        case CMD_ReqClientFinished:
+        case CMD_ReqServerFinished:
+        case CMD_ReqStartTls:
+            break;
+        case CMD_ReqServerClosed:
+        case CMD_ReqError:
+        case CMD_ReqPriority:
+        case CMD_ReqCompression:
+            size += 1;
+            break;
+        case CMD_ReqAssigned:
+            size += 2 + 1;
+            break;
+        case CMD_ReqFetch:
+            size += 1 + 1 + Buffer.byteLength(frame.method, "latin1") + 2 + Buffer.byteLength(frame.url) +
+                headersSize(frame.headers);
+            break;
+        case CMD_ReqFetchResponse:
+            size += 2 + 1 + Buffer.byteLength(frame.statusText, "latin1") + headersSize(frame.headers);
+            break;
+        case CMD_ReqRefreshQuota:
+            size += 4;
+            break;
+        case CMD_ReqResume:
+            size += 8;
+            break;
+        case CMD_SessionInfo:
+            size += 16 + 1 + 4;
+            break;
+        case CMD_Hello:
+            size += 2 + 1 + Buffer.byteLength(frame.clientId) + 4;
+            break;
+        case CMD_HelloAck:
+            size += 2 + 4 + 2 + 4;
+            break;
+        case CMD_DnsQuery:
+            size += 2 + 2 + 1 + Buffer.byteLength(frame.name, "latin1");
+            break;
+        case CMD_DnsAnswer:
+            size += 2 + 1 + 1;
+            for (const answer of frame.answers) {
+                size += 2 + 4 + 2 + Buffer.byteLength(answer.data);
+            }
+            break;
+        case CMD_Batch:
+            for (const inner of frame.frames) {
+                size += 4 + inner.length;
+            }
+            break;
+        case CMD_Sealed:
+            size += 8 + frame.data.length;
+            break;
+        case CMD_KeyExchange:
+            size += 1 + E2E_KEY_BYTES;
+            break;
+        default:
+            throw new ProtocolError("unknown cmd: " + cmd);
+    }
+
+    let w = new Writer(size);
+    try {
+        w.u8(cmd);
+        if (isRequestCmd(cmd)) {
+            w.u16(frame.idx);
+            w.u16(frame.tag);
+        }
+
+        switch (cmd) {
+            case CMD_Ping:
+            case CMD_Pong:
+                w.bytes(frame.payload);
+                break;
+            case CMD_ReqData:
+            case CMD_ReqDataDeflated:
+                w.bytes(frame.data);
+                break;
+            case CMD_ReqCreated:
+                w.u8(frame.addressType | (frame.transport == TRANSPORT_UDP ? ADDR_FLAG_UDP : 0) |
+                    TLS_FLAGS[frame.tls || TLS_OFF]);
+                encodeAddress(w, frame.addressType, frame.host);
+                w.u16(frame.port);
+                encodeCandidates(w, frame.candidates);
+                break;
+            case CMD_ReqConnected:
+                w.u8(frame.addressType);
+                encodeAddress(w, frame.addressType, frame.host);
+                w.u16(frame.port);
+                break;
+            case CMD_ReqServerClosed:
+                w.u8(frame.reason);
+                break;
+            case CMD_ReqError:
+                w.u8(frame.error);
+                break;
+            case CMD_ReqPriority:
+                w.u8(frame.weight);
+                break;
+            case CMD_ReqCompression:
+                w.u8(frame.mode);
+                break;
+            case CMD_ReqAssigned:
+                w.u16(frame.ticket);
+                w.u8(frame.error);
+                break;
+            case CMD_ReqFetch: {
+                let method = Buffer.from(frame.method, "latin1");
+                let url = Buffer.from(frame.url);
+                w.u8(frame.hasBody ? FETCH_FLAG_BODY : 0);
+                w.u8(method.length);
+                w.bytes(method);
+                w.u16(url.length);
+                w.bytes(url);
+                encodeHeaders(w, frame.headers);
+                break;
+            }
+            case CMD_ReqFetchResponse: {
+                let statusText = Buffer.from(frame.statusText, "latin1");
+                w.u16(frame.status);
+                w.u8(statusText.length);
+                w.bytes(statusText);
+                encodeHeaders(w, frame.headers);
+                break;
+            }
+            case CMD_ReqRefreshQuota:
+                w.u32(frame.quota);
+                break;
+            case CMD_ReqResume:
+                w.u64(frame.received);
+                break;
+            case CMD_SessionInfo:
+                w.bytes(Buffer.from(frame.sessionId, "hex"));
+                w.u8(frame.flags);
+                w.u32(frame.grace);
+                break;
+            case CMD_Hello: {
+                let clientId = Buffer.from(frame.clientId);
+                w.u16(frame.version);
+                w.u8(clientId.length);
+                w.bytes(clientId);
+                w.u32(frame.caps);
+                break;
+            }
+            case CMD_HelloAck:
+                w.u16(frame.version);
+                w.u32(frame.caps);
+                w.u16(frame.reqCap);
+                w.u32(frame.window);
+                break;
+            case CMD_DnsQuery: {
+                let name = Buffer.from(frame.name, "latin1");
+                w.u16(frame.id);
+                w.u16(frame.type);
+                w.u8(name.length);
+                w.bytes(name);
+                break;
+            }
+            case CMD_DnsAnswer:
+                w.u16(frame.id);
+                w.u8(frame.status);
+                w.u8(frame.answers.length);
+                for (const answer of frame.answers) {
+                    let data = Buffer.from(answer.data);
+                    w.u16(answer.type);
+                    w.u32(answer.ttl);
+                    w.u16(data.length);
+                    w.bytes(data);
+                }
+                break;
+            case CMD_Batch:
+                for (const inner of frame.frames) {
+                    w.u32(inner.length);
+                    w.bytes(inner);
+                }
+                break;
+            case CMD_Sealed:
+                w.u64(frame.counter);
+                w.bytes(frame.data);
+                break;
+            case CMD_KeyExchange:
+                if (frame.publicKey.length != E2E_KEY_BYTES) {
+                    throw new ProtocolError("invalid public key length " + frame.publicKey.length);
+                }
+                w.u8(frame.algorithm);
+                w.bytes(frame.publicKey);
+                break;
+        }
+    } catch (err) {
+        if (err instanceof ProtocolError) {
+            throw err;
+        }
+        throw new ProtocolError("encode cmd " + cmd + " failed: " + err.message);
+    }
+
+    if (w.offset != size) {
+        throw new ProtocolError("encode cmd " + cmd + " size mismatch");
+    }
+
+    return w.buf;
+}
+
+/**
+ * format the target address of a decoded CMD_ReqCreated, for connect()
+ * @param {*} frame decoded CMD_ReqCreated frame
+ * @returns "host:port", ipv6 host is in brackets
+ */
+export function formatTarget(frame) {
+    if (frame.addressType == ADDR_IPV6) {
+        return "[" + frame.host + "]:" + frame.port;
+    }
+
+    return frame.host + ":" + frame.port;
+}
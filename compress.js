@@ -0,0 +1,215 @@
+import { Buffer } from 'node:buffer';
+
+// Payload compression of request data, shared by server and client.
+// Each CMD_ReqDataDeflated frame is compressed on its own by CompressionStream("deflate"),
+// so frames can be dropped, retransmitted or bypassed independently.
+
+// chunks smaller than this are not worth the cpu
+const MIN_COMPRESS_BYTES = 128;
+// compressed result must save at least this ratio, or the raw chunk is sent
+const MAX_COMPRESSED_RATIO = 0.9;
+// after this many incompressible chunks in a row, only probe now and then
+const MAX_FAILURES = 4;
+// probe one chunk of this many while bypassing an incompressible stream
+const PROBE_INTERVAL = 16;
+
+/**
+ * @param {*} data chunk of a stream
+ * @returns true if chunk starts like a TLS record, whose payload is encrypted
+ */
+function looksLikeTls(data) {
+    // content type 20-23, major version 3, minor version 0-4
+    return data.length >= 5 && data[0] >= 20 && data[0] <= 23 && data[1] == 3 && data[2] <= 4;
+}
+
+/**
+ * @param {*} data chunk of a stream
+ * @returns true if chunk starts like a gzip stream, e.g. a compressed http body
+ */
+function looksLikeGzip(data) {
+    return data.length >= 2 && data[0] == 0x1f && data[1] == 0x8b;
+}
+
+/**
+ * read a stream to the end
+ * @param {*} stream readable stream of Uint8Array
+ * @param {*} maxBytes give up if the result grows beyond this
+ * @returns Buffer
+ */
+async function readAll(stream, maxBytes) {
+    let chunks = [];
+    let size = 0;
+    let reader = stream.getReader();
+    for (;;) {
+        let { value, done } = await reader.read();
+        if (done) {
+            break;
+        }
+
+        size += value.length;
+        if (size > maxBytes) {
+            reader.cancel().catch(() => {});
+            throw new Error("inflated data exceeds " + maxBytes + " bytes");
+        }
+        chunks.push(value);
+    }
+
+    return Buffer.concat(chunks, size);
+}
+
+/**
+ * run data through a transform stream
+ * @param {*} transform CompressionStream or DecompressionStream
+ * @param {*} data Uint8Array
+ * @param {*} maxBytes max size of the result
+ * @returns Buffer
+ */
+async function transformAll(transform, data, maxBytes) {
+    let writer = transform.writable.getWriter();
+    // errors surface from the readable side
+    writer.write(data).catch(() => {});
+    writer.close().catch(() => {});
+    return readAll(transform.readable, maxBytes);
+}
+
+/**
+ * compress a chunk
+ * @param {*} data Uint8Array
+ * @returns Buffer
+ */
+export function deflate(data) {
+    return transformAll(new CompressionStream("deflate"), data, Infinity);
+}
+
+/**
+ * decompress a chunk of CMD_ReqDataDeflated
+ * @param {*} data Uint8Array
+ * @param {*} maxBytes max size of inflated data, a frame can't carry more than a window
+ * @returns Buffer
+ * @throws Error if data is corrupted or inflates beyond maxBytes
+ */
+export function inflate(data, maxBytes) {
+    return transformAll(new DecompressionStream("deflate"), data, maxBytes);
+}
+
+/**
+ * PayloadCompressor class:
+ * compress chunks of one request, chunks that don't shrink are bypassed, such as
+ * TLS records, already compressed content and tiny chunks. A stream that keeps
+ * failing to shrink is only probed now and then.
+ * stats: { rawBytes, wireBytes, bypassed }, raw and wire sizes of all chunks,
+ * bypassed ones count as is
+ */
+export class PayloadCompressor {
+    constructor() {
+        this.failures = 0;
+        this.skipped = 0;
+        this.stats = { rawBytes: 0, wireBytes: 0, bypassed: 0 };
+    }
+
+    /**
+     * @param {*} data chunk
+     * @returns true if chunk should be tried
+     */
+    worthTrying(data) {
+        if (data.length < MIN_COMPRESS_BYTES || looksLikeTls(data) || looksLikeGzip(data)) {
+            return false;
+        }
+
+        if (this.failures < MAX_FAILURES) {
+            return true;
+        }
+
+        this.skipped++;
+        return this.skipped % PROBE_INTERVAL == 0;
+    }
+
+    /**
+     * compress a chunk if it's worth
+     * @param {*} data chunk
+     * @returns compressed chunk, or null if it's bypassed and should be sent raw
+     */
+    async compress(data) {
+        this.stats.rawBytes += data.length;
+        if (!this.worthTrying(data)) {
+            return this.bypass(data);
+        }
+
+        let deflated = await deflate(data);
+        if (deflated.length > data.length * MAX_COMPRESSED_RATIO) {
+            this.failures++;
+            return this.bypass(data);
+        }
+
+        this.failures = 0;
+        this.skipped = 0;
+        this.stats.wireBytes += deflated.length;
+        return deflated;
+    }
+
+    bypass(data) {
+        this.stats.bypassed++;
+        this.stats.wireBytes += data.length;
+        return null;
+    }
+}
+
+/**
+ * Sequencer class:
+ * run handlers of one stream in order, though some of them wait for async work,
+ * e.g. a deflated frame followed by a plain one. Handlers run at once if nothing is pending
+ */
+export class Sequencer {
+    constructor() {
+        this.tail = null;
+        // bumped by reset, handlers queued before it are dropped
+        this.generation = 0;
+    }
+
+    /**
+     * queue a handler
+     * @param {*} work promise whose result is passed to handler, or null
+     * @param {*} handler function(result)
+     * @param {*} onError function(err), called instead of handler if work fails
+     */
+    push(work, handler, onError = null) {
+        if (this.tail == null && work == null) {
+            handler();
+            return;
+        }
+
+        let generation = this.generation;
+        let run = (fn, arg) => {
+            if (generation != this.generation || fn == null) {
+                return;
+            }
+
+            try {
+                fn(arg);
+            } catch (err) {
+                console.log("Sequencer handler exception:", err);
+            }
+        };
+
+        // settle work now, it may fail before handlers queued before it have run
+        let settled = Promise.resolve(work).then(
+            (result) => () => run(handler, result),
+            (err) => () => run(onError, err),
+        );
+        let tail = (this.tail || Promise.resolve()).then(() => settled).then((next) => next());
+        this.tail = tail;
+        tail.then(() => {
+            if (this.tail === tail) {
+                this.tail = null;
+            }
+        });
+    }
+
+    /**
+     * drop queued handlers
+     */
+    reset() {
+        this.generation++;
+        this.tail = null;
+    }
+}
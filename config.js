@@ -0,0 +1,60 @@
+/**
+ * load proxy configuration from env binding 'CONFIG',
+ * it can be a json binding or a text binding contains json.
+ * Top level sections are defaults for every identity, and
+ * 'identities' holds per-identity overrides:
+ * {
+ *   "policy": { ... },
+ *   "identities": { "alice": { "policy": { ... } } }
+ * }
+ * @param {*} env environment bindings
+ * @returns config object
+ */
+export function loadConfig(env) {
+    let config = env.CONFIG;
+    if (!config) {
+        return { identities: {} };
+    }
+
+    if (typeof config === "string") {
+        config = JSON.parse(config);
+    }
+
+    if (!config.identities) {
+        config.identities = {};
+    }
+
+    return config;
+}
+
+/**
+ * get identity's override of a config section
+ * @param {*} config config object
+ * @param {*} identity identity object
+ * @param {*} section section name
+ * @returns section object, or undefined if identity has no override
+ */
+export function identitySection(config, identity, section) {
+    if (!identity) {
+        return undefined;
+    }
+
+    let overrides = config.identities[identity.id];
+    if (!overrides) {
+        return undefined;
+    }
+
+    return overrides[section];
+}
+
+/**
+ * get the effective config section of an identity:
+ * fields of identity's override replace the default ones
+ * @param {*} config config object
+ * @param {*} identity identity object
+ * @param {*} section section name
+ * @returns section object, empty object if not configured
+ */
+export function forIdentity(config, identity, section) {
+    return Object.assign({}, config[section], identitySection(config, identity, section));
+}
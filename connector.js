@@ -0,0 +1,706 @@
+import { connect } from 'cloudflare:sockets';
+import { Buffer } from 'node:buffer';
+import { compileMatch, ruleMatches, makeTarget, parseIP } from "./policy.js";
+import {
+    REASON_CONNECT_FAILED, REASON_CONNECT_REFUSED, REASON_CONNECT_TIMEOUT, REASON_UPSTREAM_FAILED,
+    REASON_TLS_FAILED,
+} from "./reason.js";
+import { upstreamConnects } from "./metrics.js";
+
+// max size of upstream proxy's handshake reply
+const MAX_REPLY_SIZE = 16 * 1024;
+
+// name of the direct connector in upstream rules
+export const UPSTREAM_DIRECT = "direct";
+
+/**
+ * ConnectError class:
+ * outgoing connection has failed, with a reason code for client
+ */
+export class ConnectError extends Error {
+    /**
+     * new a ConnectError object
+     * @param {*} message error message
+     * @param {*} reason reason code, see reason.js
+     */
+    constructor(message, reason) {
+        super(message);
+        this.name = "ConnectError";
+        this.reason = reason;
+    }
+}
+
+/**
+ * split an address into host and port
+ * @param {*} address "host:port" or "[ipv6]:port"
+ * @returns { host, port }
+ */
+export function parseAddress(address) {
+    let match = /^\[([^\]]+)\]:(\d+)$/.exec(address) || /^([^:]+):(\d+)$/.exec(address);
+    if (!match) {
+        throw new ConnectError("invalid address: " + address, REASON_CONNECT_FAILED);
+    }
+
+    return { host: match[1], port: parseInt(match[2], 10) };
+}
+
+/**
+ * join host and port into an address
+ * @param {*} host ip or domain, ipv6 without brackets
+ * @param {*} port port
+ * @returns "host:port" or "[ipv6]:port"
+ */
+export function formatAddress(host, port) {
+    return host.includes(":") ? "[" + host + "]:" + port : host + ":" + port;
+}
+
+/**
+ * chained sockets are plain text tunnels through the upstream,
+ * TLS with target is not supported on them
+ * @param {*} upstream upstream name, used in errors
+ * @param {*} options options of connect()
+ */
+function checkPlainText(upstream, options) {
+    let secureTransport = options.secureTransport || "off";
+    if (secureTransport != "off") {
+        throw new ConnectError("upstream " + upstream + " can't do TLS with target", REASON_TLS_FAILED);
+    }
+}
+
+/**
+ * HandshakeIO class:
+ * buffered reads and writes on a socket during an upstream handshake
+ */
+class HandshakeIO {
+    constructor(sock) {
+        this.reader = sock.readable.getReader();
+        this.writer = sock.writable.getWriter();
+        this.buf = Buffer.alloc(0);
+    }
+
+    async write(data) {
+        await this.writer.write(data);
+    }
+
+    async fill() {
+        let { value, done } = await this.reader.read();
+        if (done) {
+            throw new ConnectError("upstream proxy closed during handshake", REASON_UPSTREAM_FAILED);
+        }
+        this.buf = Buffer.concat([this.buf, Buffer.from(value)]);
+    }
+
+    /**
+     * read exactly n bytes
+     * @param {*} n bytes count
+     * @returns Buffer
+     */
+    async read(n) {
+        while (this.buf.length < n) {
+            await this.fill();
+        }
+
+        let data = this.buf.subarray(0, n);
+        this.buf = this.buf.subarray(n);
+        return data;
+    }
+
+    /**
+     * read until delimiter, delimiter included
+     * @param {*} delimiter delimiter string
+     * @returns Buffer
+     */
+    async readUntil(delimiter) {
+        let pos = -1;
+        while ((pos = this.buf.indexOf(delimiter)) < 0) {
+            if (this.buf.length > MAX_REPLY_SIZE) {
+                throw new ConnectError("upstream proxy reply too large", REASON_UPSTREAM_FAILED);
+            }
+            await this.fill();
+        }
+
+        return this.read(pos + delimiter.length);
+    }
+
+    /**
+     * handshake is done, give up the writer
+     * @returns data which has been read but not consumed
+     */
+    finish() {
+        this.writer.releaseLock();
+        return this.buf;
+    }
+}
+
+/**
+ * ChainedSocket class:
+ * a socket to target through an upstream proxy,
+ * it looks like the C++ socket: { opened, closed, readable, writable, close() },
+ * and 'opened' resolves after the upstream handshake has succeeded
+ */
+class ChainedSocket {
+    /**
+     * new a ChainedSocket object
+     * @param {*} sock C++ socket connected to the upstream proxy
+     * @param {*} upstream upstream name, used in errors
+     * @param {*} handshake async function(io), performs the handshake
+     */
+    constructor(sock, upstream, handshake) {
+        this.sock = sock;
+        this.io = null;
+        // data after the handshake reply, it belongs to target
+        this.leftover = null;
+
+        this.opened = sock.opened.then(async () => {
+            this.io = new HandshakeIO(sock);
+            await handshake(this.io);
+            this.leftover = this.io.finish();
+            return {};
+        }).catch((err) => {
+            sock.close();
+            if (err instanceof ConnectError) {
+                throw err;
+            }
+            throw new ConnectError("upstream " + upstream + " failed: " + err, REASON_UPSTREAM_FAILED);
+        });
+
+        this.closed = sock.closed;
+        this.writable = sock.writable;
+        // pull only when read, reader of handshake is created after connected
+        this.readable = new ReadableStream({
+            pull: async (controller) => {
+                if (this.leftover != null && this.leftover.length > 0) {
+                    controller.enqueue(new Uint8Array(this.leftover));
+                    this.leftover = null;
+                    return;
+                }
+
+                let { value, done } = await this.io.reader.read();
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
+                }
+            },
+            cancel: (reason) => this.io.reader.cancel(reason),
+        }, { highWaterMark: 0 });
+    }
+
+    close() {
+        return this.sock.close();
+    }
+}
+
+/**
+ * DirectConnector class:
+ * connect to target directly
+ */
+export class DirectConnector {
+    constructor() {
+        this.name = UPSTREAM_DIRECT;
+    }
+
+    /**
+     * open a socket to target
+     * @param {*} address target address, "host:port"
+     * @param {*} options options of connect()
+     * @returns C++ socket
+     */
+    connect(address, options) {
+        return connect(address, options);
+    }
+}
+
+/**
+ * HttpConnectConnector class:
+ * connect to target by an upstream http proxy's CONNECT method
+ */
+export class HttpConnectConnector {
+    /**
+     * new a HttpConnectConnector object
+     * @param {*} name upstream name
+     * @param {*} options { address, username, password }
+     */
+    constructor(name, options) {
+        this.name = name;
+        this.address = options.address;
+        this.authorization = null;
+        if (options.username) {
+            let credentials = Buffer.from(options.username + ":" + (options.password || ""));
+            this.authorization = "Basic " + credentials.toString("base64");
+        }
+    }
+
+    connect(address, options) {
+        checkPlainText(this.name, options);
+        let sock = connect(this.address, options);
+        return new ChainedSocket(sock, this.name, (io) => this.handshake(io, address));
+    }
+
+    async handshake(io, address) {
+        let request = "CONNECT " + address + " HTTP/1.1\r\nHost: " + address + "\r\n";
+        if (this.authorization != null) {
+            request += "Proxy-Authorization: " + this.authorization + "\r\n";
+        }
+        await io.write(new TextEncoder().encode(request + "\r\n"));
+
+        let reply = (await io.readUntil("\r\n\r\n")).toString("latin1");
+        let match = /^HTTP\/1\.[01] (\d{3})/.exec(reply);
+        if (!match) {
+            throw new ConnectError("upstream " + this.name + " sent invalid reply", REASON_UPSTREAM_FAILED);
+        }
+
+        let status = parseInt(match[1], 10);
+        if (status >= 200 && status < 300) {
+            return;
+        }
+
+        let message = "upstream " + this.name + " CONNECT " + address + " failed: " + status;
+        switch (status) {
+            case 502:
+            case 503:
+                throw new ConnectError(message, REASON_CONNECT_FAILED);
+            case 504:
+                throw new ConnectError(message, REASON_CONNECT_TIMEOUT);
+            default:
+                // 403, 407 and others: upstream refuses to serve us
+                throw new ConnectError(message, REASON_UPSTREAM_FAILED);
+        }
+    }
+}
+
+const SOCKS_VERSION = 5;
+const SOCKS_AUTH_NONE = 0x00;
+const SOCKS_AUTH_PASSWORD = 0x02;
+const SOCKS_CMD_CONNECT = 1;
+const SOCKS_ATYP_IPV4 = 1;
+const SOCKS_ATYP_DOMAIN = 3;
+const SOCKS_ATYP_IPV6 = 4;
+
+// socks5 reply code => reason code
+const SOCKS_REPLY_REASONS = {
+    3: REASON_CONNECT_FAILED, // network unreachable
+    4: REASON_CONNECT_FAILED, // host unreachable
+    5: REASON_CONNECT_REFUSED,
+    6: REASON_CONNECT_TIMEOUT, // ttl expired
+};
+
+/**
+ * Socks5Connector class:
+ * connect to target by an upstream socks5 proxy, target host is resolved by upstream
+ */
+export class Socks5Connector {
+    /**
+     * new a Socks5Connector object
+     * @param {*} name upstream name
+     * @param {*} options { address, username, password }
+     */
+    constructor(name, options) {
+        this.name = name;
+        this.address = options.address;
+        this.username = options.username || null;
+        this.password = options.password || "";
+    }
+
+    connect(address, options) {
+        checkPlainText(this.name, options);
+        let sock = connect(this.address, options);
+        return new ChainedSocket(sock, this.name, (io) => this.handshake(io, address));
+    }
+
+    async handshake(io, address) {
+        let method = this.username != null ? SOCKS_AUTH_PASSWORD : SOCKS_AUTH_NONE;
+        await io.write(Uint8Array.from([SOCKS_VERSION, 1, method]));
+        let [version, chosen] = await io.read(2);
+        if (version != SOCKS_VERSION || chosen != method) {
+            throw new ConnectError("upstream " + this.name + " refused auth method " + method,
+                REASON_UPSTREAM_FAILED);
+        }
+
+        if (method == SOCKS_AUTH_PASSWORD) {
+            let user = Buffer.from(this.username);
+            let pass = Buffer.from(this.password);
+            await io.write(Buffer.concat([Buffer.from([1, user.length]), user, Buffer.from([pass.length]), pass]));
+            let [, status] = await io.read(2);
+            if (status != 0) {
+                throw new ConnectError("upstream " + this.name + " rejected credentials", REASON_UPSTREAM_FAILED);
+            }
+        }
+
+        let { host, port } = parseAddress(address);
+        let name = Buffer.from(host);
+        let request = Buffer.concat([
+            Buffer.from([SOCKS_VERSION, SOCKS_CMD_CONNECT, 0, SOCKS_ATYP_DOMAIN, name.length]),
+            name,
+            Buffer.from([port >> 8, port & 0xff]),
+        ]);
+        await io.write(request);
+
+        let [, rep, , atyp] = await io.read(4);
+        if (rep != 0) {
+            throw new ConnectError("upstream " + this.name + " CONNECT " + address + " failed: " + rep,
+                SOCKS_REPLY_REASONS[rep] ?? REASON_UPSTREAM_FAILED);
+        }
+
+        // skip bound address and port
+        switch (atyp) {
+            case SOCKS_ATYP_IPV4:
+                await io.read(4 + 2);
+                break;
+            case SOCKS_ATYP_DOMAIN:
+                await io.read((await io.read(1))[0] + 2);
+                break;
+            case SOCKS_ATYP_IPV6:
+                await io.read(16 + 2);
+                break;
+            default:
+                throw new ConnectError("upstream " + this.name + " sent invalid reply", REASON_UPSTREAM_FAILED);
+        }
+    }
+}
+
+/**
+ * create a connector from an upstream of config
+ * @param {*} name upstream name
+ * @param {*} upstream { "type": "http"|"socks5", "address": "host:port", "username", "password" }
+ * @returns connector object
+ */
+function createConnector(name, upstream) {
+    switch (upstream.type) {
+        case "http":
+            return new HttpConnectConnector(name, upstream);
+        case "socks5":
+            return new Socks5Connector(name, upstream);
+        default:
+            throw new Error("invalid upstream type: " + upstream.type + ", upstream: " + name);
+    }
+}
+
+/**
+ * ConnectorRouter class:
+ * pick the connector of outgoing tcp connections by destination.
+ * config section 'upstream': {
+ *   "proxies": { "<name>": { "type": "http"|"socks5", "address": "host:port",
+ *                            "username": "...", "password": "..." } },
+ *   "rules": [ { "upstream": "<name>"|"direct", "domain": [...], "cidr": [...], "ports": [...] } ],
+ *   "default": "<name>"|"direct"
+ * }
+ * rules are evaluated in order, first match wins, see policy.js for conditions.
+ */
+export class ConnectorRouter {
+    /**
+     * new a ConnectorRouter object
+     * @param {*} config config object, see config.js
+     */
+    constructor(config) {
+        let section = config.upstream || {};
+        this.connectors = { [UPSTREAM_DIRECT]: new DirectConnector() };
+        for (const [name, upstream] of Object.entries(section.proxies || {})) {
+            this.connectors[name] = createConnector(name, upstream);
+        }
+
+        this.rules = (section.rules || []).map((rule) => {
+            return Object.assign({ upstream: this.connectorOf(rule.upstream) }, compileMatch(rule));
+        });
+        this.defaultConnector = this.connectorOf(section.default || UPSTREAM_DIRECT);
+    }
+
+    connectorOf(name) {
+        let connector = this.connectors[name];
+        if (connector === undefined) {
+            throw new Error("unknown upstream: " + name);
+        }
+        return connector;
+    }
+
+    /**
+     * pick connector of a destination
+     * @param {*} host target host
+     * @param {*} port target port
+     * @returns connector object
+     */
+    route(host, port) {
+        let target = makeTarget(host, port, "tcp");
+        for (const rule of this.rules) {
+            if (ruleMatches(rule, target)) {
+                return rule.upstream;
+            }
+        }
+
+        return this.defaultConnector;
+    }
+
+    /**
+     * open a socket to target by its connector
+     * @param {*} address target address, "host:port" or "[ipv6]:port"
+     * @param {*} options options of connect()
+     * @returns socket object like the C++ socket
+     */
+    connect(address, options) {
+        let { host, port } = parseAddress(address);
+        let connector = this.route(host, port);
+        let sock = connector.connect(address, options);
+        sock.opened.then(
+            () => upstreamConnects.inc({ upstream: connector.name, result: "ok" }),
+            () => upstreamConnects.inc({ upstream: connector.name, result: "failed" }),
+        );
+        return sock;
+    }
+}
+
+/**
+ * DeferredSocket class:
+ * a socket that is opened after an async step, e.g. checking addresses of target,
+ * it looks like the C++ socket, and its streams are available after 'opened' resolves
+ */
+class DeferredSocket {
+    /**
+     * new a DeferredSocket object
+     * @param {*} prepare async function, the socket is not opened if it throws
+     * @param {*} open function(prepared), opens the real socket with what prepare returned
+     */
+    constructor(prepare, open) {
+        this.sock = null;
+        this.closing = false;
+
+        this.opened = prepare().then((prepared) => {
+            if (this.closing) {
+                throw new ConnectError("socket closed while connecting", REASON_CONNECT_FAILED);
+            }
+            this.sock = open(prepared);
+            return this.sock.opened;
+        });
+
+        // failure of opening is reported by 'opened'
+        this.closed = this.opened.then(() => this.sock.closed, () => undefined);
+    }
+
+    get readable() {
+        return this.sock.readable;
+    }
+
+    get writable() {
+        return this.sock.writable;
+    }
+
+    // address the real socket has connected to, if it knows better than its owner
+    get address() {
+        return this.sock != null ? this.sock.address : undefined;
+    }
+
+    startTls(options) {
+        return this.sock.startTls(options);
+    }
+
+    close() {
+        this.closing = true;
+        if (this.sock != null) {
+            return this.sock.close();
+        }
+    }
+}
+
+/**
+ * RacingSocket class:
+ * connect to several addresses of one target with staggered starts, like happy eyeballs
+ * of RFC 8305. An attempt starts when the previous one fails or has not opened after
+ * the attempt delay, the first one opened wins and the others are closed.
+ * It looks like the C++ socket of the winner, and 'address' is where the winner connects to
+ */
+class RacingSocket {
+    /**
+     * new a RacingSocket object
+     * @param {*} addresses "host:port" of each attempt, in order
+     * @param {*} open function(address) that opens a socket
+     * @param {*} attemptDelay ms to wait before starting next attempt
+     */
+    constructor(addresses, open, attemptDelay) {
+        this.addresses = addresses;
+        this.open = open;
+        this.attemptDelay = attemptDelay;
+        this.sock = null;
+        this.address = null;
+        this.closing = false;
+        // sockets of the attempts in flight
+        this.attempts = [];
+        this.nextAttempt = 0;
+        this.failedAttempts = 0;
+        this.attemptTimer = null;
+
+        this.opened = new Promise((resolve, reject) => {
+            this.resolveOpened = resolve;
+            this.rejectOpened = reject;
+        });
+
+        // failure of opening is reported by 'opened'
+        this.closed = this.opened.then(() => this.sock.closed, () => undefined);
+        this.startAttempt();
+    }
+
+    get readable() {
+        return this.sock.readable;
+    }
+
+    get writable() {
+        return this.sock.writable;
+    }
+
+    stopAttemptTimer() {
+        if (this.attemptTimer != null) {
+            clearTimeout(this.attemptTimer);
+            this.attemptTimer = null;
+        }
+    }
+
+    startAttempt() {
+        this.stopAttemptTimer();
+        if (this.sock != null || this.closing || this.nextAttempt >= this.addresses.length) {
+            return;
+        }
+
+        let address = this.addresses[this.nextAttempt++];
+        let sock = null;
+        try {
+            sock = this.open(address);
+        } catch (err) {
+            this.onAttemptFailed(address, err);
+            return;
+        }
+
+        this.attempts.push(sock);
+        sock.opened.then(
+            (sockinfo) => this.onAttemptOpened(sock, address, sockinfo),
+            (err) => this.onAttemptFailed(address, err),
+        );
+
+        if (this.nextAttempt < this.addresses.length) {
+            this.attemptTimer = setTimeout(() => this.startAttempt(), this.attemptDelay);
+        }
+    }
+
+    onAttemptOpened(sock, address, sockinfo) {
+        if (this.sock != null || this.closing) {
+            closeQuietly(sock);
+            return;
+        }
+
+        this.stopAttemptTimer();
+        this.sock = sock;
+        this.address = sock.address || address;
+        for (const other of this.attempts) {
+            if (other !== sock) {
+                closeQuietly(other);
+            }
+        }
+        this.attempts = [];
+        this.resolveOpened(sockinfo);
+    }
+
+    onAttemptFailed(address, err) {
+        if (this.sock != null || this.closing) {
+            // a loser has been closed
+            return;
+        }
+
+        console.log("RacingSocket attempt failed, address:", address, ", err:", err);
+        this.failedAttempts++;
+        if (this.failedAttempts == this.addresses.length) {
+            this.rejectOpened(err);
+            return;
+        }
+
+        // next one goes now, no need to wait for the delay
+        this.startAttempt();
+    }
+
+    startTls(options) {
+        return this.sock.startTls(options);
+    }
+
+    close() {
+        this.closing = true;
+        this.stopAttemptTimer();
+        if (this.sock != null) {
+            return this.sock.close();
+        }
+
+        this.attempts.forEach(closeQuietly);
+        this.attempts = [];
+        this.rejectOpened(new ConnectError("socket closed while connecting", REASON_CONNECT_FAILED));
+    }
+}
+
+/**
+ * close a socket, ignore its errors
+ * @param {*} sock socket object
+ */
+function closeQuietly(sock) {
+    try {
+        sock.close();
+    } catch (err) {
+        // nothing to do
+    }
+}
+
+/**
+ * connect to one target by several addresses, see RacingSocket
+ * @param {*} connector connector or router that opens each socket
+ * @param {*} addresses "host:port" of each attempt, in order of preference
+ * @param {*} options options of connect()
+ * @param {*} attemptDelay ms to wait before starting next attempt
+ * @returns socket object like the C++ socket
+ */
+export function raceConnect(connector, addresses, options, attemptDelay) {
+    if (addresses.length == 1) {
+        return connector.connect(addresses[0], options);
+    }
+
+    return new RacingSocket(addresses, (address) => connector.connect(address, options), attemptDelay);
+}
+
+/**
+ * CheckedConnector class:
+ * run a check on domain targets before connecting by the inner connector,
+ * e.g. evaluate policy for the addresses a domain resolves to.
+ * If the check returns addresses of the domain, they are raced instead of the name
+ */
+export class CheckedConnector {
+    /**
+     * new a CheckedConnector object
+     * @param {*} inner connector or router that opens the socket
+     * @param {*} check async function(host, port, options), throws ConnectError to refuse,
+     * returns ip addresses to connect to, or null to connect by the name
+     * @param {*} attemptDelay ms between attempts of raced addresses
+     */
+    constructor(inner, check, attemptDelay) {
+        this.inner = inner;
+        this.check = check;
+        this.attemptDelay = attemptDelay;
+    }
+
+    /**
+     * open a socket to target after it has passed the check
+     * @param {*} address target address, "host:port" or "[ipv6]:port"
+     * @param {*} options options of connect()
+     * @returns socket object like the C++ socket
+     */
+    connect(address, options) {
+        let { host, port } = parseAddress(address);
+        if (parseIP(host) != null) {
+            // ip targets have been checked as they are
+            return this.inner.connect(address, options);
+        }
+
+        return new DeferredSocket(
+            () => this.check(host, port, options),
+            (addresses) => {
+                if (addresses == null) {
+                    return this.inner.connect(address, options);
+                }
+
+                let targets = addresses.map((ip) => formatAddress(ip, port));
+                return raceConnect(this.inner, targets, options, this.attemptDelay);
+            },
+        );
+    }
+}
@@ -0,0 +1,245 @@
+// udp association is closed if no datagram in either direction for this long
+export const UDP_IDLE_TIMEOUT = 60000;
+
+/**
+ * default datagram connector.
+ * workerd does not provide udp sockets yet, so udp requests fail unless
+ * a connector has been installed by setDatagramConnector()
+ * @param {*} address target address
+ */
+function unsupportedConnector(address) {
+    throw new Error("udp transport is not supported by this runtime, address:" + address);
+}
+
+let datagramConnector = unsupportedConnector;
+
+/**
+ * install the function that opens datagram sockets, e.g. a local stand-in in tests.
+ * connector(address) must return an object like the C++ socket:
+ * { opened: promise, closed: promise, readable, writable, close() },
+ * but each chunk of readable/writable is exactly one datagram
+ * @param {*} connector connector function, null to restore default
+ */
+export function setDatagramConnector(connector) {
+    datagramConnector = connector || unsupportedConnector;
+}
+
+/**
+ * @returns true if a datagram connector has been installed
+ */
+export function isDatagramSupported() {
+    return datagramConnector !== unsupportedConnector;
+}
+
+// socket is connecting to target address
+const STATE_CONNECTING = 0;
+// socket has connected successfully
+const STATE_CONNECTTED = 1;
+// socket has closed
+const STATE_CLOSED = 2;
+
+/**
+ * Datagramb class:
+ * wrap a datagram socket, the udp counterpart of Socketb.
+ * It emits the same events as Socketb, and each "data" event carries exactly one datagram.
+ */
+export class Datagramb {
+    /**
+     * new a Datagramb object
+     * @param {*} address target address
+     * @param {*} evtCallback events callback function
+     * @param {*} options {
+     *   idleTimeout: close association after idle for this long, in ms, 0 never closes it,
+     *   throttle: async function(bytes), called before sending a datagram
+     * }
+     */
+    constructor(address, evtCallback, options = {}) {
+        this.state = STATE_CONNECTING;
+        this.evtCallback = evtCallback;
+        this.datagrams2Send = [];
+        this.inSending = false;
+        this.idleTimeout = options.idleTimeout ?? UDP_IDLE_TIMEOUT;
+        this.throttle = options.throttle || null;
+        this.lastActivate = Date.now();
+        this.idleTimer = null;
+        this.sock = null;
+
+        try {
+            this.sock = datagramConnector(address);
+        } catch (err) {
+            console.log("Datagramb connect failed:", err);
+            // report error asynchronously, owner has not saved us yet
+            queueMicrotask(() => this.onError(err));
+            return;
+        }
+
+        this.setupSocket(this.sock);
+    }
+
+    isConnected() {
+        return this.state == STATE_CONNECTTED;
+    }
+
+    isClosed() {
+        return this.state == STATE_CLOSED;
+    }
+
+    chunkCountWatingSend() {
+        return this.datagrams2Send.length;
+    }
+
+    /**
+     * listen to events of datagram socket
+     * @param {*} sock datagram socket object
+     */
+    setupSocket(sock) {
+        let thisObj = this;
+        sock.opened.then(
+            () => {
+                thisObj.onConnected();
+            },
+            (reason) => {
+                console.log("Datagramb socket connect failed:", reason);
+                thisObj.onError(reason);
+            },
+        );
+
+        sock.closed.then(
+            () => {
+                thisObj.onClosed();
+            },
+            (err) => {
+                console.log("Datagramb socket closed error:", err);
+                thisObj.onClosed();
+            },
+        );
+    }
+
+    onConnected() {
+        if (this.isClosed()) {
+            return;
+        }
+
+        this.state = STATE_CONNECTTED;
+        this.evtCallback(this, { event: "connected" });
+        this.startIdleTimer();
+        this.readLoop();
+        this.startSendLoop();
+    }
+
+    onError(reason) {
+        this.stopIdleTimer();
+        this.evtCallback(this, { event: "error", reason: reason });
+        this.sock = null;
+        this.datagrams2Send = [];
+        this.state = STATE_CLOSED;
+    }
+
+    onClosed() {
+        if (this.isClosed()) {
+            return;
+        }
+
+        this.stopIdleTimer();
+        this.state = STATE_CLOSED;
+        this.sock = null;
+        this.datagrams2Send = [];
+        this.evtCallback(this, { event: "closed" });
+    }
+
+    startIdleTimer() {
+        if (this.idleTimeout <= 0) {
+            return;
+        }
+
+        let thisObj = this;
+        this.idleTimer = setInterval(() => {
+            if (Date.now() - thisObj.lastActivate > thisObj.idleTimeout) {
+                console.log("Datagramb idle timeout");
+                thisObj.close();
+                thisObj.onClosed();
+            }
+        }, Math.min(1000, this.idleTimeout / 4));
+    }
+
+    stopIdleTimer() {
+        if (this.idleTimer != null) {
+            clearInterval(this.idleTimer);
+            this.idleTimer = null;
+        }
+    }
+
+    async readLoop() {
+        try {
+            for await (const datagram of this.sock.readable) {
+                this.lastActivate = Date.now();
+                await this.evtCallback(this, { event: "data", data: datagram });
+            }
+        } catch (err) {
+            console.log("Datagramb readLoop exception:" + err);
+        }
+    }
+
+    /**
+     * send a datagram, datagram boundary is preserved
+     * @param {*} datagram datagram body
+     */
+    write(datagram) {
+        if (this.isClosed()) {
+            return;
+        }
+
+        this.lastActivate = Date.now();
+        this.datagrams2Send.push(datagram);
+        this.startSendLoop();
+    }
+
+    startSendLoop() {
+        if (this.inSending || !this.isConnected()) {
+            return;
+        }
+
+        this.writeLoop();
+    }
+
+    async writeLoop() {
+        let writer = null;
+
+        try {
+            this.inSending = true;
+            writer = this.sock.writable.getWriter();
+
+            while (this.datagrams2Send.length > 0) {
+                let datagram = this.datagrams2Send.shift();
+                if (this.throttle != null) {
+                    await this.throttle(datagram.length);
+                }
+                await writer.write(datagram);
+                this.evtCallback(this, { event: "drain", bytes: datagram.length });
+            }
+        } catch (err) {
+            console.log("Datagramb write exception:" + err);
+        } finally {
+            if (writer != null) {
+                writer.releaseLock();
+            }
+
+            this.inSending = false;
+        }
+    }
+
+    shutdownWrite() {
+        // udp has no half close
+    }
+
+    close() {
+        this.stopIdleTimer();
+        try {
+            if (this.sock != null) {
+                this.sock.close();
+            }
+        } catch (err) {
+            console.log("Datagramb close exception:" + err);
+        }
+    }
+}
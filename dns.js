@@ -0,0 +1,194 @@
+import { dnsQueries } from "./metrics.js";
+
+// DoH endpoint speaking the JSON api (application/dns-json), if not configured
+export const DEFAULT_DOH_ENDPOINT = "https://cloudflare-dns.com/dns-query";
+// cached names, the oldest one is evicted when full
+const DEFAULT_MAX_ENTRIES = 1000;
+// answers are not cached longer than this, in seconds
+const DEFAULT_MAX_TTL = 3600;
+// how long a name without answers is cached if DoH reply has no SOA, in seconds
+const DEFAULT_NEGATIVE_TTL = 60;
+// give up a DoH query after this long, in ms
+const DOH_TIMEOUT = 5000;
+// CMD_DnsAnswer carries at most this many answers
+const MAX_ANSWERS = 255;
+
+// record types
+export const DNS_TYPE_A = 1;
+export const DNS_TYPE_CNAME = 5;
+export const DNS_TYPE_SOA = 6;
+export const DNS_TYPE_AAAA = 28;
+
+// statuses of a query, same as DNS rcodes
+export const DNS_STATUS_NOERROR = 0;
+// DoH endpoint can't be reached or sent a bad reply
+export const DNS_STATUS_SERVFAIL = 2;
+export const DNS_STATUS_NXDOMAIN = 3;
+// query is not allowed, e.g. CAP_DNS has not been agreed
+export const DNS_STATUS_REFUSED = 5;
+
+/**
+ * DnsResolver class:
+ * resolve names by a DNS-over-HTTPS endpoint, answers are cached by their TTL.
+ * It's shared by all tunnels of TunMgr, and concurrent queries of the same name are merged.
+ * Config section 'dns': {
+ *   "endpoint": DoH url of the JSON api, "maxEntries": cached names,
+ *   "maxTtl": seconds, "negativeTtl": seconds
+ * }
+ */
+export class DnsResolver {
+    /**
+     * new a DnsResolver object
+     * @param {*} config config object, see config.js
+     * @param {*} fetcher function like fetch(), e.g. a local stand-in in tests.
+     * the global fetch() is wrapped, workerd refuses to call it as a method of another object
+     */
+    constructor(config, fetcher = (...args) => fetch(...args)) {
+        let section = config.dns || {};
+        this.endpoint = section.endpoint || DEFAULT_DOH_ENDPOINT;
+        this.maxEntries = section.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.maxTtl = section.maxTtl ?? DEFAULT_MAX_TTL;
+        this.negativeTtl = section.negativeTtl ?? DEFAULT_NEGATIVE_TTL;
+        this.fetcher = fetcher;
+        // "type:name" => { status, answers, storedAt, expires }
+        this.cache = new Map();
+        // "type:name" => promise of the query in flight
+        this.pending = new Map();
+    }
+
+    /**
+     * resolve records of a name
+     * @param {*} name domain name
+     * @param {*} type record type, e.g. DNS_TYPE_A
+     * @returns { status, answers: [{ type, ttl, data }, ...] }, ttl is what remains of it
+     */
+    async resolve(name, type) {
+        name = name.toLowerCase().replace(/\.$/, "");
+        let key = type + ":" + name;
+        let entry = this.cache.get(key);
+        if (entry !== undefined && entry.expires > Date.now()) {
+            dnsQueries.inc({ result: "hit" });
+            return this.remaining(entry);
+        }
+
+        let pending = this.pending.get(key);
+        if (pending === undefined) {
+            pending = this.query(name, type).then((result) => {
+                this.store(key, result);
+                return result;
+            }).finally(() => {
+                // a failed query must not stay here, or the name would fail for good
+                this.pending.delete(key);
+            });
+            this.pending.set(key, pending);
+        }
+
+        return this.remaining(await pending);
+    }
+
+    /**
+     * resolve ipv4 and ipv6 addresses of a name
+     * @param {*} name domain name
+     * @returns { status, ipv4: [...], ipv6: [...] }, status is NOERROR if either query succeeded
+     */
+    async lookup(name) {
+        let [v4, v6] = await Promise.all([this.resolve(name, DNS_TYPE_A), this.resolve(name, DNS_TYPE_AAAA)]);
+        let addresses = (result, type) => result.answers.filter((a) => a.type == type).map((a) => a.data);
+
+        return {
+            status: v4.status == DNS_STATUS_NOERROR ? v6.status : v4.status,
+            ipv4: addresses(v4, DNS_TYPE_A),
+            ipv6: addresses(v6, DNS_TYPE_AAAA),
+        };
+    }
+
+    /**
+     * send a query to DoH endpoint
+     * @param {*} name domain name
+     * @param {*} type record type
+     * @returns query result, its 'expires' is 0 if it must not be cached
+     */
+    async query(name, type) {
+        let url = new URL(this.endpoint);
+        url.searchParams.set("name", name);
+        url.searchParams.set("type", String(type));
+
+        let reply = null;
+        try {
+            let response = await this.fetcher(url.toString(), {
+                headers: { "accept": "application/dns-json" },
+                signal: AbortSignal.timeout(DOH_TIMEOUT),
+            });
+            if (!response.ok) {
+                throw new Error("DoH endpoint replied " + response.status);
+            }
+            reply = await response.json();
+            if (reply === null || typeof reply != "object") {
+                throw new Error("DoH reply is not an object");
+            }
+        } catch (err) {
+            console.log("DnsResolver query failed, name:", name, ", type:", type, ", err:", err);
+            dnsQueries.inc({ result: "error" });
+            // failures are not cached, next query tries again
+            return { status: DNS_STATUS_SERVFAIL, answers: [], storedAt: Date.now(), expires: 0 };
+        }
+
+        dnsQueries.inc({ result: "miss" });
+        let answers = (Array.isArray(reply.Answer) ? reply.Answer : [])
+            .filter((a) => a !== null && typeof a == "object" && typeof a.data == "string").slice(0, MAX_ANSWERS)
+            .map((a) => ({ type: a.type, ttl: Math.min(a.TTL >>> 0, this.maxTtl), data: a.data }));
+
+        let ttl = this.maxTtl;
+        if (answers.length > 0) {
+            ttl = Math.min(...answers.map((a) => a.ttl));
+        } else {
+            // negative answer lives as long as the SOA says
+            let soa = (Array.isArray(reply.Authority) ? reply.Authority : [])
+                .find((a) => a !== null && typeof a == "object" && a.type == DNS_TYPE_SOA);
+            ttl = Math.min(soa ? soa.TTL >>> 0 : this.negativeTtl, this.maxTtl);
+        }
+
+        // status goes to client in a byte, anything else is a bad reply
+        let status = reply.Status;
+        if (!Number.isInteger(status) || status < 0 || status > 255) {
+            status = DNS_STATUS_SERVFAIL;
+        }
+
+        let now = Date.now();
+        return {
+            status: status,
+            answers: answers,
+            storedAt: now,
+            expires: now + ttl * 1000,
+        };
+    }
+
+    /**
+     * cache a query result, the oldest name is evicted if cache is full
+     * @param {*} key cache key
+     * @param {*} result query result
+     */
+    store(key, result) {
+        if (result.expires <= result.storedAt) {
+            return;
+        }
+
+        this.cache.delete(key);
+        while (this.cache.size >= this.maxEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, result);
+    }
+
+    /**
+     * @param {*} entry query result
+     * @returns result with ttl of answers reduced by the time it has been cached
+     */
+    remaining(entry) {
+        let elapsed = Math.floor((Date.now() - entry.storedAt) / 1000);
+        return {
+            status: entry.status,
+            answers: entry.answers.map((a) => ({ type: a.type, ttl: Math.max(0, a.ttl - elapsed), data: a.data })),
+        };
+    }
+}
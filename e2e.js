@@ -0,0 +1,290 @@
+import { Buffer } from 'node:buffer';
+import { CMD_Ping, CMD_Sealed, decodeFrame, encodeFrame } from "./codec.js";
+
+// End-to-end encryption of tunnel messages, shared by server and client.
+// Both sides send an ephemeral X25519 key by CMD_KeyExchange, and derive an AES-256-GCM key
+// for each direction by HKDF-SHA256:
+//   ikm = X25519 shared secret, then psk if configured
+//   salt = SHA-256 of client's bearer token
+//   info = "tun-e2e-v1 c2s" or "tun-e2e-v1 s2c", then client's and server's public keys
+// The token binds keys to the authenticated identity. A psk never crosses the wire, so it also
+// stops a man in the middle who has seen the token, e.g. a load balancer terminating TLS.
+
+const KEY_INFO_PREFIX = "tun-e2e-v1 ";
+// bytes of derived AES keys
+const AES_KEY_BYTES = 32;
+// bytes of CMD_Sealed header: cmd and counter, it's the additional data of AEAD
+const SEALED_HEADER_BYTES = 9;
+
+/**
+ * E2EError class:
+ * a sealed message can't be opened, or keys can't be agreed
+ */
+export class E2EError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "E2EError";
+    }
+}
+
+async function sha256(data) {
+    return Buffer.from(await crypto.subtle.digest("SHA-256", data));
+}
+
+/**
+ * @param {*} ikm input key material
+ * @param {*} salt salt
+ * @param {*} info context info
+ * @param {*} bytes length of output
+ * @returns Buffer of output key material
+ */
+async function hkdf(ikm, salt, info, bytes) {
+    let key = await crypto.subtle.importKey("raw", ikm, "HKDF", false, ["deriveBits"]);
+    let bits = await crypto.subtle.deriveBits({ name: "HKDF", hash: "SHA-256", salt: salt, info: info }, key, bytes * 8);
+    return Buffer.from(bits);
+}
+
+/**
+ * @param {*} counter message counter
+ * @returns header of CMD_Sealed
+ */
+function sealedHeader(counter) {
+    let header = Buffer.alloc(SEALED_HEADER_BYTES);
+    header[0] = CMD_Sealed;
+    header.writeBigUInt64LE(BigInt(counter), 1);
+    return header;
+}
+
+/**
+ * @param {*} counter message counter
+ * @returns AES-GCM nonce, 4 zero bytes and the counter
+ */
+function nonceOf(counter) {
+    let nonce = Buffer.alloc(12);
+    nonce.writeBigUInt64LE(BigInt(counter), 4);
+    return nonce;
+}
+
+/**
+ * E2ESession class:
+ * keys and counters of one side of an encrypted websocket. Messages are sealed and
+ * opened in order, a message with an unexpected counter is a replay or has been dropped,
+ * and the websocket should be closed
+ */
+export class E2ESession {
+    /**
+     * new an E2ESession object
+     * @param {*} isServer true for server side
+     * @param {*} keyPair { privateKey: X25519 CryptoKey, publicKey: raw public key }
+     */
+    constructor(isServer, keyPair) {
+        this.isServer = isServer;
+        this.privateKey = keyPair.privateKey;
+        this.publicKey = Buffer.from(keyPair.publicKey);
+        // promise of { sealKey, openKey }, set by deriveKeys
+        this.keys = null;
+        this.sealCounter = 0;
+        this.openCounter = 0;
+    }
+
+    /**
+     * new a session with a fresh ephemeral key
+     * @param {*} isServer true for server side
+     * @returns E2ESession object
+     */
+    static async generate(isServer) {
+        let pair = await crypto.subtle.generateKey({ name: "X25519" }, false, ["deriveBits"]);
+        let publicKey = await crypto.subtle.exportKey("raw", pair.publicKey);
+        return new E2ESession(isServer, { privateKey: pair.privateKey, publicKey: publicKey });
+    }
+
+    /**
+     * start deriving keys from peer's public key, seal and open wait for them
+     * @param {*} peerPublicKey raw public key of CMD_KeyExchange
+     * @param {*} token client's bearer token
+     * @param {*} psk pre-shared key, Buffer, may be empty
+     */
+    deriveKeys(peerPublicKey, token, psk) {
+        this.keys = this.computeKeys(Buffer.from(peerPublicKey), token || "", psk || Buffer.alloc(0));
+        // failure is reported by seal and open
+        this.keys.catch(() => {});
+    }
+
+    async computeKeys(peerPublicKey, token, psk) {
+        let shared = null;
+        try {
+            let peer = await crypto.subtle.importKey("raw", peerPublicKey, { name: "X25519" }, false, []);
+            shared = await crypto.subtle.deriveBits({ name: "X25519", public: peer }, this.privateKey, 256);
+        } catch (err) {
+            // e.g. a low order point
+            throw new E2EError("key agreement failed: " + err.message);
+        }
+
+        let ikm = Buffer.concat([Buffer.from(shared), psk]);
+        let salt = await sha256(Buffer.from(token));
+        let clientKey = this.isServer ? peerPublicKey : this.publicKey;
+        let serverKey = this.isServer ? this.publicKey : peerPublicKey;
+        let keyOf = async (direction) => {
+            let info = Buffer.concat([Buffer.from(KEY_INFO_PREFIX + direction), clientKey, serverKey]);
+            let raw = await hkdf(ikm, salt, info, AES_KEY_BYTES);
+            return crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+        };
+
+        let c2s = await keyOf("c2s");
+        let s2c = await keyOf("s2c");
+        return this.isServer ? { sealKey: s2c, openKey: c2s } : { sealKey: c2s, openKey: s2c };
+    }
+
+    /**
+     * seal a message, messages must be sent in the order they are sealed
+     * @param {*} message encoded frame
+     * @returns encoded CMD_Sealed frame
+     */
+    async seal(message) {
+        let counter = this.sealCounter++;
+        let { sealKey } = await this.keys;
+        let data = await crypto.subtle.encrypt(
+            { name: "AES-GCM", iv: nonceOf(counter), additionalData: sealedHeader(counter) },
+            sealKey,
+            message,
+        );
+        return encodeFrame({ cmd: CMD_Sealed, counter: counter, data: Buffer.from(data) });
+    }
+
+    /**
+     * open a sealed message, the counter is checked at once, so call it in order of arrival
+     * @param {*} frame decoded CMD_Sealed frame
+     * @returns promise of the inner message
+     */
+    open(frame) {
+        if (frame.counter != this.openCounter) {
+            return Promise.reject(new E2EError("unexpected counter " + frame.counter +
+                ", expecting " + this.openCounter));
+        }
+
+        this.openCounter++;
+        return this.decrypt(frame);
+    }
+
+    async decrypt(frame) {
+        let { openKey } = await this.keys;
+        try {
+            let message = await crypto.subtle.decrypt(
+                { name: "AES-GCM", iv: nonceOf(frame.counter), additionalData: sealedHeader(frame.counter) },
+                openKey,
+                frame.data,
+            );
+            return Buffer.from(message);
+        } catch (err) {
+            throw new E2EError("message authentication failed, counter: " + frame.counter);
+        }
+    }
+}
+
+// known vectors, X25519 of RFC 7748 section 6.1
+const X25519_ALICE_PRIVATE = "77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a";
+const X25519_ALICE_PUBLIC = "8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a";
+const X25519_BOB_PRIVATE = "5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb";
+const X25519_BOB_PUBLIC = "de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f";
+const X25519_SHARED = "4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742";
+// HKDF-SHA256 of RFC 5869 test case 1
+const HKDF_IKM = "0b".repeat(22);
+const HKDF_SALT = "000102030405060708090a0b0c";
+const HKDF_INFO = "f0f1f2f3f4f5f6f7f8f9";
+const HKDF_OKM = "3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865";
+// AES-256-GCM of the GCM spec test case 14: zero key, zero nonce, 16 zero bytes
+const GCM_SEALED = "cea7403d4d606b6e074ec5d3baf39d18d0d1c8a799996bf0265b98b5d48ab919";
+// first message of a session, Alice is client and Bob is server, token "test-token", no psk.
+// computed independently of this module, it pins the key schedule and framing across versions
+const SEALED_TOKEN = "test-token";
+const SEALED_PING = "46000000000000000028b96629fb26a5414fe1ba5135100a9683aaa5810585046559";
+
+/**
+ * @param {*} privateHex raw private key
+ * @param {*} publicHex raw public key
+ * @returns X25519 private CryptoKey
+ */
+async function importX25519(privateHex, publicHex) {
+    let jwk = {
+        kty: "OKP",
+        crv: "X25519",
+        d: Buffer.from(privateHex, "hex").toString("base64url"),
+        x: Buffer.from(publicHex, "hex").toString("base64url"),
+    };
+    return crypto.subtle.importKey("jwk", jwk, { name: "X25519" }, false, ["deriveBits"]);
+}
+
+/**
+ * check the runtime's crypto and this module against known vectors,
+ * e.g. before trusting a new runtime with encrypted tunnels
+ * @returns { ok, results: [{ name, ok, error }] }
+ */
+export async function selfTest() {
+    let hex = (s) => Buffer.from(s, "hex");
+    let alice = async () => new E2ESession(false, {
+        privateKey: await importX25519(X25519_ALICE_PRIVATE, X25519_ALICE_PUBLIC),
+        publicKey: hex(X25519_ALICE_PUBLIC),
+    });
+    let bob = async () => new E2ESession(true, {
+        privateKey: await importX25519(X25519_BOB_PRIVATE, X25519_BOB_PUBLIC),
+        publicKey: hex(X25519_BOB_PUBLIC),
+    });
+    let ping = encodeFrame({ cmd: CMD_Ping, payload: Buffer.alloc(8) });
+
+    let checks = {
+        "x25519": async () => {
+            let peer = await crypto.subtle.importKey("raw", hex(X25519_BOB_PUBLIC), { name: "X25519" }, false, []);
+            let key = await importX25519(X25519_ALICE_PRIVATE, X25519_ALICE_PUBLIC);
+            let shared = await crypto.subtle.deriveBits({ name: "X25519", public: peer }, key, 256);
+            return Buffer.from(shared).toString("hex") == X25519_SHARED;
+        },
+        "hkdf-sha256": async () => {
+            let okm = await hkdf(hex(HKDF_IKM), hex(HKDF_SALT), hex(HKDF_INFO), HKDF_OKM.length / 2);
+            return okm.toString("hex") == HKDF_OKM;
+        },
+        "aes-256-gcm": async () => {
+            let key = await crypto.subtle.importKey("raw", Buffer.alloc(32), "AES-GCM", false, ["encrypt"]);
+            let sealed = await crypto.subtle.encrypt({ name: "AES-GCM", iv: Buffer.alloc(12) }, key, Buffer.alloc(16));
+            return Buffer.from(sealed).toString("hex") == GCM_SEALED;
+        },
+        "seal": async () => {
+            let client = await alice();
+            client.deriveKeys(hex(X25519_BOB_PUBLIC), SEALED_TOKEN, null);
+            return (await client.seal(ping)).toString("hex") == SEALED_PING;
+        },
+        "open": async () => {
+            let server = await bob();
+            server.deriveKeys(hex(X25519_ALICE_PUBLIC), SEALED_TOKEN, null);
+            let frame = decodeFrame(hex(SEALED_PING));
+            if (!(await server.open(frame)).equals(ping)) {
+                return false;
+            }
+            // replayed message is rejected
+            return server.open(frame).then(() => false, (err) => err instanceof E2EError);
+        },
+        "tamper": async () => {
+            let server = await bob();
+            server.deriveKeys(hex(X25519_ALICE_PUBLIC), SEALED_TOKEN, null);
+            let sealed = hex(SEALED_PING);
+            sealed[sealed.length - 1] ^= 1;
+            return server.open(decodeFrame(sealed)).then(() => false, (err) => err instanceof E2EError);
+        },
+        "binding": async () => {
+            // another token derives other keys
+            let server = await bob();
+            server.deriveKeys(hex(X25519_ALICE_PUBLIC), "other-token", null);
+            return server.open(decodeFrame(hex(SEALED_PING))).then(() => false, (err) => err instanceof E2EError);
+        },
+    };
+
+    let results = [];
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            results.push({ name: name, ok: await check() });
+        } catch (err) {
+            results.push({ name: name, ok: false, error: err.message });
+        }
+    }
+
+    return { ok: results.every((r) => r.ok), results: results };
+}
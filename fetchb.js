@@ -0,0 +1,283 @@
+import { ConnectError } from "./connector.js";
+import { REASON_CONNECT_TIMEOUT } from "./reason.js";
+import { fetchResponses } from "./metrics.js";
+
+// fetch is running, response head has not arrived
+const STATE_CONNECTING = 0;
+// response head has arrived, body is streaming
+const STATE_CONNECTTED = 1;
+// fetch has finished or been aborted
+const STATE_CLOSED = 2;
+
+// headers of one connection, they are not forwarded in either direction.
+// host is derived from url by fetch()
+const HOP_BY_HOP_HEADERS = new Set([
+    "connection",
+    "keep-alive",
+    "proxy-authenticate",
+    "proxy-authorization",
+    "proxy-connection",
+    "te",
+    "trailer",
+    "transfer-encoding",
+    "upgrade",
+    "host",
+]);
+
+/**
+ * drop hop-by-hop headers
+ * @param {*} headers [[name, value], ...] or Headers object
+ * @returns [[name, value], ...]
+ */
+function endToEndHeaders(headers) {
+    let result = [];
+    for (const [name, value] of headers) {
+        if (!HOP_BY_HOP_HEADERS.has(name.toLowerCase())) {
+            result.push([name, value]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Fetchb class:
+ * execute a http request by the runtime's fetch(), the fetch counterpart of Socketb.
+ * Request body is written like socket data, and ended by shutdownWrite.
+ * Besides events of Socketb, it emits "response" with the response head before
+ * any "data", and "finish" after the whole response body.
+ */
+export class Fetchb {
+    /**
+     * new a Fetchb object
+     * @param {*} request { method, url, headers, hasBody }, headers: [[name, value], ...]
+     * @param {*} evtCallback events callback function
+     * @param {*} options {
+     *   throttle: async function(bytes), called before passing request body to fetch,
+     *   connectTimeout: give up if response head has not arrived after this long, in ms,
+     *   0 means no timeout,
+     *   check: async function(), called before fetch, e.g. to evaluate policy of the target's addresses,
+     *   fetch fails with what it throws
+     * }
+     */
+    constructor(request, evtCallback, options = {}) {
+        this.state = STATE_CONNECTING;
+        this.evtCallback = evtCallback;
+        this.throttle = options.throttle || null;
+        this.check = options.check || null;
+        this.chunks2Send = [];
+        // request body has been ended by shutdownWrite
+        this.writeShutdown = false;
+        // resolves pull of request body when a chunk is written
+        this.bodyWaiter = null;
+        this.aborter = new AbortController();
+        this.connectTimer = null;
+        this.timedOut = false;
+
+        let init = {
+            method: request.method,
+            headers: endToEndHeaders(request.headers),
+            // redirects are client's business
+            redirect: "manual",
+            signal: this.aborter.signal,
+        };
+
+        if (request.hasBody) {
+            init.body = new ReadableStream({
+                pull: (controller) => this.pullBody(controller),
+            }, { highWaterMark: 0 });
+            // required for streaming body by other runtimes, ignored by workerd
+            init.duplex = "half";
+        }
+
+        if (options.connectTimeout > 0) {
+            this.connectTimer = setTimeout(() => {
+                this.connectTimer = null;
+                this.onConnectTimeout();
+            }, options.connectTimeout);
+        }
+
+        this.run(request.url, init);
+    }
+
+    isConnected() {
+        return this.state == STATE_CONNECTTED;
+    }
+
+    isClosed() {
+        return this.state == STATE_CLOSED;
+    }
+
+    chunkCountWatingSend() {
+        return this.chunks2Send.length;
+    }
+
+    stopConnectTimer() {
+        if (this.connectTimer != null) {
+            clearTimeout(this.connectTimer);
+            this.connectTimer = null;
+        }
+    }
+
+    onConnectTimeout() {
+        if (this.state != STATE_CONNECTING) {
+            return;
+        }
+
+        console.log("Fetchb response timed out");
+        this.timedOut = true;
+        this.aborter.abort();
+    }
+
+    async run(url, init) {
+        let response = null;
+        try {
+            if (this.check != null) {
+                // it counts against connect timeout, which aborts fetch below
+                await this.check();
+                if (this.isClosed()) {
+                    return;
+                }
+            }
+            response = await fetch(url, init);
+        } catch (err) {
+            if (this.isClosed()) {
+                // aborted by close
+                return;
+            }
+
+            if (this.timedOut) {
+                err = new ConnectError("fetch timed out", REASON_CONNECT_TIMEOUT);
+            }
+            console.log("Fetchb fetch failed:", err);
+            fetchResponses.inc({ status: "error" });
+            this.onError(err);
+            return;
+        }
+
+        this.stopConnectTimer();
+        if (this.isClosed()) {
+            return;
+        }
+
+        fetchResponses.inc({ status: Math.floor(response.status / 100) + "xx" });
+        this.state = STATE_CONNECTTED;
+        let headers = endToEndHeaders(response.headers);
+        if (response.headers.has("content-encoding")) {
+            // runtime has decoded the body, length and encoding no longer apply to it
+            headers = headers.filter(([name]) => !/^content-(encoding|length)$/i.test(name));
+        }
+
+        await this.evtCallback(this, {
+            event: "response",
+            status: response.status,
+            statusText: response.statusText,
+            headers: headers,
+        });
+
+        await this.readLoop(response);
+    }
+
+    async readLoop(response) {
+        try {
+            if (response.body != null) {
+                for await (const chunk of response.body) {
+                    await this.evtCallback(this, { event: "data", data: chunk });
+                }
+            }
+
+            if (this.isConnected()) {
+                this.state = STATE_CLOSED;
+                this.evtCallback(this, { event: "finish" });
+            }
+        } catch (err) {
+            if (this.isClosed()) {
+                // aborted by close
+                return;
+            }
+            console.log("Fetchb readLoop exception:" + err);
+            this.onError(err);
+        }
+    }
+
+    onError(reason) {
+        this.stopConnectTimer();
+        if (this.isClosed()) {
+            return;
+        }
+
+        this.state = STATE_CLOSED;
+        this.chunks2Send = [];
+        this.evtCallback(this, { event: "error", reason: reason });
+    }
+
+    /**
+     * feed request body to fetch, one chunk at a time
+     * @param {*} controller controller of request body stream
+     */
+    async pullBody(controller) {
+        while (this.chunks2Send.length == 0 && !this.writeShutdown && !this.isClosed()) {
+            await new Promise((resolve) => {
+                this.bodyWaiter = resolve;
+            });
+        }
+
+        if (this.chunks2Send.length == 0) {
+            controller.close();
+            return;
+        }
+
+        let chunk = this.chunks2Send.shift();
+        if (this.throttle != null) {
+            await this.throttle(chunk.length);
+        }
+        controller.enqueue(chunk);
+        // notify owner that the chunk has gone, owner can accept more data
+        this.evtCallback(this, { event: "drain", bytes: chunk.length });
+    }
+
+    wakeBodyWaiter() {
+        let waiter = this.bodyWaiter;
+        this.bodyWaiter = null;
+        if (waiter) {
+            waiter();
+        }
+    }
+
+    /**
+     * write request body
+     * @param {*} chunk data
+     */
+    write(chunk) {
+        if (this.isClosed()) {
+            return;
+        }
+
+        if (this.writeShutdown) {
+            console.log("Fetchb write after request body ended, discard");
+            return;
+        }
+
+        this.chunks2Send.push(chunk);
+        this.wakeBodyWaiter();
+    }
+
+    /**
+     * end request body
+     */
+    shutdownWrite() {
+        this.writeShutdown = true;
+        this.wakeBodyWaiter();
+    }
+
+    startTls() {
+        return false;
+    }
+
+    close() {
+        this.stopConnectTimer();
+        this.state = STATE_CLOSED;
+        this.chunks2Send = [];
+        this.wakeBodyWaiter();
+        this.aborter.abort();
+    }
+}
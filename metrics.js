@@ -0,0 +1,233 @@
+/**
+ * format labels in prometheus text format
+ * @param {*} labels label object
+ * @returns string like '{a="1",b="2"}', empty string if no label
+ */
+function formatLabels(labels) {
+    let keys = Object.keys(labels);
+    if (keys.length == 0) {
+        return "";
+    }
+
+    let parts = keys.map((k) => {
+        let v = String(labels[k]).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+        return k + '="' + v + '"';
+    });
+
+    return "{" + parts.join(",") + "}";
+}
+
+/**
+ * Metric class:
+ * base of counter and gauge, holds one value per label set
+ */
+class Metric {
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        // label string => { labels, value }
+        this.values = new Map();
+    }
+
+    entry(labels) {
+        let key = formatLabels(labels);
+        let entry = this.values.get(key);
+        if (entry === undefined) {
+            entry = { labels: labels, value: 0 };
+            this.values.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    get(labels = {}) {
+        return this.entry(labels).value;
+    }
+
+    render() {
+        let lines = [
+            "# HELP " + this.name + " " + this.help,
+            "# TYPE " + this.name + " " + this.type,
+        ];
+
+        if (this.values.size == 0) {
+            this.entry({});
+        }
+
+        for (const [key, entry] of this.values) {
+            lines.push(this.name + key + " " + entry.value);
+        }
+
+        return lines.join("\n");
+    }
+}
+
+export class Counter extends Metric {
+    constructor(name, help) {
+        super("counter", name, help);
+    }
+
+    inc(labels = {}, n = 1) {
+        this.entry(labels).value += n;
+    }
+}
+
+export class Gauge extends Metric {
+    constructor(name, help) {
+        super("gauge", name, help);
+    }
+
+    inc(labels = {}, n = 1) {
+        this.entry(labels).value += n;
+    }
+
+    dec(labels = {}, n = 1) {
+        this.entry(labels).value -= n;
+    }
+
+    set(value, labels = {}) {
+        this.entry(labels).value = value;
+    }
+}
+
+export class Histogram {
+    constructor(name, help, buckets) {
+        this.type = "histogram";
+        this.name = name;
+        this.help = help;
+        this.buckets = buckets;
+        this.counts = new Array(buckets.length).fill(0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) {
+                this.counts[i]++;
+            }
+        }
+
+        this.sum += value;
+        this.count++;
+    }
+
+    render() {
+        let lines = [
+            "# HELP " + this.name + " " + this.help,
+            "# TYPE " + this.name + " " + this.type,
+        ];
+
+        for (let i = 0; i < this.buckets.length; i++) {
+            lines.push(this.name + '_bucket{le="' + this.buckets[i] + '"} ' + this.counts[i]);
+        }
+        lines.push(this.name + '_bucket{le="+Inf"} ' + this.count);
+        lines.push(this.name + "_sum " + this.sum);
+        lines.push(this.name + "_count " + this.count);
+
+        return lines.join("\n");
+    }
+}
+
+/**
+ * Registry class:
+ * hold all metrics, render them in prometheus text format.
+ * Collectors are called before rendering, to refresh gauges
+ * that are sampled rather than updated in place.
+ */
+export class Registry {
+    constructor() {
+        this.metrics = [];
+        this.collectors = [];
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(name, help));
+    }
+
+    gauge(name, help) {
+        return this.register(new Gauge(name, help));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(name, help, buckets));
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    render() {
+        for (const collector of this.collectors) {
+            try {
+                collector();
+            } catch (err) {
+                console.log("Registry.render collector exception:", err);
+            }
+        }
+
+        return this.metrics.map((m) => m.render()).join("\n") + "\n";
+    }
+
+    /**
+     * @returns http response of metrics
+     */
+    response() {
+        return new Response(this.render(), {
+            headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" },
+        });
+    }
+}
+
+// the registry of the proxy, shared by all modules
+export const registry = new Registry();
+
+export const tunnelsOpened = registry.counter("tun_tunnels_opened_total", "Tunnels opened.");
+export const tunnelsClosed = registry.counter("tun_tunnels_closed_total", "Tunnels closed.");
+export const tunnelsCurrent = registry.gauge("tun_tunnels", "Tunnels currently open.");
+export const requestsAllocated = registry.counter("tun_requests_allocated_total",
+    "Request slots allocated.");
+export const requestAllocFailures = registry.counter("tun_request_alloc_failures_total",
+    "Request slot allocation failures, by reason.");
+export const connectFailures = registry.counter("tun_connect_failures_total",
+    "Outgoing connections that failed to open.");
+export const upstreamConnects = registry.counter("tun_upstream_connects_total",
+    "Outgoing connections by upstream connector and result.");
+export const connectLatency = registry.histogram("tun_connect_duration_seconds",
+    "Time to open outgoing connections.",
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+export const bytesTotal = registry.counter("tun_bytes_total",
+    "Proxied payload bytes, direction 'up' is client to target, 'down' is target to client.");
+export const compressionBytes = registry.counter("tun_compression_bytes_total",
+    "Request data of compressed requests by direction, 'raw' is before compression, 'wire' is as sent.");
+export const compressionBypassed = registry.counter("tun_compression_bypassed_total",
+    "Chunks of compressed requests sent raw, because they are small, encrypted or don't shrink.");
+export const tunnelSendQueue = registry.gauge("tun_tunnel_send_queue_frames",
+    "Frames waiting in tunnels' send queues (sendQueue).");
+export const batchFrames = registry.histogram("tun_batch_frames",
+    "Frames packed in each batch message sent to clients.",
+    [2, 4, 8, 16, 32, 64, 128]);
+export const tunnelSendQueueMax = registry.gauge("tun_tunnel_send_queue_max_frames",
+    "Frames in the deepest per-request send queue of all tunnels.");
+export const socketSendQueue = registry.gauge("tun_socket_send_queue_chunks",
+    "Chunks waiting in target sockets' send queues (chunks2Send).");
+export const fetchResponses = registry.counter("tun_fetch_responses_total",
+    "Fetch requests by response status class, or 'error' if fetch() has failed.");
+export const dnsQueries = registry.counter("tun_dns_queries_total",
+    "Name resolutions by result: hit of cache, miss sent to DoH endpoint, or error.");
+export const pingTimeouts = registry.counter("tun_ping_timeouts_total",
+    "Tunnels closed because client did not reply ping.");
+export const timeoutsTotal = registry.counter("tun_timeouts_total",
+    "Requests and tunnels closed by timeouts, by kind: connect, idle, lifetime or tunnel-idle.");
+export const rateLimitHits = registry.counter("tun_rate_limit_hits_total",
+    "Times data was held back or a new request was refused by limits, by limit and scope.");
+export const unknownCommands = registry.counter("tun_unknown_commands_total",
+    "Frames with unknown command code, by command.");
+export const protocolErrors = registry.counter("tun_protocol_errors_total",
+    "Malformed frames received from clients.");
@@ -0,0 +1,480 @@
+import { identitySection } from "./config.js";
+
+// address ranges that must not be reached from tunnel clients unless explicitly enabled:
+// private, loopback, link-local (includes cloud metadata 169.254.169.254), CGNAT, etc.
+const PRIVATE_CIDRS = [
+    "0.0.0.0/8",
+    "10.0.0.0/8",
+    "100.64.0.0/10",
+    "127.0.0.0/8",
+    "169.254.0.0/16",
+    "172.16.0.0/12",
+    "192.168.0.0/16",
+    "::/128",
+    "::1/128",
+    "fc00::/7",
+    "fe80::/10",
+];
+
+const PRIVATE_DOMAINS = [
+    "localhost",
+    ".localhost",
+    "metadata.google.internal",
+];
+
+/**
+ * parse an ipv4 address string
+ * @param {*} str address string
+ * @returns 4 bytes array, or null if invalid
+ */
+function parseIPv4(str) {
+    let parts = str.split(".");
+    if (parts.length != 4) {
+        return null;
+    }
+
+    let bytes = new Uint8Array(4);
+    for (let i = 0; i < 4; i++) {
+        if (!/^\d{1,3}$/.test(parts[i])) {
+            return null;
+        }
+
+        let n = parseInt(parts[i], 10);
+        if (n > 255) {
+            return null;
+        }
+        bytes[i] = n;
+    }
+
+    return bytes;
+}
+
+/**
+ * parse an ipv6 address string, supports '::' and embedded ipv4
+ * @param {*} str address string
+ * @returns 16 bytes array, or null if invalid
+ */
+function parseIPv6(str) {
+    if (str.startsWith("[") && str.endsWith("]")) {
+        str = str.slice(1, -1);
+    }
+
+    let halves = str.split("::");
+    if (halves.length > 2) {
+        return null;
+    }
+
+    let toGroups = (s) => {
+        if (s.length == 0) {
+            return [];
+        }
+
+        let groups = [];
+        let parts = s.split(":");
+        for (let i = 0; i < parts.length; i++) {
+            let part = parts[i];
+            if (i == parts.length - 1 && part.includes(".")) {
+                let v4 = parseIPv4(part);
+                if (v4 == null) {
+                    return null;
+                }
+                groups.push((v4[0] << 8) | v4[1], (v4[2] << 8) | v4[3]);
+            } else {
+                if (!/^[0-9a-fA-F]{1,4}$/.test(part)) {
+                    return null;
+                }
+                groups.push(parseInt(part, 16));
+            }
+        }
+
+        return groups;
+    };
+
+    let head = toGroups(halves[0]);
+    let tail = halves.length == 2 ? toGroups(halves[1]) : [];
+    if (head == null || tail == null) {
+        return null;
+    }
+
+    let count = head.length + tail.length;
+    if ((halves.length == 1 && count != 8) || (halves.length == 2 && count > 7)) {
+        return null;
+    }
+
+    let groups = head.concat(new Array(8 - count).fill(0), tail);
+    let bytes = new Uint8Array(16);
+    for (let i = 0; i < 8; i++) {
+        bytes[i * 2] = groups[i] >> 8;
+        bytes[i * 2 + 1] = groups[i] & 0xff;
+    }
+
+    return bytes;
+}
+
+/**
+ * parse an ip address string,
+ * ipv4-mapped ipv6 address is converted to ipv4
+ * @param {*} str address string
+ * @returns 4 or 16 bytes array, or null if str is not an ip address
+ */
+export function parseIP(str) {
+    let v4 = parseIPv4(str);
+    if (v4 != null) {
+        return v4;
+    }
+
+    let v6 = parseIPv6(str);
+    if (v6 == null) {
+        return null;
+    }
+
+    let mapped = v6.subarray(0, 10).every((b) => b == 0) && v6[10] == 0xff && v6[11] == 0xff;
+    if (mapped) {
+        return v6.slice(12);
+    }
+
+    return v6;
+}
+
+/**
+ * parse a cidr string such as "10.0.0.0/8", a bare address means a single host
+ * @param {*} str cidr string
+ * @returns { bytes, prefix }
+ */
+export function parseCIDR(str) {
+    let [addr, prefixStr] = str.split("/");
+    let bytes = parseIP(addr);
+    if (bytes == null) {
+        throw new Error("invalid cidr: " + str);
+    }
+
+    let prefix = prefixStr === undefined ? bytes.length * 8 : parseInt(prefixStr, 10);
+    if (isNaN(prefix) || prefix < 0 || prefix > bytes.length * 8) {
+        throw new Error("invalid cidr prefix: " + str);
+    }
+
+    return { bytes: bytes, prefix: prefix };
+}
+
+/**
+ * check if an address is in a cidr
+ * @param {*} cidr cidr object from parseCIDR
+ * @param {*} bytes address bytes from parseIP
+ * @returns true if matched
+ */
+export function cidrContains(cidr, bytes) {
+    if (cidr.bytes.length != bytes.length) {
+        return false;
+    }
+
+    let bits = cidr.prefix;
+    for (let i = 0; bits > 0; i++, bits -= 8) {
+        let mask = bits >= 8 ? 0xff : (0xff << (8 - bits)) & 0xff;
+        if ((cidr.bytes[i] & mask) != (bytes[i] & mask)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * check if a domain matches a pattern:
+ * "example.com" matches itself only,
+ * "*.example.com" matches any subdomain of example.com,
+ * ".example.com" matches example.com and any subdomain of it
+ * @param {*} pattern domain pattern, in lower case
+ * @param {*} domain domain name, in lower case
+ * @returns true if matched
+ */
+export function domainMatches(pattern, domain) {
+    if (pattern.startsWith("*.")) {
+        return domain.endsWith(pattern.slice(1));
+    }
+
+    if (pattern.startsWith(".")) {
+        return domain == pattern.slice(1) || domain.endsWith(pattern);
+    }
+
+    return domain == pattern;
+}
+
+/**
+ * parse port ranges: 443, "8000-9000" or [8000, 9000]
+ * @param {*} ports port range list
+ * @returns array of [low, high]
+ */
+function parsePorts(ports) {
+    return ports.map((p) => {
+        if (Array.isArray(p)) {
+            return [p[0], p[1]];
+        }
+
+        let [low, high] = String(p).split("-").map((x) => parseInt(x, 10));
+        if (isNaN(low)) {
+            throw new Error("invalid port range: " + p);
+        }
+
+        return [low, high === undefined ? low : high];
+    });
+}
+
+/**
+ * compile target conditions of a rule:
+ * { "cidr": [...], "domain": [...], "ports": [...], "transport": "tcp"|"udp", "tls": true|false }
+ * If both 'cidr' and 'domain' are absent, the rule matches any host.
+ * 'tls' matches whether server speaks TLS with the target, the domain is then the server name.
+ * @param {*} rule rule object of config
+ * @returns compiled conditions, see ruleMatches
+ */
+export function compileMatch(rule) {
+    return {
+        cidrs: rule.cidr ? rule.cidr.map(parseCIDR) : null,
+        domains: rule.domain ? rule.domain.map((d) => d.toLowerCase()) : null,
+        ports: rule.ports ? parsePorts(rule.ports) : null,
+        transport: rule.transport || null,
+        tls: rule.tls ?? null,
+    };
+}
+
+/**
+ * compile a rule of config:
+ * { "action": "allow"|"deny", "name": "...", conditions of compileMatch }
+ * @param {*} rule rule object of config
+ * @param {*} name default rule name, used in stats
+ * @returns compiled rule
+ */
+function compileRule(rule, name) {
+    if (rule.action != "allow" && rule.action != "deny") {
+        throw new Error("invalid policy rule action: " + rule.action);
+    }
+
+    return Object.assign({
+        name: rule.name || name,
+        allow: rule.action == "allow",
+    }, compileMatch(rule));
+}
+
+/**
+ * build the target object that rules are matched against
+ * @param {*} host domain name or ip address
+ * @param {*} port target port
+ * @param {*} transport "tcp" or "udp"
+ * @param {*} tls true if server speaks TLS with the target
+ * @returns target object
+ */
+export function makeTarget(host, port, transport, tls = false) {
+    host = host.toLowerCase().replace(/\.$/, "");
+    return {
+        host: host,
+        ip: parseIP(host),
+        port: port,
+        transport: transport,
+        tls: tls,
+    };
+}
+
+/**
+ * check if a compiled rule matches the target
+ * @param {*} rule compiled rule
+ * @param {*} target target object, see makeTarget
+ * @returns true if matched
+ */
+export function ruleMatches(rule, target) {
+    if (rule.transport != null && rule.transport != target.transport) {
+        return false;
+    }
+
+    if (rule.tls != null && rule.tls != target.tls) {
+        return false;
+    }
+
+    if (rule.ports != null && !rule.ports.some(([low, high]) => target.port >= low && target.port <= high)) {
+        return false;
+    }
+
+    if (rule.cidrs == null && rule.domains == null) {
+        return true;
+    }
+
+    if (target.ip != null && rule.cidrs != null) {
+        if (rule.cidrs.some((cidr) => cidrContains(cidr, target.ip))) {
+            return true;
+        }
+    }
+
+    if (target.ip == null && rule.domains != null) {
+        if (rule.domains.some((pattern) => domainMatches(pattern, target.host))) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * compile a policy section of config:
+ * { "default": "allow"|"deny", "denyPrivate": true|false, "resolve": true|false, "rules": [...] }
+ * @param {*} section policy section
+ * @param {*} prefix rule name prefix
+ * @returns compiled policy
+ */
+function compilePolicy(section, prefix) {
+    section = section || {};
+    let rules = (section.rules || []).map((rule, i) => compileRule(rule, prefix + "[" + i + "]"));
+
+    return {
+        rules: rules,
+        defaultAction: section.default,
+        denyPrivate: section.denyPrivate,
+        resolve: section.resolve,
+    };
+}
+
+/**
+ * PolicyEngine class:
+ * decide whether a tunnel client can connect to a target address.
+ * Evaluation order:
+ *   1. private ranges, unless 'denyPrivate' is false
+ *   2. identity's rules
+ *   3. global rules
+ *   4. default action, identity's one takes precedence, "allow" if not configured
+ * first matched rule decides. Each decision is counted in stats.
+ * If 'resolve' is true, addresses a domain resolves to are evaluated as well before
+ * connecting, so that names of private addresses are denied too.
+ */
+export class PolicyEngine {
+    /**
+     * new a PolicyEngine object
+     * @param {*} config config object, see config.js
+     */
+    constructor(config) {
+        this.config = config;
+        this.global = compilePolicy(config.policy, "rules");
+        this.identities = {};
+        this.privateRule = {
+            name: "private",
+            allow: false,
+            cidrs: PRIVATE_CIDRS.map(parseCIDR),
+            domains: PRIVATE_DOMAINS,
+            ports: null,
+            transport: null,
+            tls: null,
+        };
+
+        this.stats = {
+            allowed: 0,
+            denied: 0,
+            // decisions count by rule name
+            rules: {},
+            // decisions count by identity id
+            identities: {},
+        };
+    }
+
+    /**
+     * get compiled policy of an identity, compile it on first use
+     * @param {*} identity identity object
+     * @returns compiled policy
+     */
+    identityPolicy(identity) {
+        let id = identity ? identity.id : "";
+        let policy = this.identities[id];
+        if (policy === undefined) {
+            policy = compilePolicy(identitySection(this.config, identity, "policy"), "identity:" + id);
+            this.identities[id] = policy;
+        }
+
+        return policy;
+    }
+
+    /**
+     * evaluate policy for a target
+     * @param {*} identity identity of tunnel client
+     * @param {*} host target host, domain name or ip address
+     * @param {*} port target port
+     * @param {*} transport "tcp" or "udp"
+     * @param {*} tls true if server speaks TLS with the target
+     * @returns decision: { allowed, rule }
+     */
+    evaluate(identity, host, port, transport, tls = false) {
+        let target = makeTarget(host, port, transport, tls);
+
+        let policy = this.identityPolicy(identity);
+        let decision = this.decide(policy, target);
+        this.count(identity, decision);
+
+        return decision;
+    }
+
+    /**
+     * @param {*} identity identity of tunnel client
+     * @returns true if addresses of domain targets should be evaluated too
+     */
+    checksResolved(identity) {
+        let policy = this.identityPolicy(identity);
+        return policy.resolve ?? this.global.resolve ?? false;
+    }
+
+    /**
+     * evaluate policy for more addresses of a target, e.g. what a domain resolves to,
+     * or candidates from client, the target itself has been allowed by evaluate()
+     * @param {*} identity identity of tunnel client
+     * @param {*} addresses ip addresses
+     * @param {*} port target port
+     * @param {*} transport "tcp" or "udp"
+     * @param {*} tls true if server speaks TLS with the target
+     * @returns decision of the first denied address, or an allowed decision
+     */
+    evaluateAddresses(identity, addresses, port, transport, tls = false) {
+        let policy = this.identityPolicy(identity);
+        for (const address of addresses) {
+            let decision = this.decide(policy, makeTarget(address, port, transport, tls));
+            if (!decision.allowed) {
+                // allowed targets have been counted by evaluate()
+                this.count(identity, decision);
+                return decision;
+            }
+        }
+
+        return { allowed: true, rule: "resolved" };
+    }
+
+    decide(policy, target) {
+        let denyPrivate = policy.denyPrivate ?? this.global.denyPrivate ?? true;
+        if (denyPrivate && ruleMatches(this.privateRule, target)) {
+            return { allowed: false, rule: this.privateRule.name };
+        }
+
+        for (const rules of [policy.rules, this.global.rules]) {
+            for (const rule of rules) {
+                if (ruleMatches(rule, target)) {
+                    return { allowed: rule.allow, rule: rule.name };
+                }
+            }
+        }
+
+        let defaultAction = policy.defaultAction ?? this.global.defaultAction ?? "allow";
+        return { allowed: defaultAction == "allow", rule: "default" };
+    }
+
+    count(identity, decision) {
+        let key = decision.allowed ? "allowed" : "denied";
+        this.stats[key]++;
+
+        let ruleStats = this.stats.rules[decision.rule];
+        if (ruleStats === undefined) {
+            ruleStats = { allowed: 0, denied: 0 };
+            this.stats.rules[decision.rule] = ruleStats;
+        }
+        ruleStats[key]++;
+
+        let id = identity ? identity.id : "";
+        let idStats = this.stats.identities[id];
+        if (idStats === undefined) {
+            idStats = { allowed: 0, denied: 0 };
+            this.stats.identities[id] = idStats;
+        }
+        idStats[key]++;
+    }
+}
@@ -0,0 +1,149 @@
+import { rateLimitHits } from "./metrics.js";
+
+/**
+ * TokenBucket class:
+ * refill 'rate' tokens per second, up to 'burst' tokens.
+ * consume() reserves tokens first and then waits for the deficit to be refilled,
+ * so callers are served in order and never dropped.
+ */
+export class TokenBucket {
+    /**
+     * new a TokenBucket object
+     * @param {*} rate tokens per second
+     * @param {*} burst bucket size, default to one second of tokens
+     */
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst || rate;
+        this.tokens = this.burst;
+        this.last = Date.now();
+    }
+
+    refill() {
+        let now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.last) * this.rate / 1000);
+        this.last = now;
+    }
+
+    /**
+     * take tokens if available, never wait
+     * @param {*} n tokens count
+     * @returns true if taken
+     */
+    tryTake(n = 1) {
+        this.refill();
+        if (this.tokens < n) {
+            return false;
+        }
+
+        this.tokens -= n;
+        return true;
+    }
+
+    /**
+     * reserve tokens, the bucket may go into debt
+     * @param {*} n tokens count
+     * @returns how long in ms the caller must wait before using the tokens
+     */
+    reserve(n) {
+        this.refill();
+        this.tokens -= n;
+        if (this.tokens >= 0) {
+            return 0;
+        }
+
+        return Math.ceil(-this.tokens * 1000 / this.rate);
+    }
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Limiter class:
+ * bandwidth and request rate limits of a scope, that is a tunnel or an identity.
+ * limits: {
+ *   "upBytesPerSec": n, "downBytesPerSec": n, "burstBytes": n,
+ *   "requestsPerSec": n, "requestsBurst": n, "maxRequests": n
+ * }
+ * a missing or zero limit means unlimited.
+ */
+export class Limiter {
+    /**
+     * new a Limiter object
+     * @param {*} scope "tunnel" or "identity", used in stats
+     * @param {*} limits limits object
+     */
+    constructor(scope, limits) {
+        limits = limits || {};
+        this.scope = scope;
+        this.up = limits.upBytesPerSec ? new TokenBucket(limits.upBytesPerSec, limits.burstBytes) : null;
+        this.down = limits.downBytesPerSec ? new TokenBucket(limits.downBytesPerSec, limits.burstBytes) : null;
+        this.requests = limits.requestsPerSec ?
+            new TokenBucket(limits.requestsPerSec, limits.requestsBurst) : null;
+        this.maxRequests = limits.maxRequests || 0;
+
+        this.stats = {
+            // how many times data has been held back, and for how long in total
+            upThrottled: 0,
+            upThrottledMs: 0,
+            downThrottled: 0,
+            downThrottledMs: 0,
+            // how many new requests have been refused
+            requestsRateLimited: 0,
+            requestsOverConcurrency: 0,
+        };
+    }
+
+    async throttle(bucket, direction, bytes) {
+        if (bucket == null) {
+            return;
+        }
+
+        let wait = bucket.reserve(bytes);
+        if (wait > 0) {
+            this.stats[direction + "Throttled"]++;
+            this.stats[direction + "ThrottledMs"] += wait;
+            rateLimitHits.inc({ limit: direction, scope: this.scope });
+            await sleep(wait);
+        }
+    }
+
+    /**
+     * wait until 'bytes' can be sent from client to target
+     * @param {*} bytes bytes count
+     */
+    async throttleUp(bytes) {
+        await this.throttle(this.up, "up", bytes);
+    }
+
+    /**
+     * wait until 'bytes' can be sent from target to client
+     * @param {*} bytes bytes count
+     */
+    async throttleDown(bytes) {
+        await this.throttle(this.down, "down", bytes);
+    }
+
+    /**
+     * check if a new request can be admitted
+     * @param {*} concurrent how many requests are active in this scope
+     * @returns true if admitted
+     */
+    admitRequest(concurrent) {
+        if (this.maxRequests && concurrent >= this.maxRequests) {
+            this.stats.requestsOverConcurrency++;
+            rateLimitHits.inc({ limit: "concurrency", scope: this.scope });
+            return false;
+        }
+
+        if (this.requests != null && !this.requests.tryTake()) {
+            this.stats.requestsRateLimited++;
+            rateLimitHits.inc({ limit: "requests", scope: this.scope });
+            return false;
+        }
+
+        return true;
+    }
+}
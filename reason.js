@@ -0,0 +1,93 @@
+// reason codes sent to client when server closes a request,
+// 1 byte, appended to the CMD_ReqServerClosed frame.
+// error codes of CMD_ReqError share the same space
+
+// normal close, e.g. target has closed the connection
+export const REASON_NONE = 0;
+// target address is denied by access-control policy
+export const REASON_POLICY_DENIED = 1;
+// request has been closed by admin api
+export const REASON_ADMIN_CLOSED = 2;
+// identity has reached its daily or monthly data cap
+export const REASON_QUOTA_EXCEEDED = 3;
+// request rate or concurrent requests limit has been hit
+export const REASON_RATE_LIMITED = 4;
+// target domain name can't be resolved
+export const REASON_DNS_FAILED = 5;
+// target has refused the connection
+export const REASON_CONNECT_REFUSED = 6;
+// connecting to target has timed out
+export const REASON_CONNECT_TIMEOUT = 7;
+// other connect failures, e.g. network unreachable
+export const REASON_CONNECT_FAILED = 8;
+// request slot index is out of range or still in use
+export const REASON_SLOT_BUSY = 9;
+// target address is malformed or its type is unsupported
+export const REASON_BAD_ADDRESS = 10;
+// no data in either direction for too long
+export const REASON_IDLE_TIMEOUT = 11;
+// request has reached its maximum lifetime
+export const REASON_LIFETIME_EXCEEDED = 12;
+// upstream proxy can't be reached, or refuses to serve us
+export const REASON_UPSTREAM_FAILED = 13;
+// TLS with target has failed, or TLS is not available for the request
+export const REASON_TLS_FAILED = 14;
+
+const REASON_NAMES = {
+    [REASON_NONE]: "none",
+    [REASON_POLICY_DENIED]: "policy-denied",
+    [REASON_ADMIN_CLOSED]: "admin-closed",
+    [REASON_QUOTA_EXCEEDED]: "quota-exceeded",
+    [REASON_RATE_LIMITED]: "rate-limited",
+    [REASON_DNS_FAILED]: "dns-failed",
+    [REASON_CONNECT_REFUSED]: "connect-refused",
+    [REASON_CONNECT_TIMEOUT]: "connect-timeout",
+    [REASON_CONNECT_FAILED]: "connect-failed",
+    [REASON_SLOT_BUSY]: "slot-busy",
+    [REASON_BAD_ADDRESS]: "bad-address",
+    [REASON_IDLE_TIMEOUT]: "idle-timeout",
+    [REASON_LIFETIME_EXCEEDED]: "lifetime-exceeded",
+    [REASON_UPSTREAM_FAILED]: "upstream-failed",
+    [REASON_TLS_FAILED]: "tls-failed",
+};
+
+/**
+ * get readable name of a reason code
+ * @param {*} reason reason code
+ * @returns name string
+ */
+export function reasonName(reason) {
+    return REASON_NAMES[reason] || "unknown";
+}
+
+/**
+ * map a connect exception to a reason code,
+ * runtime errors carry no code, so it goes by message
+ * @param {*} err exception of socket's opened promise
+ * @returns reason code
+ */
+export function connectErrorReason(err) {
+    if (err && typeof err.reason == "number") {
+        // ConnectError of connector.js knows its reason
+        return err.reason;
+    }
+
+    let message = String(err && err.message || err);
+    if (/dns|lookup|resolv|name not known|ENOTFOUND/i.test(message)) {
+        return REASON_DNS_FAILED;
+    }
+
+    if (/tls|ssl|certificate|handshake/i.test(message)) {
+        return REASON_TLS_FAILED;
+    }
+
+    if (/refused|ECONNREFUSED/i.test(message)) {
+        return REASON_CONNECT_REFUSED;
+    }
+
+    if (/timed? ?out|ETIMEDOUT/i.test(message)) {
+        return REASON_CONNECT_TIMEOUT;
+    }
+
+    return REASON_CONNECT_FAILED;
+}
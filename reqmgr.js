@@ -1,19 +1,67 @@
 import { Request } from "./request.js";
-import { Socketb } from "./socketb.js";
+import { requestsAllocated, requestAllocFailures } from "./metrics.js";
 
 /**
  * ReqMgr class:
- * manage all requests belong to a tunnel object
+ * manage all requests belong to a tunnel object.
+ * request objects are built on demand up to cap, slots a client never uses cost nothing.
+ * slots are picked by client with alloc(), or handed out by server with assign()
+ * if the tunnel has agreed on server-assigned slots
  */
 export class ReqMgr {
     constructor(cap, tunnel) {
         this.cap = cap;
         this.tunnel = tunnel;
+        // idx => request object, sparse if client picks indices
         this.reqq = [];
-        for (let i = 0; i < this.cap; i++) {
-            // NOTE: use 'i' as tag, but it can use any value instead
-            let req = new Request(i, tunnel);
-            this.reqq.push(req);
+        // server-assigned slots: indexes of free slots, least recently freed first
+        this.serverAssigned = false;
+        this.freeList = [];
+        // tag of next assigned request, shared by all slots
+        this.nextTag = 0;
+    }
+
+    /**
+     * get the request object of a slot, build it on first use
+     * @param {*} idx slot index, less than cap
+     * @returns request object
+     */
+    slot(idx) {
+        let req = this.reqq[idx];
+        if (req === undefined) {
+            // NOTE: use 'idx' as tag, but it can use any value instead
+            req = new Request(idx, idx, this.tunnel);
+            this.reqq[idx] = req;
+        }
+
+        return req;
+    }
+
+    /**
+     * @returns how many request objects have been built
+     */
+    slotCount() {
+        return this.reqq.filter((req) => req !== undefined).length;
+    }
+
+    /**
+     * switch between slots picked by client and slots assigned by server,
+     * in-used requests keep their slots
+     * @param {*} enabled true if server assigns slots
+     */
+    setServerAssigned(enabled) {
+        this.serverAssigned = enabled;
+        this.freeList = [];
+        if (!enabled) {
+            return;
+        }
+
+        // slots client has skipped are free too, assign() grows the table only if none is left
+        for (let idx = 0; idx < this.reqq.length; idx++) {
+            let req = this.reqq[idx];
+            if (req === undefined || !req.inUsed) {
+                this.freeList.push(idx);
+            }
         }
     }
 
@@ -27,17 +75,61 @@ export class ReqMgr {
     alloc(idx, tag) {
         if (idx >= this.cap || idx < 0) {
             console.log("reqmgr.alloc idx exceed cap, idx:", idx, ", cap:", this.cap);
+            requestAllocFailures.inc({ reason: "bad-index" });
             return null;
         }
 
-        let req = this.reqq[idx];
+        let req = this.slot(idx);
         if (req.inUsed) {
             console.log("reqmgr.alloc request is in used, idx:", idx);
+            requestAllocFailures.inc({ reason: "busy" });
             return null;
         }
 
+        return this.use(req, tag);
+    }
+
+    /**
+     * Assign a free slot and a new tag to a request, for server-assigned slots.
+     * a freed slot goes to the end of the free list and every assignment takes the next tag,
+     * so (idx, tag) of a closed request comes back only after 65536 more requests
+     * @returns request object, or null if all slots are in used
+     */
+    assign() {
+        let req = null;
+        while (this.freeList.length > 0 && req == null) {
+            let candidate = this.slot(this.freeList.shift());
+            if (!candidate.inUsed) {
+                req = candidate;
+            }
+        }
+
+        if (req == null) {
+            if (this.reqq.length >= this.cap) {
+                console.log("reqmgr.assign no free slot, cap:", this.cap);
+                requestAllocFailures.inc({ reason: "full" });
+                return null;
+            }
+            req = this.slot(this.reqq.length);
+        }
+
+        let tag = this.nextTag;
+        this.nextTag = (tag + 1) & 0xffff;
+        return this.use(req, tag);
+    }
+
+    /**
+     * mark a request object in used
+     * @param {*} req request object
+     * @param {*} tag tag of the new request
+     * @returns request object
+     */
+    use(req, tag) {
         req.tag = tag
-        req.isUsed = true
+        req.inUsed = true
+        // windows depend on capabilities agreed after the request object was built
+        req.resetQuota()
+        requestsAllocated.inc();
 
         return req;
     }
@@ -55,7 +147,7 @@ export class ReqMgr {
         }
 
         let req = this.reqq[idx];
-        if (!req.isUsed) {
+        if (req === undefined || !req.inUsed) {
             console.log("reqmgr.free request is not in used, idx:", idx);
             return;
         }
@@ -70,7 +162,10 @@ export class ReqMgr {
 
         // reset tag
         req.tag++
-        req.isUsed = false
+        req.inUsed = false
+        if (this.serverAssigned) {
+            this.freeList.push(idx);
+        }
     }
 
     /**
@@ -86,7 +181,7 @@ export class ReqMgr {
         }
 
         let req = this.reqq[idx];
-        if (!req.isUsed) {
+        if (req === undefined || !req.inUsed) {
             console.log("reqmgr.get request is not in used, idx:", idx);
             return null;
         }
@@ -99,15 +194,28 @@ export class ReqMgr {
         return req;
     }
 
+    /**
+     * @returns how many request objects are in used
+     */
+    inUsedCount() {
+        return this.reqq.filter((req) => req.inUsed).length;
+    }
+
+    /**
+     * @returns request objects that are in used
+     */
+    inUsedRequests() {
+        return this.reqq.filter((req) => req.inUsed);
+    }
+
     /**
      * free all request objects.
      */
     cleanup() {
-        for (let i = 0; i < this.cap; i++) {
-            let req = this.reqq[i];
+        this.reqq.forEach((req) => {
             if (req.inUsed) {
                 req.free();
             }
-        }
+        });
     }
 }
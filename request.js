@@ -1,16 +1,133 @@
 import { Socketb } from "./socketb.js";
+import { Datagramb } from "./datagramb.js";
+import { Fetchb } from "./fetchb.js";
+import {
+    REASON_NONE, REASON_IDLE_TIMEOUT, REASON_LIFETIME_EXCEEDED, REASON_TLS_FAILED, connectErrorReason,
+} from "./reason.js";
+import { bytesTotal, compressionBytes } from "./metrics.js";
+import { PayloadCompressor, Sequencer, inflate } from "./compress.js";
+import {
+    CAP_HALF_CLOSE, CAP_SESSION, TRANSPORT_TCP, TRANSPORT_UDP, TLS_OFF, TLS_ON, TLS_STARTTLS, COMPRESSION_DEFLATE,
+} from "./codec.js";
+
+// initial window of each direction, in bytes.
+// client can send at most this much data before server refresh its quota,
+// and server can send at most this much data before client refresh server's quota
+export const REQ_WINDOW = 256 * 1024;
+// refresh client's quota when this much data has been drained to target
+const REQ_REFRESH_THRESHOLD = REQ_WINDOW / 4;
+
+// secureTransport option of connect() for each TLS mode
+const SECURE_TRANSPORTS = {
+    [TLS_OFF]: "off",
+    [TLS_ON]: "on",
+    [TLS_STARTTLS]: "starttls",
+};
 
 /**
  * Request class:
  * hold a tcp/udp socket object, and manage its lifecycle
  */
 export class Request {
-    constructor(tag, tunnel) {
+    /**
+     * new a Request object
+     * @param {*} idx request object's index in request manager
+     * @param {*} tag request object's tag
+     * @param {*} tunnel tunnel that the request belongs to
+     */
+    constructor(idx, tag, tunnel) {
+        this.idx = idx;
         this.tag = tag;
         this.tunnel = tunnel;
         this.inUsed = false;
+        this.transport = TRANSPORT_TCP;
+        // TLS mode with target, see codec.js
+        this.tls = TLS_OFF;
+        // request is executed by fetch() instead of a socket
+        this.fetching = false;
+        // response head of fetch request, resent after tunnel resumed
+        this.responseHead = null;
 
+        // Socketb for tcp, Datagramb for udp
         this.socketb = null;
+        // target address of current proxy
+        this.target = null;
+        // address the socket has connected to, one of the candidates if they were raced
+        this.connectedTo = null;
+        this.createdAt = 0;
+        // last time data flowed in either direction
+        this.lastActivate = 0;
+        // bytes from client to target
+        this.bytesUp = 0;
+        // bytes from target to client
+        this.bytesDown = 0;
+        // data, finish and STARTTLS of client wait here while deflated data before them is inflating
+        this.inbound = new Sequencer();
+        this.resetCompression();
+        this.resetQuota();
+        this.resetHalfClose();
+        this.resetSession();
+    }
+
+    /**
+     * reset sequence state used by session resumption
+     */
+    resetSession() {
+        // bytes received from client
+        this.recvUp = 0;
+        // bytes sent to client, and bytes client has acknowledged by quota refresh
+        this.sentDown = 0;
+        this.ackedDown = 0;
+        // data sent to client but not acknowledged yet: [{ offset, data }],
+        // it's bounded by client's window, and retransmitted after resumed
+        this.unacked = [];
+        // tunnel has been resumed, waiting for client's CMD_ReqResume
+        this.resuming = false;
+        // server side has closed while parked, reason is sent after resumed
+        this.pendingClose = null;
+    }
+
+    /**
+     * reset compression state
+     */
+    resetCompression() {
+        // client has asked to compress data sent to it by CMD_ReqCompression
+        this.compressing = false;
+        // compressor of data sent to client, it keeps stats after compression is turned off
+        this.compressor = null;
+        // deflated data from client: bytes after inflating, and bytes received
+        this.inflatedUp = { rawBytes: 0, wireBytes: 0 };
+        // drop client's frames still waiting for inflated data
+        this.inbound.reset();
+    }
+
+    /**
+     * reset half close state
+     */
+    resetHalfClose() {
+        // client has sent FIN, and we have forwarded it to target
+        this.clientFinished = false;
+        // our writable side to target has been closed
+        this.writeDone = false;
+        // target has sent FIN, and we have forwarded it to client
+        this.readDone = false;
+        // close has been started by server side
+        this.closing = false;
+    }
+
+    /**
+     * reset flow control state to initial windows
+     */
+    resetQuota() {
+        // windows are unlimited if client has not agreed on flow control
+        let window = this.tunnel.requestWindow() || Infinity;
+        // how many bytes we can send to client
+        this.sendQuota = window;
+        // how many bytes client can send to us
+        this.recvQuota = window;
+        // how many bytes have been written to target but not refresh to client yet
+        this.drained = 0;
+        this.wakeQuotaWaiter();
     }
 
     free() {
@@ -18,17 +135,101 @@ export class Request {
             this.socketb.close();
             this.socketb = null;
         }
+
+        this.transport = TRANSPORT_TCP;
+        this.tls = TLS_OFF;
+        this.fetching = false;
+        this.responseHead = null;
+        this.target = null;
+        this.connectedTo = null;
+        this.bytesUp = 0;
+        this.bytesDown = 0;
+        this.resetCompression();
+        this.resetQuota();
+        this.resetHalfClose();
+        this.resetSession();
+    }
+
+    /**
+     * handle CMD_ReqCompression from client
+     * @param {*} mode COMPRESSION_OFF or COMPRESSION_DEFLATE
+     */
+    setCompression(mode) {
+        this.compressing = mode == COMPRESSION_DEFLATE;
+        if (this.compressing && this.compressor == null) {
+            this.compressor = new PayloadCompressor();
+        }
     }
 
     /**
-     * handle data from client side
-     * @param {*} databuf data body
-     * @param {*} offset offset of the data buffer
+     * @returns compression stats of both directions, or null if neither is compressed
      */
-    onClientData(databuf, offset) {
+    compressionStats() {
+        if (this.compressor == null && this.inflatedUp.wireBytes == 0) {
+            return null;
+        }
+
+        let ratio = (stats) => stats.rawBytes > 0 ? stats.wireBytes / stats.rawBytes : 1;
+        let down = this.compressor ? this.compressor.stats : { rawBytes: 0, wireBytes: 0, bypassed: 0 };
+        return {
+            compressing: this.compressing,
+            down: Object.assign({ ratio: ratio(down) }, down),
+            up: Object.assign({ ratio: ratio(this.inflatedUp) }, this.inflatedUp),
+        };
+    }
+
+    /**
+     * handle data from client side,
+     * for udp request, the data is exactly one datagram
+     * @param {*} data data body
+     */
+    onClientData(data) {
+        this.inbound.push(null, () => this.writeClientData(data));
+    }
+
+    /**
+     * handle CMD_ReqDataDeflated from client, data is written after it has been inflated
+     * @param {*} data deflated data body
+     */
+    onClientDeflatedData(data) {
+        // a frame never carries more than a window
+        let maxBytes = Math.min(this.recvQuota, REQ_WINDOW);
+        this.inbound.push(inflate(data, maxBytes), (inflated) => {
+            this.inflatedUp.rawBytes += inflated.length;
+            this.inflatedUp.wireBytes += data.length;
+            compressionBytes.inc({ direction: "up", kind: "raw" }, inflated.length);
+            compressionBytes.inc({ direction: "up", kind: "wire" }, data.length);
+            this.writeClientData(inflated);
+        }, (err) => {
+            console.log("Request.onClientDeflatedData bad deflated data, idx:", this.idx, ", err:", err.message);
+            this.onServerClosed();
+        });
+    }
+
+    /**
+     * write client's data to target
+     * @param {*} data data body
+     */
+    writeClientData(data) {
+        if (this.clientFinished) {
+            console.log("Request.writeClientData data after client finished, idx:", this.idx);
+            return;
+        }
+
         if (this.socketb != null) {
-            let end = databuf.length;
-            let data = databuf.slice(offset, end);
+            if (data.length > this.recvQuota) {
+                console.log("Request.writeClientData client exceed quota, idx:", this.idx,
+                    ", quota:", this.recvQuota, ", len:", data.length);
+                this.onServerClosed();
+                return;
+            }
+
+            this.lastActivate = Date.now();
+            this.recvUp += data.length;
+            this.bytesUp += data.length;
+            this.tunnel.countBytesUp(data.length);
+            bytesTotal.inc({ direction: "up" }, data.length);
+            this.recvQuota -= data.length;
             this.socketb.write(data);
         }
     }
@@ -38,56 +239,469 @@ export class Request {
      * we need to half close the socket object.
      */
     onClientFinished() {
+        this.inbound.push(null, () => this.finishClient());
+    }
+
+    finishClient() {
+        if (this.clientFinished) {
+            return;
+        }
+
+        this.clientFinished = true;
         if (this.socketb != null) {
             this.socketb.shutdownWrite();
         }
     }
 
+    /**
+     * handle CMD_ReqStartTls from client: upgrade connection to TLS after
+     * data received so far has been written to target
+     */
+    onClientStartTls() {
+        this.inbound.push(null, () => this.startTlsClient());
+    }
+
+    startTlsClient() {
+        if (this.socketb == null || this.closing) {
+            return;
+        }
+
+        if (this.tls != TLS_STARTTLS || !this.socketb.startTls()) {
+            console.log("Request.startTlsClient STARTTLS is not available, idx:", this.idx);
+            this.closing = true;
+            this.tunnel.onReqServerError(this, REASON_TLS_FAILED);
+        }
+    }
+
+    /**
+     * client has consumed our data, and grant us more quota
+     * @param {*} quota how many bytes we can send additionally
+     */
+    onQuotaRefreshed(quota) {
+        this.sendQuota += quota;
+        // client refreshes quota only for data it has received
+        this.ackUnacked(this.ackedDown + quota);
+        this.wakeQuotaWaiter();
+    }
+
+    /**
+     * drop unacknowledged data before offset
+     * @param {*} offset bytes count client has received
+     */
+    ackUnacked(offset) {
+        if (offset <= this.ackedDown) {
+            return;
+        }
+
+        this.ackedDown = offset;
+        while (this.unacked.length > 0) {
+            let piece = this.unacked[0];
+            if (piece.offset + piece.data.length > offset) {
+                break;
+            }
+            this.unacked.shift();
+        }
+    }
+
+    /**
+     * tunnel has been resumed, hold new data until client's CMD_ReqResume
+     */
+    startResume() {
+        this.resuming = true;
+    }
+
+    /**
+     * client has resumed this request, retransmit data it has not received,
+     * then continue the request
+     * @param {*} received bytes count client has received
+     */
+    async onClientResume(received) {
+        if (!this.resuming) {
+            return;
+        }
+
+        // client may close this request while we retransmit, and reuse the slot with another tag
+        let tag = this.tag;
+        let freed = () => !this.inUsed || this.tag != tag;
+        if (this.responseHead != null) {
+            // client may have lost it, and ignores it if not
+            await this.tunnel.onReqServerResponse(this, this.responseHead);
+        }
+
+        if (!this.isDatagram()) {
+            this.ackUnacked(received);
+            for (const piece of this.unacked) {
+                if (freed()) {
+                    return;
+                }
+                let skip = Math.max(0, received - piece.offset);
+                if (skip < piece.data.length) {
+                    await this.tunnel.onReqServerData(this, piece.data.subarray(skip));
+                }
+            }
+        }
+
+        if (freed()) {
+            return;
+        }
+
+        if (this.readDone) {
+            await this.tunnel.onReqServerFinished(this);
+            if (freed()) {
+                return;
+            }
+        }
+
+        this.resuming = false;
+        if (this.pendingClose != null) {
+            this.tunnel.onReqServerClosed(this, this.pendingClose);
+            return;
+        }
+
+        this.wakeQuotaWaiter();
+    }
+
+    /**
+     * server side has closed while tunnel is parked or resuming,
+     * stop the socket but keep the request until client has received all data
+     * @param {*} reason reason code, see reason.js
+     */
+    deferClose(reason) {
+        this.pendingClose = reason;
+        if (this.socketb != null) {
+            this.socketb.close();
+        }
+    }
+
+    wakeQuotaWaiter() {
+        let waiter = this.quotaWaiter;
+        this.quotaWaiter = null;
+        if (waiter) {
+            waiter();
+        }
+    }
+
+    /**
+     * wait until we have quota to send data to client,
+     * and the request is not being resumed
+     */
+    async waitSendQuota() {
+        while (this.sendQuota <= 0 || this.resuming) {
+            await new Promise((resolve) => {
+                this.quotaWaiter = resolve;
+            });
+        }
+    }
+
+    isDatagram() {
+        return this.transport == TRANSPORT_UDP;
+    }
+
     /**
      * create a socket and connect to addr, start the proxy-progress
      * @param {*} toAddr target address
+     * @param {*} transport TRANSPORT_TCP or TRANSPORT_UDP
+     * @param {*} tls TLS mode of tcp request, TLS_OFF, TLS_ON or TLS_STARTTLS
+     * @param {*} candidates more addresses of a tcp target, raced with toAddr
      * @returns none
      */
-    proxy(toAddr) {
+    proxy(toAddr, transport = TRANSPORT_TCP, tls = TLS_OFF, candidates = []) {
         if (this.socketb != null) {
             console.log("Request.proxy failed: request already in proxying");
             return;
         }
 
-        let thisObj = this;
+        this.transport = transport;
+        this.tls = tls;
+        this.target = toAddr;
+        this.createdAt = Date.now();
+        this.lastActivate = this.createdAt;
+
+        let evtCallback = this.makeEvtCallback();
+        let options = {
+            throttle: (bytes) => this.tunnel.throttleUp(bytes),
+            connectTimeout: this.tunnel.timeouts.connect,
+            // tcp connections may go through an upstream proxy
+            connector: this.tunnel.requestConnector(),
+            secureTransport: SECURE_TRANSPORTS[tls],
+            candidates: candidates,
+            attemptDelay: this.tunnel.eyeballs.attemptDelay,
+            idleTimeout: this.tunnel.timeouts.udpIdle,
+        };
+
+        if (this.isDatagram()) {
+            this.socketb = new Datagramb(toAddr, evtCallback, options);
+        } else {
+            this.socketb = new Socketb(toAddr, evtCallback, options);
+        }
+    }
+
+    /**
+     * execute a http request by fetch(), response is streamed back like socket data
+     * @param {*} request { method, url, headers, hasBody }, see CMD_ReqFetch
+     * @param {*} check async function called before fetch, throws ConnectError if target is denied
+     * @returns none
+     */
+    fetch(request, check = null) {
+        if (this.socketb != null) {
+            console.log("Request.fetch failed: request already in proxying");
+            return;
+        }
+
+        this.fetching = true;
+        this.target = request.method + " " + request.url;
+        this.createdAt = Date.now();
+        this.lastActivate = this.createdAt;
+
+        this.socketb = new Fetchb(request, this.makeEvtCallback(), {
+            throttle: (bytes) => this.tunnel.throttleUp(bytes),
+            connectTimeout: this.tunnel.timeouts.connect,
+            check: check,
+        });
+    }
 
-        let socketb = new Socketb(toAddr, async (sock, eventObj) => {
+    /**
+     * @returns callback function of socket events
+     */
+    makeEvtCallback() {
+        let thisObj = this;
+        return async (sock, eventObj) => {
             if (sock !== thisObj.socketb) {
                 return;
             }
 
             switch (eventObj.event) {
+                case "connected":
+                    thisObj.onServerConnected(eventObj.address);
+                    break;
                 case "data":
-                    thisObj.onServerData(eventObj.data);
+                    // wait here to pause socket's read loop when client's window is exhausted
+                    await thisObj.onServerData(eventObj.data);
+                    break;
+                case "drain":
+                    thisObj.onServerDrain(eventObj.bytes);
+                    break;
+                case "finish":
+                    thisObj.onServerFinished();
+                    break;
+                case "shutdown":
+                    thisObj.onServerShutdown();
                     break;
                 case "closed":
                     thisObj.onServerClosed();
                     break;
+                case "error":
+                    thisObj.onServerError(eventObj.reason);
+                    break;
+                case "response":
+                    await thisObj.onServerResponse(eventObj);
+                    break;
                 default:
                     break;
             }
-        });
+        };
+    }
+
+    /**
+     * our socket has connected to target
+     * @param {*} address "host:port" the socket has connected to
+     */
+    onServerConnected(address) {
+        if (this.isDatagram()) {
+            // udp association has nothing to report
+            return;
+        }
+
+        this.connectedTo = address;
+        if (address != this.target) {
+            console.log("Request connected, target:", this.target, ", address:", address, ", idx:", this.idx);
+        }
+        this.tunnel.onReqServerConnected(this, address);
+    }
 
-        this.socketb = socketb;
+    /**
+     * handle response head of fetch request, it's sent before response body
+     * @param {*} head { status, statusText, headers }
+     */
+    async onServerResponse(head) {
+        this.lastActivate = Date.now();
+        this.responseHead = {
+            status: head.status,
+            statusText: head.statusText,
+            headers: head.headers,
+        };
+        await this.tunnel.onReqServerResponse(this, this.responseHead);
     }
 
     /**
      * handle our socket's data event.
+     * data is split by our send quota, and wait for quota refresh if exhausted
      * @param {*} data data body
      */
-    onServerData(data) {
-        this.tunnel.onReqServerData(this, data);
+    async onServerData(data) {
+        this.lastActivate = Date.now();
+        if (this.isDatagram()) {
+            await this.onServerDatagram(data);
+            return;
+        }
+
+        let socketb = this.socketb;
+        let offset = 0;
+        while (offset < data.length) {
+            await this.waitSendQuota();
+            if (socketb !== this.socketb) {
+                // request has been free while waiting
+                return;
+            }
+
+            let len = Math.min(this.sendQuota, data.length - offset);
+            let piece = data.subarray(offset, offset + len);
+            this.sendQuota -= len;
+            this.countDown(len);
+            if (this.tunnel.hasCap(CAP_SESSION)) {
+                // keep it until client acknowledges, it may be lost if tunnel drops
+                this.unacked.push({ offset: this.sentDown, data: piece });
+            }
+            this.sentDown += len;
+            await this.tunnel.onReqServerData(this, piece);
+            offset += len;
+        }
+    }
+
+    countDown(bytes) {
+        this.bytesDown += bytes;
+        this.tunnel.countBytesDown(bytes);
+        bytesTotal.inc({ direction: "down" }, bytes);
+    }
+
+    /**
+     * handle our datagram socket's data event.
+     * a datagram is never split, it is dropped if client's window is exhausted
+     * @param {*} datagram datagram body
+     */
+    async onServerDatagram(datagram) {
+        if (datagram.length > this.sendQuota) {
+            console.log("Request.onServerDatagram drop datagram, idx:", this.idx,
+                ", quota:", this.sendQuota, ", len:", datagram.length);
+            return;
+        }
+
+        this.sendQuota -= datagram.length;
+        this.countDown(datagram.length);
+        await this.tunnel.onReqServerData(this, datagram);
+    }
+
+    /**
+     * some data has been written to target, refresh client's quota
+     * if enough data has been drained
+     * @param {*} bytes bytes have been written
+     */
+    onServerDrain(bytes) {
+        this.drained += bytes;
+        if (this.recvQuota === Infinity) {
+            // no flow control
+            return;
+        }
+
+        if (this.drained >= REQ_REFRESH_THRESHOLD) {
+            let quota = this.drained;
+            this.drained = 0;
+            this.recvQuota += quota;
+            this.tunnel.sendQuotaRefresh(this, quota);
+        }
+    }
+
+    /**
+     * handle our socket's 'finish' event: target has sent FIN,
+     * forward it to client, but keep the other direction flowing
+     */
+    onServerFinished() {
+        if (this.fetching) {
+            // response body is complete, fetch request is done
+            this.onServerClosed();
+            return;
+        }
+
+        if (!this.tunnel.hasCap(CAP_HALF_CLOSE)) {
+            // client can't handle half close, close the request instead
+            this.onServerClosed();
+            return;
+        }
+
+        this.readDone = true;
+        this.tunnel.onReqServerFinished(this);
+        this.checkBothDone();
+    }
+
+    /**
+     * handle our socket's 'shutdown' event: our writable side has been closed
+     */
+    onServerShutdown() {
+        this.writeDone = true;
+        this.checkBothDone();
+    }
+
+    /**
+     * free request only when both directions are done
+     */
+    checkBothDone() {
+        if (this.readDone && this.writeDone) {
+            this.onServerClosed();
+        }
     }
 
     /**
      * handle our socket's close event.
      */
     onServerClosed() {
-        this.tunnel.onReqServerClosed(this);
+        this.closeByServer(REASON_NONE);
+    }
+
+    /**
+     * check idle and lifetime timeouts
+     * @param {*} now current time
+     * @param {*} timeouts timeouts of the tunnel
+     * @returns reason code if the request has expired, otherwise REASON_NONE
+     */
+    expiredReason(now, timeouts) {
+        if (this.socketb == null || this.closing) {
+            return REASON_NONE;
+        }
+
+        if (timeouts.lifetime > 0 && now - this.createdAt > timeouts.lifetime) {
+            return REASON_LIFETIME_EXCEEDED;
+        }
+
+        if (timeouts.idle > 0 && now - this.lastActivate > timeouts.idle) {
+            return REASON_IDLE_TIMEOUT;
+        }
+
+        return REASON_NONE;
+    }
+
+    /**
+     * handle our socket's error event: connecting to target has failed
+     * @param {*} err exception of connecting
+     */
+    onServerError(err) {
+        if (this.closing) {
+            return;
+        }
+
+        this.closing = true;
+        this.tunnel.onReqServerError(this, connectErrorReason(err));
+    }
+
+    /**
+     * close the request from server side, client will be notified with reason
+     * @param {*} reason reason code, see reason.js
+     */
+    closeByServer(reason) {
+        if (this.closing) {
+            return;
+        }
+
+        this.closing = true;
+        this.tunnel.onReqServerClosed(this, reason);
     }
 }
@@ -0,0 +1,175 @@
+import { CMD_ReqRefreshQuota, CMD_ReqAssigned, PRIORITY_DEFAULT, isRequestCmd } from "./codec.js";
+
+// bytes a request may send per round for each unit of its weight,
+// a request of default weight sends 16KB before the next one's turn
+const QUANTUM_BYTES = 1024;
+
+// key of the queue that holds control frames
+const CONTROL_QUEUE = -1;
+
+/**
+ * queue of an encoded frame: request frames are queued by their slot index, so that
+ * a request's data, finish and close keep their order. Tunnel level frames, quota
+ * refreshes and slot assignments, which don't depend on data order, are control frames.
+ * an assignment goes ahead of its request's frames anyway, a refusal has no slot at all
+ * @param {*} buf encoded frame
+ * @returns slot index, or CONTROL_QUEUE
+ */
+function queueOf(buf) {
+    let cmd = buf[0];
+    if (!isRequestCmd(cmd) || cmd == CMD_ReqRefreshQuota || cmd == CMD_ReqAssigned) {
+        return CONTROL_QUEUE;
+    }
+
+    return buf[1] | (buf[2] << 8);
+}
+
+/**
+ * SendScheduler class:
+ * order frames waiting to be sent over a tunnel. Control frames always go first,
+ * requests share the rest by deficit round robin weighted by their priority, so that
+ * a bulk download can't starve interactive requests. Frames of one request keep their order.
+ */
+export class SendScheduler {
+    constructor() {
+        this.control = [];
+        // slot index => { idx, items, bytes, deficit }, only queues that have frames
+        this.queues = new Map();
+        // round robin order of slot indexes in 'queues', head has the turn
+        this.active = [];
+        // slot index => weight, requests not here have PRIORITY_DEFAULT
+        this.weights = new Map();
+        this.size = 0;
+    }
+
+    /**
+     * set share of a request, it takes effect from its next turn
+     * @param {*} idx slot index
+     * @param {*} weight 1-255, PRIORITY_DEFAULT resets it
+     */
+    setWeight(idx, weight) {
+        if (weight == PRIORITY_DEFAULT) {
+            this.weights.delete(idx);
+        } else {
+            this.weights.set(idx, weight);
+        }
+    }
+
+    weightOf(idx) {
+        return this.weights.get(idx) ?? PRIORITY_DEFAULT;
+    }
+
+    /**
+     * queue an item
+     * @param {*} item object with 'buf', the encoded frame
+     */
+    push(item) {
+        this.size++;
+        let idx = queueOf(item.buf);
+        if (idx == CONTROL_QUEUE) {
+            this.control.push(item);
+            return;
+        }
+
+        let queue = this.queues.get(idx);
+        if (queue === undefined) {
+            // a new queue starts with a full quantum, at the end of the round
+            queue = { idx: idx, items: [], bytes: 0, deficit: QUANTUM_BYTES * this.weightOf(idx) };
+            this.queues.set(idx, queue);
+            this.active.push(idx);
+        }
+        queue.items.push(item);
+        queue.bytes += item.buf.length;
+    }
+
+    /**
+     * take the item to send next
+     * @returns item, or null if nothing is waiting
+     */
+    shift() {
+        let control = this.shiftControl();
+        if (control != null) {
+            return control;
+        }
+
+        while (this.active.length > 0) {
+            let queue = this.queues.get(this.active[0]);
+            let item = queue.items[0];
+            if (queue.deficit < item.buf.length) {
+                // turn is over, credit for its next turn
+                queue.deficit += QUANTUM_BYTES * this.weightOf(queue.idx);
+                this.active.push(this.active.shift());
+                continue;
+            }
+
+            queue.deficit -= item.buf.length;
+            queue.bytes -= item.buf.length;
+            queue.items.shift();
+            if (queue.items.length == 0) {
+                // idle requests don't save credit
+                this.queues.delete(queue.idx);
+                this.active.shift();
+            }
+
+            this.size--;
+            return item;
+        }
+
+        return null;
+    }
+
+    /**
+     * take the next control frame only, e.g. while request data waits for bandwidth
+     * @returns item, or null if no control frame is waiting
+     */
+    shiftControl() {
+        if (this.control.length == 0) {
+            return null;
+        }
+
+        this.size--;
+        return this.control.shift();
+    }
+
+    /**
+     * remove all items
+     * @returns items removed, control ones first
+     */
+    drain() {
+        let items = this.control;
+        for (const idx of this.active) {
+            items = items.concat(this.queues.get(idx).items);
+        }
+
+        this.control = [];
+        this.queues.clear();
+        this.active = [];
+        this.size = 0;
+        return items;
+    }
+
+    /**
+     * depth of queues, for tuning
+     * @returns { control, requests: [{ idx, frames, bytes, weight }, ...] }
+     */
+    stats() {
+        return {
+            control: this.control.length,
+            requests: this.active.map((idx) => {
+                let queue = this.queues.get(idx);
+                return { idx: idx, frames: queue.items.length, bytes: queue.bytes, weight: this.weightOf(idx) };
+            }),
+        };
+    }
+
+    /**
+     * @returns frames in the deepest request queue
+     */
+    maxDepth() {
+        let depth = 0;
+        for (const queue of this.queues.values()) {
+            depth = Math.max(depth, queue.items.length);
+        }
+        return depth;
+    }
+}
@@ -1,4 +1,15 @@
-import { connect } from 'cloudflare:sockets';
+import { DirectConnector, ConnectError, raceConnect } from "./connector.js";
+import { REASON_TLS_FAILED } from "./reason.js";
+import { connectLatency, connectFailures } from "./metrics.js";
+
+// used when owner doesn't provide a connector
+const directConnector = new DirectConnector();
+
+// default wait before racing next candidate address, in ms, see RFC 8305
+const DEFAULT_ATTEMPT_DELAY = 250;
+
+// marker in chunks2Send: upgrade to TLS after the chunks before it have been sent
+const STARTTLS_MARK = {};
 
 // socket is connecting to target address
 const STATE_CONNECTING = 0;
@@ -16,17 +27,59 @@ export class Socketb {
      * new a Socketb object
      * @param {*} address target address
      * @param {*} evtCallback events callback function
+     * @param {*} options {
+     *   throttle: async function(bytes), called before writing to target,
+     *   connectTimeout: give up connecting after this long, in ms, 0 means no timeout,
+     *   connector: connector or router of connector.js, default to connect directly,
+     *   secureTransport: "off", "on" or "starttls", see connect() of cloudflare:sockets,
+     *   candidates: more addresses of the target, raced with address in order,
+     *   attemptDelay: ms to wait before starting next candidate
+     * }
      */
-    constructor(address, evtCallback) {
-        // NOTE: we currently not support server side half close
-        // If we need that feature, pass { allowHalfOpen: true } to connect method
-        let sock = connect(address);
+    constructor(address, evtCallback, options = {}) {
         this.state = STATE_CONNECTING;
+        this.address = address;
+        this.connectStartedAt = Date.now();
         this.evtCallback = evtCallback;
-        this.sock = sock;
+        this.throttle = options.throttle || null;
+        this.sock = null;
+        // reader of current socket's readable side, released when upgrading to TLS
+        this.reader = null;
+        this.secureTransport = options.secureTransport || "off";
+        // startTls has been called
+        this.tlsStarted = false;
         this.chunks2Send = [];
         this.inSending = false;
-        this.setupSocket(sock);
+        // shutdownWrite has been called, close writable side after all chunks sent
+        this.writeShutdown = false;
+        // writable side has been closed
+        this.writeClosed = false;
+        this.connectTimer = null;
+
+        try {
+            // allow half open, so that target's EOF will not close our writable side,
+            // and we can shutdown our writable side while still reading
+            let connector = options.connector || directConnector;
+            let addresses = [address].concat(options.candidates || []);
+            this.sock = raceConnect(connector, addresses, {
+                allowHalfOpen: true,
+                secureTransport: this.secureTransport,
+            }, options.attemptDelay ?? DEFAULT_ATTEMPT_DELAY);
+        } catch (err) {
+            console.log("Socketb connect failed:", err);
+            // report error asynchronously, owner has not saved us yet
+            queueMicrotask(() => this.onError(err));
+            return;
+        }
+
+        this.setupSocket(this.sock);
+
+        if (options.connectTimeout > 0) {
+            this.connectTimer = setTimeout(() => {
+                this.connectTimer = null;
+                this.onConnectTimeout();
+            }, options.connectTimeout);
+        }
     }
 
     isConnected() {
@@ -42,49 +95,108 @@ export class Socketb {
     }
 
     /**
-     * listen to events of C++ socket
+     * listen to events of C++ socket,
+     * events of a socket that has been replaced by its TLS socket are ignored
      * @param {*} sock C++ socket object
      */
     setupSocket(sock) {
         let thisObj = this;
         sock.opened.then(
             (sockinfo) => {
+                if (sock !== thisObj.sock) {
+                    return;
+                }
+
+                if (thisObj.isConnected()) {
+                    console.log("Socketb TLS upgraded, sockinfo:", sockinfo);
+                    return;
+                }
+
                 console.log("Socketb socket opened, sockinfo:", sockinfo);
                 thisObj.onConnected();
             },
             (reason) => {
+                if (sock !== thisObj.sock) {
+                    return;
+                }
+
                 console.log("Socketb socket connect failed:", reason);
-                thisObj.onError();
+                if (thisObj.isConnected()) {
+                    // handshake of STARTTLS has failed
+                    thisObj.close();
+                    reason = new ConnectError("TLS upgrade failed: " + reason, REASON_TLS_FAILED);
+                }
+                thisObj.onError(reason);
             },
         );
 
         sock.closed.then(
             () => {
+                if (sock !== thisObj.sock) {
+                    return;
+                }
+
                 console.log("Socketb socket closed");
                 thisObj.onClosed();
             },
             (err) => {
+                if (sock !== thisObj.sock) {
+                    return;
+                }
+
                 console.log("Socketb socket closed error:", err);
                 thisObj.onClosed();
             },
         );
     }
 
+    stopConnectTimer() {
+        if (this.connectTimer != null) {
+            clearTimeout(this.connectTimer);
+            this.connectTimer = null;
+        }
+    }
+
+    onConnectTimeout() {
+        if (this.state != STATE_CONNECTING) {
+            return;
+        }
+
+        console.log("Socketb connect timed out");
+        this.close();
+        this.onError(new Error("connect timed out"));
+    }
+
     onConnected() {
+        this.stopConnectTimer();
+        if (this.isClosed()) {
+            // connected after timeout
+            return;
+        }
+
+        connectLatency.observe((Date.now() - this.connectStartedAt) / 1000);
         this.state = STATE_CONNECTTED;
-        this.evtCallback(this, { event: "connected" });
+        // racing sockets know which address has won
+        this.evtCallback(this, { event: "connected", address: this.sock.address || this.address });
         this.startReadLoop();
         this.startSendLoop();
     }
 
-    onError() {
-        this.evtCallback(this, { event: "error" });
+    onError(reason) {
+        this.stopConnectTimer();
+        if (this.isClosed()) {
+            return;
+        }
+
+        connectFailures.inc();
+        this.evtCallback(this, { event: "error", reason: reason });
         this.sock = null;
         this.chunks2Send = [];
         this.state = STATE_CLOSED;
     }
 
     onClosed() {
+        this.stopConnectTimer();
         this.state = STATE_CLOSED;
         this.sock = null;
         this.chunks2Send = [];
@@ -96,15 +208,26 @@ export class Socketb {
     }
 
     async readLoop() {
+        let sock = this.sock;
         try {
-            for await (const chunk of this.sock.readable) {
-                await this.evtCallback(this, { event: "data", data: chunk });
+            let reader = sock.readable.getReader();
+            this.reader = reader;
+            for (;;) {
+                let { value, done } = await reader.read();
+                if (done) {
+                    break;
+                }
+                await this.evtCallback(this, { event: "data", data: value });
             }
 
             if (this.isConnected()) {
                 this.evtCallback(this, { event: "finish" });
             }
         } catch (err) {
+            if (sock !== this.sock) {
+                // reader has been released for TLS upgrade, the TLS socket reads from now on
+                return;
+            }
             console.log("Socketb readLoop exception:" + err);
         }
     }
@@ -114,6 +237,11 @@ export class Socketb {
             return;
         }
 
+        if (this.writeShutdown) {
+            console.log("Socketb write after shutdown, discard");
+            return;
+        }
+
         // save to buffers array, waiting for writable stream ready to send
         this.chunks2Send.push(chunk);
 
@@ -128,7 +256,12 @@ export class Socketb {
             return;
         }
 
-        writeLoop();
+        if (!this.isConnected()) {
+            // send loop will be started when connected
+            return;
+        }
+
+        this.writeLoop();
     }
 
     async writeLoop() {
@@ -145,9 +278,33 @@ export class Socketb {
                 let count = chunks.length;
                 for (let idx = 0; idx < count; idx++) {
                     let chunk = chunks[idx];
+                    if (chunk === STARTTLS_MARK) {
+                        // streams must be unlocked to upgrade
+                        writer.releaseLock();
+                        writer = null;
+                        if (!this.upgradeTls()) {
+                            return;
+                        }
+                        writer = this.sock.writable.getWriter();
+                        continue;
+                    }
+
+                    if (this.throttle != null) {
+                        // hold data back until bandwidth is available
+                        await this.throttle(chunk.length);
+                    }
                     await writer.write(chunk);
+                    // notify owner that the chunk has gone, owner can accept more data
+                    this.evtCallback(this, { event: "drain", bytes: chunk.length });
                 }
             }
+
+            if (this.writeShutdown && !this.writeClosed) {
+                // all chunks have been sent, send FIN to target
+                this.writeClosed = true;
+                await writer.close();
+                this.evtCallback(this, { event: "shutdown" });
+            }
         } catch (err) {
             console.log("Socketb write exception:" + err);
         } finally {
@@ -159,8 +316,60 @@ export class Socketb {
         }
     }
 
+    /**
+     * upgrade connection to TLS, data written before it is sent in plain text.
+     * only available if the socket is created with secureTransport "starttls"
+     * @returns false if the upgrade is not available
+     */
+    startTls() {
+        if (this.isClosed() || this.writeShutdown || this.tlsStarted || this.secureTransport != "starttls") {
+            return false;
+        }
+
+        this.tlsStarted = true;
+        this.chunks2Send.push(STARTTLS_MARK);
+        this.startSendLoop();
+        return true;
+    }
+
+    /**
+     * replace the plain text socket with its TLS socket, and read from the new one.
+     * called by write loop after pending chunks have been sent
+     * @returns true if upgraded
+     */
+    upgradeTls() {
+        let plain = this.sock;
+        try {
+            if (this.reader != null) {
+                // pending read of the read loop is rejected
+                this.reader.releaseLock();
+                this.reader = null;
+            }
+
+            this.sock = plain.startTls();
+        } catch (err) {
+            console.log("Socketb startTls failed:", err);
+            this.close();
+            this.onError(new ConnectError("TLS upgrade failed: " + err, REASON_TLS_FAILED));
+            return false;
+        }
+
+        this.setupSocket(this.sock);
+        this.startReadLoop();
+        return true;
+    }
+
+    /**
+     * half close: close writable side after all pending chunks have been sent,
+     * readable side keeps working until target closes it
+     */
     shutdownWrite() {
-        // TODO: call writable stream's shutdown method
+        if (this.isClosed() || this.writeShutdown) {
+            return;
+        }
+
+        this.writeShutdown = true;
+        this.startSendLoop();
     }
 
     close() {
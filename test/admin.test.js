@@ -0,0 +1,101 @@
+import assert from "node:assert";
+import { TunMgr } from "../tunmgr.js";
+import { Tunnel } from "../tunnel.js";
+import { WS_CLOSE_ADMIN } from "../admin.js";
+import { REASON_ADMIN_CLOSED } from "../reason.js";
+import { CMD_ReqServerClosed } from "../codec.js";
+import { FakeWebSocket, sayHello, settle, stubSocket } from "./fakes.js";
+
+/**
+ * tunnel manager with ADMIN_TOKEN and a live tunnel "0" of identity alice,
+ * whose client has said hello, its request 1:4 is proxying to a stub socket
+ * @returns manager, tunnel and its websocket
+ */
+async function managedTunnel() {
+    let mgr = new TunMgr({ storage: null }, { ADMIN_TOKEN: "s3cret" });
+    let websocket = new FakeWebSocket();
+    let tun = new Tunnel(mgr, 0, 4, websocket, { id: "alice" });
+    mgr.tunnels[0] = tun;
+    await sayHello(websocket);
+    let req = tun.reqMgr.alloc(1, 4);
+    req.socketb = stubSocket();
+    req.target = "example.com:443";
+    return { mgr, tun, websocket, req };
+}
+
+function admin(mgr, path, method = "GET", token = "s3cret") {
+    let headers = token ? { Authorization: "Bearer " + token } : {};
+    return mgr.fetch(new Request("https://tun.example" + path, { method, headers }));
+}
+
+export const adminNeedsToken = {
+    async test() {
+        let { mgr } = await managedTunnel();
+        assert.strictEqual((await admin(mgr, "/admin/tunnels", "GET", null)).status, 401);
+        assert.strictEqual((await admin(mgr, "/admin/tunnels", "GET", "guess")).status, 403);
+
+        let disabled = new TunMgr({ storage: null }, {});
+        assert.strictEqual((await admin(disabled, "/admin/tunnels")).status, 403);
+    },
+};
+
+export const adminListsTunnelsAndRequests = {
+    async test() {
+        let { mgr, req } = await managedTunnel();
+        req.bytesUp = 10;
+
+        let list = await (await admin(mgr, "/admin/tunnels")).json();
+        assert.strictEqual(list.length, 1);
+        assert.strictEqual(list[0].identity, "alice");
+        assert.strictEqual(list[0].inUsed, 1);
+
+        let detail = await (await admin(mgr, "/admin/tunnels/0")).json();
+        assert.deepStrictEqual(detail.requests.map((r) => [r.idx, r.tag, r.target, r.transport, r.bytesUp]),
+            [[1, 4, "example.com:443", "tcp", 10]]);
+
+        assert.strictEqual((await admin(mgr, "/admin/tunnels/9")).status, 404);
+        assert.strictEqual((await admin(mgr, "/admin/tunnels", "POST")).status, 405);
+        assert.strictEqual((await admin(mgr, "/admin/policy")).status, 200);
+    },
+};
+
+export const adminClosesRequest = {
+    async test() {
+        let { mgr, websocket, req } = await managedTunnel();
+        let response = await admin(mgr, "/admin/tunnels/0/requests/1", "DELETE");
+        assert.deepStrictEqual(await response.json(), { closed: { tunnel: 0, idx: 1, tag: 4 } });
+        await settle();
+
+        assert.deepStrictEqual(websocket.sent(CMD_ReqServerClosed).map((frame) => [frame.idx, frame.reason]),
+            [[1, REASON_ADMIN_CLOSED]]);
+        assert.strictEqual(req.inUsed, false);
+        assert.strictEqual((await admin(mgr, "/admin/tunnels/0/requests/1", "DELETE")).status, 404);
+    },
+};
+
+export const adminClosesTunnel = {
+    async test() {
+        let { mgr, websocket, req } = await managedTunnel();
+        let socketb = req.socketb;
+        let response = await admin(mgr, "/admin/tunnels/0?reason=maintenance", "DELETE");
+        assert.deepStrictEqual(await response.json(), { closed: 0 });
+
+        assert.strictEqual(websocket.closeCode, WS_CLOSE_ADMIN);
+        assert.strictEqual(websocket.closeReason, "maintenance");
+        assert.strictEqual(socketb.closed, true);
+        assert.deepStrictEqual(mgr.tunnels, {});
+    },
+};
+
+export const adminRunsSelfTest = {
+    async test() {
+        let { mgr } = await managedTunnel();
+        let response = await admin(mgr, "/admin/selftest");
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual((await response.json()).ok, true);
+        assert.strictEqual((await admin(mgr, "/admin/selftest", "POST")).status, 405);
+
+        let detail = await (await admin(mgr, "/admin/tunnels/0")).json();
+        assert.strictEqual(detail.encrypted, false);
+    },
+};
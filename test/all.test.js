@@ -0,0 +1,24 @@
+// main module of the tests worker, workerd runs every exported test case
+export * from "./auth.test.js";
+export * from "./request.test.js";
+export * from "./socketb.test.js";
+export * from "./tunnel.test.js";
+export * from "./datagramb.test.js";
+export * from "./policy.test.js";
+export * from "./admin.test.js";
+export * from "./metrics.test.js";
+export * from "./usage.test.js";
+export * from "./ratelimit.test.js";
+export * from "./session.test.js";
+export * from "./handshake.test.js";
+export * from "./codec.test.js";
+export * from "./bridge.test.js";
+export * from "./connector.test.js";
+export * from "./fetchb.test.js";
+export * from "./scheduler.test.js";
+export * from "./batch.test.js";
+export * from "./compress.test.js";
+export * from "./e2e.test.js";
+export * from "./reqmgr.test.js";
+export * from "./dns.test.js";
+export * from "./tunmgr.test.js";
@@ -0,0 +1,84 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { Authenticator, HmacTokenProvider } from "../auth.js";
+import { TunMgr } from "../tunmgr.js";
+
+function bearer(token) {
+    return new Request("https://tun.example/tun", { headers: { Authorization: "Bearer " + token } });
+}
+
+export const staticTokensFromEnv = {
+    async test() {
+        let auth = Authenticator.fromEnv({
+            AUTH_TOKENS: JSON.stringify({ "token-1": "alice", "token-2": { id: "bob", plan: "pro", disabled: true } }),
+        });
+        let result = await auth.authenticate(bearer("token-1"));
+        assert.deepStrictEqual(result.identity, { id: "alice", source: "static" });
+
+        assert.deepStrictEqual(await auth.authenticate(bearer("token-2")), { status: 403, reason: "identity disabled" });
+        assert.strictEqual((await auth.authenticate(bearer("token-3"))).status, 401);
+    },
+};
+
+export const signedTokens = {
+    async test() {
+        let auth = Authenticator.fromEnv({ AUTH_HMAC_KEY: "hmac-key" });
+        let signer = auth.providers[0];
+        let token = await signer.sign("alice", 60, { plan: "pro" });
+
+        let result = await auth.authenticate(bearer(token));
+        assert.strictEqual(result.identity.id, "alice");
+        assert.strictEqual(result.identity.plan, "pro");
+        assert.strictEqual(result.identity.source, "hmac");
+
+        let sig = token.split(".")[1];
+        let forged = Buffer.from(JSON.stringify({ sub: "mallory", exp: 4102444800 })).toString("base64url");
+        assert.strictEqual((await auth.authenticate(bearer(forged + "." + sig))).reason, "invalid token signature");
+
+        let other = await new HmacTokenProvider("other-key").sign("alice", 60);
+        assert.strictEqual((await auth.authenticate(bearer(other))).status, 401);
+
+        let expired = await signer.sign("alice", -1);
+        assert.strictEqual((await auth.authenticate(bearer(expired))).reason, "token expired");
+    },
+};
+
+export const tokenFromHeaderOrQuery = {
+    async test() {
+        let auth = Authenticator.fromEnv({ AUTH_TOKENS: { "token-1": "alice" } });
+        let query = new Request("https://tun.example/tun?token=token-1");
+        assert.strictEqual((await auth.authenticate(query)).identity.id, "alice");
+
+        // a malformed header isn't rescued by the query
+        let basic = new Request("https://tun.example/tun?token=token-1", { headers: { Authorization: "Basic abc" } });
+        assert.deepStrictEqual(await auth.authenticate(basic), { status: 401, reason: "missing bearer token" });
+
+        let none = Authenticator.fromEnv({});
+        assert.strictEqual((await none.authenticate(bearer("token-1"))).status, 403);
+    },
+};
+
+export const upgradeNeedsToken = {
+    async test() {
+        let mgr = new TunMgr({ storage: null }, { AUTH_TOKENS: JSON.stringify({ "token-1": "alice" }) });
+        let request = new Request("https://tun.example/tun", { headers: { Upgrade: "websocket" } });
+        let response = await mgr.fetch(request);
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.headers.get("WWW-Authenticate"), 'Bearer realm="tun"');
+        assert.strictEqual(Object.keys(mgr.tunnels).length, 0);
+    },
+};
+
+export const malformedTokenTableRejectsAll = {
+    async test() {
+        let env = { AUTH_HMAC_KEY: "hmac-key" };
+        let token = await Authenticator.fromEnv(env).providers[0].sign("alice", 60);
+
+        for (const table of ["{not json", "null", "[\"token-1\"]", "42"]) {
+            let auth = Authenticator.fromEnv(Object.assign({ AUTH_TOKENS: table }, env));
+            let result = await auth.authenticate(bearer(token));
+            assert.strictEqual(result.identity, undefined, table);
+            assert.strictEqual(result.status, 403, table);
+        }
+    },
+};
@@ -0,0 +1,93 @@
+import assert from "node:assert";
+import { Tunnel } from "../tunnel.js";
+import { CMD_Ping, CMD_Pong, CMD_Batch, CAP_BATCH, encodeFrame } from "../codec.js";
+import { FakeWebSocket, fakeManager, sayHello, settle } from "./fakes.js";
+
+/**
+ * @param {*} caps capabilities the client says hello with
+ * @param {*} config config object
+ * @returns tunnel on a fake websocket
+ */
+async function batchingTunnel(caps, config = {}) {
+    let websocket = new FakeWebSocket();
+    let tunnel = new Tunnel(fakeManager(config), 1, 4, websocket, { id: "alice" });
+    await sayHello(websocket, caps);
+    return { tunnel, websocket };
+}
+
+/**
+ * queue pongs, payload of each one is its sequence number
+ * @param {*} tunnel tunnel object
+ * @param {*} count how many
+ */
+function sendPongs(tunnel, count) {
+    for (let i = 0; i < count; i++) {
+        let payload = new Uint8Array(8);
+        payload[0] = i;
+        tunnel.send(encodeFrame({ cmd: CMD_Pong, payload: payload }));
+    }
+}
+
+function sequence(websocket) {
+    return websocket.frames.map((f) => f.payload[0]);
+}
+
+export const queuedFramesAreBatched = {
+    async test() {
+        let { tunnel, websocket } = await batchingTunnel(CAP_BATCH);
+        sendPongs(tunnel, 6);
+        await settle();
+
+        // first frame goes as soon as it's queued, the rest have queued up behind it
+        assert.deepStrictEqual(websocket.messages, [1, 5]);
+        assert.deepStrictEqual(sequence(websocket), [0, 1, 2, 3, 4, 5]);
+        tunnel.destroy();
+    },
+};
+
+export const batchWaitsAndKeepsSize = {
+    async test() {
+        // a pong takes 9 bytes and 4 bytes of batch overhead
+        let { tunnel, websocket } = await batchingTunnel(CAP_BATCH, { batching: { maxBytes: 13 * 4, maxDelay: 5 } });
+        sendPongs(tunnel, 10);
+        await settle(50);
+
+        assert.deepStrictEqual(websocket.messages, [4, 4, 2]);
+        assert.deepStrictEqual(sequence(websocket), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+        tunnel.destroy();
+    },
+};
+
+export const noBatchWithoutCap = {
+    async test() {
+        let { tunnel, websocket } = await batchingTunnel(0, { batching: { maxDelay: 5 } });
+        sendPongs(tunnel, 4);
+        await settle(50);
+        assert.deepStrictEqual(websocket.messages, [1, 1, 1, 1]);
+
+        // client can't send batches either
+        let ping = encodeFrame({ cmd: CMD_Ping, payload: new Uint8Array(8) });
+        websocket.inject({ cmd: CMD_Batch, frames: [ping, ping] });
+        await settle();
+        assert.strictEqual(websocket.sent(CMD_Pong).length, 4);
+        assert.strictEqual(tunnel.protocolErrors, 1);
+        tunnel.destroy();
+    },
+};
+
+export const incomingBatchIsHandledInOrder = {
+    async test() {
+        let { tunnel, websocket } = await batchingTunnel(CAP_BATCH);
+        let pings = [];
+        for (let i = 0; i < 3; i++) {
+            let payload = new Uint8Array(8);
+            payload[0] = i;
+            pings.push(encodeFrame({ cmd: CMD_Ping, payload: payload }));
+        }
+        websocket.inject({ cmd: CMD_Batch, frames: pings });
+        await settle();
+
+        assert.deepStrictEqual(sequence(websocket), [0, 1, 2]);
+        tunnel.destroy();
+    },
+};
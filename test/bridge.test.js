@@ -0,0 +1,190 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { EventEmitter } from "node:events";
+import { bridgeSocket, HandshakeReader } from "../client/bridge.js";
+import { settle } from "./fakes.js";
+
+/**
+ * local net.Socket of a proxy connection
+ */
+class LocalSocket extends EventEmitter {
+    constructor() {
+        super();
+        this.paused = false;
+        this.written = [];
+        this.ended = false;
+        this.destroyed = false;
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+    }
+
+    write(data, callback) {
+        this.written.push(data.toString());
+        callback();
+    }
+
+    end(callback) {
+        this.ended = true;
+        if (callback) {
+            callback();
+        }
+    }
+
+    destroy() {
+        this.destroyed = true;
+    }
+}
+
+/**
+ * tunnel client with a single ClientRequest like request
+ * @param {*} writable if the request has send quota
+ * @returns client, 'req' is the opened request and 'handler' its events handler
+ */
+function stubClient(writable = true) {
+    let client = {
+        req: {
+            sent: [],
+            consumedBytes: 0,
+            finished: false,
+            closed: false,
+            write(data) {
+                this.sent.push(data.toString());
+                return writable;
+            },
+            isWritable() {
+                return writable;
+            },
+            consumed(bytes) {
+                this.consumedBytes += bytes;
+            },
+            finish() {
+                this.finished = true;
+            },
+            close() {
+                this.closed = true;
+            },
+        },
+        handler: null,
+        target: null,
+        async open(host, port, transport, handler) {
+            this.target = host + ":" + port;
+            this.handler = handler;
+            return this.req;
+        },
+    };
+    return client;
+}
+
+export const handshakeIsReadAcrossChunks = {
+    async test() {
+        let socket = new LocalSocket();
+        let reader = new HandshakeReader(socket);
+        let header = reader.readUntil("\r\n\r\n", 64);
+        socket.emit("data", Buffer.from("CONNECT example.com:443 HTTP/1.1\r\n"));
+        socket.emit("data", Buffer.from("\r\nhead"));
+        assert.strictEqual((await header).toString(), "CONNECT example.com:443 HTTP/1.1\r\n\r\n");
+
+        let head = reader.detach();
+        assert.strictEqual(head.toString(), "head");
+        assert.strictEqual(socket.paused, true);
+        assert.strictEqual(socket.listenerCount("data"), 0);
+    },
+};
+
+export const brokenHandshakeIsRejected = {
+    async test() {
+        let socket = new LocalSocket();
+        let reader = new HandshakeReader(socket);
+        let long = reader.readUntil("\r\n\r\n", 8);
+        socket.emit("data", Buffer.from("0123456789"));
+        await assert.rejects(long, /exceeds 8 bytes/);
+
+        socket = new LocalSocket();
+        reader = new HandshakeReader(socket);
+        let short = reader.read(3);
+        socket.emit("data", Buffer.from([5, 1]));
+        socket.emit("end");
+        await assert.rejects(short, /closed during handshake/);
+    },
+};
+
+export const bridgeRelaysBothWays = {
+    async test() {
+        let socket = new LocalSocket();
+        socket.pause();
+        let client = stubClient();
+        let opened = [];
+        await bridgeSocket(client, socket, "example.com", 443, Buffer.from("head"), (ok) => opened.push(ok));
+        assert.deepStrictEqual(opened, [true]);
+        assert.strictEqual(client.target, "example.com:443");
+        assert.deepStrictEqual(client.req.sent, ["head"]);
+        assert.strictEqual(socket.paused, false);
+
+        socket.emit("data", Buffer.from("up"));
+        assert.deepStrictEqual(client.req.sent, ["head", "up"]);
+
+        // quota is refreshed only after data has been written to local socket
+        client.handler.onData(Buffer.from("down"));
+        assert.deepStrictEqual(socket.written, ["down"]);
+        assert.strictEqual(client.req.consumedBytes, 4);
+
+        socket.emit("end");
+        assert.strictEqual(client.req.finished, true);
+        client.handler.onFinished();
+        assert.strictEqual(socket.ended, true);
+        assert.strictEqual(socket.destroyed, false);
+
+        client.handler.onClosed(0);
+        assert.strictEqual(socket.destroyed, true);
+        socket.emit("close");
+        assert.strictEqual(client.req.closed, true);
+    },
+};
+
+export const bridgeFollowsSendQuota = {
+    async test() {
+        let socket = new LocalSocket();
+        socket.pause();
+        let client = stubClient(false);
+        await bridgeSocket(client, socket, "example.com", 80, Buffer.alloc(0), () => {});
+        assert.strictEqual(socket.paused, true);
+
+        socket.resume();
+        socket.emit("data", Buffer.from("up"));
+        assert.strictEqual(socket.paused, true);
+
+        client.handler.onWritable();
+        assert.strictEqual(socket.paused, false);
+    },
+};
+
+export const bridgeFailsWithoutRequest = {
+    async test() {
+        let socket = new LocalSocket();
+        let client = stubClient();
+        client.open = async () => null;
+        let opened = [];
+        await bridgeSocket(client, socket, "example.com", 80, Buffer.alloc(0), (ok) => opened.push(ok));
+        assert.deepStrictEqual(opened, [false]);
+
+        // local side went away while waiting for the tunnel
+        socket = new LocalSocket();
+        client = stubClient();
+        let open = client.open;
+        client.open = async (...args) => {
+            socket.emit("close");
+            await settle(0);
+            return open.apply(client, args);
+        };
+        opened = [];
+        await bridgeSocket(client, socket, "example.com", 80, Buffer.alloc(0), (ok) => opened.push(ok));
+        assert.deepStrictEqual(opened, [false]);
+        assert.strictEqual(client.req.closed, true);
+    },
+};
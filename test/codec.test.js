@@ -0,0 +1,136 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import {
+    CMD_Ping, CMD_ReqData, CMD_ReqCreated, CMD_ReqServerClosed, CMD_ReqError, CMD_ReqResume, CMD_SessionInfo, CMD_Hello,
+    CMD_HelloAck, CMD_ReqStartTls, CMD_ReqFetch, CMD_ReqFetchResponse, CMD_ReqConnected, CMD_DnsQuery,
+    CMD_DnsAnswer, ADDR_FLAG_STARTTLS, ADDR_FLAG_TLS, ADDR_FLAG_UDP, ADDR_IPV4, ADDR_IPV6, ADDR_DOMAIN,
+    TRANSPORT_TCP, TRANSPORT_UDP, TLS_OFF, TLS_ON, ProtocolError, decodeFrame, encodeFrame,
+} from "../codec.js";
+
+// decoded form of each frame, so encode then decode gives it back
+const FRAMES = [
+    { cmd: CMD_Ping, payload: Buffer.from("01234567") },
+    { cmd: CMD_ReqData, idx: 3, tag: 0xfffe, data: Buffer.from("hello") },
+    {
+        cmd: CMD_ReqCreated, idx: 1, tag: 2, transport: TRANSPORT_TCP, tls: TLS_OFF, addressType: ADDR_DOMAIN,
+        host: "example.com", port: 80,
+        candidates: [
+            { addressType: ADDR_IPV4, host: "192.0.2.1" },
+            { addressType: ADDR_IPV6, host: "2001:db8:0:0:0:0:0:1" },
+        ],
+    },
+    {
+        cmd: CMD_ReqCreated, idx: 1, tag: 3, transport: TRANSPORT_UDP, tls: TLS_OFF, addressType: ADDR_IPV6,
+        host: "2001:db8:0:0:0:0:0:35", port: 53, candidates: [],
+    },
+    {
+        cmd: CMD_ReqCreated, idx: 1, tag: 4, transport: TRANSPORT_TCP, tls: TLS_ON, addressType: ADDR_IPV4,
+        host: "198.51.100.7", port: 443, candidates: [],
+    },
+    { cmd: CMD_ReqConnected, idx: 1, tag: 2, addressType: ADDR_IPV4, host: "192.0.2.1", port: 80 },
+    { cmd: CMD_ReqServerClosed, idx: 7, tag: 8, reason: 3 },
+    { cmd: CMD_ReqError, idx: 7, tag: 9, error: 6 },
+    { cmd: CMD_ReqStartTls, idx: 7, tag: 10 },
+    {
+        cmd: CMD_ReqFetch, idx: 0, tag: 1, hasBody: true, method: "POST", url: "https://example.com/ü",
+        headers: [["content-type", "text/plain"], ["x-empty", ""]],
+    },
+    { cmd: CMD_ReqFetchResponse, idx: 0, tag: 1, status: 404, statusText: "Not Found", headers: [] },
+    { cmd: CMD_ReqResume, idx: 2, tag: 2, received: Number.MAX_SAFE_INTEGER },
+    { cmd: CMD_SessionInfo, sessionId: "00112233445566778899aabbccddeeff", flags: 1, grace: 60000 },
+    { cmd: CMD_Hello, version: 2, clientId: "client-ü", caps: 0xffffffff },
+    { cmd: CMD_HelloAck, version: 2, caps: 1 << 12, reqCap: 256, window: 1 << 20 },
+    { cmd: CMD_DnsQuery, id: 7, type: 28, name: "example.com" },
+    { cmd: CMD_DnsAnswer, id: 7, status: 0, answers: [{ type: 1, ttl: 300, data: "192.0.2.1" }] },
+];
+
+export const framesRoundTrip = {
+    test() {
+        for (const frame of FRAMES) {
+            assert.deepStrictEqual(decodeFrame(encodeFrame(frame)), frame, "cmd " + frame.cmd);
+        }
+    },
+};
+
+export const truncatedFramesAreRejected = {
+    test() {
+        for (const frame of FRAMES) {
+            let buf = encodeFrame(frame);
+            // candidates and the reason byte are optional, so those frames may decode when cut there
+            for (let len = 0; len < buf.length; len++) {
+                let decoded = null;
+                try {
+                    decoded = decodeFrame(buf.subarray(0, len));
+                } catch (err) {
+                    assert.ok(err instanceof ProtocolError, "cmd " + frame.cmd + " length " + len + ": " + err);
+                    continue;
+                }
+                assert.notDeepStrictEqual(decoded, frame);
+            }
+
+            let extended = Buffer.concat([buf, Buffer.from([0])]);
+            if (frame.cmd != CMD_ReqData && frame.cmd != CMD_ReqCreated) {
+                assert.throws(() => decodeFrame(extended), ProtocolError, "cmd " + frame.cmd);
+            }
+        }
+    },
+};
+
+export const unknownCommandIsFlagged = {
+    test() {
+        try {
+            decodeFrame(Buffer.from([250]));
+            assert.fail("unknown command decoded");
+        } catch (err) {
+            assert.ok(err instanceof ProtocolError);
+            assert.strictEqual(err.unknownCmd, 250);
+        }
+    },
+};
+
+export const brokenRequestFrameKeepsHeader = {
+    test() {
+        let buf = encodeFrame(FRAMES[2]);
+        try {
+            decodeFrame(buf.subarray(0, 5));
+            assert.fail("truncated frame decoded");
+        } catch (err) {
+            assert.ok(err instanceof ProtocolError);
+            assert.deepStrictEqual(err.frame, { cmd: CMD_ReqCreated, idx: 1, tag: 2 });
+        }
+    },
+};
+
+export const candidatesOnlyForPlainTcp = {
+    test() {
+        let named = [{ addressType: ADDR_DOMAIN, host: "a.example" }];
+        let buf = encodeFrame({ ...FRAMES[4], tls: TLS_OFF, candidates: named });
+        assert.throws(() => decodeFrame(buf), /not an ip address/);
+        buf = encodeFrame({ ...FRAMES[4], candidates: FRAMES[2].candidates });
+        assert.throws(() => decodeFrame(buf), /only apply to plain tcp/);
+    },
+};
+
+export const conflictingTlsFlagsAreRejected = {
+    test() {
+        let buf = encodeFrame(FRAMES[2]);
+        // address type byte follows cmd, idx and tag
+        buf[5] |= ADDR_FLAG_TLS | ADDR_FLAG_UDP;
+        assert.throws(() => decodeFrame(buf), /TLS over udp/);
+
+        buf = encodeFrame(FRAMES[2]);
+        buf[5] |= ADDR_FLAG_TLS | ADDR_FLAG_STARTTLS;
+        assert.throws(() => decodeFrame(buf), /both TLS and STARTTLS/);
+    },
+};
+
+export const unencodableFieldsThrowProtocolError = {
+    test() {
+        assert.throws(() => encodeFrame({ cmd: CMD_DnsAnswer, id: 70000, status: 0, answers: [] }), ProtocolError);
+        assert.throws(() => encodeFrame({ ...FRAMES[4], host: "256.0.0.1" }), ProtocolError);
+        assert.throws(() => encodeFrame({ ...FRAMES[3], host: "2001:db8::1::2" }), ProtocolError);
+        let candidates = new Array(256).fill({ addressType: ADDR_IPV4, host: "192.0.2.1" });
+        assert.throws(() => encodeFrame({ ...FRAMES[2], candidates: candidates }), ProtocolError);
+        assert.throws(() => encodeFrame({ cmd: 250 }), ProtocolError);
+    },
+};
@@ -0,0 +1,95 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { PayloadCompressor, Sequencer, deflate, inflate } from "../compress.js";
+import { settle } from "./fakes.js";
+
+const TEXT = Buffer.from("GET /index.html HTTP/1.1\r\nHost: example.com\r\n\r\n".repeat(40));
+
+function randomBytes(n) {
+    return crypto.getRandomValues(new Uint8Array(n));
+}
+
+export const deflateRoundTrip = {
+    async test() {
+        let deflated = await deflate(TEXT);
+        assert.ok(deflated.length < TEXT.length / 4);
+        assert.deepStrictEqual(await inflate(deflated, TEXT.length), TEXT);
+
+        await assert.rejects(inflate(deflated, TEXT.length - 1), /exceeds/);
+        await assert.rejects(inflate(Buffer.from("not deflated at all"), 1024));
+    },
+};
+
+export const compressorBypassesWhatDoesNotShrink = {
+    async test() {
+        let compressor = new PayloadCompressor();
+        let deflated = await compressor.compress(TEXT);
+        assert.deepStrictEqual(await inflate(deflated, TEXT.length), TEXT);
+
+        // tiny, TLS record, gzip body
+        assert.strictEqual(await compressor.compress(TEXT.subarray(0, 100)), null);
+        assert.strictEqual(await compressor.compress(Buffer.concat([Buffer.from([23, 3, 3, 1, 0]), TEXT])), null);
+        assert.strictEqual(await compressor.compress(Buffer.concat([Buffer.from([0x1f, 0x8b]), TEXT])), null);
+
+        assert.strictEqual(compressor.stats.bypassed, 3);
+        assert.strictEqual(compressor.stats.rawBytes, TEXT.length * 3 + 100 + 7);
+        assert.strictEqual(compressor.stats.wireBytes, deflated.length + TEXT.length * 2 + 100 + 7);
+    },
+};
+
+export const incompressibleStreamIsProbed = {
+    async test() {
+        let compressor = new PayloadCompressor();
+        let tried = 0;
+        compressor.worthTrying = function (data) {
+            let worth = PayloadCompressor.prototype.worthTrying.call(this, data);
+            tried += worth ? 1 : 0;
+            return worth;
+        };
+
+        for (let i = 0; i < 4 + 32; i++) {
+            assert.strictEqual(await compressor.compress(randomBytes(1024)), null);
+        }
+        // four failures in a row, then one probe of every 16 chunks
+        assert.strictEqual(tried, 4 + 2);
+
+        // a probe that shrinks resumes compression of every chunk
+        for (let i = 0; i < 16 && (await compressor.compress(TEXT)) == null; i++);
+        assert.strictEqual(compressor.failures, 0);
+        assert.notStrictEqual(await compressor.compress(TEXT), null);
+    },
+};
+
+export const sequencerKeepsOrder = {
+    async test() {
+        let sequencer = new Sequencer();
+        let order = [];
+        let slow = settle(20).then(() => "slow");
+        sequencer.push(slow, (result) => order.push(result));
+        sequencer.push(Promise.reject(new Error("broken")), () => order.push("unreachable"),
+            (err) => order.push(err.message));
+        sequencer.push(null, () => order.push("plain"));
+        assert.deepStrictEqual(order, []);
+
+        await settle(40);
+        assert.deepStrictEqual(order, ["slow", "broken", "plain"]);
+
+        // nothing pending, a plain handler runs at once
+        sequencer.push(null, () => order.push("now"));
+        assert.deepStrictEqual(order.slice(3), ["now"]);
+    },
+};
+
+export const sequencerResetDropsHandlers = {
+    async test() {
+        let sequencer = new Sequencer();
+        let order = [];
+        sequencer.push(settle(10), () => order.push("dropped"));
+        sequencer.push(null, () => order.push("dropped too"));
+        sequencer.reset();
+        sequencer.push(null, () => order.push("after reset"));
+
+        await settle(30);
+        assert.deepStrictEqual(order, ["after reset"]);
+    },
+};
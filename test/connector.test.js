@@ -0,0 +1,215 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import {
+    ConnectError, ConnectorRouter, HttpConnectConnector, Socks5Connector, UPSTREAM_DIRECT, formatAddress,
+    parseAddress, raceConnect,
+} from "../connector.js";
+import { Socketb } from "../socketb.js";
+import {
+    REASON_CONNECT_REFUSED, REASON_CONNECT_TIMEOUT, REASON_UPSTREAM_FAILED, connectErrorReason,
+} from "../reason.js";
+import { FakeSocket, settle } from "./fakes.js";
+
+/**
+ * handshake io of an upstream proxy which replies the scripted bytes
+ */
+class ScriptedIO {
+    constructor(...replies) {
+        this.buf = Buffer.concat(replies.map((reply) => Buffer.from(reply)));
+        this.written = [];
+    }
+
+    async write(data) {
+        this.written.push(Buffer.from(data));
+    }
+
+    async read(n) {
+        if (this.buf.length < n) {
+            throw new ConnectError("upstream proxy closed during handshake", REASON_UPSTREAM_FAILED);
+        }
+
+        let data = this.buf.subarray(0, n);
+        this.buf = this.buf.subarray(n);
+        return data;
+    }
+
+    async readUntil(delimiter) {
+        let pos = this.buf.indexOf(delimiter);
+        return this.read(pos < 0 ? this.buf.length + 1 : pos + delimiter.length);
+    }
+}
+
+/**
+ * @param {*} promise handshake promise
+ * @returns reason of the ConnectError it's rejected with
+ */
+async function rejectedReason(promise) {
+    try {
+        await promise;
+    } catch (err) {
+        assert.ok(err instanceof ConnectError, String(err));
+        return err.reason;
+    }
+    assert.fail("handshake succeeded");
+}
+
+export const routerPicksUpstreamByRule = {
+    test() {
+        let router = new ConnectorRouter({
+            upstream: {
+                proxies: {
+                    corp: { type: "http", address: "proxy.corp:3128" },
+                    tor: { type: "socks5", address: "127.0.0.1:9050" },
+                },
+                rules: [
+                    { upstream: "direct", domain: ["public.corp"] },
+                    { upstream: "corp", domain: [".corp"], ports: [443] },
+                    { upstream: "tor", cidr: ["10.0.0.0/8"] },
+                ],
+                default: "direct",
+            },
+        });
+
+        assert.strictEqual(router.route("git.corp", 443).name, "corp");
+        assert.strictEqual(router.route("git.corp", 22).name, UPSTREAM_DIRECT);
+        assert.strictEqual(router.route("public.corp", 443).name, UPSTREAM_DIRECT);
+        assert.strictEqual(router.route("10.1.2.3", 80).name, "tor");
+        assert.strictEqual(router.route("example.com", 80).name, UPSTREAM_DIRECT);
+
+        assert.throws(() => new ConnectorRouter({ upstream: { default: "nowhere" } }), /unknown upstream/);
+        assert.throws(() => new ConnectorRouter({ upstream: { proxies: { x: { type: "ftp" } } } }),
+            /invalid upstream type/);
+    },
+};
+
+export const addressesAreSplit = {
+    test() {
+        assert.deepStrictEqual(parseAddress("example.com:443"), { host: "example.com", port: 443 });
+        assert.deepStrictEqual(parseAddress("[2001:db8::1]:80"), { host: "2001:db8::1", port: 80 });
+        assert.throws(() => parseAddress("2001:db8::1"), ConnectError);
+        assert.strictEqual(formatAddress("2001:db8::1", 80), "[2001:db8::1]:80");
+        assert.strictEqual(formatAddress("example.com", 80), "example.com:80");
+    },
+};
+
+export const httpConnectHandshake = {
+    async test() {
+        let connector = new HttpConnectConnector("corp", { address: "proxy.corp:3128", username: "u", password: "p" });
+        let io = new ScriptedIO("HTTP/1.1 200 Connection established\r\n\r\n");
+        await connector.handshake(io, "example.com:443");
+        assert.strictEqual(io.written.join(""), "CONNECT example.com:443 HTTP/1.1\r\nHost: example.com:443\r\n" +
+            "Proxy-Authorization: Basic dTpw\r\n\r\n");
+
+        let reason = await rejectedReason(connector.handshake(new ScriptedIO("HTTP/1.1 407 Auth\r\n\r\n"), "a:1"));
+        assert.strictEqual(reason, REASON_UPSTREAM_FAILED);
+        reason = await rejectedReason(connector.handshake(new ScriptedIO("HTTP/1.1 504 Timeout\r\n\r\n"), "a:1"));
+        assert.strictEqual(reason, REASON_CONNECT_TIMEOUT);
+        reason = await rejectedReason(connector.handshake(new ScriptedIO("SSH-2.0\r\n\r\n"), "a:1"));
+        assert.strictEqual(reason, REASON_UPSTREAM_FAILED);
+    },
+};
+
+export const socks5Handshake = {
+    async test() {
+        let connector = new Socks5Connector("tor", { address: "127.0.0.1:9050", username: "u", password: "p" });
+        let io = new ScriptedIO([5, 2], [1, 0], [5, 0, 0, 1, 192, 0, 2, 1, 0, 80]);
+        await connector.handshake(io, "example.com:443");
+        assert.deepStrictEqual(io.written.map((data) => [...data]), [
+            [5, 1, 2],
+            [1, 1, 117, 1, 112],
+            [5, 1, 0, 3, 11, ...Buffer.from("example.com"), 1, 187],
+        ]);
+        assert.strictEqual(io.buf.length, 0);
+
+        let anonymous = new Socks5Connector("tor", { address: "127.0.0.1:9050" });
+        let reason = await rejectedReason(anonymous.handshake(new ScriptedIO([5, 0], [5, 5, 0, 1]), "a:1"));
+        assert.strictEqual(reason, REASON_CONNECT_REFUSED);
+        reason = await rejectedReason(anonymous.handshake(new ScriptedIO([5, 0xff]), "a:1"));
+        assert.strictEqual(reason, REASON_UPSTREAM_FAILED);
+    },
+};
+
+export const socketbConnectsByConnector = {
+    async test() {
+        let dialed = [];
+        let connector = {
+            connect(address, options) {
+                dialed.push([address, options.allowHalfOpen]);
+                return new FakeSocket();
+            },
+        };
+        let events = [];
+        let socketb = new Socketb("example.com:80", (_, eventObj) => events.push(eventObj.event),
+            { connector: connector });
+        await settle();
+        assert.deepStrictEqual(dialed, [["example.com:80", true]]);
+        assert.deepStrictEqual(events, ["connected"]);
+        assert.strictEqual(socketb.isConnected(), true);
+
+        events = [];
+        let failing = { connect() { throw new ConnectError("upstream down", REASON_UPSTREAM_FAILED); } };
+        let reasons = [];
+        new Socketb("example.com:80", (_, eventObj) => reasons.push(connectErrorReason(eventObj.reason)),
+            { connector: failing });
+        await settle();
+        assert.deepStrictEqual(reasons, [REASON_UPSTREAM_FAILED]);
+    },
+};
+
+/**
+ * connector of sockets whose connecting is settled by the test
+ * @returns connector, 'sockets' maps address to its socket
+ */
+function pendingConnector() {
+    return {
+        sockets: {},
+        connect(address) {
+            let sock = { closed: new Promise(() => {}), wasClosed: false };
+            sock.opened = new Promise((resolve, reject) => {
+                sock.open = () => resolve({});
+                sock.fail = () => reject(new Error("connection refused"));
+            });
+            sock.close = () => {
+                sock.wasClosed = true;
+            };
+            this.sockets[address] = sock;
+            return sock;
+        },
+    };
+}
+
+export const racingStartsNextAfterDelay = {
+    async test() {
+        let connector = pendingConnector();
+        let sock = raceConnect(connector, ["[2001:db8::1]:80", "192.0.2.1:80", "192.0.2.2:80"], {}, 20);
+        await settle(5);
+        assert.deepStrictEqual(Object.keys(connector.sockets), ["[2001:db8::1]:80"]);
+
+        await settle(30);
+        assert.deepStrictEqual(Object.keys(connector.sockets), ["[2001:db8::1]:80", "192.0.2.1:80"]);
+
+        // the later one wins, the slow one is dropped and no more attempts start
+        connector.sockets["192.0.2.1:80"].open();
+        await sock.opened;
+        assert.strictEqual(sock.address, "192.0.2.1:80");
+        assert.strictEqual(connector.sockets["[2001:db8::1]:80"].wasClosed, true);
+        await settle(30);
+        assert.strictEqual(Object.keys(connector.sockets).length, 2);
+    },
+};
+
+export const racingFailsAfterAllAttempts = {
+    async test() {
+        let connector = pendingConnector();
+        let sock = raceConnect(connector, ["192.0.2.1:80", "192.0.2.2:80"], {}, 1000);
+        connector.sockets["192.0.2.1:80"].fail();
+        await settle();
+        // next attempt doesn't wait for the delay after a failure
+        connector.sockets["192.0.2.2:80"].fail();
+        await assert.rejects(sock.opened, /connection refused/);
+
+        // a single address is connected as it is
+        let single = raceConnect(connector, ["192.0.2.3:80"], {}, 1000);
+        assert.strictEqual(single, connector.sockets["192.0.2.3:80"]);
+    },
+};
@@ -0,0 +1,108 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { Tunnel } from "../tunnel.js";
+import { setDatagramConnector } from "../datagramb.js";
+import { REQ_WINDOW } from "../request.js";
+import { CMD_ReqData, CMD_ReqServerClosed, TRANSPORT_UDP } from "../codec.js";
+import { FakeSocket, FakeWebSocket, fakeManager, reqCreated, sayHello, settle } from "./fakes.js";
+
+/**
+ * open an udp request 0:7 through a tunnel, datagram sockets are FakeSocket
+ * @param {*} config config of tunnel manager
+ * @returns tunnel, its websocket, and the addresses connected to
+ */
+async function udpTunnel(config = {}) {
+    let dialed = [];
+    let socks = [];
+    // udp is agreed in handshake only if a connector is installed
+    setDatagramConnector((address) => {
+        dialed.push(address);
+        let sock = new FakeSocket();
+        socks.push(sock);
+        return sock;
+    });
+    let websocket = new FakeWebSocket();
+    let tunnel = new Tunnel(fakeManager(config), 1, 4, websocket, { id: "alice" });
+    await sayHello(websocket);
+
+    websocket.inject(reqCreated(0, 7, "dns.example", 53, TRANSPORT_UDP));
+    await settle();
+    return { tunnel, websocket, dialed, socks };
+}
+
+export const udpDatagramsKeepBoundaries = {
+    async test() {
+        try {
+            let { tunnel, websocket, dialed, socks } = await udpTunnel();
+            assert.deepStrictEqual(dialed, ["dns.example:53"]);
+            assert.strictEqual(tunnel.reqMgr.get(0, 7).isDatagram(), true);
+
+            websocket.inject({ cmd: CMD_ReqData, idx: 0, tag: 7, data: Buffer.from("query-1") });
+            websocket.inject({ cmd: CMD_ReqData, idx: 0, tag: 7, data: Buffer.from("query-2") });
+            await settle();
+            assert.deepStrictEqual(socks[0].written, ["query-1", "query-2"]);
+
+            socks[0].receive("answer-1");
+            socks[0].receive("answer-2");
+            await settle();
+            assert.deepStrictEqual(websocket.sent(CMD_ReqData).map((frame) => frame.data.toString()),
+                ["answer-1", "answer-2"]);
+        } finally {
+            setDatagramConnector(null);
+        }
+    },
+};
+
+export const udpDatagramBeyondQuotaIsDropped = {
+    async test() {
+        try {
+            let { tunnel, websocket, socks } = await udpTunnel();
+            let req = tunnel.reqMgr.get(0, 7);
+            req.sendQuota = 4;
+
+            // never split a datagram, drop it instead
+            socks[0].receive("too long");
+            socks[0].receive("fit");
+            await settle();
+            assert.deepStrictEqual(websocket.sent(CMD_ReqData).map((frame) => frame.data.toString()),
+                ["fit"]);
+            assert.strictEqual(req.sendQuota, 1);
+
+            req.onQuotaRefreshed(REQ_WINDOW);
+            socks[0].receive("too long");
+            await settle();
+            assert.strictEqual(websocket.sent(CMD_ReqData).length, 2);
+        } finally {
+            setDatagramConnector(null);
+        }
+    },
+};
+
+export const idleUdpAssociationExpires = {
+    async test() {
+        try {
+            let { tunnel, websocket, socks } = await udpTunnel({ timeouts: { udpIdle: 40 } });
+            assert.strictEqual(tunnel.reqMgr.get(0, 7).socketb.idleTimeout, 40);
+
+            await settle(200);
+            assert.strictEqual(tunnel.reqMgr.get(0, 7), null);
+            assert.deepStrictEqual(websocket.sent(CMD_ReqServerClosed).map((frame) => [frame.idx, frame.tag]),
+                [[0, 7]]);
+            assert.strictEqual(socks.length, 1);
+        } finally {
+            setDatagramConnector(null);
+        }
+    },
+};
+
+export const udpRequestSkipsTcpOnlyRule = {
+    async test() {
+        try {
+            let { tunnel, dialed } = await udpTunnel({ policy: { rules: [{ action: "deny", transport: "tcp" }] } });
+            assert.deepStrictEqual(dialed, ["dns.example:53"]);
+            assert.notStrictEqual(tunnel.reqMgr.get(0, 7), null);
+        } finally {
+            setDatagramConnector(null);
+        }
+    },
+};
@@ -0,0 +1,101 @@
+import assert from "node:assert";
+import {
+    DnsResolver, DNS_TYPE_A, DNS_TYPE_AAAA, DNS_STATUS_NOERROR, DNS_STATUS_SERVFAIL, DNS_STATUS_NXDOMAIN,
+} from "../dns.js";
+
+// the stand-in of test/doh.js serves every url, it's reached by the global fetch()
+const CONFIG = { dns: { endpoint: "https://doh.test/dns-query" } };
+
+async function queryCount(name) {
+    let response = await fetch("https://doh.test/count?name=" + name);
+    return response.json();
+}
+
+export const resolveWithDefaultFetcher = {
+    async test() {
+        let resolver = new DnsResolver(CONFIG);
+        let result = await resolver.resolve("A.Example.", DNS_TYPE_A);
+        assert.strictEqual(result.status, DNS_STATUS_NOERROR);
+        assert.deepStrictEqual(result.answers.map((a) => a.data), ["192.0.2.1", "192.0.2.2"]);
+        assert.ok(result.answers.every((a) => a.type == DNS_TYPE_A && a.ttl <= 300 && a.ttl >= 299));
+    },
+};
+
+export const cachesAndMergesQueries = {
+    async test() {
+        let resolver = new DnsResolver(CONFIG);
+        let results = await Promise.all([
+            resolver.resolve("v6.example", DNS_TYPE_AAAA),
+            resolver.resolve("v6.example", DNS_TYPE_AAAA),
+        ]);
+        await resolver.resolve("v6.example", DNS_TYPE_AAAA);
+        assert.deepStrictEqual(results[0], results[1]);
+        assert.strictEqual(await queryCount("v6.example"), 1);
+    },
+};
+
+export const lookupBothFamilies = {
+    async test() {
+        let resolver = new DnsResolver(CONFIG);
+        let result = await resolver.lookup("a.example");
+        assert.strictEqual(result.status, DNS_STATUS_NOERROR);
+        assert.deepStrictEqual(result.ipv4, ["192.0.2.1", "192.0.2.2"]);
+        assert.deepStrictEqual(result.ipv6, []);
+    },
+};
+
+export const negativeAnswerIsCached = {
+    async test() {
+        let resolver = new DnsResolver(CONFIG);
+        assert.strictEqual((await resolver.resolve("nx.example", DNS_TYPE_A)).status, DNS_STATUS_NXDOMAIN);
+        assert.strictEqual((await resolver.resolve("nx.example", DNS_TYPE_A)).status, DNS_STATUS_NXDOMAIN);
+        assert.strictEqual(await queryCount("nx.example"), 1);
+    },
+};
+
+export const failureIsNotCached = {
+    async test() {
+        let resolver = new DnsResolver(CONFIG);
+        assert.strictEqual((await resolver.resolve("fail.example", DNS_TYPE_A)).status, DNS_STATUS_SERVFAIL);
+        assert.strictEqual((await resolver.resolve("fail.example", DNS_TYPE_A)).status, DNS_STATUS_SERVFAIL);
+        assert.strictEqual(await queryCount("fail.example"), 2);
+    },
+};
+
+export const badReplyDoesNotStick = {
+    async test() {
+        let resolver = new DnsResolver(CONFIG);
+        assert.strictEqual((await resolver.resolve("null.example", DNS_TYPE_A)).status, DNS_STATUS_SERVFAIL);
+        assert.strictEqual(resolver.pending.size, 0);
+        assert.strictEqual((await resolver.resolve("null.example", DNS_TYPE_A)).status, DNS_STATUS_SERVFAIL);
+        assert.strictEqual(await queryCount("null.example"), 2);
+    },
+};
+
+export const rejectedQueryIsRetried = {
+    async test() {
+        let calls = 0;
+        let resolver = new DnsResolver(CONFIG, async (...args) => {
+            calls++;
+            return fetch(...args);
+        });
+        let query = resolver.query;
+        resolver.query = async () => {
+            throw new Error("query crashed");
+        };
+        await assert.rejects(resolver.resolve("a.example", DNS_TYPE_A), /query crashed/);
+        assert.strictEqual(resolver.pending.size, 0);
+
+        resolver.query = query;
+        let result = await resolver.resolve("a.example", DNS_TYPE_A);
+        assert.strictEqual(result.status, DNS_STATUS_NOERROR);
+        assert.strictEqual(calls, 1);
+    },
+};
+
+export const statusOutOfByteIsServfail = {
+    async test() {
+        let resolver = new DnsResolver(CONFIG);
+        assert.strictEqual((await resolver.resolve("status.example", DNS_TYPE_A)).status, DNS_STATUS_SERVFAIL);
+    },
+};
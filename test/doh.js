@@ -0,0 +1,48 @@
+// DoH stand-in of the tests worker, it answers by the queried name:
+//   a.example: A 192.0.2.1 and 192.0.2.2, ttl 300
+//   v6.example: AAAA 2001:db8::1, ttl 60
+//   nx.example: NXDOMAIN with SOA ttl 30
+//   fail.example: http 500
+//   null.example: a json body of null
+//   status.example: NOERROR status out of u8 range
+// every query is counted by name, GET /count?name=... tells how many there have been
+
+const RECORDS = {
+    "a.example": { 1: [["192.0.2.1", 300], ["192.0.2.2", 300]] },
+    "v6.example": { 28: [["2001:db8::1", 60]] },
+};
+
+const counts = new Map();
+
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status: status, headers: { "content-type": "application/dns-json" } });
+}
+
+export default {
+    async fetch(request) {
+        let url = new URL(request.url);
+        let name = url.searchParams.get("name");
+        if (url.pathname == "/count") {
+            return json(counts.get(name) || 0);
+        }
+
+        counts.set(name, (counts.get(name) || 0) + 1);
+        let type = parseInt(url.searchParams.get("type"), 10);
+        switch (name) {
+            case "fail.example":
+                return new Response("busy", { status: 500 });
+            case "null.example":
+                return json(null);
+            case "status.example":
+                return json({ Status: 4096, Answer: [] });
+            case "nx.example":
+                return json({ Status: 3, Authority: [{ name: "example", type: 6, TTL: 30, data: "ns. host. 1 2 3 4 5" }] });
+        }
+
+        let records = (RECORDS[name] || {})[type] || [];
+        return json({
+            Status: 0,
+            Answer: records.map(([data, ttl]) => ({ name: name, type: type, TTL: ttl, data: data })),
+        });
+    },
+};
@@ -0,0 +1,132 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { Tunnel } from "../tunnel.js";
+import {
+    CAP_ENCRYPTION, CMD_Hello, CMD_KeyExchange, CMD_Ping, CMD_Pong, CMD_Sealed, E2E_X25519_AES256GCM,
+    PROTOCOL_VERSION, decodeFrame, encodeFrame,
+} from "../codec.js";
+import { E2EError, E2ESession, selfTest } from "../e2e.js";
+import { CAPS_ALL, FakeWebSocket, fakeManager, sayHello, settle } from "./fakes.js";
+
+const TOKEN = "alice-token";
+
+function ping(seq) {
+    let payload = new Uint8Array(8);
+    payload[0] = seq;
+    return encodeFrame({ cmd: CMD_Ping, payload: payload });
+}
+
+/**
+ * agree keys between two fresh sessions
+ * @param {*} clientPsk psk of client
+ * @param {*} serverPsk psk of server
+ * @returns { client, server }
+ */
+async function agreedPair(clientPsk = null, serverPsk = clientPsk) {
+    let client = await E2ESession.generate(false);
+    let server = await E2ESession.generate(true);
+    assert.notDeepStrictEqual(client.publicKey, server.publicKey);
+    client.deriveKeys(server.publicKey, TOKEN, clientPsk);
+    server.deriveKeys(client.publicKey, TOKEN, serverPsk);
+    return { client, server };
+}
+
+async function rejected(promise) {
+    await assert.rejects(promise, (err) => err instanceof E2EError);
+}
+
+export const selfTestPasses = {
+    async test() {
+        let report = await selfTest();
+        assert.ok(report.ok, JSON.stringify(report.results));
+        assert.strictEqual(report.results.length, 7);
+    },
+};
+
+export const keysAgreeBothWays = {
+    async test() {
+        let { client, server } = await agreedPair(Buffer.from("shared secret"));
+        for (let seq = 0; seq < 3; seq++) {
+            let up = decodeFrame(await client.seal(ping(seq)));
+            assert.strictEqual(up.cmd, CMD_Sealed);
+            assert.strictEqual(up.counter, seq);
+            assert.deepStrictEqual(await server.open(up), Buffer.from(ping(seq)));
+
+            let down = decodeFrame(await server.seal(ping(seq + 10)));
+            assert.deepStrictEqual(await client.open(down), Buffer.from(ping(seq + 10)));
+        }
+
+        // each direction has its own key
+        let echoed = decodeFrame(await client.seal(ping(3)));
+        await rejected(client.open(echoed));
+    },
+};
+
+export const tamperedMessageIsRejected = {
+    async test() {
+        let { client, server } = await agreedPair();
+        let sealed = decodeFrame(await client.seal(ping(0)));
+        sealed.data[0] ^= 1;
+        await rejected(server.open(sealed));
+
+        // a message out of order is rejected before it's decrypted
+        let skipped = decodeFrame(await client.seal(ping(1)));
+        skipped.counter = 5;
+        await rejected(server.open(skipped));
+    },
+};
+
+export const pskMismatchIsRejected = {
+    async test() {
+        let { client, server } = await agreedPair(Buffer.from("one"), Buffer.from("two"));
+        await rejected(server.open(decodeFrame(await client.seal(ping(0)))));
+    },
+};
+
+export const tunnelSealsAfterKeyExchange = {
+    async test() {
+        let websocket = new FakeWebSocket();
+        let tunnel = new Tunnel(fakeManager(), 1, 4, websocket, { id: "alice" }, TOKEN);
+        let greeting = await sayHello(websocket, CAPS_ALL | CAP_ENCRYPTION);
+        await settle();
+        let exchanges = greeting.concat(websocket.frames).filter((f) => f.cmd == CMD_KeyExchange);
+        assert.strictEqual(exchanges.length, 1);
+        let exchange = exchanges[0];
+        assert.strictEqual(exchange.algorithm, E2E_X25519_AES256GCM);
+        // nothing but the key goes out before client's key
+        assert.ok(websocket.frames.every((f) => f.cmd == CMD_KeyExchange));
+        websocket.frames = [];
+
+        let client = await E2ESession.generate(false);
+        client.deriveKeys(exchange.publicKey, TOKEN, null);
+        websocket.inject({ cmd: CMD_KeyExchange, algorithm: E2E_X25519_AES256GCM, publicKey: client.publicKey });
+        websocket.inject(await client.seal(ping(7)));
+        await settle();
+
+        let sealed = websocket.frames;
+        assert.ok(sealed.length > 0 && sealed.every((f) => f.cmd == CMD_Sealed));
+        let opened = [];
+        for (const frame of sealed) {
+            opened.push(decodeFrame(await client.open(frame)));
+        }
+        let pong = opened.find((f) => f.cmd == CMD_Pong);
+        assert.strictEqual(pong.payload[0], 7);
+
+        // a plain message after key exchange closes the websocket
+        websocket.inject(ping(8));
+        await settle();
+        assert.strictEqual(websocket.closeCode, 4006);
+        tunnel.destroy();
+    },
+};
+
+export const encryptionCanBeRequired = {
+    async test() {
+        let websocket = new FakeWebSocket();
+        let tunnel = new Tunnel(fakeManager({ encryption: { required: true } }), 1, 4, websocket, { id: "alice" });
+        websocket.inject({ cmd: CMD_Hello, version: PROTOCOL_VERSION, clientId: "test", caps: CAPS_ALL });
+        await settle();
+        assert.strictEqual(websocket.closeCode, 4005);
+        tunnel.destroy();
+    },
+};
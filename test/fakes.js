@@ -0,0 +1,212 @@
+import { Buffer } from "node:buffer";
+import { TunMgr } from "../tunmgr.js";
+import {
+    ADDR_DOMAIN, CAP_FETCH, CAP_HALF_CLOSE, CAP_QUOTA, CAP_SESSION, CAP_TLS, CAP_UDP, CMD_Batch, CMD_Hello,
+    CMD_HelloAck, CMD_ReqCreated, PROTOCOL_VERSION, TRANSPORT_TCP, decodeFrame, encodeFrame,
+} from "../codec.js";
+
+// capabilities a full featured client supports
+export const CAPS_ALL = CAP_HALF_CLOSE | CAP_UDP | CAP_QUOTA | CAP_SESSION | CAP_TLS | CAP_FETCH;
+
+/**
+ * build a CMD_ReqCreated frame to a domain target
+ * @param {*} idx request's index
+ * @param {*} tag request's tag
+ * @param {*} host target domain
+ * @param {*} port target port
+ * @param {*} transport TRANSPORT_TCP or TRANSPORT_UDP
+ * @returns frame object
+ */
+export function reqCreated(idx, tag, host, port, transport = TRANSPORT_TCP) {
+    return {
+        cmd: CMD_ReqCreated, idx: idx, tag: tag, transport: transport,
+        addressType: ADDR_DOMAIN, host: host, port: port,
+    };
+}
+
+/**
+ * MemoryStorage class:
+ * durable object storage kept in a map
+ */
+export class MemoryStorage {
+    constructor() {
+        this.map = new Map();
+        this.puts = 0;
+    }
+
+    async get(key) {
+        return this.map.get(key);
+    }
+
+    async put(key, value) {
+        this.puts++;
+        let entries = typeof key === "string" ? { [key]: value } : key;
+        for (const [name, entry] of Object.entries(entries)) {
+            this.map.set(name, structuredClone(entry));
+        }
+    }
+
+    async list(options) {
+        return new Map([...this.map].filter(([key]) => key.startsWith(options.prefix)));
+    }
+}
+
+/**
+ * FakeWebSocket class:
+ * server side websocket of a tunnel under test, frames the tunnel sends are decoded into 'frames',
+ * batches are unpacked, 'messages' holds how many frames each message carried
+ */
+export class FakeWebSocket extends EventTarget {
+    constructor() {
+        super();
+        this.readyState = WebSocket.READY_STATE_OPEN;
+        this.frames = [];
+        this.messages = [];
+        this.closed = false;
+    }
+
+    send(message) {
+        let frame = decodeFrame(message);
+        if (frame.cmd == CMD_Batch) {
+            frame.frames.forEach((inner) => this.frames.push(decodeFrame(inner)));
+            this.messages.push(frame.frames.length);
+        } else {
+            this.frames.push(frame);
+            this.messages.push(1);
+        }
+    }
+
+    close(code, reason) {
+        this.closed = true;
+        this.closeCode = code;
+        this.closeReason = reason;
+        this.readyState = WebSocket.READY_STATE_CLOSED;
+    }
+
+    /**
+     * client sends a frame
+     * @param {*} frame frame object, or Buffer of a raw message
+     */
+    inject(frame) {
+        let event = new Event("message");
+        event.data = frame instanceof Uint8Array ? frame : encodeFrame(frame);
+        this.dispatchEvent(event);
+    }
+
+    /**
+     * @param {*} cmd command code
+     * @returns frames of cmd the tunnel has sent
+     */
+    sent(cmd) {
+        return this.frames.filter((frame) => frame.cmd == cmd);
+    }
+
+    /**
+     * @returns request frames the tunnel has sent
+     */
+    requestFrames() {
+        return this.frames.filter((frame) => frame.idx !== undefined);
+    }
+}
+
+/**
+ * @returns socket of a request, keeps what is written to target and how it's closed
+ */
+export function stubSocket() {
+    return {
+        written: [],
+        shutdowns: 0,
+        closed: false,
+        write(data) {
+            this.written.push(Buffer.from(data));
+        },
+        shutdownWrite() {
+            this.shutdowns++;
+        },
+        close() {
+            this.closed = true;
+        },
+    };
+}
+
+/**
+ * FakeSocket class:
+ * connected socket of cloudflare:sockets, the test plays the target:
+ * receive() and finish() are what target sends, 'written' is what it has received
+ */
+export class FakeSocket {
+    constructor() {
+        this.written = [];
+        this.writeClosed = false;
+        this.opened = Promise.resolve({ remoteAddress: "192.0.2.1:80" });
+        this.closed = new Promise((resolve) => {
+            this.resolveClosed = resolve;
+        });
+        this.readable = new ReadableStream({
+            start: (controller) => {
+                this.controller = controller;
+            },
+        });
+        this.writable = new WritableStream({
+            write: (chunk) => {
+                this.written.push(Buffer.from(chunk).toString());
+            },
+            close: () => {
+                this.writeClosed = true;
+            },
+        });
+    }
+
+    receive(text) {
+        this.controller.enqueue(new TextEncoder().encode(text));
+    }
+
+    finish() {
+        this.controller.close();
+    }
+
+    close() {
+        this.resolveClosed();
+    }
+
+    startTls() {
+        this.tls = new FakeSocket();
+        return this.tls;
+    }
+}
+
+/**
+ * build a tunnel manager on memory storage, tunnels under test are not registered in it
+ * @param {*} config config object, see config.js
+ * @returns manager object
+ */
+export function fakeManager(config = {}) {
+    return new TunMgr({ storage: new MemoryStorage() }, { CONFIG: config });
+}
+
+/**
+ * client says hello on a tunnel's websocket, frames sent so far are cleared
+ * @param {*} websocket fake websocket of the tunnel
+ * @param {*} caps client capabilities
+ * @param {*} version client protocol version
+ * @returns frames the tunnel has sent until hello is acked
+ */
+export async function sayHello(websocket, caps = CAPS_ALL, version = PROTOCOL_VERSION) {
+    websocket.inject({ cmd: CMD_Hello, version: version, clientId: "test", caps: caps });
+    await settle();
+    if (websocket.sent(CMD_HelloAck).length != 1) {
+        throw new Error("tunnel hasn't acked hello");
+    }
+    let frames = websocket.frames;
+    websocket.frames = [];
+    websocket.messages = [];
+    return frames;
+}
+
+/**
+ * let queued sends and timers run
+ * @param {*} ms how long to wait
+ */
+export function settle(ms = 10) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,176 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { Tunnel } from "../tunnel.js";
+import {
+    CAP_FETCH, CMD_ReqClientFinished, CMD_ReqData, CMD_ReqError, CMD_ReqFetch, CMD_ReqFetchResponse,
+    CMD_ReqServerClosed, encodeFrame,
+} from "../codec.js";
+import { REASON_BAD_ADDRESS, REASON_NONE, REASON_POLICY_DENIED } from "../reason.js";
+import { CAPS_ALL, FakeWebSocket, fakeManager, sayHello, settle } from "./fakes.js";
+
+/**
+ * run test body with global fetch() replaced
+ * @param {*} handler async function(url, init) returning a Response
+ * @param {*} body async test body
+ */
+async function withFetch(handler, body) {
+    let original = globalThis.fetch;
+    globalThis.fetch = handler;
+    try {
+        await body();
+    } finally {
+        globalThis.fetch = original;
+    }
+}
+
+/**
+ * @param {*} caps capabilities the client says hello with
+ * @param {*} config config object of the manager
+ * @returns tunnel on a fake websocket, and its manager
+ */
+async function fetchingTunnel(caps = CAPS_ALL, config = {}) {
+    let websocket = new FakeWebSocket();
+    let mgr = fakeManager(config);
+    let tunnel = new Tunnel(mgr, 1, 4, websocket, { id: "alice" });
+    await sayHello(websocket, caps);
+    return { tunnel, websocket, mgr };
+}
+
+/**
+ * @param {*} idx request's index
+ * @param {*} url request url
+ * @param {*} fields other fields of the frame
+ * @returns CMD_ReqFetch frame
+ */
+function fetchFrame(idx, url, fields = {}) {
+    return Object.assign({ cmd: CMD_ReqFetch, idx: idx, tag: 1, hasBody: false, method: "GET", url: url, headers: [] },
+        fields);
+}
+
+export const fetchStreamsResponse = {
+    async test() {
+        let fetched = [];
+        await withFetch(async (url, init) => {
+            fetched.push([url, init.method, init.redirect, init.headers]);
+            return new Response("hello",
+                { status: 201, statusText: "Created", headers: { "X-Id": "7", Connection: "close" } });
+        }, async () => {
+            let { tunnel, websocket } = await fetchingTunnel();
+            websocket.inject(fetchFrame(0, "http://example.com/a", {
+                headers: [["Accept", "*/*"], ["Proxy-Connection", "keep-alive"]],
+            }));
+            await settle();
+
+            assert.deepStrictEqual(fetched, [["http://example.com/a", "GET", "manual", [["Accept", "*/*"]]]]);
+            let frames = websocket.requestFrames();
+            assert.deepStrictEqual(frames.map((frame) => frame.cmd),
+                [CMD_ReqFetchResponse, CMD_ReqData, CMD_ReqServerClosed]);
+            assert.deepStrictEqual([frames[0].status, frames[0].statusText], [201, "Created"]);
+            assert.ok(frames[0].headers.some(([name, value]) => name == "x-id" && value == "7"));
+            assert.ok(!frames[0].headers.some(([name]) => name == "connection"));
+            assert.strictEqual(frames[1].data.toString(), "hello");
+            assert.strictEqual(frames[2].reason, REASON_NONE);
+            assert.strictEqual(tunnel.reqMgr.get(0, 1), null);
+            tunnel.destroy();
+        });
+    },
+};
+
+export const fetchStreamsRequestBody = {
+    async test() {
+        let bodies = [];
+        await withFetch(async (url, init) => {
+            bodies.push(await new Response(init.body).text());
+            return new Response(null, { status: 204 });
+        }, async () => {
+            let { tunnel, websocket } = await fetchingTunnel();
+            websocket.inject(fetchFrame(2, "https://example.com/upload", { method: "POST", hasBody: true }));
+            websocket.inject({ cmd: CMD_ReqData, idx: 2, tag: 1, data: Buffer.from("up") });
+            websocket.inject({ cmd: CMD_ReqData, idx: 2, tag: 1, data: Buffer.from("load") });
+            await settle();
+            assert.deepStrictEqual(bodies, []);
+
+            websocket.inject({ cmd: CMD_ReqClientFinished, idx: 2, tag: 1 });
+            await settle();
+            assert.deepStrictEqual(bodies, ["upload"]);
+            assert.deepStrictEqual(websocket.requestFrames().map((frame) => frame.cmd),
+                [CMD_ReqFetchResponse, CMD_ReqServerClosed]);
+            tunnel.destroy();
+        });
+    },
+};
+
+export const fetchIsRefused = {
+    async test() {
+        let fetched = 0;
+        await withFetch(async () => {
+            fetched++;
+            return new Response("");
+        }, async () => {
+            let { tunnel, websocket } = await fetchingTunnel();
+            websocket.inject(fetchFrame(0, "ftp://example.com/file"));
+            websocket.inject(fetchFrame(1, "not a url"));
+            // private targets are denied by default
+            websocket.inject(fetchFrame(2, "http://[::1]:8080/"));
+            await settle();
+            assert.deepStrictEqual(websocket.sent(CMD_ReqError).map((frame) => [frame.idx, frame.error]),
+                [[0, REASON_BAD_ADDRESS], [1, REASON_BAD_ADDRESS], [2, REASON_POLICY_DENIED]]);
+            tunnel.destroy();
+
+            let bare = await fetchingTunnel(CAPS_ALL & ~CAP_FETCH);
+            bare.websocket.inject(fetchFrame(0, "http://example.com/"));
+            await settle();
+            assert.deepStrictEqual(bare.websocket.sent(CMD_ReqError).map((frame) => frame.error),
+                [REASON_POLICY_DENIED]);
+            bare.tunnel.destroy();
+        });
+        assert.strictEqual(fetched, 0);
+    },
+};
+
+export const fetchTargetIsResolvedForPolicy = {
+    async test() {
+        let fetched = [];
+        await withFetch(async (url) => {
+            fetched.push(url);
+            return new Response("ok");
+        }, async () => {
+            let { tunnel, websocket, mgr } = await fetchingTunnel(CAPS_ALL, { policy: { resolve: true } });
+            let looked = [];
+            let addresses = { "inside.example": ["10.0.0.1"], "public.example": ["93.184.215.14"] };
+            mgr.resolver = {
+                lookup: async (name) => {
+                    looked.push(name);
+                    return { status: addresses[name] ? 0 : 3, ipv4: addresses[name] || [], ipv6: [] };
+                },
+            };
+            websocket.inject(fetchFrame(0, "http://inside.example/"));
+            websocket.inject(fetchFrame(1, "https://missing.example/"));
+            websocket.inject(fetchFrame(2, "https://public.example/"));
+            websocket.inject(fetchFrame(3, "http://93.184.215.14/"));
+            await settle();
+
+            assert.deepStrictEqual(websocket.sent(CMD_ReqError).map((frame) => [frame.idx, frame.error]),
+                [[0, REASON_POLICY_DENIED], [1, REASON_POLICY_DENIED]]);
+            assert.deepStrictEqual(looked, ["inside.example", "missing.example", "public.example"]);
+            tunnel.destroy();
+        });
+        // ip targets are not looked up
+        assert.deepStrictEqual(fetched, ["http://93.184.215.14/", "https://public.example/"]);
+    },
+};
+
+export const truncatedFetchIsRefused = {
+    async test() {
+        let { tunnel, websocket } = await fetchingTunnel();
+        let buf = encodeFrame(fetchFrame(3, "http://example.com/"));
+        // the header survives, the url is cut off
+        websocket.inject(buf.subarray(0, buf.length - 4));
+        await settle();
+
+        assert.deepStrictEqual(websocket.requestFrames(),
+            [{ cmd: CMD_ReqError, idx: 3, tag: 1, error: REASON_BAD_ADDRESS }]);
+        assert.strictEqual(tunnel.protocolErrors, 1);
+        tunnel.destroy();
+    },
+};
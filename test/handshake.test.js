@@ -0,0 +1,90 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { Tunnel } from "../tunnel.js";
+import { REQ_WINDOW } from "../request.js";
+import { REASON_POLICY_DENIED } from "../reason.js";
+import {
+    CAP_FETCH, CAP_HALF_CLOSE, CAP_QUOTA, CAP_SESSION, CAP_TLS, CMD_HelloAck, CMD_Ping, CMD_ReqError,
+    CMD_ReqServerClosed, CMD_ReqServerFinished, CMD_SessionInfo, PROTOCOL_VERSION, TRANSPORT_UDP,
+} from "../codec.js";
+import { CAPS_ALL, FakeWebSocket, fakeManager, reqCreated, sayHello, settle, stubSocket } from "./fakes.js";
+
+function newTunnel(config = {}) {
+    let websocket = new FakeWebSocket();
+    let tunnel = new Tunnel(fakeManager(config), 1, 6, websocket, { id: "alice" });
+    return { tunnel, websocket };
+}
+
+function helloAck(frame) {
+    return [frame.version, frame.caps, frame.reqCap, frame.window];
+}
+
+export const firstMessageMustBeHello = {
+    async test() {
+        let { tunnel, websocket } = newTunnel({ session: { grace: 0 } });
+        websocket.inject({ cmd: CMD_Ping, payload: Buffer.alloc(8) });
+        await settle();
+        assert.strictEqual(websocket.closeCode, 4001);
+        assert.strictEqual(tunnel.closed, true);
+    },
+};
+
+export const unsupportedVersionIsRejected = {
+    async test() {
+        let { tunnel, websocket } = newTunnel({ session: { grace: 0 } });
+        await assert.rejects(sayHello(websocket, CAPS_ALL, PROTOCOL_VERSION + 1), /hasn't acked hello/);
+        assert.strictEqual(websocket.closeCode, 4002);
+        assert.match(websocket.closeReason, /server supports 1-2/);
+        assert.strictEqual(tunnel.closed, true);
+    },
+};
+
+export const capabilitiesAreAgreed = {
+    async test() {
+        // no datagram connector, so no udp
+        let { tunnel, websocket } = newTunnel();
+        let greeting = await sayHello(websocket, CAPS_ALL | (1 << 20));
+        assert.deepStrictEqual(greeting.map((frame) => frame.cmd), [CMD_HelloAck, CMD_SessionInfo]);
+        assert.deepStrictEqual(helloAck(greeting[0]),
+            [PROTOCOL_VERSION, CAP_HALF_CLOSE | CAP_QUOTA | CAP_SESSION | CAP_TLS | CAP_FETCH, 6, REQ_WINDOW]);
+        assert.strictEqual(tunnel.clientId, "test");
+
+        let bare = newTunnel();
+        greeting = await sayHello(bare.websocket, CAP_HALF_CLOSE | CAP_SESSION);
+        // resumption relies on quota refresh, dropped without it
+        assert.deepStrictEqual(greeting.map((frame) => frame.cmd), [CMD_HelloAck]);
+        assert.deepStrictEqual(helloAck(greeting[0]), [PROTOCOL_VERSION, CAP_HALF_CLOSE, 6, 0]);
+
+        let req = bare.tunnel.reqMgr.alloc(0, 1);
+        assert.strictEqual(req.sendQuota, Infinity);
+        tunnel.destroy();
+        bare.tunnel.destroy();
+    },
+};
+
+export const eofClosesWithoutHalfClose = {
+    async test() {
+        let { tunnel, websocket } = newTunnel();
+        await sayHello(websocket, CAP_QUOTA);
+        let req = tunnel.reqMgr.alloc(0, 1);
+        req.socketb = stubSocket();
+        req.onServerFinished();
+        await settle();
+        assert.strictEqual(websocket.sent(CMD_ReqServerFinished).length, 0);
+        assert.strictEqual(websocket.sent(CMD_ReqServerClosed).length, 1);
+        assert.strictEqual(req.inUsed, false);
+        tunnel.destroy();
+    },
+};
+
+export const udpNeedsAgreement = {
+    async test() {
+        let { tunnel, websocket } = newTunnel();
+        await sayHello(websocket);
+        websocket.inject(reqCreated(0, 1, "dns.example", 53, TRANSPORT_UDP));
+        await settle();
+        assert.deepStrictEqual(websocket.sent(CMD_ReqError).map((frame) => frame.error), [REASON_POLICY_DENIED]);
+        assert.strictEqual(tunnel.reqMgr.get(0, 1), null);
+        tunnel.destroy();
+    },
+};
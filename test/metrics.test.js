@@ -0,0 +1,115 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { TunMgr } from "../tunmgr.js";
+import { Tunnel } from "../tunnel.js";
+import {
+    Registry, bytesTotal, registry, tunnelsClosed, tunnelsCurrent, tunnelsOpened, unknownCommands,
+} from "../metrics.js";
+import { CMD_ReqData, encodeFrame } from "../codec.js";
+import { FakeWebSocket, fakeManager, sayHello, settle, stubSocket } from "./fakes.js";
+
+export const registryRendersTextFormat = {
+    async test() {
+        let reg = new Registry();
+        let counter = reg.counter("t_frames_total", "Frames.");
+        let gauge = reg.gauge("t_depth", "Depth.");
+        let histogram = reg.histogram("t_seconds", "Latency.", [0.1, 1]);
+        counter.inc({ cmd: 'a"b\\' }, 2);
+        gauge.set(5);
+        gauge.dec();
+        histogram.observe(0.05);
+        histogram.observe(0.5);
+        reg.addCollector(() => {
+            throw new Error("collector broken");
+        });
+
+        assert.strictEqual(reg.render(), [
+            "# HELP t_frames_total Frames.",
+            "# TYPE t_frames_total counter",
+            't_frames_total{cmd="a\\"b\\\\"} 2',
+            "# HELP t_depth Depth.",
+            "# TYPE t_depth gauge",
+            "t_depth 4",
+            "# HELP t_seconds Latency.",
+            "# TYPE t_seconds histogram",
+            't_seconds_bucket{le="0.1"} 1',
+            't_seconds_bucket{le="1"} 2',
+            't_seconds_bucket{le="+Inf"} 2',
+            "t_seconds_sum 0.55",
+            "t_seconds_count 2",
+            "",
+        ].join("\n"));
+    },
+};
+
+export const tunnelLifecycleIsCounted = {
+    async test() {
+        let opened = tunnelsOpened.get();
+        let closed = tunnelsClosed.get();
+        let current = tunnelsCurrent.get();
+        let up = bytesTotal.get({ direction: "up" });
+        let unknown = unknownCommands.get({ cmd: 42 });
+
+        let websocket = new FakeWebSocket();
+        // a tunnel without session grace is destroyed once closed
+        let tunnel = new Tunnel(fakeManager({ session: { grace: 0 } }), 1, 4, websocket, { id: "alice" });
+        await sayHello(websocket);
+        assert.strictEqual(tunnelsOpened.get(), opened + 1);
+        assert.strictEqual(tunnelsCurrent.get(), current + 1);
+
+        tunnel.reqMgr.alloc(0, 1).socketb = stubSocket();
+        websocket.inject({ cmd: CMD_ReqData, idx: 0, tag: 1, data: Buffer.from("hello") });
+        websocket.inject(Buffer.from([42]));
+        assert.strictEqual(bytesTotal.get({ direction: "up" }), up + 5);
+        assert.strictEqual(unknownCommands.get({ cmd: 42 }), unknown + 1);
+
+        tunnel.onClosed();
+        tunnel.onClosed();
+        assert.strictEqual(tunnelsClosed.get(), closed + 1);
+        assert.strictEqual(tunnelsCurrent.get(), current);
+    },
+};
+
+export const metricsEndpointSamplesQueues = {
+    async test() {
+        let mgr = new TunMgr({ storage: null }, { ADMIN_TOKEN: "s3cret" });
+        let tunnel = new Tunnel(mgr, 0, 4, new FakeWebSocket(), { id: "alice" });
+        mgr.tunnels[0] = tunnel;
+        let socketb = stubSocket();
+        socketb.chunkCountWatingSend = () => 3;
+        tunnel.reqMgr.alloc(2, 1).socketb = socketb;
+        // let session info go out, then hold two frames in the queue
+        await settle();
+        for (let i = 0; i < 2; i++) {
+            let frame = { cmd: CMD_ReqData, idx: 2, tag: 1, data: new Uint8Array(8) };
+            tunnel.sendQueue.push({ buf: encodeFrame(frame) });
+        }
+
+        let response = await mgr.fetch(new Request("https://tun.example/metrics"));
+        assert.strictEqual(response.status, 401);
+        response = await mgr.fetch(new Request("https://tun.example/metrics",
+            { headers: { Authorization: "Bearer wrong" } }));
+        assert.strictEqual(response.status, 403);
+
+        response = await mgr.fetch(new Request("https://tun.example/metrics",
+            { headers: { Authorization: "Bearer s3cret" } }));
+        assert.strictEqual(response.status, 200);
+        let text = await response.text();
+        assert.match(text, /^tun_tunnel_send_queue_frames 2$/m);
+        assert.match(text, /^tun_tunnel_send_queue_max_frames 2$/m);
+        assert.match(text, /^tun_socket_send_queue_chunks 3$/m);
+        assert.strictEqual(text, registry.render());
+
+        tunnel.sendQueue.drain();
+        tunnel.destroy();
+    },
+};
+
+export const metricsAreDisabledWithoutAdminToken = {
+    async test() {
+        let mgr = new TunMgr({ storage: null }, {});
+        let response = await mgr.fetch(new Request("https://tun.example/metrics",
+            { headers: { Authorization: "Bearer anything" } }));
+        assert.strictEqual(response.status, 403);
+    },
+};
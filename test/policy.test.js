@@ -0,0 +1,110 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { Tunnel } from "../tunnel.js";
+import { setDatagramConnector } from "../datagramb.js";
+import { PolicyEngine, parseCIDR, parseIP } from "../policy.js";
+import { REASON_POLICY_DENIED } from "../reason.js";
+import { loadConfig } from "../config.js";
+import { CMD_ReqError, TRANSPORT_UDP } from "../codec.js";
+import { FakeWebSocket, fakeManager, reqCreated, sayHello, settle } from "./fakes.js";
+
+function engine(config) {
+    return new PolicyEngine(loadConfig({ CONFIG: config }));
+}
+
+export const privateTargetsDeniedByDefault = {
+    async test() {
+        let policy = engine({});
+        for (const host of ["10.1.2.3", "169.254.169.254", "::1", "::ffff:127.0.0.1", "[fe80::1]",
+            "localhost", "api.localhost", "Metadata.Google.Internal."]) {
+            assert.deepStrictEqual(policy.evaluate(null, host, 80, "tcp"),
+                { allowed: false, rule: "private" }, host);
+        }
+
+        assert.deepStrictEqual(policy.evaluate(null, "8.8.8.8", 53, "udp"), { allowed: true, rule: "default" });
+        assert.deepStrictEqual(policy.evaluate(null, "example.com", 443, "tcp"), { allowed: true, rule: "default" });
+
+        let open = engine({ policy: { denyPrivate: false } });
+        assert.strictEqual(open.evaluate(null, "10.1.2.3", 80, "tcp").allowed, true);
+    },
+};
+
+export const firstMatchedRuleDecides = {
+    async test() {
+        let policy = engine({
+            policy: {
+                default: "deny",
+                rules: [
+                    { action: "deny", domain: ["*.ads.example"], name: "ads" },
+                    { action: "allow", domain: [".example"], ports: [443, "8000-8100"] },
+                    { action: "allow", cidr: ["203.0.113.0/24"] },
+                ],
+            },
+            identities: {
+                alice: { policy: { default: "allow", rules: [{ action: "deny", cidr: ["203.0.113.7"] }] } },
+            },
+        });
+
+        assert.deepStrictEqual(policy.evaluate(null, "x.ads.example", 443, "tcp"), { allowed: false, rule: "ads" });
+        assert.deepStrictEqual(policy.evaluate(null, "example", 8080, "tcp"), { allowed: true, rule: "rules[1]" });
+        assert.deepStrictEqual(policy.evaluate(null, "www.example", 80, "tcp"), { allowed: false, rule: "default" });
+        assert.deepStrictEqual(policy.evaluate(null, "203.0.113.7", 22, "tcp"), { allowed: true, rule: "rules[2]" });
+
+        let alice = { id: "alice" };
+        assert.deepStrictEqual(policy.evaluate(alice, "203.0.113.7", 22, "tcp"),
+            { allowed: false, rule: "identity:alice[0]" });
+        assert.deepStrictEqual(policy.evaluate(alice, "www.example", 80, "tcp"), { allowed: true, rule: "default" });
+
+        assert.strictEqual(policy.stats.allowed, 3);
+        assert.strictEqual(policy.stats.denied, 3);
+        assert.deepStrictEqual(policy.stats.identities.alice, { allowed: 1, denied: 1 });
+        assert.deepStrictEqual(policy.stats.rules.default, { allowed: 1, denied: 1 });
+    },
+};
+
+export const transportRuleMatchesUdpOnly = {
+    async test() {
+        let policy = engine({ policy: { rules: [{ action: "deny", transport: "udp", ports: [53] }] } });
+        assert.strictEqual(policy.evaluate(null, "1.1.1.1", 53, "udp").allowed, false);
+        assert.strictEqual(policy.evaluate(null, "1.1.1.1", 53, "tcp").allowed, true);
+        assert.strictEqual(policy.evaluate(null, "1.1.1.1", 443, "udp").allowed, true);
+    },
+};
+
+export const deniedUdpRequestIsRefused = {
+    async test() {
+        let websocket = new FakeWebSocket();
+        let mgr = fakeManager({ policy: { rules: [{ action: "deny", transport: "udp" }] } });
+        let dialed = 0;
+        setDatagramConnector(() => {
+            dialed++;
+            throw new Error("must not dial");
+        });
+
+        try {
+            let tunnel = new Tunnel(mgr, 1, 4, websocket, { id: "alice" });
+            await sayHello(websocket);
+            websocket.inject(reqCreated(3, 9, "dns.example", 53, TRANSPORT_UDP));
+            await settle();
+            assert.strictEqual(tunnel.reqMgr.get(3, 9), null);
+        } finally {
+            setDatagramConnector(null);
+        }
+
+        assert.strictEqual(dialed, 0);
+        let refused = websocket.sent(CMD_ReqError);
+        assert.deepStrictEqual(refused.map((frame) => [frame.idx, frame.tag, frame.error]),
+            [[3, 9, REASON_POLICY_DENIED]]);
+    },
+};
+
+export const invalidAddressesAreRejected = {
+    async test() {
+        assert.strictEqual(parseIP("256.1.1.1"), null);
+        assert.strictEqual(parseIP("1:2:3:4:5:6:7:8:9"), null);
+        assert.strictEqual(parseIP("example.com"), null);
+        assert.deepStrictEqual(Array.from(parseIP("::ffff:10.0.0.1")), [10, 0, 0, 1]);
+        assert.throws(() => parseCIDR("10.0.0.0/33"), /invalid cidr prefix/);
+        assert.throws(() => engine({ policy: { rules: [{ action: "maybe" }] } }), /invalid policy rule action/);
+    },
+};
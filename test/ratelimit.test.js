@@ -0,0 +1,120 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { Tunnel } from "../tunnel.js";
+import { Limiter, TokenBucket } from "../ratelimit.js";
+import { REASON_RATE_LIMITED } from "../reason.js";
+import { CMD_Pong, CMD_ReqData, CMD_ReqError, CMD_ReqRefreshQuota, encodeFrame } from "../codec.js";
+import { FakeWebSocket, fakeManager, reqCreated, sayHello, settle } from "./fakes.js";
+
+
+export const tokenBucketGoesIntoDebt = {
+    async test() {
+        let bucket = new TokenBucket(1000, 100);
+        assert.strictEqual(bucket.reserve(100), 0);
+        let wait = bucket.reserve(50);
+        assert.ok(wait > 40 && wait <= 50, "wait: " + wait);
+        assert.strictEqual(bucket.tryTake(1), false);
+
+        // burst defaults to one second of tokens
+        assert.strictEqual(new TokenBucket(10).tryTake(10), true);
+    },
+};
+
+export const limiterRefusesRequests = {
+    async test() {
+        let limiter = new Limiter("tunnel", { maxRequests: 2, requestsPerSec: 1, requestsBurst: 2 });
+        assert.strictEqual(limiter.admitRequest(2), false);
+        assert.strictEqual(limiter.admitRequest(0), true);
+        assert.strictEqual(limiter.admitRequest(1), true);
+        assert.strictEqual(limiter.admitRequest(1), false);
+        assert.strictEqual(limiter.stats.requestsOverConcurrency, 1);
+        assert.strictEqual(limiter.stats.requestsRateLimited, 1);
+
+        let unlimited = new Limiter("identity", undefined);
+        assert.strictEqual(unlimited.admitRequest(100000), true);
+    },
+};
+
+export const limiterHoldsDataBack = {
+    async test() {
+        let limiter = new Limiter("tunnel", { downBytesPerSec: 1000, burstBytes: 100 });
+        let start = Date.now();
+        await limiter.throttleDown(100);
+        await limiter.throttleUp(100000);
+        assert.ok(Date.now() - start < 20);
+
+        // timers are ordered by deadline, Date.now() is too coarse to measure the wait against
+        let order = [];
+        let timer = new Promise((resolve) => setTimeout(resolve, 20)).then(() => order.push("timer"));
+        await limiter.throttleDown(50);
+        order.push("throttled");
+        await timer;
+        assert.deepStrictEqual(order, ["timer", "throttled"]);
+        // the bucket refills while we run, 50 bytes take 50ms at most
+        assert.ok(limiter.stats.downThrottledMs > 20 && limiter.stats.downThrottledMs <= 50);
+        assert.strictEqual(limiter.stats.downThrottled, 1);
+        assert.strictEqual(limiter.stats.upThrottled, 0);
+    },
+};
+
+export const tunnelShapesDownstream = {
+    async test() {
+        let websocket = new FakeWebSocket();
+        let mgr = fakeManager({ limits: { tunnel: { downBytesPerSec: 1000, burstBytes: 100 } } });
+        let tunnel = new Tunnel(mgr, 1, 4, websocket, { id: "alice" });
+        await sayHello(websocket);
+        let req = tunnel.reqMgr.alloc(0, 1);
+
+        tunnel.onReqServerData(req, Buffer.alloc(100));
+        tunnel.onReqServerData(req, Buffer.alloc(100));
+        await settle();
+        assert.strictEqual(websocket.sent(CMD_ReqData).length, 1);
+
+        // control frames don't wait behind data held back for bandwidth
+        tunnel.sendQuotaRefresh(req, 10);
+        tunnel.send(encodeFrame({ cmd: CMD_Pong, payload: new Uint8Array(8) }));
+        await settle();
+        assert.deepStrictEqual(websocket.frames.map((frame) => frame.cmd),
+            [CMD_ReqData, CMD_ReqRefreshQuota, CMD_Pong]);
+
+        await settle(150);
+        assert.strictEqual(websocket.sent(CMD_ReqData).length, 2);
+        assert.strictEqual(tunnel.limiter.stats.downThrottled, 1);
+        tunnel.destroy();
+    },
+};
+
+export const requestLimitsOfTunnelAndIdentity = {
+    async test() {
+        let mgr = fakeManager({ limits: { tunnel: { maxRequests: 1 }, identity: { maxRequests: 2 } } });
+        let tunnels = [0, 1].map((id) => {
+            let tunnel = new Tunnel(mgr, id, 4, new FakeWebSocket(), { id: "alice" });
+            mgr.tunnels[id] = tunnel;
+            return tunnel;
+        });
+        let other = new Tunnel(mgr, 2, 4, new FakeWebSocket(), { id: "bob" });
+        mgr.tunnels[2] = other;
+        assert.strictEqual(tunnels[0].identityLimiter, tunnels[1].identityLimiter);
+
+        tunnels[0].reqMgr.alloc(0, 1);
+        assert.strictEqual(tunnels[0].admitRequest(), false);
+        assert.strictEqual(tunnels[0].limiter.stats.requestsOverConcurrency, 1);
+        assert.strictEqual(tunnels[1].admitRequest(), true);
+        tunnels[1].reqMgr.alloc(1, 1);
+
+        // identity has 2 requests in its tunnels
+        let websocket = new FakeWebSocket();
+        let third = new Tunnel(mgr, 3, 4, websocket, { id: "alice" });
+        mgr.tunnels[3] = third;
+        await sayHello(websocket);
+        websocket.inject(reqCreated(2, 7, "example.com", 80));
+        await settle();
+        assert.deepStrictEqual(websocket.sent(CMD_ReqError).map((frame) => [frame.idx, frame.error]),
+            [[2, REASON_RATE_LIMITED]]);
+        assert.strictEqual(third.identityLimiter.stats.requestsOverConcurrency, 1);
+
+        // limits of other identities are apart
+        assert.strictEqual(other.admitRequest(), true);
+        Object.values(mgr.tunnels).forEach((tunnel) => tunnel.destroy());
+    },
+};
@@ -0,0 +1,168 @@
+import assert from "node:assert";
+import {
+    CMD_Hello, CMD_HelloAck, CMD_ReqAssigned, CMD_ReqCreated, CMD_ReqError, PROTOCOL_VERSION, CAP_SERVER_SLOTS,
+    ADDR_IPV4,
+} from "../codec.js";
+import { ReqMgr } from "../reqmgr.js";
+import { REASON_BAD_ADDRESS, REASON_NONE, REASON_QUOTA_EXCEEDED, REASON_SLOT_BUSY } from "../reason.js";
+import { Tunnel } from "../tunnel.js";
+import { FakeWebSocket, fakeManager, sayHello, settle } from "./fakes.js";
+
+/**
+ * @param {*} config config object
+ * @param {*} reqCap how many requests tunnel can serve
+ * @returns tunnel on a fake websocket, and its manager
+ */
+function slotsTunnel(config = {}, reqCap = 8) {
+    let websocket = new FakeWebSocket();
+    let mgr = fakeManager(config);
+    let tunnel = new Tunnel(mgr, 1, reqCap, websocket, { id: "alice" });
+    return { tunnel, websocket, mgr };
+}
+
+/**
+ * @param {*} caps capabilities the client says hello with
+ * @param {*} config config object
+ * @param {*} reqCap how many requests tunnel can serve
+ * @returns tunnel whose client has said hello
+ */
+async function handshaked(caps, config = {}, reqCap = 8) {
+    let fake = slotsTunnel(config, reqCap);
+    await sayHello(fake.websocket, caps);
+    return fake;
+}
+
+/**
+ * @param {*} reqMgr ReqMgr object
+ * @param {*} count how many requests to assign
+ * @returns [idx, tag] of each assigned request, null if none is left
+ */
+function assignMany(reqMgr, count) {
+    let assigned = [];
+    for (let i = 0; i < count; i++) {
+        let req = reqMgr.assign();
+        assigned.push(req ? [req.idx, req.tag] : null);
+    }
+    return assigned;
+}
+
+export const assignReusesFreedSlotsInOrder = {
+    async test() {
+        let { tunnel } = slotsTunnel();
+        let reqMgr = new ReqMgr(3, tunnel);
+        reqMgr.setServerAssigned(true);
+
+        assert.deepStrictEqual(assignMany(reqMgr, 4), [[0, 0], [1, 1], [2, 2], null]);
+
+        reqMgr.free(1, 1);
+        reqMgr.free(0, 0);
+        // least recently freed first, tags keep counting
+        assert.deepStrictEqual(assignMany(reqMgr, 3), [[1, 3], [0, 4], null]);
+        assert.strictEqual(reqMgr.inUsedCount(), 3);
+
+        // a stale tag frees nothing
+        reqMgr.free(2, 0);
+        assert.strictEqual(reqMgr.assign(), null);
+        tunnel.destroy();
+    },
+};
+
+export const assignFillsSlotsClientSkipped = {
+    async test() {
+        let { tunnel } = slotsTunnel();
+        let reqMgr = new ReqMgr(4, tunnel);
+        assert.notStrictEqual(reqMgr.alloc(2, 7), null);
+
+        reqMgr.setServerAssigned(true);
+        reqMgr.nextTag = 0xffff;
+        assert.deepStrictEqual(assignMany(reqMgr, 4), [[0, 0xffff], [1, 0], [3, 1], null]);
+        assert.strictEqual(reqMgr.slotCount(), 4);
+        tunnel.destroy();
+    },
+};
+
+export const requestsGetAssignedSlots = {
+    async test() {
+        let { tunnel, websocket, mgr } = await handshaked(CAP_SERVER_SLOTS);
+        let first = tunnel.allocRequest(500, 0, "example.com", 80, "tcp", false);
+        let second = tunnel.allocRequest(500, 0, "example.com", 80, "tcp", false);
+        mgr.usage.isExceeded = () => true;
+        assert.strictEqual(tunnel.allocRequest(501, 0, "example.com", 80, "tcp", false), null);
+        await settle();
+
+        // client's idx is only a ticket, each request gets its own slot
+        assert.deepStrictEqual([first.idx, second.idx], [0, 1]);
+        assert.deepStrictEqual(websocket.frames.map((f) => [f.cmd, f.idx, f.tag, f.ticket, f.error]), [
+            [CMD_ReqAssigned, 0, 0, 500, REASON_NONE],
+            [CMD_ReqAssigned, 1, 1, 500, REASON_NONE],
+            [CMD_ReqAssigned, 0, 0, 501, REASON_QUOTA_EXCEEDED],
+        ]);
+        tunnel.destroy();
+    },
+};
+
+export const fullTunnelRefusesByTicket = {
+    async test() {
+        let { tunnel, websocket } = await handshaked(CAP_SERVER_SLOTS, {}, 1);
+        assert.notStrictEqual(tunnel.allocRequest(7, 0, "example.com", 80, "tcp", false), null);
+        assert.strictEqual(tunnel.allocRequest(8, 0, "example.com", 80, "tcp", false), null);
+        await settle();
+
+        assert.deepStrictEqual(websocket.sent(CMD_ReqAssigned).map((f) => [f.ticket, f.error]),
+            [[7, REASON_NONE], [8, REASON_SLOT_BUSY]]);
+        assert.strictEqual(websocket.sent(CMD_ReqError).length, 0);
+        tunnel.destroy();
+    },
+};
+
+export const malformedRequestRefusesTicket = {
+    async test() {
+        let { tunnel, websocket } = await handshaked(CAP_SERVER_SLOTS);
+        // ipv4 address type with a truncated address, ticket 300 isn't a slot
+        websocket.inject(Uint8Array.from([CMD_ReqCreated, 44, 1, 0, 0, ADDR_IPV4, 127, 0]));
+        await settle();
+
+        assert.deepStrictEqual(websocket.frames.map((f) => [f.cmd, f.idx, f.tag, f.ticket, f.error]),
+            [[CMD_ReqAssigned, 0, 0, 300, REASON_BAD_ADDRESS]]);
+        tunnel.destroy();
+    },
+};
+
+export const serverSlotsCanBeRequired = {
+    async test() {
+        let { tunnel, websocket } = slotsTunnel({ requests: { assign: "server" } });
+        websocket.inject({ cmd: CMD_Hello, version: PROTOCOL_VERSION, clientId: "test", caps: 0 });
+        await settle();
+
+        assert.strictEqual(websocket.sent(CMD_HelloAck).length, 0);
+        assert.strictEqual(websocket.closeCode, 4007);
+        tunnel.destroy();
+
+        // and turned off
+        let fake = await handshaked(CAP_SERVER_SLOTS, { requests: { assign: "client" } });
+        assert.strictEqual(fake.tunnel.hasCap(CAP_SERVER_SLOTS), false);
+        fake.tunnel.destroy();
+    },
+};
+
+export const requestCapFollowsPlan = {
+    async test() {
+        let mgr = fakeManager({ requests: { cap: 16, plans: { free: 2, huge: 1e9 } } });
+        assert.strictEqual(mgr.requestCap({ id: "alice" }), 16);
+        assert.strictEqual(mgr.requestCap({ id: "bob", plan: "free" }), 2);
+        assert.strictEqual(mgr.requestCap({ id: "carol", plan: "gold" }), 16);
+        assert.ok(mgr.requestCap({ id: "dave", plan: "huge" }) < 1e9);
+    },
+};
+
+export const invalidRequestCapFallsBackToDefault = {
+    async test() {
+        let mgr = fakeManager({ requests: { cap: "abc", plans: { neg: -3, none: null, tiny: 0.5, text: "8" } } });
+        let fallback = fakeManager().requestCap({ id: "alice" });
+        assert.strictEqual(mgr.requestCap({ id: "alice" }), fallback);
+        assert.strictEqual(mgr.requestCap({ id: "bob", plan: "neg" }), fallback);
+        assert.strictEqual(mgr.requestCap({ id: "carol", plan: "none" }), fallback);
+        assert.strictEqual(mgr.requestCap({ id: "dave", plan: "tiny" }), fallback);
+        assert.strictEqual(mgr.requestCap({ id: "erin", plan: "text" }), 8);
+    },
+};
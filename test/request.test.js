@@ -0,0 +1,146 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { Request, REQ_WINDOW } from "../request.js";
+import { settle, stubSocket } from "./fakes.js";
+
+/**
+ * a tunnel that records what its request reports
+ * @returns tunnel object
+ */
+function stubTunnel() {
+    return {
+        sent: [],
+        refreshes: [],
+        closed: 0,
+        async onReqServerData(req, data) {
+            this.sent.push(data.length);
+        },
+        async sendQuotaRefresh(req, quota) {
+            this.refreshes.push(quota);
+        },
+        async onReqServerClosed(req) {
+            this.closed++;
+        },
+        countBytesUp(bytes) {},
+        countBytesDown(bytes) {},
+        requestWindow() {
+            return REQ_WINDOW;
+        },
+        hasCap(cap) {
+            return true;
+        },
+    };
+}
+
+function proxying(tunnel) {
+    let req = new Request(1, 1, tunnel);
+    req.inUsed = true;
+    req.socketb = stubSocket();
+    return req;
+}
+
+export const serverDataWaitsForQuota = {
+    async test() {
+        let tunnel = stubTunnel();
+        let req = proxying(tunnel);
+        let done = false;
+        req.onServerData(Buffer.alloc(REQ_WINDOW + 100)).then(() => { done = true; });
+        await settle();
+        assert.deepStrictEqual(tunnel.sent, [REQ_WINDOW]);
+        assert.strictEqual(done, false);
+
+        req.onQuotaRefreshed(60);
+        await settle();
+        assert.deepStrictEqual(tunnel.sent, [REQ_WINDOW, 60]);
+        assert.strictEqual(done, false);
+
+        req.onQuotaRefreshed(1000);
+        await settle();
+        assert.deepStrictEqual(tunnel.sent, [REQ_WINDOW, 60, 40]);
+        assert.strictEqual(done, true);
+        assert.strictEqual(req.sendQuota, 960);
+    },
+};
+
+export const freeStopsWaitingData = {
+    async test() {
+        let tunnel = stubTunnel();
+        let req = proxying(tunnel);
+        let pending = req.onServerData(Buffer.alloc(REQ_WINDOW * 2));
+        await settle();
+        req.free();
+        await pending;
+
+        assert.deepStrictEqual(tunnel.sent, [REQ_WINDOW]);
+        assert.strictEqual(req.sendQuota, REQ_WINDOW);
+    },
+};
+
+export const drainedDataRefreshesClient = {
+    async test() {
+        let tunnel = stubTunnel();
+        let req = proxying(tunnel);
+        req.onClientData(Buffer.alloc(REQ_WINDOW / 2));
+        assert.strictEqual(req.recvQuota, REQ_WINDOW / 2);
+
+        req.onServerDrain(REQ_WINDOW / 4 - 1);
+        assert.deepStrictEqual(tunnel.refreshes, []);
+        req.onServerDrain(1);
+        assert.deepStrictEqual(tunnel.refreshes, [REQ_WINDOW / 4]);
+        assert.strictEqual(req.recvQuota, REQ_WINDOW * 3 / 4);
+    },
+};
+
+export const clientBeyondQuotaIsClosed = {
+    async test() {
+        let tunnel = stubTunnel();
+        let req = proxying(tunnel);
+        req.onClientData(Buffer.alloc(REQ_WINDOW - 1));
+        req.onClientData(Buffer.alloc(1));
+        assert.strictEqual(tunnel.closed, 0);
+
+        req.onClientData(Buffer.alloc(1));
+        assert.strictEqual(tunnel.closed, 1);
+        assert.deepStrictEqual(req.socketb.written.map((data) => data.length), [REQ_WINDOW - 1, 1]);
+    },
+};
+
+export const clientFinishShutsWriteSideOnly = {
+    async test() {
+        let tunnel = stubTunnel();
+        let req = proxying(tunnel);
+        req.onClientFinished();
+        req.onClientFinished();
+        assert.strictEqual(req.socketb.shutdowns, 1);
+        assert.strictEqual(req.socketb.closed, false);
+
+        req.onClientData(Buffer.from("late"));
+        assert.deepStrictEqual(req.socketb.written, []);
+
+        // target can still send to client
+        await req.onServerData(Buffer.from("reply"));
+        assert.deepStrictEqual(tunnel.sent, [5]);
+        assert.strictEqual(tunnel.closed, 0);
+    },
+};
+
+export const closedAfterBothSidesFinish = {
+    async test() {
+        let tunnel = stubTunnel();
+        let req = proxying(tunnel);
+        let finished = 0;
+        tunnel.onReqServerFinished = () => { finished++; };
+
+        req.onServerFinished();
+        assert.strictEqual(finished, 1);
+        assert.strictEqual(tunnel.closed, 0);
+
+        req.onClientFinished();
+        req.onServerShutdown();
+        assert.strictEqual(tunnel.closed, 1);
+
+        // socket's 'closed' event follows, closes only once
+        req.onServerClosed();
+        assert.strictEqual(tunnel.closed, 1);
+    },
+};
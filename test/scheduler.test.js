@@ -0,0 +1,116 @@
+import assert from "node:assert";
+import { SendScheduler } from "../scheduler.js";
+import { CMD_ReqData, CMD_ReqAssigned, CMD_Pong, PRIORITY_DEFAULT, encodeFrame } from "../codec.js";
+import { REASON_POLICY_DENIED } from "../reason.js";
+
+/**
+ * @param {*} frame frame object
+ * @returns scheduler item of the frame
+ */
+function item(frame) {
+    return { buf: encodeFrame(frame), frame: frame };
+}
+
+function data(idx, bytes, tag = 0) {
+    return item({ cmd: CMD_ReqData, idx: idx, tag: tag, data: new Uint8Array(bytes) });
+}
+
+/**
+ * @param {*} scheduler SendScheduler object
+ * @returns frames in the order they are taken
+ */
+function takeAll(scheduler) {
+    let frames = [];
+    for (let next = scheduler.shift(); next != null; next = scheduler.shift()) {
+        frames.push(next.frame);
+    }
+    return frames;
+}
+
+export const refusalSkipsSlotBacklog = {
+    async test() {
+        let scheduler = new SendScheduler();
+        for (let i = 0; i < 64; i++) {
+            scheduler.push(data(0, 4096));
+        }
+        scheduler.push(item({ cmd: CMD_ReqAssigned, idx: 0, tag: 0, ticket: 9, error: REASON_POLICY_DENIED }));
+        scheduler.push(item({ cmd: CMD_Pong, payload: new Uint8Array(8) }));
+
+        let frames = takeAll(scheduler);
+        assert.deepStrictEqual(frames.slice(0, 2).map((f) => f.cmd), [CMD_ReqAssigned, CMD_Pong]);
+        assert.strictEqual(frames.length, 66);
+    },
+};
+
+/**
+ * @param {*} frames frames taken from scheduler
+ * @returns slot index => bytes of its data
+ */
+function bytesByRequest(frames) {
+    let bytes = new Map();
+    for (const frame of frames) {
+        bytes.set(frame.idx, (bytes.get(frame.idx) ?? 0) + frame.data.length);
+    }
+    return bytes;
+}
+
+export const bulkRequestDoesNotStarveOthers = {
+    async test() {
+        let scheduler = new SendScheduler();
+        for (let i = 0; i < 100; i++) {
+            scheduler.push(data(0, 4096));
+        }
+        scheduler.push(data(1, 100));
+
+        let frames = takeAll(scheduler);
+        let small = frames.findIndex((f) => f.idx == 1);
+        // bulk request sends one quantum of default weight first
+        assert.ok(small > 0 && small <= 4, "small request sent at " + small);
+        assert.strictEqual(frames.length, 101);
+    },
+};
+
+export const weightsShareBandwidth = {
+    async test() {
+        let scheduler = new SendScheduler();
+        scheduler.setWeight(0, PRIORITY_DEFAULT * 2);
+        scheduler.setWeight(2, PRIORITY_DEFAULT / 2);
+        for (let i = 0; i < 200; i++) {
+            scheduler.push(data(0, 1000));
+            scheduler.push(data(1, 1000));
+            scheduler.push(data(2, 1000));
+        }
+
+        // every queue is still backlogged in the first 280 frames, shares are exact per round only
+        let bytes = bytesByRequest(takeAll(scheduler).slice(0, 280));
+        let ratio = (a, b) => bytes.get(a) / bytes.get(b);
+        assert.ok(Math.abs(ratio(0, 1) - 2) < 0.3, "weight 32 vs 16: " + ratio(0, 1));
+        assert.ok(Math.abs(ratio(1, 2) - 2) < 0.3, "weight 16 vs 8: " + ratio(1, 2));
+
+        scheduler.setWeight(0, PRIORITY_DEFAULT);
+        assert.strictEqual(scheduler.weightOf(0), PRIORITY_DEFAULT);
+        assert.strictEqual(scheduler.weights.size, 1);
+    },
+};
+
+export const requestFramesKeepOrder = {
+    async test() {
+        let scheduler = new SendScheduler();
+        scheduler.setWeight(1, 1);
+        let sizes = [10, 5000, 20000, 1, 700, 16384, 3];
+        for (let seq = 0; seq < sizes.length * 4; seq++) {
+            scheduler.push(data(seq % 2, sizes[seq % sizes.length], seq));
+        }
+        scheduler.push(item({ cmd: CMD_Pong, payload: new Uint8Array(8) }));
+
+        let frames = takeAll(scheduler);
+        assert.strictEqual(frames[0].cmd, CMD_Pong);
+        for (const idx of [0, 1]) {
+            let tags = frames.filter((f) => f.idx === idx).map((f) => f.tag);
+            assert.deepStrictEqual(tags, [...tags].sort((a, b) => a - b));
+            assert.strictEqual(tags.length, sizes.length * 2);
+        }
+        assert.strictEqual(scheduler.size, 0);
+        assert.strictEqual(scheduler.maxDepth(), 0);
+    },
+};
@@ -0,0 +1,163 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { TunMgr } from "../tunmgr.js";
+import { Tunnel } from "../tunnel.js";
+import { REASON_NONE } from "../reason.js";
+import { CMD_ReqClientClosed, CMD_ReqData, CMD_ReqResume, CMD_ReqServerClosed, CMD_SessionInfo } from "../codec.js";
+import { FakeWebSocket, MemoryStorage, fakeManager, sayHello, settle, stubSocket } from "./fakes.js";
+
+/**
+ * a registered tunnel of alice with request 1:3 proxying to a stub socket
+ * @param {*} grace session grace in ms
+ * @returns manager, tunnel, its websocket and request
+ */
+async function liveTunnel(grace = 1000) {
+    let mgr = fakeManager({ session: { grace: grace } });
+    let websocket = new FakeWebSocket();
+    let tunnel = new Tunnel(mgr, 0, 4, websocket, { id: "alice" });
+    let greeting = await sayHello(websocket);
+    mgr.tunnels[0] = tunnel;
+    let req = tunnel.reqMgr.alloc(1, 3);
+    req.socketb = stubSocket();
+    return { mgr, tunnel, websocket, req, greeting };
+}
+
+function resumeFrame(received) {
+    return { cmd: CMD_ReqResume, idx: 1, tag: 3, received: received };
+}
+
+function drop(websocket) {
+    websocket.close();
+    websocket.dispatchEvent(new Event("close"));
+}
+
+export const droppedTunnelIsParked = {
+    async test() {
+        let { mgr, tunnel, websocket, req, greeting } = await liveTunnel();
+        let info = greeting.find((frame) => frame.cmd == CMD_SessionInfo);
+        assert.deepStrictEqual(info, { cmd: CMD_SessionInfo, sessionId: tunnel.sessionId, flags: 0, grace: 1000 });
+
+        drop(websocket);
+        assert.strictEqual(tunnel.parked, true);
+        assert.strictEqual(req.inUsed, true);
+        assert.strictEqual(req.socketb.closed, false);
+        assert.deepStrictEqual(mgr.tunnels, {});
+        assert.strictEqual(mgr.findSession(tunnel.sessionId), tunnel);
+        tunnel.destroy();
+        assert.strictEqual(mgr.findSession(tunnel.sessionId), null);
+    },
+};
+
+export const resumeRetransmitsUnreceivedData = {
+    async test() {
+        let { mgr, tunnel, websocket, req } = await liveTunnel();
+        websocket.inject({ cmd: CMD_ReqData, idx: 1, tag: 3, data: Buffer.from("up") });
+        await req.onServerData(Buffer.from("hello"));
+        drop(websocket);
+        // lost with the old websocket
+        await req.onServerData(Buffer.from("world"));
+
+        let resumed = new FakeWebSocket();
+        mgr.resumeTunnel(tunnel, resumed);
+        assert.strictEqual(mgr.tunnels[0], tunnel);
+        // requests are resumed after hello on the new websocket
+        await settle();
+        assert.deepStrictEqual(resumed.frames, []);
+        let greeting = await sayHello(resumed);
+        assert.strictEqual(greeting.find((frame) => frame.cmd == CMD_SessionInfo).flags, 1);
+        let resume = greeting.filter((frame) => frame.cmd == CMD_ReqResume);
+        assert.deepStrictEqual(resume.map((frame) => [frame.idx, frame.tag, frame.received]),
+            [[1, 3, 2]]);
+
+        // new data is held until client replies
+        req.onServerData(Buffer.from("!"));
+        await settle();
+        assert.deepStrictEqual(resumed.sent(CMD_ReqData), []);
+
+        resumed.inject(resumeFrame(3));
+        await settle();
+        assert.deepStrictEqual(resumed.sent(CMD_ReqData).map((frame) => frame.data.toString()),
+            ["lo", "world", "!"]);
+
+        // client's quota refresh acknowledges data
+        req.onQuotaRefreshed(11);
+        assert.deepStrictEqual(req.unacked, []);
+        tunnel.destroy();
+    },
+};
+
+export const retransmitStopsWhenSlotIsReused = {
+    async test() {
+        let { mgr, tunnel, websocket, req } = await liveTunnel();
+        drop(websocket);
+        await req.onServerData(Buffer.from("one"));
+        await req.onServerData(Buffer.from("two"));
+
+        let resumed = new FakeWebSocket();
+        mgr.resumeTunnel(tunnel, resumed);
+        await sayHello(resumed);
+        resumed.inject(resumeFrame(0));
+        // client gives up on the request while "one" is on its way, and reuses the slot
+        resumed.inject({ cmd: CMD_ReqClientClosed, idx: 1, tag: 3 });
+        let next = tunnel.reqMgr.alloc(1, 4);
+        next.socketb = stubSocket();
+        await settle();
+
+        assert.deepStrictEqual(resumed.sent(CMD_ReqData).map((frame) => [frame.tag, frame.data.toString()]),
+            [[3, "one"]]);
+        assert.strictEqual(next.inUsed, true);
+        tunnel.destroy();
+    },
+};
+
+export const closeWhileParkedWaitsForResume = {
+    async test() {
+        let { mgr, tunnel, websocket, req } = await liveTunnel();
+        let socketb = req.socketb;
+        drop(websocket);
+        req.onServerClosed();
+        await settle();
+        assert.strictEqual(socketb.closed, true);
+        assert.strictEqual(req.inUsed, true);
+
+        let resumed = new FakeWebSocket();
+        mgr.resumeTunnel(tunnel, resumed);
+        await sayHello(resumed);
+        resumed.inject(resumeFrame(0));
+        await settle();
+        assert.deepStrictEqual(resumed.sent(CMD_ReqServerClosed).map((frame) => [frame.idx, frame.reason]),
+            [[1, REASON_NONE]]);
+        assert.strictEqual(req.inUsed, false);
+        tunnel.destroy();
+    },
+};
+
+export const parkedSessionExpires = {
+    async test() {
+        let { mgr, tunnel, websocket, req } = await liveTunnel(30);
+        let socketb = req.socketb;
+        drop(websocket);
+        await settle(60);
+        assert.strictEqual(tunnel.closed, true);
+        assert.strictEqual(socketb.closed, true);
+        assert.strictEqual(req.socketb, null);
+        assert.strictEqual(mgr.findSession(tunnel.sessionId), null);
+    },
+};
+
+export const sessionOfAnotherIdentityIsRefused = {
+    async test() {
+        let env = { AUTH_TOKENS: JSON.stringify({ "token-bob": "bob" }) };
+        let mgr = new TunMgr({ storage: new MemoryStorage() }, env);
+        let tunnel = new Tunnel(mgr, 0, 4, new FakeWebSocket(), { id: "alice" });
+        mgr.tunnels[0] = tunnel;
+
+        let request = new Request("https://tun.example/tun", {
+            headers: { Upgrade: "websocket", Authorization: "Bearer token-bob", "X-Tun-Session": tunnel.sessionId },
+        });
+        let response = await mgr.fetch(request);
+        assert.strictEqual(response.status, 403);
+        clearInterval(mgr.usage.timer);
+        tunnel.destroy();
+    },
+};
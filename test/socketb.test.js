@@ -0,0 +1,147 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { Socketb } from "../socketb.js";
+import { FakeSocket, settle } from "./fakes.js";
+
+/**
+ * Socketb connects by itself, wrap a fake socket the same way instead
+ * @param {*} sock fake socket
+ * @param {*} events array to record events
+ * @param {*} options same as Socketb's
+ * @returns Socketb object
+ */
+function socketbOn(sock, events, options = {}) {
+    let socketb = Object.create(Socketb.prototype);
+    Object.assign(socketb, {
+        state: 0,
+        connectStartedAt: Date.now(),
+        throttle: options.throttle || null,
+        evtCallback: (_, eventObj) => {
+            events.push(eventObj.event == "data" ?
+                "data:" + Buffer.from(eventObj.data).toString() : eventObj.event);
+        },
+        sock: sock,
+        chunks2Send: [],
+        inSending: false,
+        writeShutdown: false,
+        writeClosed: false,
+        connectTimer: null,
+        reader: null,
+        secureTransport: options.secureTransport || "off",
+        tlsStarted: false,
+    });
+    socketb.setupSocket(sock);
+    return socketb;
+}
+
+export const shutdownWriteKeepsReading = {
+    async test() {
+        let sock = new FakeSocket();
+        let events = [];
+        let socketb = socketbOn(sock, events);
+        socketb.write(Buffer.from("ping"));
+        socketb.shutdownWrite();
+        await settle();
+
+        assert.deepStrictEqual(sock.written, ["ping"]);
+        assert.strictEqual(sock.writeClosed, true);
+        assert.deepStrictEqual(events, ["connected", "drain", "shutdown"]);
+
+        socketb.write(Buffer.from("late"));
+        sock.receive("pong");
+        await settle();
+        assert.deepStrictEqual(sock.written, ["ping"]);
+        assert.deepStrictEqual(events.slice(3), ["data:pong"]);
+    },
+};
+
+export const targetEofEmitsFinish = {
+    async test() {
+        let sock = new FakeSocket();
+        let events = [];
+        let socketb = socketbOn(sock, events);
+        await settle();
+        sock.receive("bye");
+        sock.finish();
+        await settle();
+        assert.deepStrictEqual(events, ["connected", "data:bye", "finish"]);
+
+        // our writable side is still open
+        socketb.write(Buffer.from("more"));
+        await settle();
+        assert.deepStrictEqual(sock.written, ["more"]);
+        assert.strictEqual(sock.writeClosed, false);
+    },
+};
+
+export const throttleHoldsWrites = {
+    async test() {
+        let sock = new FakeSocket();
+        let release = null;
+        let throttled = [];
+        let socketb = socketbOn(sock, [], {
+            throttle: (bytes) => {
+                throttled.push(bytes);
+                return new Promise((resolve) => { release = resolve; });
+            },
+        });
+        socketb.write(Buffer.from("abc"));
+        await settle();
+        assert.deepStrictEqual(throttled, [3]);
+        assert.deepStrictEqual(sock.written, []);
+
+        release();
+        await settle();
+        assert.deepStrictEqual(sock.written, ["abc"]);
+    },
+};
+
+export const connectTimeoutGivesUp = {
+    async test() {
+        let sock = new FakeSocket();
+        sock.opened = new Promise(() => {});
+        let events = [];
+        let socketb = socketbOn(sock, events);
+        socketb.onConnectTimeout();
+        await settle();
+        assert.deepStrictEqual(events, ["error"]);
+        assert.strictEqual(socketb.isClosed(), true);
+
+        // late result of connecting is ignored
+        socketb.onConnected();
+        socketb.onError(new Error("refused"));
+        assert.deepStrictEqual(events, ["error"]);
+    },
+};
+
+export const startTlsUpgradesAfterPendingWrites = {
+    async test() {
+        let plain = new FakeSocket();
+        let events = [];
+        let socketb = socketbOn(plain, events, { secureTransport: "starttls" });
+        await settle();
+        socketb.write(Buffer.from("STARTTLS\r\n"));
+        assert.strictEqual(socketb.startTls(), true);
+        socketb.write(Buffer.from("EHLO"));
+        await settle();
+
+        assert.deepStrictEqual(plain.written, ["STARTTLS\r\n"]);
+        assert.deepStrictEqual(plain.tls.written, ["EHLO"]);
+        assert.strictEqual(socketb.startTls(), false);
+
+        // data and close of the plain socket are ignored
+        plain.close();
+        plain.tls.receive("250 OK");
+        await settle();
+        assert.deepStrictEqual(events, ["connected", "drain", "drain", "data:250 OK"]);
+        assert.strictEqual(socketb.isConnected(), true);
+    },
+};
+
+export const startTlsNeedsStarttlsMode = {
+    async test() {
+        let socketb = socketbOn(new FakeSocket(), [], { secureTransport: "on" });
+        await settle();
+        assert.strictEqual(socketb.startTls(), false);
+    },
+};
@@ -0,0 +1,64 @@
+import assert from "node:assert";
+import { REASON_QUOTA_EXCEEDED } from "../reason.js";
+import { tunnelSendQueue, tunnelSendQueueMax } from "../metrics.js";
+import { fakeManager } from "./fakes.js";
+
+/**
+ * a tunnel with in-used requests, only what the manager looks at
+ * @param {*} id tunnel id
+ * @param {*} identity identity id
+ * @param {*} count how many requests
+ * @returns tunnel like object
+ */
+function bareTunnel(id, identity, count) {
+    let requests = [];
+    for (let i = 0; i < count; i++) {
+        requests.push({ idx: i, closedWith: null, closeByServer(reason) { this.closedWith = reason; } });
+    }
+
+    return {
+        id: id,
+        sessionId: "session-" + id,
+        identity: { id: identity },
+        requests: requests,
+        reqMgr: { inUsedCount: () => requests.length, inUsedRequests: () => requests },
+        sendQueue: { size: count, maxDepth: () => count },
+    };
+}
+
+export const parkedTunnelsCountAndCloseOnQuota = {
+    async test() {
+        let mgr = fakeManager();
+        let live = bareTunnel(1, "alice", 2);
+        let parked = bareTunnel(2, "alice", 3);
+        let other = bareTunnel(3, "bob", 4);
+        mgr.tunnels[live.id] = live;
+        mgr.tunnels[other.id] = other;
+        mgr.sessions[parked.sessionId] = parked;
+
+        assert.strictEqual(mgr.allTunnels().length, 3);
+        assert.strictEqual(mgr.identityRequestCount({ id: "alice" }), 5);
+
+        mgr.onQuotaExceeded({ id: "alice" });
+        assert.ok(live.requests.concat(parked.requests).every((req) => req.closedWith == REASON_QUOTA_EXCEEDED));
+        assert.ok(other.requests.every((req) => req.closedWith == null));
+    },
+};
+
+export const parkedTunnelsAreListedAndSampled = {
+    async test() {
+        let mgr = fakeManager();
+        let live = bareTunnel(1, "alice", 2);
+        let parked = bareTunnel(2, "alice", 3);
+        mgr.tunnels[live.id] = live;
+        mgr.sessions[parked.sessionId] = parked;
+
+        assert.strictEqual(mgr.findTunnel("1"), live);
+        assert.strictEqual(mgr.findTunnel("2"), parked);
+        assert.strictEqual(mgr.findTunnel("3"), null);
+
+        mgr.collectQueueDepth();
+        assert.strictEqual(tunnelSendQueue.get(), 5);
+        assert.strictEqual(tunnelSendQueueMax.get(), 3);
+    },
+};
@@ -0,0 +1,294 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { Tunnel } from "../tunnel.js";
+import {
+    ADDR_IPV4, CAP_DNS, CAP_EYEBALLS, CAP_TLS, CMD_DnsAnswer, CMD_DnsQuery, CMD_ReqClientClosed, CMD_ReqClientFinished, CMD_ReqConnected,
+    CMD_ReqData, CMD_ReqError, CMD_ReqServerClosed, CMD_ReqServerFinished, CMD_ReqStartTls, TLS_ON, TLS_STARTTLS,
+    encodeFrame,
+} from "../codec.js";
+import {
+    REASON_BAD_ADDRESS, REASON_CONNECT_FAILED, REASON_CONNECT_REFUSED, REASON_CONNECT_TIMEOUT, REASON_DNS_FAILED,
+    REASON_IDLE_TIMEOUT, REASON_LIFETIME_EXCEEDED, REASON_POLICY_DENIED, REASON_SLOT_BUSY, REASON_TLS_FAILED,
+    connectErrorReason,
+} from "../reason.js";
+import { DNS_STATUS_SERVFAIL } from "../dns.js";
+import { CAPS_ALL, FakeSocket, FakeWebSocket, fakeManager, reqCreated, sayHello, settle, stubSocket } from "./fakes.js";
+
+/**
+ * @param {*} version protocol version the client says hello with
+ * @param {*} config config object of the manager
+ * @returns tunnel on a fake websocket with request 2:5 proxying to a stub socket
+ */
+async function proxyingTunnel(version, config) {
+    let websocket = new FakeWebSocket();
+    let tunnel = new Tunnel(fakeManager(config), 1, 4, websocket, { id: "alice" });
+    await sayHello(websocket, CAPS_ALL, version);
+    let req = tunnel.reqMgr.alloc(2, 5);
+    req.socketb = stubSocket();
+    return { tunnel, websocket, req };
+}
+
+export const clientFinishKeepsSlot = {
+    async test() {
+        let { websocket, req } = await proxyingTunnel();
+        let socketb = req.socketb;
+        websocket.inject({ cmd: CMD_ReqClientFinished, idx: 2, tag: 5 });
+        websocket.inject({ cmd: CMD_ReqData, idx: 2, tag: 5, data: Buffer.from("late") });
+        await settle();
+
+        assert.strictEqual(socketb.shutdowns, 1);
+        assert.deepStrictEqual(socketb.written, []);
+        assert.strictEqual(req.inUsed, true);
+        assert.deepStrictEqual(websocket.requestFrames(), []);
+
+        req.onServerShutdown();
+        await settle();
+        assert.strictEqual(req.inUsed, true);
+
+        req.onServerFinished();
+        await settle();
+        assert.deepStrictEqual(websocket.requestFrames().map((frame) => [frame.cmd, frame.idx, frame.tag]),
+            [[CMD_ReqServerFinished, 2, 5], [CMD_ReqServerClosed, 2, 5]]);
+        assert.strictEqual(req.inUsed, false);
+        assert.strictEqual(socketb.closed, true);
+    },
+};
+
+export const targetEofSendsServerFinished = {
+    async test() {
+        let { websocket, req } = await proxyingTunnel();
+        let socketb = req.socketb;
+        req.onServerFinished();
+        await settle();
+        assert.strictEqual(websocket.sent(CMD_ReqServerFinished).length, 1);
+        assert.strictEqual(websocket.sent(CMD_ReqServerClosed).length, 0);
+
+        // client can still send until it finishes too
+        websocket.inject({ cmd: CMD_ReqData, idx: 2, tag: 5, data: Buffer.from("more") });
+        assert.deepStrictEqual(socketb.written.map(String), ["more"]);
+        assert.strictEqual(req.inUsed, true);
+
+        websocket.inject({ cmd: CMD_ReqClientFinished, idx: 2, tag: 5 });
+        req.onServerShutdown();
+        await settle();
+        assert.strictEqual(websocket.sent(CMD_ReqServerClosed).length, 1);
+        assert.strictEqual(req.inUsed, false);
+    },
+};
+
+export const connectFailureIsReported = {
+    async test() {
+        let { tunnel, websocket, req } = await proxyingTunnel();
+        req.onServerError(new Error("Connection refused"));
+        await settle();
+        assert.deepStrictEqual(websocket.requestFrames(),
+            [{ cmd: CMD_ReqError, idx: 2, tag: 5, error: REASON_CONNECT_REFUSED }]);
+        assert.strictEqual(tunnel.reqMgr.get(2, 5), null);
+
+        assert.strictEqual(connectErrorReason(new Error("DNS lookup failed")), REASON_DNS_FAILED);
+        assert.strictEqual(connectErrorReason(new Error("connect timed out")), REASON_CONNECT_TIMEOUT);
+        assert.strictEqual(connectErrorReason("network unreachable"), REASON_CONNECT_FAILED);
+    },
+};
+
+export const reusedSlotOutlivesServerClose = {
+    async test() {
+        let { tunnel, websocket, req } = await proxyingTunnel();
+        for (const close of [() => req.closeByServer(REASON_IDLE_TIMEOUT), () => req.onServerError("refused")]) {
+            let tag = req.tag;
+            close();
+            // client closes it too, and opens another request on the slot before our frame is out
+            websocket.inject({ cmd: CMD_ReqClientClosed, idx: 2, tag: tag });
+            let next = tunnel.reqMgr.alloc(2, tag + 1);
+            next.socketb = stubSocket();
+            await settle();
+
+            assert.strictEqual(next.inUsed, true);
+            assert.strictEqual(tunnel.reqMgr.get(2, tag + 1), next);
+        }
+        tunnel.destroy();
+    },
+};
+
+export const oldClientGetsServerClosed = {
+    async test() {
+        let { websocket, req } = await proxyingTunnel(1);
+        req.onServerError(new Error("Connection refused"));
+        await settle();
+        assert.deepStrictEqual(websocket.requestFrames(),
+            [{ cmd: CMD_ReqServerClosed, idx: 2, tag: 5, reason: REASON_CONNECT_REFUSED }]);
+    },
+};
+
+export const brokenRequestsAreRefused = {
+    async test() {
+        let { websocket } = await proxyingTunnel();
+        // slot 2 is in use
+        websocket.inject(reqCreated(2, 6, "example.com", 80));
+        // target is cut in the middle of its domain
+        websocket.inject(encodeFrame(reqCreated(3, 1, "example.com", 80)).subarray(0, 10));
+        await settle();
+        assert.deepStrictEqual(websocket.sent(CMD_ReqError).map((frame) => [frame.idx, frame.tag, frame.error]),
+            [[2, 6, REASON_SLOT_BUSY], [3, 1, REASON_BAD_ADDRESS]]);
+    },
+};
+
+export const expiredRequestsAreClosed = {
+    async test() {
+        let { tunnel, websocket, req } = await proxyingTunnel(undefined, { timeouts: { idle: 1000, lifetime: 5000 } });
+        let now = Date.now();
+        req.createdAt = now;
+        req.lastActivate = now;
+        let old = tunnel.reqMgr.alloc(3, 1);
+        old.socketb = stubSocket();
+        old.createdAt = now - 6000;
+        old.lastActivate = now;
+
+        assert.strictEqual(tunnel.checkTimeouts(now + 500), false);
+        await settle();
+        assert.strictEqual(websocket.sent(CMD_ReqServerClosed).length, 1);
+
+        assert.strictEqual(tunnel.checkTimeouts(now + 1500), false);
+        await settle();
+        assert.deepStrictEqual(websocket.sent(CMD_ReqServerClosed).map((frame) => [frame.idx, frame.reason]),
+            [[3, REASON_LIFETIME_EXCEEDED], [2, REASON_IDLE_TIMEOUT]]);
+
+        let connecting = tunnel.reqMgr.alloc(0, 1);
+        connecting.socketb = stubSocket();
+        connecting.onServerError(new Error("connect timed out"));
+        await settle();
+        assert.deepStrictEqual(websocket.sent(CMD_ReqError).map((frame) => frame.error), [REASON_CONNECT_TIMEOUT]);
+        assert.deepStrictEqual(tunnel.timeoutStats, { connect: 1, idle: 1, lifetime: 1 });
+    },
+};
+
+export const idleTunnelIsClosed = {
+    async test() {
+        let { tunnel, websocket } = await proxyingTunnel(undefined, { timeouts: { tunnelIdle: 1000 } });
+        let now = Date.now();
+        assert.strictEqual(tunnel.checkTimeouts(now + 500), false);
+        assert.strictEqual(tunnel.checkTimeouts(now + 1500), true);
+        assert.strictEqual(websocket.closeCode, 4004);
+    },
+};
+
+export const tlsRequestsFollowCapAndPolicy = {
+    async test() {
+        let mgr = fakeManager({ policy: { default: "allow", rules: [{ action: "deny", ports: [25], tls: false }] } });
+        let dialed = [];
+        mgr.connectors = {
+            connect(address, options) {
+                dialed.push([address, options.secureTransport]);
+                return new FakeSocket();
+            },
+        };
+        let websocket = new FakeWebSocket();
+        let tunnel = new Tunnel(mgr, 1, 4, websocket, { id: "alice" });
+        await sayHello(websocket);
+
+        websocket.inject(reqCreated(0, 1, "smtp.example", 25));
+        websocket.inject({ ...reqCreated(1, 1, "smtp.example", 25), tls: TLS_STARTTLS });
+        websocket.inject({ ...reqCreated(2, 1, "example.com", 443), tls: TLS_ON });
+        await settle();
+        assert.deepStrictEqual(dialed, [["smtp.example:25", "starttls"], ["example.com:443", "on"]]);
+
+        websocket.inject({ cmd: CMD_ReqStartTls, idx: 1, tag: 1 });
+        websocket.inject({ cmd: CMD_ReqStartTls, idx: 2, tag: 1 });
+        await settle();
+        assert.strictEqual(tunnel.reqMgr.get(1, 1).socketb.tlsStarted, true);
+        assert.deepStrictEqual(websocket.sent(CMD_ReqError).map((frame) => [frame.idx, frame.error]),
+            [[0, REASON_POLICY_DENIED], [2, REASON_TLS_FAILED]]);
+        tunnel.destroy();
+
+        websocket = new FakeWebSocket();
+        tunnel = new Tunnel(mgr, 2, 4, websocket, { id: "alice" });
+        await sayHello(websocket, CAPS_ALL & ~CAP_TLS);
+        websocket.inject({ ...reqCreated(0, 1, "example.com", 443), tls: TLS_ON });
+        await settle();
+        assert.deepStrictEqual(websocket.sent(CMD_ReqError).map((frame) => frame.error), [REASON_TLS_FAILED]);
+        assert.strictEqual(dialed.length, 2);
+        tunnel.destroy();
+    },
+};
+
+export const candidatesAreRacedAndReported = {
+    async test() {
+        let mgr = fakeManager();
+        let dialed = [];
+        mgr.connectors = {
+            route: () => ({ name: "direct" }),
+            connect(address) {
+                dialed.push(address);
+                if (address == "example.com:80") {
+                    throw new Error("connection refused");
+                }
+                return new FakeSocket();
+            },
+        };
+        let websocket = new FakeWebSocket();
+        let tunnel = new Tunnel(mgr, 1, 4, websocket, { id: "alice" });
+        await sayHello(websocket, CAPS_ALL | CAP_EYEBALLS);
+
+        let candidates = [{ addressType: ADDR_IPV4, host: "192.0.2.7" }];
+        websocket.inject({ ...reqCreated(0, 1, "example.com", 80), candidates: candidates });
+        // private candidates are denied like targets
+        let privates = [{ addressType: ADDR_IPV4, host: "10.0.0.1" }];
+        websocket.inject({ ...reqCreated(1, 1, "example.com", 80), candidates: privates });
+        await settle();
+        assert.deepStrictEqual(dialed, ["example.com:80", "192.0.2.7:80"]);
+        assert.deepStrictEqual(websocket.sent(CMD_ReqConnected),
+            [{ cmd: CMD_ReqConnected, idx: 0, tag: 1, addressType: ADDR_IPV4, host: "192.0.2.7", port: 80 }]);
+        assert.strictEqual(tunnel.reqMgr.get(0, 1).connectedTo, "192.0.2.7:80");
+        assert.deepStrictEqual(websocket.sent(CMD_ReqError).map((frame) => [frame.idx, frame.error]),
+            [[1, REASON_POLICY_DENIED]]);
+        tunnel.destroy();
+
+        // client that hasn't agreed can't send candidates, and isn't told the address
+        websocket = new FakeWebSocket();
+        tunnel = new Tunnel(mgr, 2, 4, websocket, { id: "alice" });
+        await sayHello(websocket);
+        websocket.inject({ ...reqCreated(0, 1, "example.com", 80), candidates: candidates });
+        websocket.inject(reqCreated(1, 1, "example.org", 80));
+        await settle();
+        assert.deepStrictEqual(websocket.sent(CMD_ReqError).map((frame) => [frame.idx, frame.error]),
+            [[0, REASON_BAD_ADDRESS]]);
+        assert.strictEqual(tunnel.reqMgr.get(1, 1).connectedTo, "example.org:80");
+        assert.strictEqual(websocket.sent(CMD_ReqConnected).length, 0);
+        tunnel.destroy();
+    },
+};
+
+export const resolvedAddressesAreInterleaved = {
+    async test() {
+        let mgr = fakeManager({ happyEyeballs: { resolve: true } });
+        mgr.resolver = {
+            lookup: async () => ({ status: 0, ipv4: ["192.0.2.1", "192.0.2.2"], ipv6: ["2001:db8::1"] }),
+        };
+        let tunnel = new Tunnel(mgr, 1, 4, new FakeWebSocket(), { id: "alice" });
+        assert.deepStrictEqual(await tunnel.resolveTarget("example.com", 80, false),
+            ["2001:db8::1", "192.0.2.1", "192.0.2.2"]);
+        // TLS verifies the name it connects to
+        assert.strictEqual(await tunnel.resolveTarget("example.com", 443, true), null);
+        tunnel.destroy();
+    },
+};
+
+export const dnsQueryFailureIsAnswered = {
+    async test() {
+        let websocket = new FakeWebSocket();
+        let mgr = fakeManager();
+        let tunnel = new Tunnel(mgr, 1, 4, websocket, { id: "alice" });
+        await sayHello(websocket, CAPS_ALL | CAP_DNS);
+        mgr.resolver = { resolve: async () => { throw new Error("resolver crashed"); } };
+        websocket.inject({ cmd: CMD_DnsQuery, id: 7, type: 1, name: "a.example" });
+
+        // an answer that can't be encoded
+        mgr.resolver = { resolve: async () => ({ status: 0, answers: [{ type: 70000, ttl: 1, data: "x" }] }) };
+        websocket.inject({ cmd: CMD_DnsQuery, id: 8, type: 1, name: "a.example" });
+        await settle();
+
+        let answers = websocket.sent(CMD_DnsAnswer);
+        assert.deepStrictEqual(answers.map((a) => [a.id, a.status]), [[7, DNS_STATUS_SERVFAIL], [8, DNS_STATUS_SERVFAIL]]);
+        tunnel.destroy();
+    },
+};
@@ -0,0 +1,165 @@
+import assert from "node:assert";
+import { Buffer } from "node:buffer";
+import { TunMgr } from "../tunmgr.js";
+import { Tunnel } from "../tunnel.js";
+import { UsageTracker } from "../usage.js";
+import { REASON_QUOTA_EXCEEDED } from "../reason.js";
+import { CMD_ReqData, CMD_ReqError, CMD_ReqServerClosed } from "../codec.js";
+import { FakeWebSocket, MemoryStorage, reqCreated, sayHello, settle, stubSocket } from "./fakes.js";
+
+/**
+ * @param {*} config config object, see config.js
+ * @returns usage tracker on memory storage, with a fake manager
+ */
+function tracker(config) {
+    let mgr = {
+        tunnels: {},
+        exceeded: [],
+        allTunnels() { return Object.values(this.tunnels); },
+        onQuotaExceeded(identity) { this.exceeded.push(identity.id); },
+    };
+    return new UsageTracker(mgr, new MemoryStorage(), Object.assign({ identities: {} }, config));
+}
+
+export const capsAreCountedPerIdentity = {
+    async test() {
+        let usage = tracker({
+            quota: { daily: 100 },
+            identities: { bob: { quota: { daily: 0, monthly: 1000 } } },
+        });
+        let alice = { id: "alice" };
+        let bob = { id: "bob" };
+
+        // bytes of an identity not loaded yet are not counted
+        usage.record(alice, 500);
+        assert.strictEqual(usage.isExceeded(alice), false);
+
+        await usage.load(alice);
+        await usage.load(bob);
+        clearInterval(usage.timer);
+
+        usage.record(alice, 60);
+        usage.record(bob, 600);
+        assert.deepStrictEqual(usage.mgr.exceeded, []);
+        usage.record(alice, 40);
+        usage.record(alice, 10);
+        assert.deepStrictEqual(usage.mgr.exceeded, ["alice"]);
+        assert.strictEqual(usage.isExceeded(alice), true);
+        assert.strictEqual(usage.isExceeded(bob), false);
+
+        usage.record(bob, 400);
+        assert.deepStrictEqual(usage.mgr.exceeded, ["alice", "bob"]);
+
+        // a new day resets daily counter only
+        usage.records.alice.day = "2000-01-01";
+        assert.strictEqual(usage.isExceeded(alice), false);
+        assert.strictEqual(usage.records.alice.total, 110);
+    },
+};
+
+export const unchangedUsageIsNotWritten = {
+    async test() {
+        let usage = tracker({});
+        let tun = { id: 1, identity: { id: "alice" }, connectedAt: 0, bytesUp: 0, bytesDown: 0 };
+        usage.mgr.tunnels[tun.id] = tun;
+        await usage.load(tun.identity);
+        usage.stopFlushTimer();
+
+        usage.record(tun.identity, 100);
+        await usage.flush();
+        assert.strictEqual(usage.storage.puts, 1);
+        assert.strictEqual((await usage.storage.get("usage:alice")).total, 100);
+
+        await usage.flush();
+        assert.strictEqual(usage.storage.puts, 1);
+
+        tun.bytesUp = 100;
+        await usage.flush();
+        assert.strictEqual(usage.storage.puts, 2);
+        assert.strictEqual((await usage.storage.get("usage-tunnels"))[1].bytesUp, 100);
+    },
+};
+
+export const flushTimerStopsWithoutTunnels = {
+    async test() {
+        let usage = tracker({});
+        usage.mgr.tunnels[1] = { id: 1, identity: { id: "alice" }, connectedAt: 0, bytesUp: 0, bytesDown: 0 };
+        await usage.load({ id: "alice" });
+        assert.notStrictEqual(usage.timer, null);
+
+        await usage.onFlushTimer();
+        assert.notStrictEqual(usage.timer, null);
+
+        delete usage.mgr.tunnels[1];
+        await usage.onFlushTimer();
+        assert.strictEqual(usage.timer, null);
+        assert.deepStrictEqual(await usage.storage.get("usage-tunnels"), {});
+
+        // a new tunnel loads its identity again
+        await usage.load({ id: "alice" });
+        assert.notStrictEqual(usage.timer, null);
+        usage.stopFlushTimer();
+    },
+};
+
+export const usageSurvivesInStorage = {
+    async test() {
+        let usage = tracker({});
+        usage.mgr.tunnels[3] = { id: 3, identity: { id: "alice" }, connectedAt: 1, bytesUp: 7, bytesDown: 9 };
+        await usage.load({ id: "alice" });
+        clearInterval(usage.timer);
+        usage.record({ id: "alice" }, 16);
+        await usage.flush();
+
+        let reloaded = new UsageTracker(usage.mgr, usage.storage, usage.config);
+        await reloaded.load({ id: "alice" });
+        clearInterval(reloaded.timer);
+        assert.strictEqual(reloaded.records.alice.total, 16);
+
+        let all = await reloaded.usageAll();
+        assert.deepStrictEqual(Object.keys(all.identities), ["alice"]);
+        assert.deepStrictEqual(all.tunnels[3], { identity: "alice", connectedAt: 1, bytesUp: 7, bytesDown: 9 });
+
+        await reloaded.reset("alice", "daily");
+        assert.strictEqual((await reloaded.usage("alice")).daily, 0);
+        assert.strictEqual((await reloaded.usage("alice")).total, 16);
+        assert.strictEqual(await reloaded.usage("bob"), null);
+        await assert.rejects(reloaded.reset("alice", "weekly"), /unknown usage period/);
+    },
+};
+
+export const exceededIdentityIsCut = {
+    async test() {
+        let env = { CONFIG: JSON.stringify({ quota: { daily: 10 } }), ADMIN_TOKEN: "s3cret" };
+        let mgr = new TunMgr({ storage: new MemoryStorage() }, env);
+        let alice = { id: "alice" };
+        await mgr.usage.load(alice);
+        clearInterval(mgr.usage.timer);
+
+        let websocket = new FakeWebSocket();
+        let tunnel = new Tunnel(mgr, 0, 4, websocket, alice);
+        mgr.tunnels[0] = tunnel;
+        await sayHello(websocket);
+        tunnel.reqMgr.alloc(1, 2).socketb = stubSocket();
+
+        websocket.inject({ cmd: CMD_ReqData, idx: 1, tag: 2, data: Buffer.alloc(12) });
+        await settle();
+        assert.deepStrictEqual(websocket.sent(CMD_ReqServerClosed).map((frame) => [frame.idx, frame.reason]),
+            [[1, REASON_QUOTA_EXCEEDED]]);
+
+        // new requests are refused before policy is evaluated
+        websocket.inject(reqCreated(2, 2, "example.com", 80));
+        await settle();
+        assert.deepStrictEqual(websocket.sent(CMD_ReqError).map((frame) => [frame.idx, frame.error]),
+            [[2, REASON_QUOTA_EXCEEDED]]);
+        assert.strictEqual(mgr.policy.stats.allowed + mgr.policy.stats.denied, 0);
+
+        let admin = (method, query = "") => mgr.fetch(new Request("https://tun.example/admin/usage/alice" + query,
+            { method, headers: { Authorization: "Bearer s3cret" } }));
+        assert.strictEqual((await (await admin("GET")).json()).daily, 12);
+        assert.strictEqual((await admin("DELETE", "?period=weekly")).status, 400);
+        assert.strictEqual((await (await admin("DELETE", "?period=daily")).json()).daily, 0);
+        assert.strictEqual(mgr.usage.isExceeded(alice), false);
+        tunnel.destroy();
+    },
+};
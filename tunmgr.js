@@ -3,8 +3,25 @@
 //     https://opensource.org/licenses/Apache-2.0
 
 import { Tunnel } from "./tunnel.js";
+import { CAP_SESSION } from "./codec.js";
+import { Authenticator } from "./auth.js";
+import { PolicyEngine } from "./policy.js";
+import { UsageTracker } from "./usage.js";
+import { REASON_QUOTA_EXCEEDED } from "./reason.js";
+import { Limiter } from "./ratelimit.js";
+import { loadConfig, forIdentity } from "./config.js";
+import { handleAdminRequest, handleMetricsRequest } from "./admin.js";
+import { ConnectorRouter } from "./connector.js";
+import { DnsResolver } from "./dns.js";
+import { registry, tunnelSendQueue, tunnelSendQueueMax, socketSendQueue } from "./metrics.js";
 
 const KEEPALIVE_INTERVAL = 10000;
+// how long a dropped tunnel waits for its client to resume it, if not configured
+const DEFAULT_SESSION_GRACE = 60000;
+// how many concurrent requests a tunnel can carry, if not configured
+const DEFAULT_REQ_CAP = 100;
+// slot indexes are u16 on the wire
+const MAX_REQ_CAP = 0xffff;
 
 async function handleErrors(request, func) {
   try {
@@ -52,6 +69,14 @@ export default {
           // This is a request for `/api/...`, call the API handler.
           return handleTunRequest(request, env);
 
+        case "metrics":
+          // Metrics are kept by the object, too.
+          return handleTunRequest(request, env);
+
+        case "admin":
+          // Admin API lives in the same object, since it inspects live tunnels.
+          return handleTunRequest(request, env);
+
         default:
           return new Response("Not found", { status: 404 });
       }
@@ -91,10 +116,36 @@ export class TunMgr {
     // `sessions`.
     this.tunnels = {};
 
+    // parked tunnels whose websocket has dropped, by session id
+    this.sessions = {};
+
     // tunnels index
     this.index = 0;
 
     this.keepalive = false;
+
+    // resolve client identity before accepting a tunnel
+    this.authenticator = Authenticator.fromEnv(env);
+
+    this.config = loadConfig(env);
+
+    // destination access-control, shared by all tunnels
+    this.policy = new PolicyEngine(this.config);
+
+    // outgoing tcp connections go directly or through upstream proxies
+    this.connectors = new ConnectorRouter(this.config);
+
+    // DNS queries of clients and resolve checks of policy, cached across tunnels
+    this.resolver = new DnsResolver(this.config);
+
+    // per identity byte accounting and data caps, persisted in storage
+    this.usage = new UsageTracker(this, this.storage, this.config);
+
+    // identity id => Limiter, shared by all tunnels of the identity
+    this.identityLimiters = {};
+
+    // sample send queues when metrics are scraped
+    registry.addCollector(() => this.collectQueueDepth());
   }
 
   // The system will call fetch() whenever an HTTP request is sent to this Object. Such requests
@@ -105,22 +156,52 @@ export class TunMgr {
     let mgr = this;
 
     return await handleErrors(request, async () => {
+      let url = new URL(request.url);
+      if (url.pathname.startsWith("/admin/")) {
+        return handleAdminRequest(mgr, request);
+      }
+
+      if (url.pathname == "/metrics") {
+        return handleMetricsRequest(mgr, request);
+      }
+
       const upgradeHeader = request.headers.get('Upgrade');
       if (!upgradeHeader || upgradeHeader !== 'websocket') {
         return new Response('Expected Upgrade: websocket', { status: 426 });
       }
 
+      // authenticate before upgrade, reject with 401/403 instead of 101
+      let auth = await mgr.authenticator.authenticate(request);
+      if (!auth.identity) {
+        console.log("TunMgr.fetch authenticate failed:", auth.reason);
+        return Authenticator.reject(auth);
+      }
+
+      // usage must be loaded before any byte of this identity is counted
+      await mgr.usage.load(auth.identity);
+
+      // a reconnecting client presents its session id to resume the tunnel
+      let sessionId = request.headers.get("X-Tun-Session") || url.searchParams.get("session");
+      let resumable = sessionId ? mgr.findSession(sessionId) : null;
+      if (resumable != null && resumable.identity.id !== auth.identity.id) {
+        return new Response("Session belongs to another identity", { status: 403 });
+      }
+
       const webSocketPair = new WebSocketPair();
       const [client, server] = Object.values(webSocketPair);
 
-      let index = mgr.index;
-      mgr.index++;
-
       server.accept();
 
-      // user 100 for alpha test phase
-      let tun = new Tunnel(mgr, index, 100, server);
-      mgr.tunnels[index] = tun;
+      if (resumable != null) {
+        mgr.resumeTunnel(resumable, server, auth.token);
+      } else {
+        // unknown or expired session goes here too, client learns it from the new session id
+        let index = mgr.index;
+        mgr.index++;
+
+        let tun = new Tunnel(mgr, index, mgr.requestCap(auth.identity), server, auth.identity, auth.token);
+        mgr.tunnels[index] = tun;
+      }
 
       // start keepalive if need
       if (!mgr.keepalive) {
@@ -140,7 +221,175 @@ export class TunMgr {
     });
   }
 
+  collectQueueDepth() {
+    let frames = 0;
+    let deepest = 0;
+    let chunks = 0;
+    for (const tun of this.allTunnels()) {
+      frames += tun.sendQueue.size;
+      deepest = Math.max(deepest, tun.sendQueue.maxDepth());
+      for (const req of tun.reqMgr.inUsedRequests()) {
+        if (req.socketb != null) {
+          chunks += req.socketb.chunkCountWatingSend();
+        }
+      }
+    }
+
+    tunnelSendQueue.set(frames);
+    tunnelSendQueueMax.set(deepest);
+    socketSendQueue.set(chunks);
+  }
+
+  /**
+   * get the limiter shared by all tunnels of an identity
+   * @param {*} identity identity object
+   * @returns Limiter object
+   */
+  identityLimiter(identity) {
+    let limiter = this.identityLimiters[identity.id];
+    if (limiter === undefined) {
+      let limits = forIdentity(this.config, identity, "limits");
+      limiter = new Limiter("identity", limits.identity);
+      this.identityLimiters[identity.id] = limiter;
+    }
+
+    return limiter;
+  }
+
+  /**
+   * @returns all tunnels, including parked ones whose requests wait for their client to resume
+   */
+  allTunnels() {
+    return Object.values(this.tunnels).concat(Object.values(this.sessions));
+  }
+
+  /**
+   * @param {*} id tunnel id
+   * @returns tunnel object, parked or alive, or null
+   */
+  findTunnel(id) {
+    return this.allTunnels().find((tun) => String(tun.id) === String(id)) ?? null;
+  }
+
+  /**
+   * @param {*} identity identity object
+   * @returns how many requests are active in all tunnels of the identity
+   */
+  identityRequestCount(identity) {
+    let count = 0;
+    for (const tun of this.allTunnels()) {
+      if (tun.identity.id === identity.id) {
+        count += tun.reqMgr.inUsedCount();
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * an identity has reached its data cap, close all its requests
+   * @param {*} identity identity object
+   */
+  onQuotaExceeded(identity) {
+    for (const tun of this.allTunnels()) {
+      if (tun.identity.id !== identity.id) {
+        continue;
+      }
+
+      for (const req of tun.reqMgr.inUsedRequests()) {
+        req.closeByServer(REASON_QUOTA_EXCEEDED);
+      }
+    }
+  }
+
+  /**
+   * @param {*} identity identity object
+   * @returns how long a dropped tunnel of the identity can be resumed, in ms
+   */
+  sessionGrace(identity) {
+    let session = forIdentity(this.config, identity, "session");
+    return session.grace ?? DEFAULT_SESSION_GRACE;
+  }
+
+  /**
+   * @param {*} identity identity object
+   * @returns how many concurrent requests a tunnel of the identity can carry,
+   * the identity's plan decides if it has one in 'plans', otherwise 'cap'.
+   * A cap that isn't a positive number falls back to DEFAULT_REQ_CAP
+   */
+  requestCap(identity) {
+    let requests = forIdentity(this.config, identity, "requests");
+    let cap = requests.cap ?? DEFAULT_REQ_CAP;
+    if (identity.plan && requests.plans && requests.plans[identity.plan] !== undefined) {
+      cap = requests.plans[identity.plan];
+    }
+
+    cap = Math.floor(Number(cap));
+    if (!Number.isFinite(cap) || cap < 1) {
+      cap = DEFAULT_REQ_CAP;
+    }
+
+    return Math.min(cap, MAX_REQ_CAP);
+  }
+
+  /**
+   * find a tunnel by session id, parked or still alive
+   * @param {*} sessionId session id
+   * @returns tunnel object or null
+   */
+  findSession(sessionId) {
+    let tun = this.sessions[sessionId];
+    if (tun !== undefined) {
+      return tun;
+    }
+
+    // client may reconnect before we notice its old websocket has dropped
+    for (const tun of Object.values(this.tunnels)) {
+      if (tun.sessionId === sessionId) {
+        return tun;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * park a tunnel whose websocket has dropped, keep its requests for the grace period
+   * @param {*} tunnel tunnel object
+   * @returns false if the session can't be resumed, tunnel should be destroyed
+   */
+  parkTunnel(tunnel) {
+    let grace = this.sessionGrace(tunnel.identity);
+    if (!grace || !tunnel.hasCap(CAP_SESSION)) {
+      return false;
+    }
+
+    delete this.tunnels[tunnel.id];
+    this.sessions[tunnel.sessionId] = tunnel;
+    tunnel.parkTimer = setTimeout(() => {
+      console.log("TunMgr session expired, tunnel id:", tunnel.id);
+      tunnel.parkTimer = null;
+      tunnel.destroy();
+    }, grace);
+
+    return true;
+  }
+
+  /**
+   * continue a tunnel on a new websocket
+   * @param {*} tunnel tunnel object
+   * @param {*} websocket new websocket connection
+   * @param {*} authToken bearer token the client has authenticated with
+   */
+  resumeTunnel(tunnel, websocket, authToken) {
+    console.log("TunMgr resume tunnel, id:", tunnel.id);
+    delete this.sessions[tunnel.sessionId];
+    this.tunnels[tunnel.id] = tunnel;
+    tunnel.resume(websocket, authToken);
+  }
+
   onTunnelClosed(tunnel) {
+    delete this.sessions[tunnel.sessionId];
     delete this.tunnels[tunnel.id];
   }
 }
@@ -1,26 +1,133 @@
 import { ReqMgr } from "./reqmgr.js";
 import { Buffer } from 'node:buffer';
+import { REQ_WINDOW } from "./request.js";
+import {
+    CMD_None, CMD_Ping, CMD_Pong, CMD_ReqData, CMD_ReqCreated, CMD_ReqClientClosed,
+    CMD_ReqClientFinished, CMD_ReqServerFinished, CMD_ReqServerClosed, CMD_ReqRefreshQuota,
+    CMD_ReqResume, CMD_ReqError, CMD_ReqStartTls, CMD_ReqFetch, CMD_ReqFetchResponse, CMD_ReqConnected,
+    CMD_ReqPriority, CMD_ReqCompression, CMD_ReqDataDeflated, CMD_ReqAssigned, CMD_SessionInfo, CMD_Hello,
+    CMD_HelloAck, CMD_DnsQuery, CMD_DnsAnswer, CMD_Batch, CMD_Sealed, CMD_KeyExchange, SESSION_FLAG_RESUMED,
+    PROTOCOL_VERSION_MIN, PROTOCOL_VERSION,
+    PROTOCOL_VERSION_REQ_ERROR, CAP_HALF_CLOSE, CAP_UDP, CAP_COMPRESSION, CAP_QUOTA, CAP_SESSION, CAP_TLS,
+    CAP_FETCH, CAP_DNS, CAP_EYEBALLS, CAP_PRIORITY, CAP_BATCH, CAP_ENCRYPTION, CAP_SERVER_SLOTS,
+    E2E_X25519_AES256GCM, ADDR_IPV4, ADDR_IPV6, ADDR_DOMAIN, TRANSPORT_UDP, TLS_OFF, PRIORITY_DEFAULT,
+    ProtocolError, decodeFrame, encodeFrame, formatTarget, isRequestCmd, isRequestOpeningCmd,
+} from "./codec.js";
+import { isDatagramSupported, UDP_IDLE_TIMEOUT } from "./datagramb.js";
+import {
+    REASON_NONE, REASON_POLICY_DENIED, REASON_QUOTA_EXCEEDED, REASON_RATE_LIMITED, REASON_SLOT_BUSY,
+    REASON_BAD_ADDRESS, REASON_CONNECT_TIMEOUT, REASON_LIFETIME_EXCEEDED, REASON_TLS_FAILED, REASON_DNS_FAILED,
+} from "./reason.js";
+import { CheckedConnector, ConnectError, UPSTREAM_DIRECT, parseAddress } from "./connector.js";
+import { parseIP } from "./policy.js";
+import { DNS_STATUS_REFUSED, DNS_STATUS_SERVFAIL } from "./dns.js";
+import { forIdentity } from "./config.js";
+import { Limiter } from "./ratelimit.js";
+import { SendScheduler } from "./scheduler.js";
+import { Sequencer } from "./compress.js";
+import { E2ESession } from "./e2e.js";
+import {
+    tunnelsOpened, tunnelsClosed, tunnelsCurrent, pingTimeouts, unknownCommands, protocolErrors,
+    timeoutsTotal, batchFrames, compressionBytes, compressionBypassed,
+} from "./metrics.js";
 
-const CMD_None = 0;
-const CMD_Ping = 1;
-const CMD_Pong = 2;
-const CMD_ReqBEGIN = 3;
-// client and server use this cmd to send request's data
-const CMD_ReqData = 3;
-// client notify server that a new request has created
-const CMD_ReqCreated = 4;
-// client notify server that a request has closed
-const CMD_ReqClientClosed = 5;
-// client notify server that a request has finished, but not closed
-const CMD_ReqClientFinished = 6;
-// server notify client that a request has finished, but not closed
-const CMD_ReqServerFinished = 7;
-// server notify client that a request has closed
-const CMD_ReqServerClosed = 8;
-// server notify client that a request quota has been refresh,
-// means that client can send more data of this request
-const CMD_ReqRefreshQuota = 9;
-const CMD_ReqEND = 10;
+// client must send hello within this time
+const HELLO_TIMEOUT = 10000;
+
+// websocket close codes of handshake failures
+const WS_CLOSE_HELLO_REQUIRED = 4001;
+const WS_CLOSE_VERSION_MISMATCH = 4002;
+// websocket close code when client keeps sending malformed frames
+const WS_CLOSE_PROTOCOL_ERROR = 4003;
+// websocket close code when no request has carried data for too long
+const WS_CLOSE_IDLE_TIMEOUT = 4004;
+// websocket close code when identity must encrypt but client hasn't agreed on it
+const WS_CLOSE_ENCRYPTION_REQUIRED = 4005;
+// websocket close code when key exchange fails, or a message isn't sealed or can't be opened
+const WS_CLOSE_ENCRYPTION_FAILED = 4006;
+// websocket close code when identity must take server-assigned slots but client can't
+const WS_CLOSE_SLOTS_REQUIRED = 4007;
+
+// default timeouts in ms, 0 disables a timeout, see 'timeouts' section of CONFIG
+const DEFAULT_TIMEOUTS = {
+    // connecting to target
+    connect: 10000,
+    // no data of a request in either direction
+    idle: 600000,
+    // no datagram of an udp request in either direction
+    udpIdle: UDP_IDLE_TIMEOUT,
+    // maximum lifetime of a request
+    lifetime: 0,
+    // no request data of the whole tunnel, pings don't count
+    tunnelIdle: 0,
+};
+
+// default happy eyeballs settings, see 'happyEyeballs' section of CONFIG
+const DEFAULT_EYEBALLS = {
+    // race addresses a domain target resolves to, instead of letting the runtime pick one
+    resolve: false,
+    // wait before starting next address, in ms, RFC 8305 recommends 250
+    attemptDelay: 250,
+};
+
+// default frame batching, see 'batching' section of CONFIG
+const DEFAULT_BATCHING = {
+    // a batch message doesn't grow beyond this, in bytes, larger frames go alone
+    maxBytes: 16 * 1024,
+    // wait this long for more frames before sending a batch, in ms, 0 sends what is queued
+    maxDelay: 0,
+};
+
+// bytes a frame takes in a batch besides itself
+const BATCH_FRAME_OVERHEAD = 4;
+
+// default end-to-end encryption, see 'encryption' section of CONFIG
+const DEFAULT_ENCRYPTION = {
+    // close tunnels of clients that don't agree on CAP_ENCRYPTION
+    required: false,
+    // base64 pre-shared key mixed into keys, client must have the same one
+    psk: "",
+};
+
+// who picks slots of new requests, see 'requests' section of CONFIG:
+// server assigns them if client supports it
+const SLOTS_AUTO = "auto";
+// server always assigns them, clients that can't are refused
+const SLOTS_SERVER = "server";
+// client always picks them
+const SLOTS_CLIENT = "client";
+
+// end-to-end encryption states of current websocket: not used
+const E2E_OFF = 0;
+// waiting for client's CMD_KeyExchange, frames besides handshake are held
+const E2E_EXCHANGING = 1;
+// every message is sealed
+const E2E_ON = 2;
+
+// max candidate addresses of a request from client
+const MAX_CANDIDATES = 16;
+
+// tunnel is closed when client has sent more malformed frames than this
+const MAX_PROTOCOL_ERRORS = 3;
+
+/**
+ * order addresses for racing like RFC 8305: alternate families, ipv6 first
+ * @param {*} ipv6 ipv6 addresses
+ * @param {*} ipv4 ipv4 addresses
+ * @returns addresses in order of attempts
+ */
+function interleaveFamilies(ipv6, ipv4) {
+    let addresses = [];
+    for (let i = 0; i < Math.max(ipv6.length, ipv4.length); i++) {
+        if (i < ipv6.length) {
+            addresses.push(ipv6[i]);
+        }
+        if (i < ipv4.length) {
+            addresses.push(ipv4[i]);
+        }
+    }
+    return addresses;
+}
 
 /**
  * Tunnel class:
@@ -34,16 +141,299 @@ export class Tunnel {
      * @param {*} id tunnel unique id
      * @param {*} reqCap how many requests cant tunnel serve
      * @param {*} websocket tunnel's websocket connection
+     * @param {*} identity authenticated identity of the client
+     * @param {*} authToken bearer token the client has authenticated with, encryption keys are bound to it
      */
-    constructor(mgr, id, reqCap, websocket) {
+    constructor(mgr, id, reqCap, websocket, identity, authToken = "") {
         this.mgr = mgr;
         this.id = id;
+        this.identity = identity;
+        this.authToken = authToken;
         this.reqCap = reqCap;
         this.reqMgr = new ReqMgr(reqCap, this);
+        // client presents session id to resume this tunnel after websocket has dropped
+        this.sessionId = Buffer.from(crypto.getRandomValues(new Uint8Array(16))).toString("hex");
+        // websocket has dropped, tunnel is waiting for client to resume it
+        this.parked = false;
+        this.parkTimer = null;
+        // bumped on each new websocket, events of old websockets are ignored
+        this.wsGeneration = 0;
+        // handshake state, client must send hello first
+        this.handshaked = false;
+        this.helloTimer = null;
+        this.version = 0;
+        this.clientId = "";
+        // agreed capabilities
+        this.caps = 0;
+        // resumed on a new websocket, waiting for hello to resume requests
+        this.resumePending = false;
         this.setupWebsocket(websocket);
+        this.startHandshake();
+        this.connectedAt = Date.now();
         this.lastActivate = Date.now();
+        this.closed = false;
+        // how many ping messages have been sent without reply
+        this.waitingPing = 0;
+        // how many malformed frames client has sent
+        this.protocolErrors = 0;
+        // payload bytes from client to targets
+        this.bytesUp = 0;
+        // payload bytes from targets to client
+        this.bytesDown = 0;
         this.inSending = false;
-        this.sendBufs = [];
+        // frames waiting to be sent, control frames first, requests share the rest
+        this.sendQueue = new SendScheduler();
+        // wakes send loop when a frame is queued while it holds data back for bandwidth
+        this.controlWaiter = null;
+
+        // limits of this tunnel, and limits shared by all tunnels of the identity
+        let limits = forIdentity(mgr.config, identity, "limits");
+        this.limiter = new Limiter("tunnel", limits.tunnel);
+        this.identityLimiter = mgr.identityLimiter(identity);
+
+        this.timeouts = Object.assign({}, DEFAULT_TIMEOUTS, forIdentity(mgr.config, identity, "timeouts"));
+        this.eyeballs = Object.assign({}, DEFAULT_EYEBALLS, forIdentity(mgr.config, identity, "happyEyeballs"));
+        this.batching = Object.assign({}, DEFAULT_BATCHING, forIdentity(mgr.config, identity, "batching"));
+        this.encryption = Object.assign({}, DEFAULT_ENCRYPTION, forIdentity(mgr.config, identity, "encryption"));
+        this.slotsAssign = forIdentity(mgr.config, identity, "requests").assign || SLOTS_AUTO;
+        // last time a request was created or carried data
+        this.lastRequestActivity = Date.now();
+        // how many requests have been closed by each kind of timeout
+        this.timeoutStats = { connect: 0, idle: 0, lifetime: 0 };
+
+        tunnelsOpened.inc();
+        tunnelsCurrent.inc();
+    }
+
+    /**
+     * @returns capabilities the server supports
+     */
+    serverCaps() {
+        let caps = CAP_HALF_CLOSE | CAP_QUOTA | CAP_TLS | CAP_FETCH | CAP_DNS | CAP_EYEBALLS | CAP_PRIORITY |
+            CAP_BATCH | CAP_COMPRESSION | CAP_ENCRYPTION;
+        if (isDatagramSupported()) {
+            caps |= CAP_UDP;
+        }
+        if (this.slotsAssign != SLOTS_CLIENT) {
+            caps |= CAP_SERVER_SLOTS;
+        }
+
+        if (this.mgr.sessionGrace(this.identity) > 0) {
+            caps |= CAP_SESSION;
+        }
+
+        return caps;
+    }
+
+    /**
+     * check if a capability has been agreed in handshake
+     * @param {*} cap capability bit
+     * @returns true if agreed
+     */
+    hasCap(cap) {
+        return (this.caps & cap) != 0;
+    }
+
+    /**
+     * wait for client hello on current websocket
+     */
+    startHandshake() {
+        this.handshaked = false;
+        // encryption is agreed again on each websocket
+        this.e2eState = E2E_OFF;
+        this.e2e = null;
+        // sendBufs waiting for hello, and for key exchange if encrypted
+        this.heldSendBufs = [];
+        // sealed messages wait here to be opened in order
+        this.e2eInbound = new Sequencer();
+        if (this.helloTimer != null) {
+            clearTimeout(this.helloTimer);
+        }
+
+        this.helloTimer = setTimeout(() => {
+            this.helloTimer = null;
+            if (!this.handshaked) {
+                this.rejectHandshake(WS_CLOSE_HELLO_REQUIRED, "hello timeout");
+            }
+        }, HELLO_TIMEOUT);
+    }
+
+    /**
+     * close websocket because of a handshake failure
+     * @param {*} code websocket close code
+     * @param {*} reason reason text
+     */
+    rejectHandshake(code, reason) {
+        console.log("Tunnel handshake failed, id:", this.id, ", reason:", reason);
+        if (this.isWebsocketValid()) {
+            try {
+                this.websocket.close(code, reason);
+            } catch (err) {
+                console.log("Tunnel.rejectHandshake exception:", err);
+            }
+            this.websocket = null;
+        }
+
+        this.onClosed();
+    }
+
+    /**
+     * handle client hello: check version and agree capabilities
+     * @param {*} frame decoded CMD_Hello frame
+     */
+    onHello(frame) {
+        let version = frame.version;
+        let clientId = frame.clientId;
+        let clientCaps = frame.caps;
+
+        if (version < PROTOCOL_VERSION_MIN || version > PROTOCOL_VERSION) {
+            this.rejectHandshake(WS_CLOSE_VERSION_MISMATCH,
+                "unsupported version " + version + ", server supports " +
+                PROTOCOL_VERSION_MIN + "-" + PROTOCOL_VERSION);
+            return;
+        }
+
+        if (this.helloTimer != null) {
+            clearTimeout(this.helloTimer);
+            this.helloTimer = null;
+        }
+
+        this.handshaked = true;
+        this.version = version;
+        this.clientId = clientId;
+        this.caps = clientCaps & this.serverCaps();
+        if (!this.hasCap(CAP_QUOTA)) {
+            // resumption relies on quota refresh to acknowledge data
+            this.caps &= ~CAP_SESSION;
+        }
+        console.log("Tunnel hello, id:", this.id, ", client:", clientId, ", version:", version,
+            ", caps:", this.caps);
+
+        if (this.encryption.required && !this.hasCap(CAP_ENCRYPTION)) {
+            this.rejectHandshake(WS_CLOSE_ENCRYPTION_REQUIRED, "encryption required");
+            return;
+        }
+
+        if (this.slotsAssign == SLOTS_SERVER && !this.hasCap(CAP_SERVER_SLOTS)) {
+            this.rejectHandshake(WS_CLOSE_SLOTS_REQUIRED, "server-assigned slots required");
+            return;
+        }
+        this.reqMgr.setServerAssigned(this.hasCap(CAP_SERVER_SLOTS));
+
+        if (this.hasCap(CAP_ENCRYPTION)) {
+            // session info and resumed requests wait for keys
+            this.e2eState = E2E_EXCHANGING;
+            this.sendHelloAck();
+            this.sendKeyExchange();
+            return;
+        }
+
+        this.sendHelloAck();
+        this.onHandshakeDone();
+    }
+
+    /**
+     * hello has been agreed, and keys if encrypted, start or resume the session
+     */
+    onHandshakeDone() {
+        let held = this.heldSendBufs;
+        this.heldSendBufs = [];
+        held.forEach((sendBuf) => this.pushSendRequest(sendBuf));
+
+        if (this.resumePending) {
+            this.resumePending = false;
+            this.completeResume();
+        } else if (this.hasCap(CAP_SESSION)) {
+            this.sendSessionInfo(false);
+        }
+    }
+
+    /**
+     * construct and send hello reply
+     */
+    async sendHelloAck() {
+        await this.send(encodeFrame({
+            cmd: CMD_HelloAck,
+            version: this.version,
+            caps: this.caps,
+            reqCap: this.reqCap,
+            window: this.requestWindow(),
+        }));
+    }
+
+    /**
+     * generate our ephemeral key and send it to client
+     */
+    async sendKeyExchange() {
+        let generation = this.wsGeneration;
+        let session = null;
+        try {
+            session = await E2ESession.generate(true);
+        } catch (err) {
+            console.log("Tunnel.sendKeyExchange generate key failed:", err, ", id:", this.id);
+            this.closeWithReason(WS_CLOSE_ENCRYPTION_FAILED, "key exchange failed");
+            return;
+        }
+
+        if (generation != this.wsGeneration || this.e2eState != E2E_EXCHANGING) {
+            return;
+        }
+
+        this.e2e = session;
+        await this.send(encodeFrame({
+            cmd: CMD_KeyExchange,
+            algorithm: E2E_X25519_AES256GCM,
+            publicKey: session.publicKey,
+        }));
+    }
+
+    /**
+     * handle a message of an encrypted websocket: client's key first, then sealed messages only
+     * @param {*} frame decoded frame
+     */
+    onEncryptedMessage(frame) {
+        if (this.e2eState == E2E_EXCHANGING) {
+            if (frame.cmd != CMD_KeyExchange || this.e2e == null) {
+                this.closeWithReason(WS_CLOSE_ENCRYPTION_FAILED, "key exchange expected");
+                return;
+            }
+
+            this.e2e.deriveKeys(frame.publicKey, this.authToken, Buffer.from(this.encryption.psk || "", "base64"));
+            this.e2eState = E2E_ON;
+            this.onHandshakeDone();
+            return;
+        }
+
+        if (frame.cmd != CMD_Sealed) {
+            this.closeWithReason(WS_CLOSE_ENCRYPTION_FAILED, "message not sealed");
+            return;
+        }
+
+        let generation = this.wsGeneration;
+        this.e2eInbound.push(this.e2e.open(frame), (message) => {
+            if (generation == this.wsGeneration && !this.closed) {
+                this.onTunnelMessage(message, true);
+            }
+        }, (err) => {
+            console.log("Tunnel open sealed message failed:", err.message, ", id:", this.id);
+            if (generation == this.wsGeneration) {
+                this.closeWithReason(WS_CLOSE_ENCRYPTION_FAILED, "bad sealed message");
+            }
+        });
+    }
+
+    /**
+     * @returns true if messages of current websocket are encrypted
+     */
+    isEncrypted() {
+        return this.e2eState == E2E_ON;
+    }
+
+    /**
+     * @returns initial window of each request, 0 means unlimited
+     */
+    requestWindow() {
+        return this.hasCap(CAP_QUOTA) ? REQ_WINDOW : 0;
     }
 
     /**
@@ -52,14 +442,24 @@ export class Tunnel {
      */
     setupWebsocket(websocket) {
         this.websocket = websocket;
+        let generation = ++this.wsGeneration;
 
         websocket.addEventListener('message', event => {
+            if (generation != this.wsGeneration) {
+                return;
+            }
+
             this.lastActivate = Date.now();
             this.onTunnelMessage(event.data);
         });
 
         let closeHandler = evt => {
             console.log('closeHandler, id:', this.id);
+            if (generation != this.wsGeneration) {
+                // an old websocket replaced by resume
+                return;
+            }
+
             this.onClosed();
         };
 
@@ -82,7 +482,14 @@ export class Tunnel {
      */
     keepalive(now, throttle) {
         if (this.waitingPing > 3) {
+            console.log("Tunnel.keepalive ping timeout, id:", this.id);
+            pingTimeouts.inc();
             this.close();
+            this.onClosed();
+            return;
+        }
+
+        if (!this.parked && this.checkTimeouts(now)) {
             return;
         }
 
@@ -93,36 +500,61 @@ export class Tunnel {
         }
     }
 
+    /**
+     * close the tunnel if it has been idle too long, and close expired requests
+     * @param {*} now current time
+     * @returns true if the tunnel has been closed
+     */
+    checkTimeouts(now) {
+        let tunnelIdle = this.timeouts.tunnelIdle;
+        if (tunnelIdle > 0 && now - this.lastRequestActivity > tunnelIdle) {
+            console.log("Tunnel idle timeout, id:", this.id);
+            timeoutsTotal.inc({ kind: "tunnel-idle" });
+            this.closeWithReason(WS_CLOSE_IDLE_TIMEOUT, "idle timeout");
+            return true;
+        }
+
+        for (const req of this.reqMgr.inUsedRequests()) {
+            let reason = req.expiredReason(now, this.timeouts);
+            if (reason == REASON_NONE) {
+                continue;
+            }
+
+            let kind = reason == REASON_LIFETIME_EXCEEDED ? "lifetime" : "idle";
+            console.log("Tunnel request timeout:", kind, ", tunnel id:", this.id, ", idx:", req.idx);
+            this.countTimeout(kind);
+            req.closeByServer(reason);
+        }
+
+        return false;
+    }
+
+    /**
+     * count a request closed by timeout
+     * @param {*} kind "connect", "idle" or "lifetime"
+     */
+    countTimeout(kind) {
+        this.timeoutStats[kind]++;
+        timeoutsTotal.inc({ kind: kind });
+    }
+
     /**
      * construct and send a ping message
      */
     async sendPingMessage() {
-        const arr = new ArrayBuffer(9);
-        let buf = Buffer.from(arr);
-        let offset = 0;
-        // 1 byte cmd
-        buf.writeUInt8(CMD_Ping, offset);
-        offset += 1;
-
         // timestamp
-        let now = Date.now();
-        buf.writeDoubleLE(now, offset);
+        let payload = Buffer.alloc(8);
+        payload.writeDoubleLE(Date.now(), 0);
 
-        await this.send(buf);
+        await this.send(encodeFrame({ cmd: CMD_Ping, payload: payload }));
     }
 
     /**
      * construct and reply a pong message
-     * @param {*} origin data from client side's ping message
+     * @param {*} frame client side's ping frame
      */
-    async sendPongMessage(origin) {
-        const arr = new ArrayBuffer(origin.length);
-        let buf = Buffer.from(arr);
-        origin.copy(buf, 0, 0, origin.length);
-
-        // 1 byte cmd
-        buf.writeUInt8(CMD_Pong, 0);
-        await this.send(arr);
+    async sendPongMessage(frame) {
+        await this.send(encodeFrame({ cmd: CMD_Pong, payload: frame.payload }));
     }
 
     /**
@@ -134,16 +566,60 @@ export class Tunnel {
     }
 
     /**
-     * when websocket connection is closed
+     * when websocket connection is closed,
+     * park the tunnel if its session can be resumed, otherwise destroy it
      */
     onClosed() {
+        if (this.closed || this.parked) {
+            return;
+        }
+
+        this.releaseSendBufs();
+        // close the websocket handle, release its resource underlying
+        this.close();
+
+        if (this.mgr.parkTunnel(this)) {
+            console.log("Tunnel parked, id:", this.id, ", session:", this.sessionId);
+            this.parked = true;
+            return;
+        }
+
+        this.destroy();
+    }
+
+    releaseSendBufs() {
         let thisObj = this;
         // resolve all waiting promises
-        this.sendBufs.forEach((sendBuf) => {
+        this.sendQueue.drain().concat(this.heldSendBufs).forEach((sendBuf) => {
             thisObj.callSendBufResolve(sendBuf);
         });
-        // reset array to empty
-        this.sendBufs = [];
+        this.heldSendBufs = [];
+    }
+
+    /**
+     * release all resources of the tunnel, its session can't be resumed anymore
+     */
+    destroy() {
+        if (this.closed) {
+            return;
+        }
+
+        this.closed = true;
+        this.parked = false;
+        if (this.parkTimer != null) {
+            clearTimeout(this.parkTimer);
+            this.parkTimer = null;
+        }
+
+        if (this.helloTimer != null) {
+            clearTimeout(this.helloTimer);
+            this.helloTimer = null;
+        }
+
+        tunnelsClosed.inc();
+        tunnelsCurrent.dec();
+
+        this.releaseSendBufs();
 
         // clear all requests
         this.reqMgr.cleanup();
@@ -171,6 +647,92 @@ export class Tunnel {
         }
     }
 
+    /**
+     * close websocket connection with a close code and reason for client,
+     * and release all resources immediately
+     * @param {*} code websocket close code
+     * @param {*} reason reason text
+     */
+    closeWithReason(code, reason) {
+        if (this.isWebsocketValid()) {
+            try {
+                this.websocket.close(code, reason);
+            } catch (err) {
+                console.log("Tunnel.closeWithReason exception:", err);
+            }
+            this.websocket = null;
+        }
+
+        this.destroy();
+    }
+
+    /**
+     * client has reconnected with our session id, continue on the new websocket.
+     * server sends CMD_ReqResume for each request, and holds request's data
+     * until client replies
+     * @param {*} websocket new websocket connection
+     * @param {*} authToken bearer token the client has authenticated with this time
+     */
+    resume(websocket, authToken = "") {
+        if (this.parkTimer != null) {
+            clearTimeout(this.parkTimer);
+            this.parkTimer = null;
+        }
+
+        if (!this.parked) {
+            // old websocket is still considered alive, drop it
+            this.releaseSendBufs();
+            this.close();
+        }
+
+        this.parked = false;
+        this.waitingPing = 0;
+        this.lastActivate = Date.now();
+        this.authToken = authToken;
+        this.setupWebsocket(websocket);
+
+        // requests are resumed after the new websocket's handshake
+        this.resumePending = true;
+        this.startHandshake();
+    }
+
+    /**
+     * handshake on the resumed websocket is done, resume requests
+     */
+    completeResume() {
+        this.sendSessionInfo(true);
+        for (const req of this.reqMgr.inUsedRequests()) {
+            req.startResume();
+            this.sendReqResume(req);
+        }
+    }
+
+    /**
+     * construct and send session info message
+     * @param {*} resumed whether an existing session has been resumed
+     */
+    async sendSessionInfo(resumed) {
+        await this.send(encodeFrame({
+            cmd: CMD_SessionInfo,
+            sessionId: this.sessionId,
+            flags: resumed ? SESSION_FLAG_RESUMED : 0,
+            grace: this.mgr.sessionGrace(this.identity),
+        }));
+    }
+
+    /**
+     * construct and send request resume message
+     * @param {*} req request object
+     */
+    async sendReqResume(req) {
+        await this.send(encodeFrame({
+            cmd: CMD_ReqResume,
+            idx: req.idx,
+            tag: req.tag,
+            received: req.recvUp,
+        }));
+    }
+
     isWebsocketValid() {
         return this.websocket !== null && this.websocket !== undefined;
     }
@@ -179,9 +741,10 @@ export class Tunnel {
      * Tunnel send a message, we need to push the message to an array
      * and send one by one
      * @param {*} buf message body
+     * @param {*} shapeBytes payload bytes subject to download bandwidth limits
      * @returns promise
      */
-    async send(buf) {
+    async send(buf, shapeBytes = 0) {
         if (!this.isWebsocketValid()) {
             console.log("Tunnel.send, websocket isn't valid, id:", this.id);
             return Promise.resolve();
@@ -196,6 +759,7 @@ export class Tunnel {
         let promise = new Promise((resolve, reject) => {
             let sendBuf = {
                 "buf": buf,
+                "shapeBytes": shapeBytes,
                 "resolve": resolve,
                 "reject": reject,
             };
@@ -206,7 +770,18 @@ export class Tunnel {
     }
 
     pushSendRequest(sendBuf) {
-        this.sendBufs.push(sendBuf);
+        let cmd = sendBuf.buf[0];
+        if ((!this.handshaked || this.e2eState == E2E_EXCHANGING) && cmd != CMD_HelloAck && cmd != CMD_KeyExchange) {
+            // client reads nothing before hello ack, and nothing but sealed messages after key exchange
+            this.heldSendBufs.push(sendBuf);
+            return;
+        }
+
+        this.sendQueue.push(sendBuf);
+        if (this.controlWaiter != null) {
+            // send loop is holding data back, it may send a control frame meanwhile
+            this.controlWaiter();
+        }
         this.startSendLoop();
     }
 
@@ -221,15 +796,27 @@ export class Tunnel {
     async sendLoop() {
         this.inSending = true;
         try {
-            // loop until all buffers have been sent out
-            while (this.sendBufs.length > 0) {
-                let sendBufs = this.sendBufs;
-                this.sendBufs = [];
-                let count = sendBufs.length;
-                for (let i = 0; i < count; i++) {
-                    let sendBuf = sendBufs[i];
-                    await this.websocket.send(sendBuf.buf);
-                    this.callSendBufResolve(sendBuf);
+            // loop until all buffers have been sent out, scheduler picks the next one each time
+            let sendBuf = this.sendQueue.shift();
+            while (sendBuf != null) {
+                let batch = [];
+                sendBuf = await this.collectBatch(sendBuf, batch);
+
+                if (!this.isWebsocketValid()) {
+                    // closed while throttling, release waiters of remain buffers
+                    batch.forEach((b) => this.callSendBufResolve(b));
+                    if (sendBuf != null) {
+                        this.callSendBufResolve(sendBuf);
+                    }
+                    this.releaseSendBufs();
+                    break;
+                }
+
+                await this.sendBatch(batch);
+
+                if (sendBuf == null) {
+                    // frames may have been queued while sending
+                    sendBuf = this.sendQueue.shift();
                 }
             }
         } catch (err) {
@@ -239,58 +826,230 @@ export class Tunnel {
         }
     }
 
+    /**
+     * send frames as one websocket message, sealed if encrypted, then resolve their waiters
+     * @param {*} batch frames of the message
+     */
+    async sendBatch(batch) {
+        let message = batch[0].buf;
+        if (batch.length > 1) {
+            batchFrames.observe(batch.length);
+            message = encodeFrame({ cmd: CMD_Batch, frames: batch.map((b) => b.buf) });
+        }
+        let websocket = this.websocket;
+        if (this.e2eState == E2E_ON) {
+            message = await this.e2e.seal(message);
+        }
+        if (websocket === this.websocket) {
+            await websocket.send(message);
+        }
+        // otherwise a new websocket with its own keys has come while sealing, the message is lost
+        // with the old websocket like others queued in it
+        batch.forEach((b) => this.callSendBufResolve(b));
+    }
+
+    /**
+     * take frames of one websocket message. if CAP_BATCH has been agreed, frames queued
+     * behind the first one are packed with it up to maxBytes, waiting at most maxDelay for them.
+     * request data is held back by bandwidth limits, control frames never are
+     * @param {*} sendBuf first frame of the message
+     * @param {*} batch frames of the message are appended to it
+     * @returns next frame that doesn't fit in the message, or null if queue is empty
+     */
+    async collectBatch(sendBuf, batch) {
+        let bytes = 0;
+        let deadline = Date.now() + this.batching.maxDelay;
+        while (sendBuf != null && this.isWebsocketValid()) {
+            let size = BATCH_FRAME_OVERHEAD + sendBuf.buf.length;
+            if (batch.length > 0 && bytes + size > this.batching.maxBytes) {
+                return sendBuf;
+            }
+
+            if (sendBuf.shapeBytes > 0) {
+                if (batch.length > 0) {
+                    // frames taken so far don't wait for this one's bandwidth
+                    return sendBuf;
+                }
+                await this.shapeDown(sendBuf.shapeBytes);
+            }
+
+            batch.push(sendBuf);
+            bytes += size;
+            sendBuf = this.sendQueue.shift();
+            if (!this.hasCap(CAP_BATCH)) {
+                break;
+            }
+
+            let wait = deadline - Date.now();
+            if (sendBuf == null && wait > 0 && bytes < this.batching.maxBytes) {
+                await new Promise((resolve) => setTimeout(resolve, wait));
+                sendBuf = this.sendQueue.shift();
+            }
+        }
+
+        return sendBuf;
+    }
+
+    /**
+     * hold request data back until bandwidth is available,
+     * control frames queued meanwhile are sent on their own
+     * @param {*} bytes payload bytes of the data
+     */
+    async shapeDown(bytes) {
+        let shaped = false;
+        let throttling = this.throttleDown(bytes).then(() => {
+            shaped = true;
+        });
+
+        while (!shaped && this.isWebsocketValid()) {
+            let control = this.sendQueue.shiftControl();
+            if (control != null) {
+                await this.sendBatch([control]);
+                continue;
+            }
+
+            await Promise.race([throttling, new Promise((resolve) => {
+                this.controlWaiter = resolve;
+            })]);
+            this.controlWaiter = null;
+        }
+    }
+
     callSendBufResolve(sendBuf) {
         try {
-            sendBuf.resolve.resolve();
+            sendBuf.resolve();
         } catch (err) {
             console.log("Tunnel.callSendBufResolve, resolve exception:", err);
         }
     }
 
-    onTunnelMessage(data) {
-        if (data.length < 1) {
-            console.log("Tunnel got 0 length message");
+    /**
+     * handle a websocket message
+     * @param {*} data message data
+     * @param {*} opened true if it has been opened from a sealed message
+     */
+    onTunnelMessage(data, opened = false) {
+        let frame = null;
+        try {
+            frame = decodeFrame(data);
+        } catch (err) {
+            this.onProtocolError(err);
             return;
         }
 
-        let databuf = Buffer.from(data);
-        // read header
-        let offset = 0;
-        let cmd = databuf.readUInt8(offset);
-        offset += 1;
+        if (!this.handshaked) {
+            if (frame.cmd != CMD_Hello) {
+                this.rejectHandshake(WS_CLOSE_HELLO_REQUIRED, "first message must be hello");
+                return;
+            }
 
-        if (this.isRequestCmd(cmd)) {
-            this.onRequestMessage(cmd, databuf);
+            this.onHello(frame);
+            return;
+        }
+
+        if (this.e2eState != E2E_OFF && !opened) {
+            this.onEncryptedMessage(frame);
+            return;
+        }
+
+        if (isRequestCmd(frame.cmd)) {
+            this.onRequestMessage(frame);
         } else {
-            switch (cmd) {
+            switch (frame.cmd) {
                 case CMD_None:
                     console.log("Tunnel.onTunnelMessage CMD_None, tunnel id:", this.id);
                     break;
                 case CMD_Ping:
-                    this.sendPongMessage(databuf);
+                    this.sendPongMessage(frame);
                     break;
                 case CMD_Pong:
                     this.onPong();
                     break;
+                case CMD_DnsQuery:
+                    this.onDnsQuery(frame);
+                    break;
+                case CMD_Batch:
+                    this.onBatch(frame, opened);
+                    break;
                 default:
-                    console.log("Tunnel.onTunnelMessage unknown cmd:", cmd, ", tunnel id:", this.id);
+                    unknownCommands.inc({ cmd: frame.cmd });
+                    console.log("Tunnel.onTunnelMessage unexpected cmd:", frame.cmd, ", tunnel id:", this.id);
             }
         }
     }
 
-    onRequestMessage(cmd, databuf) {
-        let offset = 1; // skip 'cmd code' byte
-        let idx = databuf.readUInt16LE(offset);
-        offset += 2;
-        let tag = databuf.readUInt16LE(offset);
-        offset += 2;
+    /**
+     * client has sent a frame that can't be decoded.
+     * unknown commands are ignored, malformed frames are counted,
+     * and the tunnel is closed when there are too many of them
+     * @param {*} err exception of decodeFrame
+     */
+    onProtocolError(err) {
+        if (!(err instanceof ProtocolError)) {
+            console.log("Tunnel.onProtocolError decode exception:", err, ", tunnel id:", this.id);
+        }
+
+        if (err.unknownCmd !== undefined && this.handshaked) {
+            unknownCommands.inc({ cmd: err.unknownCmd });
+            console.log("Tunnel.onTunnelMessage unknown cmd:", err.unknownCmd, ", tunnel id:", this.id);
+            return;
+        }
 
-        switch (cmd) {
+        protocolErrors.inc();
+        console.log("Tunnel malformed frame:", err.message, ", tunnel id:", this.id);
+
+        if (!this.handshaked) {
+            this.rejectHandshake(WS_CLOSE_HELLO_REQUIRED, "malformed hello");
+            return;
+        }
+
+        let frame = err.frame;
+        if (frame !== undefined && isRequestOpeningCmd(frame.cmd) && frame.tag !== undefined) {
+            // client is waiting for the request, tell it why the request fails
+            this.refuseRequest(frame.idx, frame.tag, REASON_BAD_ADDRESS);
+        }
+
+        this.protocolErrors++;
+        if (this.protocolErrors > MAX_PROTOCOL_ERRORS) {
+            this.closeWithReason(WS_CLOSE_PROTOCOL_ERROR, "too many malformed frames");
+        }
+    }
+
+    /**
+     * handle frames of a batch in order, as if each came in its own message
+     * @param {*} frame decoded CMD_Batch frame
+     * @param {*} opened true if the batch has been opened from a sealed message
+     */
+    onBatch(frame, opened) {
+        if (!this.hasCap(CAP_BATCH)) {
+            this.onProtocolError(new ProtocolError("batch is not agreed"));
+            return;
+        }
+
+        for (const inner of frame.frames) {
+            if (this.closed) {
+                break;
+            }
+            this.onTunnelMessage(inner, opened);
+        }
+    }
+
+    onRequestMessage(frame) {
+        let idx = frame.idx;
+        let tag = frame.tag;
+
+        switch (frame.cmd) {
             case CMD_ReqCreated:
-                this.onRequestCreated(idx, tag, databuf, offset);
+                this.onRequestCreated(frame);
+                break;
+            case CMD_ReqFetch:
+                this.onRequestFetch(frame);
                 break;
             case CMD_ReqData:
-                this.onReqClientData(idx, tag, databuf, offset);
+                this.onReqClientData(idx, tag, frame.data);
+                break;
+            case CMD_ReqDataDeflated:
+                this.onReqClientDeflatedData(idx, tag, frame.data);
                 break;
             case CMD_ReqClientFinished:
                 this.onReqClientFinished(idx, tag);
@@ -298,76 +1057,303 @@ export class Tunnel {
             case CMD_ReqClientClosed:
                 this.onReqClientClosed(idx, tag);
                 break;
+            case CMD_ReqRefreshQuota:
+                this.onReqClientQuota(idx, tag, frame.quota);
+                break;
+            case CMD_ReqResume:
+                this.onReqClientResume(idx, tag, frame.received);
+                break;
+            case CMD_ReqStartTls:
+                this.onReqClientStartTls(idx, tag);
+                break;
+            case CMD_ReqPriority:
+                this.onReqClientPriority(idx, tag, frame.weight);
+                break;
+            case CMD_ReqCompression:
+                this.onReqClientCompression(idx, tag, frame.mode);
+                break;
             default:
-                console.log("Tunnel.onRequestMessage, unknown cmd :", cmd,
+                unknownCommands.inc({ cmd: frame.cmd });
+                console.log("Tunnel.onRequestMessage, unexpected cmd :", frame.cmd,
                     ", tunnel id:", this.id, ", idx:", idx, ", tag:", tag);
         }
     }
 
-    onRequestCreated(idx, tag, databuf, offset) {
-        let addressType = databuf.readUInt8(offset);
-        offset++;
+    /**
+     * client has created a new request
+     * @param {*} frame decoded CMD_ReqCreated frame
+     */
+    onRequestCreated(frame) {
+        let idx = frame.idx;
+        let tag = frame.tag;
+        this.lastRequestActivity = Date.now();
+        let transport = frame.transport;
 
-        let port = 0;
-        let domain = "";
-        switch (addressType) {
-            case 0: // ipv4
-                domain = message[4] + "." + message[3] + "." + message[2] + "." + message[1];
-                port = databuf.readUInt16LE(offset);
-                offset += 2;
-                break;
-            case 1: // domain name
-                let domainLen = databuf.readUInt8(offset);
-                offset++;
-                domain = databuf.slice(offset, offset + domainLen).toString();
-                offset += domainLen;
-                port = databuf.readUInt16LE(offset);
-                offset += 2;
-                break;
-            case 2: // ipv6
-                let p1 = databuf.readUInt16LE(offset);
-                offset += 2;
-                let p2 = databuf.readUInt16LE(offset);
-                offset += 2;
-                let p3 = databuf.readUInt16LE(offset);
-                offset += 2;
-                let p4 = databuf.readUInt16LE(offset);
-                offset += 2;
-                let p5 = databuf.readUInt16LE(offset);
-                offset += 2;
-                let p6 = databuf.readUInt16LE(offset);
-                offset += 2;
-                let p7 = databuf.readUInt16LE(offset);
-                offset += 2;
-                let p8 = databuf.readUInt16LE(offset);
-                offset += 2;
-
-                domain = p8 + ":" + p7 + ":" + p6 + ":" + p5 + ":" + p4 + ":" + p3 + ":" + p2 + ":" + p1;
-                port = databuf.readUInt16LE(offset);
-                offset += 2;
-            default:
-                console.log("onRequestCreated, unsupport addressType:", addressType)
-                return
+        if (transport == TRANSPORT_UDP && !this.hasCap(CAP_UDP)) {
+            console.log("onRequestCreated, udp is not agreed, tunnel id:", this.id);
+            this.refuseRequest(idx, tag, REASON_POLICY_DENIED);
+            return;
+        }
+
+        if (frame.tls != TLS_OFF && !this.hasCap(CAP_TLS)) {
+            console.log("onRequestCreated, tls is not agreed, tunnel id:", this.id);
+            this.refuseRequest(idx, tag, REASON_TLS_FAILED);
+            return;
+        }
+
+        let candidates = frame.candidates || [];
+        if (candidates.length > 0 && (!this.hasCap(CAP_EYEBALLS) || candidates.length > MAX_CANDIDATES)) {
+            console.log("onRequestCreated, invalid candidates, count:", candidates.length, ", tunnel id:", this.id);
+            this.refuseRequest(idx, tag, REASON_BAD_ADDRESS);
+            return;
+        }
+
+        // with TLS, host is also the server name the target is verified against
+        let req = this.allocRequest(idx, tag, frame.host, frame.port,
+            transport == TRANSPORT_UDP ? "udp" : "tcp", frame.tls != TLS_OFF, candidates.map((c) => c.host));
+        if (req == null) {
+            return;
+        }
+
+        req.proxy(formatTarget(frame), transport, frame.tls,
+            candidates.map((c) => formatTarget(Object.assign({ port: frame.port }, c))));
+    }
+
+    /**
+     * client has created a new fetch request
+     * @param {*} frame decoded CMD_ReqFetch frame
+     */
+    onRequestFetch(frame) {
+        let idx = frame.idx;
+        let tag = frame.tag;
+        this.lastRequestActivity = Date.now();
+
+        if (!this.hasCap(CAP_FETCH)) {
+            console.log("onRequestFetch, fetch is not agreed, tunnel id:", this.id);
+            this.refuseRequest(idx, tag, REASON_POLICY_DENIED);
+            return;
+        }
+
+        let url = null;
+        try {
+            url = new URL(frame.url);
+        } catch (err) {
+            // handled below
         }
 
-        let req = this.reqMgr.alloc(idx, tag)
+        if (url == null || (url.protocol != "http:" && url.protocol != "https:")) {
+            console.log("onRequestFetch, invalid url:", frame.url, ", tunnel id:", this.id);
+            this.refuseRequest(idx, tag, REASON_BAD_ADDRESS);
+            return;
+        }
+
+        let https = url.protocol == "https:";
+        let port = url.port ? parseInt(url.port, 10) : (https ? 443 : 80);
+        // ipv6 hostname of url is in brackets
+        let host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+        let req = this.allocRequest(idx, tag, host, port, "tcp", https);
         if (req == null) {
-            console.log("onRequestCreated, alloc req failed:", err)
+            return;
+        }
+
+        // fetch() connects by the name, check what it resolves to like a tcp request's target
+        req.fetch(frame, () => this.checkFetchTarget(host, port, https));
+    }
+
+    /**
+     * resolve target of a fetch request and evaluate policy for its addresses, see resolveTarget
+     * @param {*} host domain name or ip address
+     * @param {*} port target port
+     * @param {*} https true if url is https
+     * @throws ConnectError of REASON_POLICY_DENIED if the target can't be resolved or is denied
+     */
+    async checkFetchTarget(host, port, https) {
+        if (parseIP(host) != null || !this.mgr.policy.checksResolved(this.identity)) {
+            // ip targets have been checked as they are, and fetch() races no addresses
+            return;
+        }
+
+        try {
+            await this.resolveTarget(host, port, https);
+        } catch (err) {
+            if (err instanceof ConnectError) {
+                throw new ConnectError(err.message, REASON_POLICY_DENIED);
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * client asks us to resolve a name, answers come from the resolver shared by all tunnels
+     * @param {*} frame decoded CMD_DnsQuery frame
+     */
+    async onDnsQuery(frame) {
+        let answer = null;
+        try {
+            let result = { status: DNS_STATUS_REFUSED, answers: [] };
+            if (this.hasCap(CAP_DNS)) {
+                result = await this.mgr.resolver.resolve(frame.name, frame.type);
+            }
+            answer = encodeFrame({ cmd: CMD_DnsAnswer, id: frame.id, status: result.status, answers: result.answers });
+        } catch (err) {
+            // client waits for an answer whatever happens
+            console.log("Tunnel.onDnsQuery failed, name:", frame.name, ", err:", err, ", tunnel id:", this.id);
+            answer = encodeFrame({ cmd: CMD_DnsAnswer, id: frame.id, status: DNS_STATUS_SERVFAIL, answers: [] });
+        }
+
+        await this.send(answer);
+    }
+
+    /**
+     * @returns connector of tcp requests, domain targets are resolved before connecting
+     * if policy evaluates their addresses, or if their addresses are raced
+     */
+    requestConnector() {
+        if (!this.mgr.policy.checksResolved(this.identity) && !this.eyeballs.resolve) {
+            return this.mgr.connectors;
+        }
+
+        return new CheckedConnector(this.mgr.connectors, (host, port, options) => {
+            return this.resolveTarget(host, port, (options.secureTransport || "off") != "off");
+        }, this.eyeballs.attemptDelay);
+    }
+
+    /**
+     * resolve a domain target, evaluate policy for its addresses and pick the ones to race.
+     * when connecting by the name, runtime resolves it again, a name that changes in between
+     * is not caught, but names of denied addresses are
+     * @param {*} host domain name
+     * @param {*} port target port
+     * @param {*} tls true if server speaks TLS with the target
+     * @returns addresses to race, ipv6 and ipv4 interleaved, or null to connect by the name
+     * @throws ConnectError if the name can't be resolved or an address is denied
+     */
+    async resolveTarget(host, port, tls) {
+        let checking = this.mgr.policy.checksResolved(this.identity);
+        // TLS verifies the name we connect to, and upstream proxies resolve it themselves
+        let racing = this.eyeballs.resolve && !tls && this.mgr.connectors.route(host, port).name == UPSTREAM_DIRECT;
+        if (!checking && !racing) {
+            return null;
+        }
+
+        let result = await this.mgr.resolver.lookup(host);
+        let addresses = interleaveFamilies(result.ipv6, result.ipv4);
+        if (addresses.length == 0) {
+            if (!checking) {
+                // let runtime try the name
+                return null;
+            }
+            throw new ConnectError("resolve " + host + " failed, status: " + result.status, REASON_DNS_FAILED);
+        }
+
+        if (checking) {
+            let decision = this.mgr.policy.evaluateAddresses(this.identity, addresses, port, "tcp", tls);
+            if (!decision.allowed) {
+                console.log("resolveTarget, denied by policy, target:", host, ":", port,
+                    ", rule:", decision.rule, ", tunnel id:", this.id);
+                throw new ConnectError("address of " + host + " is denied", REASON_POLICY_DENIED);
+            }
+        }
+
+        return racing ? addresses : null;
+    }
+
+    /**
+     * check quota, policy and limits of a new request, then allocate its slot.
+     * client is notified if the request is refused
+     * @param {*} idx request's index, or client's ticket if server assigns slots
+     * @param {*} tag request's tag
+     * @param {*} host target host
+     * @param {*} port target port
+     * @param {*} transport "tcp" or "udp"
+     * @param {*} tls true if server speaks TLS with the target
+     * @param {*} candidates more ip addresses of the target from client
+     * @returns request object, or null if refused
+     */
+    allocRequest(idx, tag, host, port, transport, tls, candidates = []) {
+        if (this.mgr.usage.isExceeded(this.identity)) {
+            console.log("allocRequest, quota exceeded, identity:", this.identity.id,
+                ", tunnel id:", this.id);
+            this.refuseRequest(idx, tag, REASON_QUOTA_EXCEEDED);
+            return null;
+        }
+
+        let decision = this.mgr.policy.evaluate(this.identity, host, port, transport, tls);
+        if (decision.allowed && candidates.length > 0) {
+            decision = this.mgr.policy.evaluateAddresses(this.identity, candidates, port, transport, tls);
+        }
+        if (!decision.allowed) {
+            console.log("allocRequest, denied by policy, target:", host, ":", port,
+                ", rule:", decision.rule, ", tunnel id:", this.id);
+            this.refuseRequest(idx, tag, REASON_POLICY_DENIED);
+            return null;
+        }
+
+        if (!this.admitRequest()) {
+            console.log("allocRequest, request limit hit, tunnel id:", this.id);
+            this.refuseRequest(idx, tag, REASON_RATE_LIMITED);
+            return null;
+        }
+
+        let assigning = this.hasCap(CAP_SERVER_SLOTS);
+        let req = assigning ? this.reqMgr.assign() : this.reqMgr.alloc(idx, tag);
+        if (req == null) {
+            console.log("allocRequest, alloc req failed, idx:", idx, ", tag:", tag)
+            this.refuseRequest(idx, tag, REASON_SLOT_BUSY);
+            return null;
+        }
+
+        // weight of the slot's previous request doesn't carry over
+        this.sendQueue.setWeight(req.idx, PRIORITY_DEFAULT);
+
+        if (assigning) {
+            // queued ahead of anything the request sends
+            this.send(encodeFrame({ cmd: CMD_ReqAssigned, idx: req.idx, tag: req.tag, ticket: idx, error: REASON_NONE }));
+        }
+
+        return req;
+    }
+
+    /**
+     * refuse a new request before its slot has been allocated
+     * @param {*} idx request's index, or client's ticket if server assigns slots
+     * @param {*} tag request's tag
+     * @param {*} error error code, see reason.js
+     */
+    async refuseRequest(idx, tag, error) {
+        if (this.hasCap(CAP_SERVER_SLOTS)) {
+            await this.send(encodeFrame({ cmd: CMD_ReqAssigned, idx: 0, tag: 0, ticket: idx, error: error }));
+            return;
+        }
+
+        await this.sendReqError(idx, tag, error);
+    }
+
+    onReqClientData(idx, tag, data) {
+        let req = this.reqMgr.get(idx, tag)
+        if (req == null) {
+            // req has been free
             return
         }
 
-        let addr = domain + ":" + port;
-        req.proxy(addr);
+        this.lastRequestActivity = Date.now();
+        req.onClientData(data)
     }
 
-    onReqClientData(idx, tag, databuf, offset) {
+    onReqClientDeflatedData(idx, tag, data) {
+        if (!this.hasCap(CAP_COMPRESSION)) {
+            this.onProtocolError(new ProtocolError("compression is not agreed"));
+            return;
+        }
+
         let req = this.reqMgr.get(idx, tag)
         if (req == null) {
             // req has been free
             return
         }
 
-        req.onClientData(databuf, offset)
+        this.lastRequestActivity = Date.now();
+        req.onClientDeflatedData(data);
     }
 
     onReqClientFinished(idx, tag) {
@@ -384,50 +1370,239 @@ export class Tunnel {
         this.reqMgr.free(idx, tag);
     }
 
-    isRequestCmd(cmd) {
-        if (cmd >= CMD_ReqBEGIN && cmd < CMD_ReqEND) {
-            return true;
+    onReqClientStartTls(idx, tag) {
+        let req = this.reqMgr.get(idx, tag)
+        if (req == null) {
+            // req has been free
+            return
         }
 
-        return false;
+        req.onClientStartTls();
     }
 
-    async onReqServerData(req, data) {
-        const arr = new ArrayBuffer(5 + len(data));
-        let buf = Buffer.from(arr);
+    onReqClientPriority(idx, tag, weight) {
+        if (!this.hasCap(CAP_PRIORITY) || this.reqMgr.get(idx, tag) == null) {
+            return;
+        }
+
+        this.sendQueue.setWeight(idx, weight);
+    }
+
+    onReqClientCompression(idx, tag, mode) {
+        let req = this.reqMgr.get(idx, tag);
+        if (!this.hasCap(CAP_COMPRESSION) || req == null) {
+            return;
+        }
+
+        req.setCompression(mode);
+    }
+
+    onReqClientQuota(idx, tag, quota) {
+        let req = this.reqMgr.get(idx, tag)
+        if (req == null) {
+            // req has been free
+            return
+        }
+
+        req.onQuotaRefreshed(quota);
+    }
 
-        buf.writeUInt8(CMD_ReqData, 0);
-        buf.writeUInt16LE(req.idx, 1);
-        buf.writeUInt16LE(req.tag, 3);
-        let databuf = Buffer.from(data);
-        databuf.copy(buf, 5, 0);
+    /**
+     * count payload bytes from client to targets
+     * @param {*} bytes bytes count
+     */
+    countBytesUp(bytes) {
+        this.bytesUp += bytes;
+        this.mgr.usage.record(this.identity, bytes);
+    }
 
-        await this.send(buf);
+    /**
+     * count payload bytes from targets to client
+     * @param {*} bytes bytes count
+     */
+    countBytesDown(bytes) {
+        this.bytesDown += bytes;
+        this.mgr.usage.record(this.identity, bytes);
     }
 
-    async onReqServerClosed(req) {
-        // send close event to client
-        const arr = new ArrayBuffer(5);
-        let buf = Buffer.from(arr);
-        buf.writeUInt8(CMD_ReqServerClosed, 0);
-        buf.writeUInt16LE(req.idx, 1);
-        buf.writeUInt16LE(req.tag, 3);
+    onReqClientResume(idx, tag, received) {
+        let req = this.reqMgr.get(idx, tag)
+        if (req == null) {
+            // req has been free
+            return
+        }
 
-        await this.send(buf);
+        req.onClientResume(received);
+    }
+
+    /**
+     * check request rate and concurrent requests limits of tunnel and identity
+     * @returns true if a new request can be created
+     */
+    admitRequest() {
+        if (!this.limiter.admitRequest(this.reqMgr.inUsedCount())) {
+            return false;
+        }
+
+        return this.identityLimiter.admitRequest(this.mgr.identityRequestCount(this.identity));
+    }
+
+    /**
+     * wait until 'bytes' can be sent from client to target
+     * @param {*} bytes bytes count
+     */
+    async throttleUp(bytes) {
+        await this.limiter.throttleUp(bytes);
+        await this.identityLimiter.throttleUp(bytes);
+    }
+
+    /**
+     * wait until 'bytes' can be sent from target to client
+     * @param {*} bytes bytes count
+     */
+    async throttleDown(bytes) {
+        await this.limiter.throttleDown(bytes);
+        await this.identityLimiter.throttleDown(bytes);
+    }
+
+    async onReqServerData(req, data) {
+        this.lastRequestActivity = Date.now();
+        let frame = { cmd: CMD_ReqData, idx: req.idx, tag: req.tag, data: data };
+        if (req.compressing && this.hasCap(CAP_COMPRESSION)) {
+            let deflated = await req.compressor.compress(data);
+            if (deflated != null) {
+                frame.cmd = CMD_ReqDataDeflated;
+                frame.data = deflated;
+            } else {
+                compressionBypassed.inc({ direction: "down" });
+            }
+            compressionBytes.inc({ direction: "down", kind: "raw" }, data.length);
+            compressionBytes.inc({ direction: "down", kind: "wire" }, frame.data.length);
+        }
+
+        // shaping applies to what goes over the wire, windows to data itself
+        await this.send(encodeFrame(frame), frame.data.length);
+    }
+
+    /**
+     * server closes a request, notify client and free the request
+     * @param {*} req request object
+     * @param {*} reason reason code, see reason.js
+     */
+    async onReqServerClosed(req, reason = REASON_NONE) {
+        if (this.parked || req.resuming) {
+            // client must receive buffered data first, close it after resumed
+            req.deferClose(reason);
+            return;
+        }
+
+        // client may close the request and reuse its slot while we wait,
+        // free it by the tag it has had, free() leaves a slot of another tag alone
+        let idx = req.idx;
+        let tag = req.tag;
+        await this.sendReqClosed(idx, tag, reason);
 
         this.reqMgr.free(idx, tag);
     }
 
-    async onReqServerFinished(req) {
-        // send finish event to client
-        const arr = new ArrayBuffer(5);
-        let buf = Buffer.from(arr);
-        buf.writeUInt8(CMD_ReqServerFinished, 0);
-        buf.writeUInt16LE(req.idx, 1);
-        buf.writeUInt16LE(req.tag, 3);
+    /**
+     * connecting to target of a request has failed, notify client and free the request
+     * @param {*} req request object
+     * @param {*} error error code, see reason.js
+     */
+    async onReqServerError(req, error) {
+        if (error == REASON_CONNECT_TIMEOUT) {
+            this.countTimeout("connect");
+        }
+
+        if (this.parked || req.resuming) {
+            // client can't hear us now, report it as a close after resumed
+            req.deferClose(error);
+            return;
+        }
 
-        await this.send(buf);
+        // see onReqServerClosed
+        let idx = req.idx;
+        let tag = req.tag;
+        await this.sendReqError(idx, tag, error);
 
         this.reqMgr.free(idx, tag);
     }
+
+    /**
+     * construct and send a request error message,
+     * old clients get a request closed message with the error as reason
+     * @param {*} idx request's index
+     * @param {*} tag request's tag
+     * @param {*} error error code, see reason.js
+     */
+    async sendReqError(idx, tag, error) {
+        if (this.version < PROTOCOL_VERSION_REQ_ERROR) {
+            await this.sendReqClosed(idx, tag, error);
+            return;
+        }
+
+        await this.send(encodeFrame({ cmd: CMD_ReqError, idx: idx, tag: tag, error: error }));
+    }
+
+    /**
+     * construct and send a request closed message
+     * @param {*} idx request's index
+     * @param {*} tag request's tag
+     * @param {*} reason reason code, see reason.js
+     */
+    async sendReqClosed(idx, tag, reason) {
+        await this.send(encodeFrame({ cmd: CMD_ReqServerClosed, idx: idx, tag: tag, reason: reason }));
+    }
+
+    /**
+     * grant client more quota of a request,
+     * client can send 'quota' bytes more data to us
+     * @param {*} req request object
+     * @param {*} quota quota in bytes
+     */
+    async sendQuotaRefresh(req, quota) {
+        await this.send(encodeFrame({ cmd: CMD_ReqRefreshQuota, idx: req.idx, tag: req.tag, quota: quota }));
+    }
+
+    /**
+     * target of a tcp request has connected, tell client the address if it cares
+     * @param {*} req request object
+     * @param {*} address "host:port" the socket has connected to
+     */
+    async onReqServerConnected(req, address) {
+        if (!this.hasCap(CAP_EYEBALLS)) {
+            return;
+        }
+
+        let { host, port } = parseAddress(address);
+        let addressType = ADDR_DOMAIN;
+        if (parseIP(host) != null) {
+            addressType = host.includes(":") ? ADDR_IPV6 : ADDR_IPV4;
+        }
+        await this.send(encodeFrame({
+            cmd: CMD_ReqConnected,
+            idx: req.idx,
+            tag: req.tag,
+            addressType: addressType,
+            host: host,
+            port: port,
+        }));
+    }
+
+    /**
+     * send response head of a fetch request
+     * @param {*} req request object
+     * @param {*} head { status, statusText, headers }
+     */
+    async onReqServerResponse(req, head) {
+        this.lastRequestActivity = Date.now();
+        await this.send(encodeFrame(Object.assign({ cmd: CMD_ReqFetchResponse, idx: req.idx, tag: req.tag }, head)));
+    }
+
+    async onReqServerFinished(req) {
+        // send finish event to client, request is still alive:
+        // client can keep sending data until it finishes too
+        await this.send(encodeFrame({ cmd: CMD_ReqServerFinished, idx: req.idx, tag: req.tag }));
+    }
 }
@@ -0,0 +1,281 @@
+import { forIdentity } from "./config.js";
+
+// how often usage counters are flushed to storage
+export const USAGE_FLUSH_INTERVAL = 30000;
+
+const KEY_PREFIX = "usage:";
+const KEY_TUNNELS = "usage-tunnels";
+
+function currentDay(now) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+function currentMonth(now) {
+    return new Date(now).toISOString().slice(0, 7);
+}
+
+/**
+ * UsageTracker class:
+ * count bytes per identity, enforce daily and monthly caps,
+ * and flush counters to durable object storage regularly.
+ * Caps come from config section 'quota': { "daily": bytes, "monthly": bytes },
+ * a missing or zero cap means unlimited.
+ */
+export class UsageTracker {
+    /**
+     * new a UsageTracker object
+     * @param {*} mgr tunnel manager, it's notified when an identity exceeds its quota
+     * @param {*} storage durable object storage
+     * @param {*} config config object, see config.js
+     */
+    constructor(mgr, storage, config) {
+        this.mgr = mgr;
+        this.storage = storage;
+        this.config = config;
+        // identity id => usage record
+        this.records = {};
+        // identity id => promise of loading
+        this.loading = {};
+        // identity ids whose record has changed since last flush
+        this.dirty = new Set();
+        // per tunnel counters of last flush, in json
+        this.flushedTunnels = null;
+        this.timer = null;
+    }
+
+    /**
+     * load usage record of an identity from storage, must be done before record()
+     * @param {*} identity identity object
+     */
+    async load(identity) {
+        let id = identity.id;
+        if (this.records[id] !== undefined) {
+            this.startFlushTimer();
+            return;
+        }
+
+        if (this.loading[id] === undefined) {
+            this.loading[id] = this.storage.get(KEY_PREFIX + id).then((stored) => {
+                this.records[id] = Object.assign(this.emptyRecord(Date.now()), stored);
+                delete this.loading[id];
+            });
+        }
+
+        await this.loading[id];
+        this.startFlushTimer();
+    }
+
+    emptyRecord(now) {
+        return {
+            day: currentDay(now),
+            daily: 0,
+            month: currentMonth(now),
+            monthly: 0,
+            total: 0,
+        };
+    }
+
+    /**
+     * get usage record of an identity, counters of passed periods are reset
+     * @param {*} id identity id
+     * @returns usage record, undefined if not loaded
+     */
+    recordOf(id) {
+        let record = this.records[id];
+        if (record === undefined) {
+            return undefined;
+        }
+
+        let now = Date.now();
+        let day = currentDay(now);
+        if (record.day != day) {
+            record.day = day;
+            record.daily = 0;
+            this.dirty.add(id);
+        }
+
+        let month = currentMonth(now);
+        if (record.month != month) {
+            record.month = month;
+            record.monthly = 0;
+            this.dirty.add(id);
+        }
+
+        return record;
+    }
+
+    /**
+     * count bytes of an identity
+     * @param {*} identity identity object
+     * @param {*} bytes bytes in either direction
+     */
+    record(identity, bytes) {
+        let record = this.recordOf(identity.id);
+        if (record === undefined) {
+            return;
+        }
+
+        let wasExceeded = this.isExceeded(identity);
+        record.daily += bytes;
+        record.monthly += bytes;
+        record.total += bytes;
+        this.dirty.add(identity.id);
+
+        if (!wasExceeded && this.isExceeded(identity)) {
+            console.log("UsageTracker quota exceeded, identity:", identity.id);
+            this.mgr.onQuotaExceeded(identity);
+        }
+    }
+
+    /**
+     * check if an identity has reached its daily or monthly cap
+     * @param {*} identity identity object
+     * @returns true if exceeded
+     */
+    isExceeded(identity) {
+        let record = this.recordOf(identity.id);
+        if (record === undefined) {
+            return false;
+        }
+
+        let quota = forIdentity(this.config, identity, "quota");
+        if (quota.daily && record.daily >= quota.daily) {
+            return true;
+        }
+
+        if (quota.monthly && record.monthly >= quota.monthly) {
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * flush regularly while there are tunnels, load() starts it again for new tunnels
+     */
+    startFlushTimer() {
+        if (this.timer != null) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.onFlushTimer(), USAGE_FLUSH_INTERVAL);
+    }
+
+    async onFlushTimer() {
+        try {
+            await this.flush();
+        } catch (err) {
+            console.log("UsageTracker flush exception:", err);
+            return;
+        }
+
+        if (this.dirty.size == 0 && this.mgr.allTunnels().length == 0) {
+            this.stopFlushTimer();
+        }
+    }
+
+    stopFlushTimer() {
+        if (this.timer != null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * write changed identity records and per tunnel counters to storage,
+     * nothing is written if neither has changed since last flush
+     */
+    async flush() {
+        let entries = {};
+        for (const id of this.dirty) {
+            entries[KEY_PREFIX + id] = this.records[id];
+        }
+        this.dirty.clear();
+
+        let tunnels = {};
+        for (const tun of this.mgr.allTunnels()) {
+            tunnels[tun.id] = {
+                identity: tun.identity.id,
+                connectedAt: tun.connectedAt,
+                bytesUp: tun.bytesUp,
+                bytesDown: tun.bytesDown,
+            };
+        }
+        let flushedTunnels = JSON.stringify(tunnels);
+        if (flushedTunnels != this.flushedTunnels) {
+            entries[KEY_TUNNELS] = tunnels;
+        }
+
+        if (Object.keys(entries).length == 0) {
+            return;
+        }
+
+        await this.storage.put(entries);
+        this.flushedTunnels = flushedTunnels;
+    }
+
+    /**
+     * read usage of an identity
+     * @param {*} id identity id
+     * @returns usage record, or null if no usage
+     */
+    async usage(id) {
+        let record = this.recordOf(id);
+        if (record !== undefined) {
+            return record;
+        }
+
+        let stored = await this.storage.get(KEY_PREFIX + id);
+        return stored || null;
+    }
+
+    /**
+     * read usage of all identities and last flushed tunnel counters
+     * @returns { identities, tunnels }
+     */
+    async usageAll() {
+        await this.flush();
+
+        let identities = {};
+        let stored = await this.storage.list({ prefix: KEY_PREFIX });
+        for (const [key, value] of stored) {
+            identities[key.slice(KEY_PREFIX.length)] = value;
+        }
+
+        let tunnels = await this.storage.get(KEY_TUNNELS);
+        return { identities: identities, tunnels: tunnels || {} };
+    }
+
+    /**
+     * reset usage counters of an identity
+     * @param {*} id identity id
+     * @param {*} period "daily", "monthly" or "all"
+     */
+    async reset(id, period) {
+        let record = this.records[id];
+        if (record === undefined) {
+            record = Object.assign(this.emptyRecord(Date.now()), await this.storage.get(KEY_PREFIX + id));
+        }
+
+        switch (period) {
+            case "daily":
+                record.daily = 0;
+                break;
+            case "monthly":
+                record.monthly = 0;
+                break;
+            case "all":
+                record.daily = 0;
+                record.monthly = 0;
+                record.total = 0;
+                break;
+            default:
+                throw new Error("unknown usage period: " + period);
+        }
+
+        if (this.records[id] !== undefined) {
+            this.dirty.delete(id);
+        }
+        await this.storage.put(KEY_PREFIX + id, record);
+    }
+}